@@ -243,6 +243,37 @@ export interface Color {
 	 * Choose a theme by index
 	 */
 	theme: number;
+
+	/**
+	 * Choose a legacy colour by index
+	 */
+	indexed: number;
+
+	/**
+	 * Lighten (positive) or darken (negative) the colour, from -1 to 1
+	 */
+	tint: number;
+}
+
+export interface ThemeModel {
+	name: string;
+	/**
+	 * ARGB colours of the colour scheme by name: dk1, lt1, dk2, lt2, accent1-6, hlink and folHlink
+	 */
+	colors: { [name: string]: string };
+	fonts: {
+		major: string;
+		minor: string;
+	};
+}
+
+export interface Theme extends ThemeModel {
+	model: ThemeModel;
+	/**
+	 * The ARGB colour of a theme colour index
+	 */
+	getColor(index: number): string | undefined;
+	resolveColor(color: Partial<Color>): string | undefined;
 }
 
 export interface Border {
@@ -299,6 +330,49 @@ export interface Style {
 	protection: Partial<Protection>;
 	border: Partial<Borders>;
 	fill: Fill;
+	/**
+	 * The named style the style is based on, see Workbook.addNamedStyle
+	 */
+	name: string;
+}
+
+export interface NamedStyle {
+	name: string;
+	style: Partial<Style>;
+	/**
+	 * The id of a built in style of Excel, e.g. 16 for Heading 1
+	 */
+	builtinId?: number;
+	iLevel?: number;
+	hidden?: boolean;
+	customBuiltin?: boolean;
+}
+
+/**
+ * The style of a part of a table or pivot table, with the size of stripes
+ */
+export interface TableStyleElement extends Partial<Style> {
+	size?: number;
+}
+
+export type TableStyleElementType =
+	| 'wholeTable' | 'headerRow' | 'totalRow' | 'firstColumn' | 'lastColumn'
+	| 'firstRowStripe' | 'secondRowStripe' | 'firstColumnStripe' | 'secondColumnStripe'
+	| 'firstHeaderCell' | 'lastHeaderCell' | 'firstTotalCell' | 'lastTotalCell'
+	| 'firstSubtotalColumn' | 'secondSubtotalColumn' | 'thirdSubtotalColumn'
+	| 'firstSubtotalRow' | 'secondSubtotalRow' | 'thirdSubtotalRow' | 'blankRow'
+	| 'firstColumnSubheading' | 'secondColumnSubheading' | 'thirdColumnSubheading'
+	| 'firstRowSubheading' | 'secondRowSubheading' | 'thirdRowSubheading'
+	| 'pageFieldLabels' | 'pageFieldValues';
+
+export interface TableStyle {
+	name: string;
+	/**
+	 * Whether the style is for tables, pivot tables or both
+	 */
+	table: boolean;
+	pivot: boolean;
+	elements: { [type in TableStyleElementType]?: TableStyleElement };
 }
 
 export type DataValidationOperator =
@@ -327,10 +401,30 @@ export declare enum ErrorValue {
 	Null = '#NULL!',
 	Value = '#VALUE!',
 	Num = '#NUM!',
+	Spill = '#SPILL!',
+	Calc = '#CALC!',
 }
 
 export interface CellErrorValue {
-	error: '#N/A' | '#REF!' | '#NAME?' | '#DIV/0!' | '#NULL!' | '#VALUE!' | '#NUM!';
+	error: '#N/A' | '#REF!' | '#NAME?' | '#DIV/0!' | '#NULL!' | '#VALUE!' | '#NUM!' | '#SPILL!' | '#CALC!';
+}
+
+export type CustomFunctionValue = number | string | boolean | Date | null | undefined | CellErrorValue;
+
+export type CustomFunctionResult = CustomFunctionValue | CustomFunctionValue[] | CustomFunctionValue[][];
+
+export interface RegisterFunctionOptions {
+	/**
+	 * Recalculate the function every time the workbook is recalculated
+	 * @default false
+	 */
+	volatile: boolean;
+
+	/**
+	 * Pass ranges and arrays to the function as 2D arrays instead of calling it for each value
+	 * @default false
+	 */
+	arrayAware: boolean;
 }
 
 export interface RichText {
@@ -352,6 +446,14 @@ export interface CellFormulaValue {
 	formula: string;
 	result?: number | string | boolean | Date | CellErrorValue;
 	date1904?: boolean;
+	/**
+	 * A dynamic array formula whose results spill over the neighbouring cells
+	 */
+	spill?: boolean;
+	/**
+	 * The range the results of an array or dynamic array formula occupy
+	 */
+	ref?: string;
 }
 
 export interface CellSharedFormulaValue {
@@ -372,7 +474,8 @@ export declare enum ValueType {
 	SharedString = 7,
 	RichText = 8,
 	Boolean = 9,
-	Error = 10
+	Error = 10,
+	Image = 11
 }
 
 export declare enum FormulaType {
@@ -381,11 +484,20 @@ export declare enum FormulaType {
 	Shared = 2
 }
 
+/**
+ * A picture placed in a cell: the id of a workbook image from `Workbook.addImage` and its alt text
+ */
+export interface CellImageValue {
+	image: number;
+	description?: string;
+}
+
 export type CellValue =
 	| null | number | string | boolean | Date | undefined
 	| CellErrorValue
 	| CellRichTextValue | CellHyperlinkValue
-	| CellFormulaValue | CellSharedFormulaValue;
+	| CellFormulaValue | CellSharedFormulaValue
+	| CellImageValue;
 
 
 	export interface CommentMargins {
@@ -405,6 +517,80 @@ export type CellValue =
 		margins?: Partial<CommentMargins>;
 		protection?: Partial<CommentProtection>;
 		editAs?: CommentEditAs;
+		/**
+		 * The top left corner of the box, zero based with fractions of cells
+		 */
+		position?: {col: number; row: number};
+		/**
+		 * The size of the box in pixels
+		 */
+		width?: number;
+		height?: number;
+		fillColor?: {argb: string};
+		/**
+		 * The font of the texts without one of their own
+		 */
+		font?: Partial<Font>;
+		/**
+		 * Always shown rather than when hovering over the cell
+		 */
+		visible?: boolean;
+		/**
+		 * The name of the person who wrote the note, 'Author' by default
+		 */
+		author?: string;
+	}
+
+	/**
+	 * Someone who writes threaded comments or is mentioned in them
+	 */
+	export interface Person {
+		id: string;
+		displayName: string;
+		userId: string;
+		providerId: string;
+	}
+
+	/**
+	 * A person of the workbook, their id or their display name
+	 */
+	export type PersonRef = Person | string;
+
+	export interface ThreadedCommentValue {
+		text: string;
+		author: PersonRef;
+		/**
+		 * When the comment was written, now by default
+		 */
+		date?: Date;
+		/**
+		 * The people @mentioned in the text
+		 */
+		mentions?: PersonRef[];
+	}
+
+	export interface CommentMention {
+		id: string;
+		person: Person;
+		startIndex: number;
+		length: number;
+	}
+
+	export interface ThreadedCommentEntry {
+		id: string;
+		author: Person;
+		date: Date;
+		text: string;
+		mentions?: CommentMention[];
+	}
+
+	/**
+	 * The threaded comment of a cell: the comment starting the thread with its replies
+	 */
+	export interface ThreadedComment extends ThreadedCommentEntry {
+		resolved: boolean;
+		replies: ThreadedCommentEntry[];
+		addReply(value: ThreadedCommentValue): ThreadedCommentEntry;
 	}
 
 export interface CellModel {
@@ -431,6 +617,15 @@ export interface Cell extends Style, Address {
 	readonly isHyperlink: boolean;
 	readonly hyperlink: string;	// todo
 	readonly text: string;
+	/**
+	 * The text Excel shows for the cell, its value rendered with its number format
+	 */
+	readonly formattedText: string;
+	/**
+	 * The named style of the cell, Normal by default.
+	 * Setting it gives the cell the style of the named style of the workbook
+	 */
+	styleName: string;
 	readonly fullAddress: {
 		sheetName: string;
 		address: string;
@@ -464,6 +659,12 @@ export interface Cell extends Style, Address {
 	 */
 	note: string | Comment;
 
+	/**
+	 * The threaded comment of the cell, started by setting the first comment and removed by setting null.
+	 * A cell has either a note or threaded comments
+	 */
+	comments: ThreadedComment | (ThreadedCommentValue & {resolved?: boolean}) | null | undefined;
+
 	/**
 	 * convenience getter to access the formula
 	 */
@@ -484,6 +685,27 @@ export interface Cell extends Style, Address {
 	 */
 	readonly formulaType: FormulaType;
 
+	/**
+	 * The range occupied by the results of a dynamic array formula, e.g. 'B2:B5'
+	 */
+	readonly spillRange?: string;
+
+	/**
+	 * Calculate the cell's formula (and the formulae it depends on),
+	 * store the result in the cell and return it
+	 */
+	calculate(): CellValue;
+
+	/**
+	 * The cells and ranges that the cell's formula refers to, e.g. ['Sheet1!A1', 'Sheet1!B1:B5']
+	 */
+	readonly precedents: string[];
+
+	/**
+	 * The formula cells that refer to this cell, e.g. ['Sheet1!C1']
+	 */
+	readonly dependents: string[];
+
 	/**
 	 * The styles of the cell
 	 */
@@ -885,10 +1107,15 @@ export interface WorksheetProtection {
 	spinCount: number;
 }
 export interface Image {
-	extension: 'jpeg' | 'png' | 'gif';
+	extension: 'jpeg' | 'png' | 'gif' | 'svg';
 	base64?: string;
 	filename?: string;
 	buffer?: Buffer;
+	/**
+	 * The raster image shown by readers that don't know svg, or the id of one already added.
+	 * Svg images must have one
+	 */
+	fallback?: Image | number;
 }
 export interface IAnchor {
 	col: number;
@@ -922,6 +1149,147 @@ export interface ImagePosition {
 	ext: { width: number; height: number };
 }
 
+/**
+ * Position and size in pixels from the top left of the sheet; stays put whatever the column widths and row heights
+ */
+export interface ImageAbsolutePosition {
+	pos: { x: number; y: number };
+	ext: { width: number; height: number };
+}
+
+export type DrawingRange = string | { editAs?: string; } & ImageRange | { editAs?: string; } & ImagePosition | ImageAbsolutePosition;
+
+export interface ImageOptions {
+	/**
+	 * clockwise, in degrees
+	 */
+	rotation: number;
+	flipH: boolean;
+	flipV: boolean;
+	/**
+	 * the percentage of the picture cut from each side
+	 */
+	crop: { left?: number; top?: number; right?: number; bottom?: number };
+	/**
+	 * alt text
+	 */
+	description: string;
+	/**
+	 * false lets the picture be stretched when resized in Excel
+	 */
+	lockAspectRatio: boolean;
+}
+
+export interface PixelBox {
+	x: number;
+	y: number;
+	width: number;
+	height: number;
+}
+
+export interface WorksheetImage extends Partial<ImageOptions> {
+	type: 'image';
+	imageId: string;
+	range: ImageRange & { editAs?: string; ext?: { width: number; height: number }; pos?: { x: number; y: number } };
+	/**
+	 * The box the image is drawn in, in pixels at 96 dpi from the top left of the sheet,
+	 * worked out from the column widths and row heights
+	 */
+	getPixelBox(): PixelBox;
+	/**
+	 * The range of the cells the image is drawn over, e.g. 'C3:E6'
+	 */
+	getCellRange(): string;
+}
+
+export interface ExtractedImage {
+	name: string;
+	extension: string;
+	/**
+	 * undefined for images added by filename
+	 */
+	buffer?: Buffer;
+	filename?: string;
+	sheets: Array<{ sheet: string; range: string; hyperlinks?: ImageHyperlinkValue }>;
+}
+
+export type ChartType = 'bar' | 'column' | 'line' | 'pie' | 'scatter' | 'area';
+
+export interface ChartSeries {
+	name?: string;
+	/**
+	 * range of the category labels, or of the x values of a scatter chart
+	 */
+	categories?: string;
+	values: string;
+	color?: Partial<Color>;
+}
+
+export interface ChartAxis {
+	title: string;
+	min: number;
+	max: number;
+	numFmt: string;
+	majorGridlines: boolean;
+	hidden: boolean;
+}
+
+export interface ChartSpec {
+	type: ChartType;
+	grouping?: 'standard' | 'clustered' | 'stacked' | 'percentStacked';
+	title?: string;
+	series: ChartSeries[];
+	legend?: false | { position?: 'right' | 'left' | 'top' | 'bottom' | 'topRight' };
+	axes?: { x?: Partial<ChartAxis>; y?: Partial<ChartAxis> };
+}
+
+export interface Chart {
+	readonly type: 'chart';
+	/**
+	 * The chart spec; undefined for charts loaded from a file
+	 */
+	chart?: ChartSpec;
+	/**
+	 * The name of a chart loaded from a file
+	 */
+	name?: string;
+	/**
+	 * undefined for the chart of a chartsheet
+	 */
+	range?: ImageRange & { editAs?: string };
+}
+
+export type ShapeType = 'rect' | 'roundRect' | 'ellipse' | 'arrow' | 'line' | 'textBox';
+
+export interface ShapeSpec {
+	/**
+	 * shapes loaded from a file may have other preset geometries as their type
+	 */
+	type: ShapeType | string;
+	name?: string;
+	description?: string;
+	text?: string | CellRichTextValue;
+	alignment?: { horizontal?: 'left' | 'center' | 'right' | 'justify'; vertical?: 'top' | 'middle' | 'bottom' };
+	fill?: { type: 'solid'; color: Partial<Color> } | { type: 'none' };
+	/**
+	 * width in points, dash one of DrawingML's preset dashes e.g. 'dash' or 'sysDot'
+	 */
+	line?: { type?: 'solid'; color?: Partial<Color>; width?: number; dash?: string } | { type: 'none' };
+	flipH?: boolean;
+	flipV?: boolean;
+}
+
+export interface AddShapeOptions extends ShapeSpec {
+	type: ShapeType;
+	anchor: DrawingRange;
+}
+
+export interface Shape {
+	readonly type: 'shape';
+	shape: ShapeSpec;
+	range: ImageRange & { editAs?: string; ext?: { width: number; height: number } };
+}
+
 export interface ImageHyperlinkValue {
 	hyperlink: string;
 	tooltip?: string;
@@ -1091,6 +1459,69 @@ export interface ConditionalFormattingOptions {
 	rules: ConditionalFormattingRule[];
 }
 
+export type SparklineType = 'line' | 'column' | 'winLoss';
+
+export interface Sparkline {
+	/**
+	 * the cells plotted, qualified with their sheet name
+	 */
+	data: string;
+	/**
+	 * the cell the sparkline is drawn in
+	 */
+	location: string;
+}
+
+export interface SparklineGroupOptions {
+	type: SparklineType;
+	colors: Partial<{
+		series: Partial<Color>;
+		negative: Partial<Color>;
+		axis: Partial<Color>;
+		markers: Partial<Color>;
+		first: Partial<Color>;
+		last: Partial<Color>;
+		high: Partial<Color>;
+		low: Partial<Color>;
+	}>;
+	markers: boolean;
+	high: boolean;
+	low: boolean;
+	first: boolean;
+	last: boolean;
+	negative: boolean;
+	emptyCells: 'gap' | 'zero' | 'span';
+	showHidden: boolean;
+	lineWeight: number;
+	axis: Partial<{
+		show: boolean;
+		min: 'individual' | 'group' | number;
+		max: 'individual' | 'group' | number;
+		rightToLeft: boolean;
+		dateRange: string;
+	}>;
+}
+
+export interface AddSparklineGroupOptions extends Partial<SparklineGroupOptions> {
+	/**
+	 * the cells to plot, a row or column of them for each cell of locationRange
+	 */
+	dataRange?: string;
+	/**
+	 * the row or column of cells to draw the sparklines in
+	 */
+	locationRange?: string;
+	/**
+	 * or the sparklines themselves
+	 */
+	sparklines?: Sparkline[];
+}
+
+export interface SparklineGroup extends Partial<SparklineGroupOptions> {
+	type: SparklineType;
+	sparklines: Sparkline[];
+}
+
 export interface Worksheet {
 	readonly id: number;
 	name: string;
@@ -1324,7 +1755,11 @@ export interface Worksheet {
 	unMergeCells(v: [number, number, number, number]): void;
 	unMergeCells(v: [number, number, number, number, string]): void;
 
-	fillFormula(range: Range | string | Location, formula: string, results?: ((r: number, c: number) => string | number) | number[] | number[][]): void;
+	/**
+	 * Fill a range with a shared (or array) formula, given for the top-left cell.
+	 * Pass {r1c1: true} to give the formula in R1C1 notation
+	 */
+	fillFormula(range: Range | string | Location, formula: string, results?: ((r: number, c: number) => string | number) | number[] | number[][], options?: 'shared' | 'array' | FillFormulaOptions): void;
 
 	/**
 	 * Using the image id from `Workbook.addImage`, set the background to the worksheet
@@ -1337,13 +1772,30 @@ export interface Worksheet {
 	 * Using the image id from `Workbook.addImage`,
 	 * embed an image within the worksheet to cover a range
 	 */
-	addImage(imageId: number, range: string | { editAs?: string; } & ImageRange & { hyperlinks?: ImageHyperlinkValue } | { editAs?: string; } & ImagePosition & { hyperlinks?: ImageHyperlinkValue }): void;
+	addImage(imageId: number, range: string | ((
+		{ editAs?: string; } & ImageRange | { editAs?: string; } & ImagePosition | ImageAbsolutePosition
+	) & { hyperlinks?: ImageHyperlinkValue } & Partial<ImageOptions>)): WorksheetImage;
 
-	getImages(): Array<{
-		type: 'image',
-		imageId: string;
-		range: ImageRange;
-	}>;
+	getImages(): WorksheetImage[];
+
+	/**
+	 * The images drawn over any of the cells of a range, e.g. 'C5' or 'A2:F10'
+	 */
+	getImagesInRange(range: string): WorksheetImage[];
+
+	/**
+	 * Add a chart over a range of cells
+	 */
+	addChart(chart: ChartSpec, range: DrawingRange): Chart;
+
+	getCharts(): Chart[];
+
+	/**
+	 * Add a shape or text box over a range of cells
+	 */
+	addShape(options: AddShapeOptions): Shape;
+
+	getShapes(): Shape[];
 
 	commit(): void;
 
@@ -1380,6 +1832,21 @@ export interface Worksheet {
 	 * delete conditionalFormattingOptions
 	 */
 	removeConditionalFormatting(filter: any): void;
+
+	/**
+	 * The sparkline groups of the worksheet
+	 */
+	sparklineGroups: SparklineGroup[];
+
+	/**
+	 * add a group of sparklines
+	 */
+	addSparklineGroup(options: AddSparklineGroupOptions): SparklineGroup;
+
+	/**
+	 * delete sparkline groups: by index, keeping those that pass a filter or all of them
+	 */
+	removeSparklineGroup(filter?: number | ((group: SparklineGroup) => boolean)): void;
 }
 
 export interface CalculationProperties {
@@ -1437,6 +1904,26 @@ export interface AddWorksheetOptions {
 	state: WorksheetState;
 }
 
+export interface AddChartsheetOptions {
+	properties: { tabColor?: Partial<Color> };
+	state: WorksheetState;
+}
+
+export interface Chartsheet {
+	readonly id: number;
+	name: string;
+	orderNo: number;
+	state: WorksheetState;
+	properties: { tabColor?: Partial<Color> };
+	readonly chart: Chart;
+	readonly workbook: Workbook;
+
+	/**
+	 * Remove the chartsheet from its workbook
+	 */
+	destroy(): void;
+}
+
 export interface WorkbookProperties {
 	/**
 	 * Set workbook dates to 1904 date system
@@ -1464,6 +1951,31 @@ export interface XlsxReadOptions {
 	ignoreNodes: string[];
 }
 
+export interface StyleStatsPart {
+	/**
+	 * The number written to styles.xml
+	 */
+	count: number;
+	/**
+	 * The number merged with an equivalent one already written differently, e.g. with colours in lower case
+	 */
+	merged: number;
+}
+
+export interface StyleStats {
+	/**
+	 * The number of styles of cells, rows and columns
+	 */
+	references: number;
+	cellXfs: StyleStatsPart;
+	cellStyleXfs: StyleStatsPart;
+	numFmts: StyleStatsPart;
+	fonts: StyleStatsPart;
+	fills: StyleStatsPart;
+	borders: StyleStatsPart;
+	dxfs: StyleStatsPart;
+}
+
 export interface XlsxWriteOptions extends stream.xlsx.WorkbookWriterOptions {
 	/**
 	 * The option passed to JsZip#generateAsync(options)
@@ -1763,6 +2275,23 @@ export class Workbook {
 	 */
 	getWorksheet(indexOrName?: number | string): Worksheet | undefined;
 
+	/**
+	 * return a clone of chartsheets in order
+	 */
+	readonly chartsheets: Chartsheet[];
+
+	/**
+	 * Add a sheet holding just a chart. The series must name the worksheets of their cells, e.g. 'Sales!B2:B13'
+	 */
+	addChartsheet(name: string, chart: ChartSpec, options?: Partial<AddChartsheetOptions>): Chartsheet;
+
+	removeChartsheet(indexOrName: number | string): void;
+
+	/**
+	 * fetch chartsheet by name or id
+	 */
+	getChartsheet(indexOrName?: number | string): Chartsheet | undefined;
+
 	/**
 	 * Iterate over all sheets.
 	 *
@@ -1772,12 +2301,99 @@ export class Workbook {
 
 	clearThemes(): void;
 
+	/**
+	 * The theme of the workbook, set with any of name, colors and fonts
+	 */
+	theme: Theme;
+
+	/**
+	 * The ARGB of a theme, indexed or tinted colour using the theme of the workbook
+	 */
+	resolveColor(color: Partial<Color>): string | undefined;
+
 	/**
 	 * Add Image to Workbook and return the id
 	 */
 	addImage(img: Image): number;
 
 	getImage(id: number): Image;
+
+	/**
+	 * The people of threaded comments
+	 */
+	persons: Person[];
+
+	/**
+	 * Add a person to the workbook, by default with their display name as user id and a providerId of 'None'
+	 */
+	addPerson(person: Partial<Person> & {displayName: string}): Person;
+
+	/**
+	 * Find a person by id or display name
+	 */
+	getPerson(id: string): Person | undefined;
+
+	/**
+	 * The named styles of the workbook, shown in the Styles gallery of Excel
+	 */
+	namedStyles: NamedStyle[];
+
+	/**
+	 * Add a named style, or change the style of one already in the workbook
+	 */
+	addNamedStyle(name: string, style: Partial<Style>): NamedStyle;
+
+	/**
+	 * Find a named style by name, ignoring case
+	 */
+	getNamedStyle(name: string): NamedStyle | undefined;
+
+	/**
+	 * The custom table and pivot styles of the workbook
+	 */
+	tableStyles: TableStyle[];
+
+	/**
+	 * The styles of new tables and pivot tables in Excel
+	 */
+	defaultTableStyle?: string;
+	defaultPivotStyle?: string;
+
+	/**
+	 * Add a custom table style, or change one already in the workbook. Tables use it by name as their theme
+	 */
+	addTableStyle(name: string, elements: TableStyle['elements']): TableStyle;
+
+	/**
+	 * Add a custom pivot table style, or change one already in the workbook
+	 */
+	addPivotStyle(name: string, elements: TableStyle['elements']): TableStyle;
+
+	/**
+	 * Find a table or pivot style by name, ignoring case
+	 */
+	getTableStyle(name: string): TableStyle | undefined;
+
+	/**
+	 * The images of the workbook with the places they are drawn on its worksheets
+	 */
+	extractMedia(): ExtractedImage[];
+
+	/**
+	 * Calculate all formula cells in the workbook, storing the results in the cells
+	 */
+	calculate(): void;
+
+	/**
+	 * Register a custom function, e.g. a user defined function of an add-in, for formula calculation
+	 */
+	registerFunction(name: string, impl: (...args: any[]) => CustomFunctionResult, options?: Partial<RegisterFunctionOptions>): void;
+
+	/**
+	 * Calculate only the formula cells affected by the values set since the last calculation.
+	 * Throws an Error if there are circular references
+	 */
+	recalculate(): void;
 }
 
 export interface TableStyleProperties {
@@ -1908,6 +2524,31 @@ export interface Table extends Required<TableProperties> {
 	removeColumns: (colIndex: number, count: number) => void
 }
 
+export interface FillFormulaOptions {
+	/**
+	 * 'shared' (default) or 'array'
+	 */
+	shareType?: 'shared' | 'array';
+
+	/**
+	 * the formula is written in R1C1 notation
+	 */
+	r1c1?: boolean;
+}
+
+export namespace formula {
+	/**
+	 * Convert the references of an A1 formula in the cell at address to R1C1 notation.
+	 * Throws if the formula can't be read
+	 */
+	function toR1C1(formula: string, address: string): string;
+
+	/**
+	 * Convert the references of an R1C1 formula in the cell at address to A1 notation
+	 */
+	function fromR1C1(formula: string, address: string): string;
+}
+
 export namespace config {
 	function setValue(key: 'promise', promise: any): void;
 }
@@ -1935,6 +2576,11 @@ export namespace stream {
 			 * Styles can add some performance overhead. Default is false
 			 */
 			useStyles: boolean;
+
+			/**
+			 * Called with the stats of the styles of the workbook when they are written
+			 */
+			styleStats: (stats: StyleStats) => void;
 		}
 
 		interface ArchiverZipOptions {
@@ -2011,6 +2657,11 @@ export namespace stream {
 			 * @default 'ignore'
 			 */
 			entries?: 'emit' | 'ignore';
+			/**
+			 * Notes are put on the cells of the rows read ('cache') or emitted as 'note' events after their rows
+			 * @default 'ignore'
+			 */
+			comments?: 'cache' | 'emit' | 'ignore';
 		}
 
 		class WorkbookReader extends Workbook {
@@ -2035,6 +2686,10 @@ export namespace stream {
 			dimensions(): number;
 			columns(): number;
 			getColumn(c: number): Column;
+			/**
+			 * The notes of the sheet by cell address, when comments are read
+			 */
+			notes: {[ref: string]: Comment | string} | null;
 		}
 	}
 }
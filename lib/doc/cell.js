@@ -3,7 +3,11 @@ const colCache = require('../utils/col-cache');
 const _ = require('../utils/under-dash');
 const Enums = require('./enums');
 const {slideFormula} = require('../utils/shared-formula');
+const {getReferences, formatReference} = require('../utils/formula-parser');
 const Note = require('./note');
+const ThreadedComment = require('./threaded-comment');
+const FormulaEvaluator = require('../utils/formula-evaluator');
+const NumberFormat = require('../utils/number-format');
 // Cell requirements
 //  Operate inside a worksheet
 //  Store and retrieve a value with a range of types: text, number, date, hyperlink, reference, formula, etc.
@@ -96,6 +100,25 @@ class Cell {
     this.style.protection = value;
   }
 
+  // the named style of the cell, Normal unless one has been set or loaded
+  get styleName() {
+    return this.style.name || 'Normal';
+  }
+
+  // setting the named style of a cell replaces its style with that of the named style in the workbook
+  set styleName(value) {
+    const namedStyle = this.workbook.getNamedStyle(value);
+    const isNormal = String(value).toLowerCase() === 'normal';
+    if (!namedStyle && !isNormal) {
+      throw new Error(`There is no named style called ${value}`);
+    }
+    const style = {...(namedStyle && namedStyle.style)};
+    if (!isNormal) {
+      style.name = namedStyle.name;
+    }
+    this.style = style;
+  }
+
   _mergeStyle(rowStyle, colStyle, style) {
     const numFmt = (rowStyle && rowStyle.numFmt) || (colStyle && colStyle.numFmt);
     if (numFmt) style.numFmt = numFmt;
@@ -115,6 +138,9 @@ class Cell {
     const protection = (rowStyle && rowStyle.protection) || (colStyle && colStyle.protection);
     if (protection) style.protection = protection;
 
+    const name = (rowStyle && rowStyle.name) || (colStyle && colStyle.name);
+    if (name) style.name = name;
+
     return style;
   }
 
@@ -215,10 +241,17 @@ class Cell {
       return;
     }
 
+    const wasFormula = this.type === Cell.Types.Formula;
     this._value.release();
 
     // assign value
     this._value = Value.create(Value.getType(v), this, v);
+
+    // let the workbook know which formulae need recalculating
+    const {workbook} = this;
+    if (workbook && workbook._dependencyGraph) {
+      workbook._dependencyGraph.cellChanged(this, wasFormula);
+    }
   }
 
   get note() {
@@ -229,10 +262,53 @@ class Cell {
     this._comment = new Note(note);
   }
 
+  // the threaded comment of the cell, with its replies. A cell has either a note or a thread
+  get comments() {
+    return this._comment instanceof ThreadedComment ? this._comment : undefined;
+  }
+
+  set comments(value) {
+    if (value) {
+      this._comment = value instanceof ThreadedComment ? value : new ThreadedComment(this.workbook, value);
+    } else if (this.comments) {
+      delete this._comment;
+    }
+  }
+
   get text() {
     return this._value.toString();
   }
 
+  // the text Excel shows for the cell: its value (or the result of its formula) rendered with its number format
+  get formattedText() {
+    let value;
+    switch (this.type) {
+      case Cell.Types.Merge:
+        return this.master.formattedText;
+      case Cell.Types.Number:
+      case Cell.Types.Date:
+      case Cell.Types.Boolean:
+      case Cell.Types.Error:
+        ({value} = this);
+        break;
+      case Cell.Types.Formula:
+        value = this.result;
+        break;
+      case Cell.Types.String:
+        value = this.text;
+        break;
+      default:
+        return this.text;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date) && !value.error) {
+      return this.text;
+    }
+    // dates without a format are written with the short date one
+    const numFmt = this.numFmt || (value instanceof Date ? 'mm-dd-yy' : undefined);
+    const {properties} = this.workbook || {};
+    return NumberFormat.format(numFmt, value, {date1904: properties && properties.date1904});
+  }
+
   get html() {
     return _.escapeHtml(this.text);
   }
@@ -265,6 +341,29 @@ class Cell {
     return this._value.formulaType;
   }
 
+  // the range (e.g. 'B2:B5') occupied by the results of a dynamic array formula
+  get spillRange() {
+    return this._value.spillRange;
+  }
+
+  // calculate the formula (and any formulae it depends on), returning the result
+  calculate() {
+    if (this.type === Cell.Types.Formula) {
+      new FormulaEvaluator(this.workbook).calculateCell(this);
+    }
+    return this.result;
+  }
+
+  // the cells and ranges (e.g. 'Sheet1!B2:B5') that the formula of this cell refers to
+  get precedents() {
+    return this.workbook._getDependencyGraph().precedents(this);
+  }
+
+  // the formula cells (e.g. 'Sheet1!C3') that refer to this cell
+  get dependents() {
+    return this.workbook._getDependencyGraph().dependents(this);
+  }
+
   // =========================================================================
   // Name stuff
   get fullAddress() {
@@ -345,6 +444,9 @@ class Cell {
         case 'note':
           this._comment = Note.fromModel(value.comment);
           break;
+        case 'thread':
+          this._comment = ThreadedComment.fromModel(this.workbook, value.comment);
+          break;
       }
     }
 
@@ -742,6 +844,7 @@ class FormulaValue {
       ref: value ? value.ref : undefined,
       formula: value ? value.formula : undefined,
       sharedFormula: value ? value.sharedFormula : undefined,
+      spill: value ? value.spill : undefined,
       result: value ? value.result : undefined,
     };
   }
@@ -759,6 +862,7 @@ class FormulaValue {
     cp('ref');
     cp('shareType');
     cp('sharedFormula');
+    cp('spill');
     return copy;
   }
 
@@ -785,15 +889,31 @@ class FormulaValue {
   }
 
   get dependencies() {
-    // find all the ranges and cells mentioned in the formula
-    const ranges = this.formula.match(/([a-zA-Z0-9]+!)?[A-Z]{1,3}\d{1,4}:[A-Z]{1,3}\d{1,4}/g);
-    const cells = this.formula
-      .replace(/([a-zA-Z0-9]+!)?[A-Z]{1,3}\d{1,4}:[A-Z]{1,3}\d{1,4}/g, '')
-      .match(/([a-zA-Z0-9]+!)?[A-Z]{1,3}\d{1,4}/g);
-    return {
-      ranges,
-      cells,
+    // find all the ranges, cells, names and table references mentioned in the formula,
+    // with those of other workbooks (e.g. [1]Sheet1!A1) kept apart
+    const dependencies = {
+      ranges: [],
+      cells: [],
+      names: [],
+      tables: [],
+      external: [],
+    };
+    let references;
+    try {
+      references = getReferences(this.formula);
+    } catch (error) {
+      return dependencies;
+    }
+    const lists = {
+      range: dependencies.ranges,
+      cell: dependencies.cells,
+      name: dependencies.names,
+      structured: dependencies.tables,
     };
+    references.forEach(({node}) => {
+      (node.workbook === undefined ? lists[node.type] : dependencies.external).push(formatReference(node));
+    });
+    return dependencies;
   }
 
   get formula() {
@@ -822,6 +942,10 @@ class FormulaValue {
     this.model.result = value;
   }
 
+  get spillRange() {
+    return this.model.spill ? this.model.ref || this.model.address : undefined;
+  }
+
   get type() {
     return Cell.Types.Formula;
   }
@@ -1011,6 +1135,51 @@ class ErrorValue {
   }
 }
 
+// a picture placed in the cell, {image, description}, where image is the id of a workbook image
+class ImageValue {
+  constructor(cell, value) {
+    this.model = {
+      address: cell.address,
+      type: Cell.Types.Image,
+      value,
+    };
+  }
+
+  get value() {
+    return this.model.value;
+  }
+
+  set value(value) {
+    this.model.value = value;
+  }
+
+  get type() {
+    return Cell.Types.Image;
+  }
+
+  get effectiveType() {
+    return Cell.Types.Image;
+  }
+
+  get address() {
+    return this.model.address;
+  }
+
+  set address(value) {
+    this.model.address = value;
+  }
+
+  toCsvString() {
+    return '';
+  }
+
+  release() {}
+
+  toString() {
+    return this.model.value.description || '';
+  }
+}
+
 class JSONValue {
   constructor(cell, value) {
     this.model = {
@@ -1090,6 +1259,9 @@ const Value = {
     if (value.error) {
       return Cell.Types.Error;
     }
+    if (typeof value.image === 'number') {
+      return Cell.Types.Image;
+    }
     return Cell.Types.JSON;
   },
 
@@ -1107,6 +1279,7 @@ const Value = {
     {t: Cell.Types.RichText, f: RichTextValue},
     {t: Cell.Types.Boolean, f: BooleanValue},
     {t: Cell.Types.Error, f: ErrorValue},
+    {t: Cell.Types.Image, f: ImageValue},
   ].reduce((p, t) => {
     p[t.t] = t.f;
     return p;
@@ -0,0 +1,85 @@
+const {replaceReferences} = require('../utils/formula-parser');
+const utils = require('../utils/utils');
+const {makeRange, rangeModel} = require('./drawing-range');
+
+const CHART_TYPES = ['bar', 'column', 'line', 'pie', 'scatter', 'area'];
+
+// A chart drawn over a worksheet, anchored to a range of cells like an image.
+// The spec describes the chart:
+//   type: bar, column, line, pie, scatter or area
+//   title: text shown above the chart
+//   series: [{name, categories, values, color}], where categories and values are cell ranges
+//   legend: {position} or false to hide it
+//   axes: {x: {title, min, max, numFmt, majorGridlines}, y: {...}}
+// Charts loaded from a file have no spec, they keep the loaded chart part instead.
+// The chart of a chartsheet fills the sheet so has no range.
+class Chart {
+  constructor(worksheet, model) {
+    this.worksheet = worksheet;
+    this.model = model;
+  }
+
+  get model() {
+    return {
+      type: 'chart',
+      chart: this.chart,
+      name: this.name,
+      part: this.part,
+      range: this.range && rangeModel(this.range),
+    };
+  }
+
+  set model({chart, name, part, range}) {
+    this.name = name;
+    this.part = part;
+    if (part) {
+      this.chart = undefined;
+    } else if (!CHART_TYPES.includes(chart.type)) {
+      throw new Error(`Unsupported chart type: ${chart.type}`);
+    } else if (!chart.series || !chart.series.length) {
+      throw new Error('A chart needs at least one series');
+    } else {
+      chart.series.forEach(series => {
+        if (!series.values) {
+          throw new Error('Chart series need values');
+        }
+      });
+      this.chart = chart;
+    }
+
+    this.range = range && makeRange(this.worksheet, range, 'twoCell');
+  }
+
+  get type() {
+    return 'chart';
+  }
+
+  // series refer to sheets by name
+  renameSheet(oldName, newName) {
+    const rename = formula =>
+      replaceReferences(formula, node => {
+        if (node.workbook === undefined && node.sheetName && node.sheetName.toLowerCase() === oldName.toLowerCase()) {
+          return {...node, sheetName: newName};
+        }
+        return undefined;
+      });
+    if (this.part) {
+      this.part.data = this.part.data.replace(
+        /<c:f>([^<]*)<\/c:f>/g,
+        (f, formula) => `<c:f>${utils.xmlEncode(rename(utils.xmlDecode(formula)))}</c:f>`
+      );
+    } else {
+      this.chart.series.forEach(series => {
+        ['categories', 'values'].forEach(key => {
+          if (series[key]) {
+            series[key] = rename(series[key]);
+          }
+        });
+      });
+    }
+  }
+}
+
+Chart.CHART_TYPES = CHART_TYPES;
+
+module.exports = Chart;
@@ -0,0 +1,83 @@
+const {replaceReferences} = require('../utils/formula-parser');
+const {checkSheetName} = require('../utils/sheet-name');
+const Chart = require('./chart');
+
+// the series of a chartsheet have no sheet of their own to refer to
+function checkSeriesReferences(spec) {
+  (spec.series || []).forEach(series => {
+    ['categories', 'values'].forEach(key => {
+      if (series[key]) {
+        replaceReferences(series[key], node => {
+          if (!node.sheetName) {
+            throw new Error(`Chartsheet series must name the worksheet of their cells: ${series[key]}`);
+          }
+          return undefined;
+        });
+      }
+    });
+  });
+}
+
+// A sheet holding nothing but a chart.
+// Chartsheets take their places among the worksheets of a workbook, sharing their ids, names and tab order.
+class Chartsheet {
+  constructor(options) {
+    options = options || {};
+    this._workbook = options.workbook;
+
+    this.id = options.id;
+    this.orderNo = options.orderNo;
+    this.name = options.name;
+    this.state = options.state || 'visible';
+    this.properties = Object.assign({}, options.properties);
+
+    if (options.chart) {
+      checkSeriesReferences(options.chart);
+      this.chart = new Chart(this, {chart: options.chart});
+    }
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  set name(name) {
+    if (name === undefined) {
+      name = `Chart${this.id}`;
+    }
+
+    if (this._name === name) return;
+
+    const workbook = this._workbook;
+    this._name = checkSheetName(name, [...workbook._worksheets, ...workbook._chartsheets]);
+  }
+
+  get workbook() {
+    return this._workbook;
+  }
+
+  // when you're done with this chartsheet, call this to remove from workbook
+  destroy() {
+    this._workbook.removeChartsheetEx(this);
+  }
+
+  get model() {
+    return {
+      id: this.id,
+      name: this.name,
+      state: this.state,
+      orderNo: this.orderNo,
+      properties: this.properties,
+      chart: this.chart.model,
+    };
+  }
+
+  set model(value) {
+    this.name = value.name;
+    this.state = value.state || 'visible';
+    this.properties = value.properties || {};
+    this.chart = new Chart(this, value.chart);
+  }
+}
+
+module.exports = Chartsheet;
@@ -0,0 +1,159 @@
+const colCache = require('../utils/col-cache');
+const Anchor = require('./anchor');
+
+/** https://en.wikipedia.org/wiki/Office_Open_XML_file_formats#DrawingML */
+const EMU_PER_PIXEL_AT_96_DPI = 9525;
+
+// the width of the digits of the default font (Calibri 11) in pixels, which column widths are measured in
+const MAX_DIGIT_WIDTH = 7;
+
+// the pixel sizes Excel gives columns and rows that have none of their own
+const DEFAULT_COLUMN_PIXELS = 64;
+
+const MAX_COLUMNS = 16384;
+const MAX_ROWS = 1048576;
+
+// The range a drawing (an image, chart or shape) is anchored to is given as one of
+//   a range of cells, e.g. 'B2:D6'
+//   {tl, br}: the top left and bottom right anchors
+//   {tl, ext}: the top left anchor and the size in pixels
+//   {pos, ext}: the position and size in pixels from the top left of the sheet.
+//     Such absolute ranges stay put whatever happens to the rows and columns
+// editAs is the default for ranges of cells
+function makeRange(worksheet, range, editAs) {
+  if (typeof range === 'string') {
+    const decoded = colCache.decode(range);
+    return {
+      tl: new Anchor(worksheet, {col: decoded.left, row: decoded.top}, -1),
+      br: new Anchor(worksheet, {col: decoded.right, row: decoded.bottom}, 0),
+      editAs,
+    };
+  }
+  if (range.pos) {
+    return {
+      pos: {x: range.pos.x, y: range.pos.y},
+      ext: {width: range.ext.width, height: range.ext.height},
+      editAs: 'absolute',
+    };
+  }
+  return {
+    tl: new Anchor(worksheet, range.tl, 0),
+    br: range.br && new Anchor(worksheet, range.br, 0),
+    ext: range.ext,
+    editAs: range.editAs,
+  };
+}
+
+function rangeModel(range) {
+  if (range.pos) {
+    return {
+      pos: range.pos,
+      ext: range.ext,
+      editAs: range.editAs,
+    };
+  }
+  return {
+    tl: range.tl.model,
+    br: range.br && range.br.model,
+    ext: range.ext,
+    editAs: range.editAs,
+  };
+}
+
+// the pixel size of a column of the given width (in characters), or of a column with none
+function columnWidthPixels(width) {
+  if (width === undefined) {
+    return DEFAULT_COLUMN_PIXELS;
+  }
+  return Math.trunc((((256 * width) + Math.trunc(128 / MAX_DIGIT_WIDTH)) / 256) * MAX_DIGIT_WIDTH);
+}
+
+// the pixel size of a row of the given height (in points)
+function rowHeightPixels(height) {
+  return Math.round(((height || 15) * 96) / 72);
+}
+
+function columnPixels(worksheet, col) {
+  const column = worksheet._columns && worksheet._columns[col - 1];
+  if (column && column.hidden) {
+    return 0;
+  }
+  return columnWidthPixels(column && column.isCustomWidth ? column.width : worksheet.properties.defaultColWidth);
+}
+
+function rowPixels(worksheet, r) {
+  const row = worksheet.findRow(r);
+  if (row && row.hidden) {
+    return 0;
+  }
+  return rowHeightPixels((row && row.height) || worksheet.properties.defaultRowHeight);
+}
+
+// the position of an anchor in pixels from the top left of the sheet
+function anchorPixels(worksheet, anchor) {
+  let x = anchor.nativeColOff / EMU_PER_PIXEL_AT_96_DPI;
+  for (let col = 1; col <= anchor.nativeCol; col++) {
+    x += columnPixels(worksheet, col);
+  }
+  let y = anchor.nativeRowOff / EMU_PER_PIXEL_AT_96_DPI;
+  for (let row = 1; row <= anchor.nativeRow; row++) {
+    y += rowPixels(worksheet, row);
+  }
+  return {x, y};
+}
+
+// the box a range covers in pixels at 96 dpi, from the column widths and row heights of the worksheet
+function pixelBox(worksheet, range) {
+  if (range.pos) {
+    return {x: range.pos.x, y: range.pos.y, width: range.ext.width, height: range.ext.height};
+  }
+  const tl = anchorPixels(worksheet, range.tl);
+  if (range.br) {
+    const br = anchorPixels(worksheet, range.br);
+    return {x: tl.x, y: tl.y, width: br.x - tl.x, height: br.y - tl.y};
+  }
+  return {x: tl.x, y: tl.y, width: range.ext.width, height: range.ext.height};
+}
+
+// the column or row a distance in pixels from the top or left of the sheet falls in.
+// An edge belongs to the cell after it, unless it is the far edge of a drawing
+function cellAt(sizes, distance, max, farEdge) {
+  let edge = 0;
+  let index = 1;
+  while (index < max) {
+    edge += sizes(index);
+    if (edge > distance || (farEdge && edge === distance)) {
+      break;
+    }
+    index++;
+  }
+  return index;
+}
+
+// the cells a range covers, as {top, left, bottom, right}
+function cellRange(worksheet, range) {
+  if (range.tl && range.br) {
+    const {tl, br} = range;
+    const left = tl.nativeCol + 1;
+    const top = tl.nativeRow + 1;
+    return {
+      top,
+      left,
+      bottom: Math.max(top, br.nativeRowOff > 0 ? br.nativeRow + 1 : br.nativeRow),
+      right: Math.max(left, br.nativeColOff > 0 ? br.nativeCol + 1 : br.nativeCol),
+    };
+  }
+  const box = pixelBox(worksheet, range);
+  const colSizes = col => columnPixels(worksheet, col);
+  const rowSizes = row => rowPixels(worksheet, row);
+  const left = range.tl ? range.tl.nativeCol + 1 : cellAt(colSizes, box.x, MAX_COLUMNS);
+  const top = range.tl ? range.tl.nativeRow + 1 : cellAt(rowSizes, box.y, MAX_ROWS);
+  return {
+    top,
+    left,
+    bottom: Math.max(top, cellAt(rowSizes, box.y + box.height, MAX_ROWS, true)),
+    right: Math.max(left, cellAt(colSizes, box.x + box.width, MAX_COLUMNS, true)),
+  };
+}
+
+module.exports = {makeRange, rangeModel, pixelBox, cellRange, columnWidthPixels, rowHeightPixels};
@@ -0,0 +1,32 @@
+const {makeRange, rangeModel} = require('./drawing-range');
+
+// Something drawn over a worksheet that exceljs doesn't model (e.g. a shape or SmartArt)
+// kept as it was loaded so it can be written back.
+// The content is the raw xml of the drawing element, rels the relationships it refers to.
+class Drawing {
+  constructor(worksheet, model) {
+    this.worksheet = worksheet;
+    this.model = model;
+  }
+
+  get model() {
+    return {
+      type: 'drawing',
+      content: this.content,
+      rels: this.rels,
+      range: rangeModel(this.range),
+    };
+  }
+
+  set model({content, rels, range}) {
+    this.content = content;
+    this.rels = rels || {};
+    this.range = makeRange(this.worksheet, range);
+  }
+
+  get type() {
+    return 'drawing';
+  }
+}
+
+module.exports = Drawing;
@@ -13,6 +13,7 @@ module.exports = {
     RichText: 8,
     Boolean: 9,
     Error: 10,
+    Image: 11,
   },
   FormulaType: {
     None: 0,
@@ -44,5 +45,7 @@ module.exports = {
     Null: '#NULL!',
     Value: '#VALUE!',
     Num: '#NUM!',
+    Spill: '#SPILL!',
+    Calc: '#CALC!',
   },
 };
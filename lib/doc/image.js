@@ -1,5 +1,12 @@
 const colCache = require('../utils/col-cache');
-const Anchor = require('./anchor');
+const {makeRange, rangeModel, pixelBox, cellRange} = require('./drawing-range');
+
+// how a picture is drawn, given along with its range:
+//   rotation: clockwise in degrees, flipH and flipV to flip it
+//   crop: {left, top, right, bottom} the percentages of the picture cut from each side
+//   description: alt text
+//   lockAspectRatio: false to let the picture be stretched when resized in Excel
+const IMAGE_OPTIONS = ['rotation', 'flipH', 'flipV', 'crop', 'description', 'lockAspectRatio'];
 
 class Image {
   constructor(worksheet, model) {
@@ -14,46 +21,52 @@ class Image {
           type: this.type,
           imageId: this.imageId,
         };
-      case 'image':
-        return {
+      case 'image': {
+        const model = {
           type: this.type,
           imageId: this.imageId,
           hyperlinks: this.range.hyperlinks,
-          range: {
-            tl: this.range.tl.model,
-            br: this.range.br && this.range.br.model,
-            ext: this.range.ext,
-            editAs: this.range.editAs,
-          },
+          range: rangeModel(this.range),
         };
+        IMAGE_OPTIONS.forEach(key => {
+          if (this[key] !== undefined) {
+            model[key] = this[key];
+          }
+        });
+        return model;
+      }
       default:
         throw new Error('Invalid Image Type');
     }
   }
 
-  set model({type, imageId, range, hyperlinks}) {
+  set model(value) {
+    const {type, imageId, range, hyperlinks} = value;
     this.type = type;
     this.imageId = imageId;
 
     if (type === 'image') {
-      if (typeof range === 'string') {
-        const decoded = colCache.decode(range);
-        this.range = {
-          tl: new Anchor(this.worksheet, {col: decoded.left, row: decoded.top}, -1),
-          br: new Anchor(this.worksheet, {col: decoded.right, row: decoded.bottom}, 0),
-          editAs: 'oneCell',
-        };
-      } else {
-        this.range = {
-          tl: new Anchor(this.worksheet, range.tl, 0),
-          br: range.br && new Anchor(this.worksheet, range.br, 0),
-          ext: range.ext,
-          editAs: range.editAs,
-          hyperlinks: hyperlinks || range.hyperlinks,
-        };
+      this.range = makeRange(this.worksheet, range, 'oneCell');
+      if (typeof range !== 'string') {
+        this.range.hyperlinks = hyperlinks || range.hyperlinks;
       }
+      // the options may be given with the range, as hyperlinks are
+      IMAGE_OPTIONS.forEach(key => {
+        this[key] = value[key] !== undefined || typeof range === 'string' ? value[key] : range[key];
+      });
     }
   }
+
+  // the box the image is drawn in, in pixels from the top left of the sheet (before any rotation)
+  getPixelBox() {
+    return pixelBox(this.worksheet, this.range);
+  }
+
+  // the range of the cells the image is drawn over, e.g. 'C3:E6'
+  getCellRange() {
+    const {top, left, bottom, right} = cellRange(this.worksheet, this.range);
+    return colCache.encode(top, left, bottom, right);
+  }
 }
 
 module.exports = Image;
@@ -1,5 +1,12 @@
 const _ = require('../utils/under-dash');
 
+// A note is a string, or {texts, ...options} where the options are
+//   position: the top left corner of the box, {col, row} zero based with fractions of cells
+//   width, height: the size of the box in pixels
+//   fillColor: the background of the box, {argb}
+//   font: the font of the texts that don't have one
+//   visible: always shown rather than only when hovering over the cell
+//   author: the name of the person who wrote it
 class Note {
   constructor(note) {
     this.note = note;
@@ -34,7 +41,8 @@ class Note {
   set model(value) {
     const {note} = value;
     const {texts} = note;
-    if (texts.length === 1 && Object.keys(texts[0]).length === 1) {
+    const plain = Note.OPTIONS.every(key => note[key] === undefined);
+    if (plain && texts.length === 1 && Object.keys(texts[0]).length === 1) {
       this.note = texts[0].text;
     } else {
       this.note = note;
@@ -62,4 +70,6 @@ Note.DEFAULT_CONFIGS = {
   },
 };
 
+Note.OPTIONS = ['position', 'width', 'height', 'fillColor', 'font', 'visible', 'author'];
+
 module.exports = Note;
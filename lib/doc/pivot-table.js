@@ -15,6 +15,9 @@ function makePivotTable(worksheet, model) {
   //   columns: ['C'],
   //   values: ['E'], // only 1 item possible for now
   //   metric: 'sum', // only 'sum' possible for now
+  //
+  //   // Optional style: a built in or custom pivot style, PivotStyleLight16 by default
+  //   style: 'PivotStyleMedium9',
   // }
 
   validate(worksheet, model);
@@ -43,6 +46,7 @@ function makePivotTable(worksheet, model) {
     columns,
     values,
     metric: 'sum',
+    style: model.style,
     cacheFields,
     // defined in <pivotTableDefinition> of xl/pivotTables/pivotTable1.xml;
     // also used in xl/workbook.xml
@@ -0,0 +1,39 @@
+const {makeRange, rangeModel} = require('./drawing-range');
+
+const SHAPE_TYPES = ['rect', 'roundRect', 'ellipse', 'arrow', 'line', 'textBox'];
+
+// A shape or text box drawn over a worksheet, anchored to a range of cells like an image.
+// The shape describes it:
+//   type: rect, roundRect, ellipse, arrow, line or textBox
+//   text: a string or rich text, alignment: {horizontal, vertical}
+//   fill: {type: 'solid', color} or {type: 'none'}
+//   line: {type: 'solid', color, width, dash} or {type: 'none'}
+//   name, description, flipH, flipV
+// Shapes loaded from a file may have other preset geometries as their type.
+class Shape {
+  constructor(worksheet, model) {
+    this.worksheet = worksheet;
+    this.model = model;
+  }
+
+  get model() {
+    return {
+      type: 'shape',
+      shape: this.shape,
+      range: rangeModel(this.range),
+    };
+  }
+
+  set model({shape, range}) {
+    this.shape = shape;
+    this.range = makeRange(this.worksheet, range, 'twoCell');
+  }
+
+  get type() {
+    return 'shape';
+  }
+}
+
+Shape.SHAPE_TYPES = SHAPE_TYPES;
+
+module.exports = Shape;
@@ -0,0 +1,125 @@
+const colCache = require('../utils/col-cache');
+const {quoteSheetName, replaceReferences} = require('../utils/formula-parser');
+
+const SPARKLINE_TYPES = ['line', 'column', 'winLoss'];
+
+// the colours Excel gives new sparklines
+const DEFAULT_COLORS = {
+  series: {theme: 4, tint: -0.499984740745262},
+  negative: {theme: 5},
+  axis: {argb: 'FF000000'},
+  markers: {theme: 4, tint: -0.499984740745262},
+  first: {theme: 4, tint: 0.3999755851924192},
+  last: {theme: 4, tint: 0.3999755851924192},
+  high: {theme: 4},
+  low: {theme: 4},
+};
+
+function formatRange(sheetName, top, left, bottom, right) {
+  const tl = colCache.encodeAddress(top, left);
+  const br = colCache.encodeAddress(bottom, right);
+  return `${quoteSheetName(sheetName)}!${tl === br ? tl : `${tl}:${br}`}`;
+}
+
+// split the data range into a sparkline for each cell of the location range.
+// The location is a row or column of cells, the data has a row (or column) of values for each of them
+function makeSparklines(worksheet, dataRange, locationRange) {
+  const data = colCache.decodeEx(dataRange);
+  const sheetName = data.sheetName || worksheet.name;
+  if (data.top === undefined) {
+    data.top = data.bottom = data.row;
+    data.left = data.right = data.col;
+  }
+  const location = colCache.decode(locationRange);
+  const locations = [];
+  if (location.top === undefined) {
+    locations.push(location.address);
+  } else if (location.top === location.bottom || location.left === location.right) {
+    for (let row = location.top; row <= location.bottom; row++) {
+      for (let col = location.left; col <= location.right; col++) {
+        locations.push(colCache.encodeAddress(row, col));
+      }
+    }
+  } else {
+    throw new Error(`Sparkline location must be a single row or column: ${locationRange}`);
+  }
+
+  const rows = data.bottom - data.top + 1;
+  const cols = data.right - data.left + 1;
+  if (locations.length === 1) {
+    return [{data: formatRange(sheetName, data.top, data.left, data.bottom, data.right), location: locations[0]}];
+  }
+  if (rows === locations.length) {
+    return locations.map((address, i) => ({
+      data: formatRange(sheetName, data.top + i, data.left, data.top + i, data.right),
+      location: address,
+    }));
+  }
+  if (cols === locations.length) {
+    return locations.map((address, i) => ({
+      data: formatRange(sheetName, data.top, data.left + i, data.bottom, data.left + i),
+      location: address,
+    }));
+  }
+  throw new Error(`Sparkline data ${dataRange} must have a row or column for each cell of ${locationRange}`);
+}
+
+// sparklines refer to their data by sheet name
+function qualify(worksheet, range) {
+  return replaceReferences(range, node => (node.sheetName ? undefined : {...node, sheetName: worksheet.name}));
+}
+
+// Create the model of a sparkline group from the options of worksheet.addSparklineGroup:
+//   type: line (default), column or winLoss
+//   dataRange and locationRange: the cells to plot and where to draw them, one sparkline per location cell
+//   or sparklines: [{data, location}] to give each one
+// and the formatting of the group (see SparklineGroupExtXform), colours defaulting to Excel's
+function makeSparklineGroup(worksheet, options) {
+  const {dataRange, locationRange, sparklines, colors, ...rest} = options;
+  const group = {type: 'line', emptyCells: 'gap', ...rest};
+  if (!SPARKLINE_TYPES.includes(group.type)) {
+    throw new Error(`Unsupported sparkline type: ${group.type}`);
+  }
+
+  if (sparklines) {
+    group.sparklines = sparklines.map(sparkline => ({
+      data: qualify(worksheet, sparkline.data),
+      location: sparkline.location,
+    }));
+  } else if (dataRange && locationRange) {
+    group.sparklines = makeSparklines(worksheet, dataRange, locationRange);
+  } else {
+    throw new Error('A sparkline group needs a dataRange and locationRange or its sparklines');
+  }
+  if (!group.sparklines.length) {
+    throw new Error('A sparkline group needs at least one sparkline');
+  }
+
+  group.colors = {...DEFAULT_COLORS, ...colors};
+  if (group.axis) {
+    group.axis = {...group.axis};
+    if (group.axis.dateRange) {
+      group.axis.dateRange = qualify(worksheet, group.axis.dateRange);
+    }
+  }
+  return group;
+}
+
+// update the sheet names the sparklines of a group refer to
+function renameSparklineSheet(group, oldName, newName) {
+  const rename = formula =>
+    replaceReferences(formula, node => {
+      if (node.workbook === undefined && node.sheetName && node.sheetName.toLowerCase() === oldName.toLowerCase()) {
+        return {...node, sheetName: newName};
+      }
+      return undefined;
+    });
+  group.sparklines.forEach(sparkline => {
+    sparkline.data = rename(sparkline.data);
+  });
+  if (group.axis && group.axis.dateRange) {
+    group.axis.dateRange = rename(group.axis.dateRange);
+  }
+}
+
+module.exports = {makeSparklineGroup, renameSparklineSheet, SPARKLINE_TYPES};
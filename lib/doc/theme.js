@@ -0,0 +1,89 @@
+const {INDEXED_COLORS, applyTint} = require('../utils/color');
+
+// the colours of a theme in the order of the theme indexes of colours, e.g. {theme: 4} is accent1
+const COLOR_NAMES = [
+  'lt1',
+  'dk1',
+  'lt2',
+  'dk2',
+  'accent1',
+  'accent2',
+  'accent3',
+  'accent4',
+  'accent5',
+  'accent6',
+  'hlink',
+  'folHlink',
+];
+
+// The theme of a workbook:
+//   name: the name of the theme
+//   colors: the ARGB colours of the colour scheme by name - dk1, lt1, dk2, lt2, accent1-6, hlink and folHlink
+//   fonts: {major, minor}, the fonts of headings and body text
+// Themes given without some of these take them from the default Office theme
+class Theme {
+  constructor(model) {
+    this.model = model || {};
+  }
+
+  get model() {
+    return {
+      name: this.name,
+      colors: {...this.colors},
+      fonts: {...this.fonts},
+    };
+  }
+
+  set model({name, colors, fonts}) {
+    this.name = name || Theme.DEFAULT.name;
+    this.colors = {...Theme.DEFAULT.colors, ...colors};
+    this.fonts = {...Theme.DEFAULT.fonts, ...fonts};
+  }
+
+  getColor(index) {
+    return this.colors[COLOR_NAMES[index]];
+  }
+
+  // the ARGB of a colour given by argb, theme or indexed, with any tint applied
+  resolveColor(color) {
+    if (!color) {
+      return undefined;
+    }
+    let argb;
+    if (color.argb) {
+      argb = color.argb.length === 6 ? `FF${color.argb}` : color.argb;
+    } else if (color.theme !== undefined) {
+      argb = this.getColor(color.theme);
+    } else if (color.indexed !== undefined) {
+      argb = INDEXED_COLORS[color.indexed];
+    }
+    return argb && applyTint(argb.toUpperCase(), color.tint);
+  }
+}
+
+Theme.COLOR_NAMES = COLOR_NAMES;
+
+// the Office theme, written to workbooks without a theme of their own
+Theme.DEFAULT = {
+  name: 'Office Theme',
+  colors: {
+    dk1: 'FF000000',
+    lt1: 'FFFFFFFF',
+    dk2: 'FF1F497D',
+    lt2: 'FFEEECE1',
+    accent1: 'FF4F81BD',
+    accent2: 'FFC0504D',
+    accent3: 'FF9BBB59',
+    accent4: 'FF8064A2',
+    accent5: 'FF4BACC6',
+    accent6: 'FFF79646',
+    hlink: 'FF0000FF',
+    folHlink: 'FF800080',
+  },
+  fonts: {
+    major: 'Cambria',
+    minor: 'Calibri',
+  },
+};
+
+module.exports = Theme;
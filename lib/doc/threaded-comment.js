@@ -0,0 +1,108 @@
+const {v4: uuidv4} = require('uuid');
+
+// the comments of a thread are given as {text, author, date, mentions}, where
+//   author: the person writing it - a person of the workbook, their id or their display name
+//   date: when it was written, now by default
+//   mentions: the people @mentioned in the text, each given like the author
+// People not yet in the workbook are added to it by display name
+class ThreadedComment {
+  constructor(workbook, value) {
+    this.workbook = workbook;
+    this.replies = [];
+    if (value) {
+      Object.assign(this, this._makeComment(value));
+      this.resolved = Boolean(value.resolved);
+    }
+  }
+
+  addReply(value) {
+    const reply = this._makeComment(value);
+    this.replies.push(reply);
+    return reply;
+  }
+
+  _getPerson(person) {
+    if (person && typeof person === 'object') {
+      return this.workbook.getPerson(person.id) || this.workbook.addPerson(person);
+    }
+    return this.workbook.getPerson(person) || this.workbook.addPerson({displayName: person});
+  }
+
+  _makeComment({text, author, date, mentions}) {
+    if (author === undefined || author === null) {
+      throw new Error('A threaded comment needs an author');
+    }
+    const comment = {
+      id: ThreadedComment.newId(),
+      author: this._getPerson(author),
+      date: date || new Date(),
+      text: text || '',
+    };
+    if (mentions && mentions.length) {
+      comment.mentions = mentions.map(mentioned => {
+        const person = this._getPerson(mentioned);
+        const name = `@${person.displayName}`;
+        const startIndex = comment.text.indexOf(name);
+        if (startIndex < 0) {
+          throw new Error(`The text of the comment doesn't mention ${name}`);
+        }
+        return {id: ThreadedComment.newId(), person, startIndex, length: name.length};
+      });
+    }
+    return comment;
+  }
+
+  _commentModel({id, author, date, text, mentions}) {
+    const model = {id, personId: author.id, date, text};
+    if (mentions) {
+      model.mentions = mentions.map(({id: mentionId, person, startIndex, length}) => ({
+        id: mentionId,
+        personId: person.id,
+        startIndex,
+        length,
+      }));
+    }
+    return model;
+  }
+
+  _fromCommentModel({id, personId, date, text, mentions}) {
+    const comment = {id, author: this._getPerson({id: personId, displayName: personId}), date, text};
+    if (mentions) {
+      comment.mentions = mentions.map(({id: mentionId, personId: mentioned, startIndex, length}) => ({
+        id: mentionId,
+        person: this._getPerson({id: mentioned, displayName: mentioned}),
+        startIndex,
+        length,
+      }));
+    }
+    return comment;
+  }
+
+  get model() {
+    return {
+      type: 'thread',
+      ...this._commentModel(this),
+      resolved: this.resolved,
+      replies: this.replies.map(reply => this._commentModel(reply)),
+    };
+  }
+
+  set model(value) {
+    Object.assign(this, this._fromCommentModel(value));
+    this.resolved = Boolean(value.resolved);
+    this.replies = (value.replies || []).map(reply => this._fromCommentModel(reply));
+  }
+
+  static fromModel(workbook, model) {
+    const thread = new ThreadedComment(workbook);
+    thread.model = model;
+    return thread;
+  }
+
+  // ids of comments, mentions and people are GUIDs in braces
+  static newId() {
+    return `{${uuidv4()}}`.toUpperCase();
+  }
+}
+
+module.exports = ThreadedComment;
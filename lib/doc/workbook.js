@@ -1,9 +1,51 @@
 'use strict';
 
 const Worksheet = require('./worksheet');
+const Chartsheet = require('./chartsheet');
 const DefinedNames = require('./defined-names');
+const ThreadedComment = require('./threaded-comment');
+const Theme = require('./theme');
 const XLSX = require('../xlsx/xlsx');
 const CSV = require('../csv/csv');
+const FormulaEvaluator = require('../utils/formula-evaluator');
+const DependencyGraph = require('../utils/dependency-graph');
+const {normaliseFunctionName} = require('../utils/formula-functions');
+
+// the parts of tables that table styles style
+const tableStyleElements = [
+  'wholeTable',
+  'headerRow',
+  'totalRow',
+  'firstColumn',
+  'lastColumn',
+  'firstRowStripe',
+  'secondRowStripe',
+  'firstColumnStripe',
+  'secondColumnStripe',
+  'firstHeaderCell',
+  'lastHeaderCell',
+  'firstTotalCell',
+  'lastTotalCell',
+];
+
+// pivot table styles style those and the parts of pivot tables
+const pivotStyleElements = tableStyleElements.concat([
+  'firstSubtotalColumn',
+  'secondSubtotalColumn',
+  'thirdSubtotalColumn',
+  'firstSubtotalRow',
+  'secondSubtotalRow',
+  'thirdSubtotalRow',
+  'blankRow',
+  'firstColumnSubheading',
+  'secondColumnSubheading',
+  'thirdColumnSubheading',
+  'firstRowSubheading',
+  'secondRowSubheading',
+  'thirdRowSubheading',
+  'pageFieldLabels',
+  'pageFieldValues',
+]);
 
 // Workbook requirements
 //  Load and Save from file and stream
@@ -23,12 +65,17 @@ class Workbook {
     this.properties = {};
     this.calcProperties = {};
     this._worksheets = [];
+    this._chartsheets = [];
     this.subject = '';
     this.title = '';
     this.views = [];
     this.media = [];
+    this.persons = [];
+    this.namedStyles = [];
+    this.tableStyles = [];
     this.pivotTables = [];
     this._definedNames = new DefinedNames();
+    this._functions = {};
   }
 
   get xlsx() {
@@ -42,13 +89,24 @@ class Workbook {
   }
 
   get nextId() {
-    // find the next unique spot to add worksheet
-    for (let i = 1; i < this._worksheets.length; i++) {
-      if (!this._worksheets[i]) {
-        return i;
-      }
+    // find the next unique spot to add worksheet (chartsheets share the ids of worksheets)
+    let id = 1;
+    while (this._worksheets[id] || this._chartsheets[id]) {
+      id++;
     }
-    return this._worksheets.length || 1;
+    return id;
+  }
+
+  get _lastOrderNo() {
+    return this._sheets.reduce((acc, sheet) => (sheet.orderNo > acc ? sheet.orderNo : acc), 0);
+  }
+
+  // worksheets and chartsheets in tab order
+  get _sheets() {
+    return this._worksheets
+      .concat(this._chartsheets)
+      .filter(Boolean)
+      .sort((a, b) => a.orderNo - b.orderNo);
   }
 
   addWorksheet(name, options) {
@@ -79,22 +137,23 @@ class Workbook {
       }
     }
 
-    const lastOrderNo = this._worksheets.reduce((acc, ws) => ((ws && ws.orderNo) > acc ? ws.orderNo : acc), 0);
     const worksheetOptions = Object.assign({}, options, {
       id,
       name,
-      orderNo: lastOrderNo + 1,
+      orderNo: this._lastOrderNo + 1,
       workbook: this,
     });
 
     const worksheet = new Worksheet(worksheetOptions);
 
     this._worksheets[id] = worksheet;
+    this._invalidateDependencies();
     return worksheet;
   }
 
   removeWorksheetEx(worksheet) {
     delete this._worksheets[worksheet.id];
+    this._invalidateDependencies();
   }
 
   removeWorksheet(id) {
@@ -125,6 +184,54 @@ class Workbook {
       .filter(Boolean);
   }
 
+  // add a sheet holding just a chart, see worksheet.addChart for the chart spec.
+  // options: {properties: {tabColor}, state}
+  addChartsheet(name, chart, options) {
+    const id = this.nextId;
+    const chartsheet = new Chartsheet(
+      Object.assign({}, options, {
+        id,
+        name,
+        orderNo: this._lastOrderNo + 1,
+        chart,
+        workbook: this,
+      })
+    );
+    this._chartsheets[id] = chartsheet;
+    return chartsheet;
+  }
+
+  removeChartsheetEx(chartsheet) {
+    delete this._chartsheets[chartsheet.id];
+  }
+
+  removeChartsheet(id) {
+    const chartsheet = this.getChartsheet(id);
+    if (chartsheet) {
+      chartsheet.destroy();
+    }
+  }
+
+  getChartsheet(id) {
+    if (id === undefined) {
+      return this._chartsheets.find(Boolean);
+    }
+    if (typeof id === 'number') {
+      return this._chartsheets[id];
+    }
+    if (typeof id === 'string') {
+      return this._chartsheets.find(chartsheet => chartsheet && chartsheet.name === id);
+    }
+    return undefined;
+  }
+
+  get chartsheets() {
+    return this._chartsheets
+      .slice(1)
+      .sort((a, b) => a.orderNo - b.orderNo)
+      .filter(Boolean);
+  }
+
   eachSheet(iteratee) {
     this.worksheets.forEach(sheet => {
       iteratee(sheet, sheet.id);
@@ -136,14 +243,46 @@ class Workbook {
   }
 
   clearThemes() {
-    // Note: themes are not an exposed feature, meddle at your peril!
+    // Note: the xml of loaded themes is not exposed, meddle at your peril!
     this._themes = undefined;
+    this._theme = undefined;
+  }
+
+  // the colours and fonts of the theme, the default Office theme until one is loaded or set
+  get theme() {
+    if (!this._theme) {
+      this._theme = new Theme();
+    }
+    return this._theme;
+  }
+
+  // a Theme or {name, colors, fonts}, which are taken from the default theme where not given
+  set theme(value) {
+    this._theme = value instanceof Theme ? value : new Theme(value);
+  }
+
+  // the ARGB of a colour, e.g. {theme: 4, tint: -0.25}, using the colours of the theme
+  resolveColor(color) {
+    return this.theme.resolveColor(color);
   }
 
   addImage(image) {
     // TODO:  validation?
+    // svg images are shown from a raster fallback by readers that don't know svg,
+    // which may be given as an image or the id of one already added
+    const {fallback} = image;
+    if (image.extension === 'svg') {
+      const fallbackImage = typeof fallback === 'object' ? fallback : this.media[fallback];
+      if (!fallbackImage || fallbackImage.extension === 'svg') {
+        throw new Error('An svg image needs a fallback image that is not svg, e.g. a png of it');
+      }
+    }
     const id = this.media.length;
-    this.media.push(Object.assign({}, image, {type: 'image'}));
+    const medium = Object.assign({}, image, {type: 'image'});
+    this.media.push(medium);
+    if (medium.extension === 'svg' && typeof fallback === 'object') {
+      medium.fallback = this.addImage(fallback);
+    }
     return id;
   }
 
@@ -151,6 +290,168 @@ class Workbook {
     return this.media[id];
   }
 
+  // the people who write threaded comments or are mentioned in them: {id, displayName, userId, providerId}
+  addPerson(person) {
+    if (!person || !person.displayName) {
+      throw new Error('A person needs a display name');
+    }
+    const added = {
+      id: person.id || ThreadedComment.newId(),
+      displayName: person.displayName,
+      userId: person.userId || person.displayName,
+      providerId: person.providerId || 'None',
+    };
+    this.persons.push(added);
+    return added;
+  }
+
+  // find a person by id or display name
+  getPerson(id) {
+    return this.persons.find(person => person.id === id || person.displayName === id);
+  }
+
+  // named styles, e.g. Heading 1, shown in the Styles gallery of Excel: {name, style, builtinId, hidden}.
+  // Adding a named style that's already in the workbook changes its style
+  addNamedStyle(name, style) {
+    if (!name) {
+      throw new Error('A named style needs a name');
+    }
+    const namedStyle = this.getNamedStyle(name);
+    if (namedStyle) {
+      namedStyle.style = style || {};
+      return namedStyle;
+    }
+    const added = {name, style: style || {}};
+    this.namedStyles.push(added);
+    return added;
+  }
+
+  // find a named style by name, ignoring case like Excel
+  getNamedStyle(name) {
+    const key = String(name).toLowerCase();
+    return this.namedStyles.find(namedStyle => namedStyle.name.toLowerCase() === key);
+  }
+
+  // custom table styles: {name, elements}, where the elements are the styles of the parts of tables
+  // (wholeTable, headerRow, totalRow, firstColumn, lastColumn, firstRowStripe, secondRowStripe, ...),
+  // e.g. {headerRow: {font, fill, border}}. Stripes can span rows or columns, e.g. {firstRowStripe: {fill, size: 2}}
+  addTableStyle(name, elements) {
+    return this._addTableStyle({name, table: true, pivot: false, elements});
+  }
+
+  // custom pivot table styles, like table styles with the parts of pivot tables (firstSubtotalRow, pageFieldLabels, ...)
+  addPivotStyle(name, elements) {
+    return this._addTableStyle({name, table: false, pivot: true, elements});
+  }
+
+  _addTableStyle(tableStyle) {
+    if (!tableStyle.name) {
+      throw new Error('A table style needs a name');
+    }
+    const elements = tableStyle.elements || {};
+    const types = tableStyle.pivot ? pivotStyleElements : tableStyleElements;
+    Object.keys(elements).forEach(type => {
+      if (!types.includes(type)) {
+        throw new Error(`Unknown element ${type} of ${tableStyle.pivot ? 'pivot' : 'table'} style ${tableStyle.name}`);
+      }
+    });
+    const existing = this.getTableStyle(tableStyle.name);
+    if (existing) {
+      return Object.assign(existing, tableStyle, {elements});
+    }
+    const added = {...tableStyle, elements};
+    this.tableStyles.push(added);
+    return added;
+  }
+
+  // find a table or pivot style by name, ignoring case like Excel
+  getTableStyle(name) {
+    const key = String(name).toLowerCase();
+    return this.tableStyles.find(tableStyle => tableStyle.name.toLowerCase() === key);
+  }
+
+  // the images of the workbook with where they are drawn: [{name, extension, buffer, sheets: [{sheet, range}]}].
+  // An image drawn more than once, on one sheet or many, has a place for each.
+  // Images added by filename have the filename in place of the buffer
+  extractMedia() {
+    return this.media
+      .map((medium, id) => {
+        if (medium.type !== 'image') {
+          return undefined;
+        }
+        const image = {
+          name: medium.name || `image${id + 1}`,
+          extension: medium.extension,
+          buffer: medium.buffer,
+          sheets: [],
+        };
+        if (medium.base64) {
+          image.buffer = Buffer.from(medium.base64.substring(medium.base64.indexOf(',') + 1), 'base64');
+        } else if (medium.filename) {
+          image.filename = medium.filename;
+        }
+        this.worksheets.forEach(worksheet => {
+          worksheet.getImages().forEach(drawn => {
+            if (Number(drawn.imageId) === id) {
+              const place = {sheet: worksheet.name, range: drawn.getCellRange()};
+              if (drawn.range.hyperlinks) {
+                place.hyperlinks = drawn.range.hyperlinks;
+              }
+              image.sheets.push(place);
+            }
+          });
+        });
+        return image;
+      })
+      .filter(Boolean);
+  }
+
+  // calculate all formula cells, storing the results in the cells
+  calculate() {
+    new FormulaEvaluator(this).calculate();
+    if (this._dependencyGraph) {
+      this._dependencyGraph.reset();
+    }
+  }
+
+  // register a custom function for formula calculation, e.g. a user defined function of an add-in.
+  // options.volatile: recalculated by every recalculate
+  // options.arrayAware: ranges and arrays are passed as 2D arrays, otherwise impl is called for each of their values
+  registerFunction(name, impl, options = {}) {
+    if (typeof name !== 'string' || !/^[A-Za-z_\\][\w.]*$/.test(name)) {
+      throw new Error(`Invalid function name: ${name}`);
+    }
+    if (typeof impl !== 'function') {
+      throw new Error(`The implementation of ${name} must be a function`);
+    }
+    this._functions[normaliseFunctionName(name)] = {
+      name,
+      impl,
+      volatile: !!options.volatile,
+      arrayAware: !!options.arrayAware,
+    };
+    this._invalidateDependencies();
+  }
+
+  // calculate only the formula cells affected by the changes since the last calculation
+  recalculate() {
+    this._getDependencyGraph().recalculate();
+  }
+
+  _getDependencyGraph() {
+    if (!this._dependencyGraph) {
+      this._dependencyGraph = new DependencyGraph(this);
+    }
+    return this._dependencyGraph;
+  }
+
+  // after structural changes the dependencies are worked out again and everything is recalculated
+  _invalidateDependencies() {
+    if (this._dependencyGraph) {
+      this._dependencyGraph.invalidate();
+    }
+  }
+
   get model() {
     return {
       creator: this.creator || 'Unknown',
@@ -160,7 +461,8 @@ class Workbook {
       modified: this.modified,
       properties: this.properties,
       worksheets: this.worksheets.map(worksheet => worksheet.model),
-      sheets: this.worksheets.map(ws => ws.model).filter(Boolean),
+      chartsheets: this.chartsheets.map(chartsheet => chartsheet.model),
+      sheets: this._sheets.map(sheet => sheet.model).filter(Boolean),
       definedNames: this._definedNames.model,
       views: this.views,
       company: this.company,
@@ -174,7 +476,15 @@ class Workbook {
       revision: this.revision,
       contentStatus: this.contentStatus,
       themes: this._themes,
+      theme: this._theme && this._theme.model,
       media: this.media,
+      persons: this.persons,
+      namedStyles: this.namedStyles,
+      tableStyles: {
+        defaultTableStyle: this.defaultTableStyle,
+        defaultPivotStyle: this.defaultPivotStyle,
+        styles: this.tableStyles,
+      },
       pivotTables: this.pivotTables,
       calcProperties: this.calcProperties,
     };
@@ -200,6 +510,15 @@ class Workbook {
     this.properties = value.properties;
     this.calcProperties = value.calcProperties;
     this._worksheets = [];
+    this._chartsheets = [];
+    this._dependencyGraph = undefined;
+    // (the threaded comments of the worksheets refer to the persons)
+    this.persons = value.persons || [];
+    this.namedStyles = value.namedStyles || [];
+    const tableStyles = value.tableStyles || {};
+    this.tableStyles = tableStyles.styles || [];
+    this.defaultTableStyle = tableStyles.defaultTableStyle;
+    this.defaultPivotStyle = tableStyles.defaultPivotStyle;
     value.worksheets.forEach(worksheetModel => {
       const {id, name, state} = worksheetModel;
       const orderNo = value.sheets && value.sheets.findIndex(ws => ws.id === id);
@@ -212,10 +531,21 @@ class Workbook {
       }));
       worksheet.model = worksheetModel;
     });
+    (value.chartsheets || []).forEach(chartsheetModel => {
+      const {id, name} = chartsheetModel;
+      const chartsheet = (this._chartsheets[id] = new Chartsheet({
+        id,
+        name,
+        orderNo: value.sheets.findIndex(sheet => sheet.id === id),
+        workbook: this,
+      }));
+      chartsheet.model = chartsheetModel;
+    });
 
     this._definedNames.model = value.definedNames;
     this.views = value.views;
     this._themes = value.themes;
+    this._theme = value.theme && new Theme(value.theme);
     this.media = value.media || [];
     this.pivotTables = value.pivotTables || [];
   }
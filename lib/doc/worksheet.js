@@ -6,11 +6,34 @@ const Row = require('./row');
 const Column = require('./column');
 const Enums = require('./enums');
 const Image = require('./image');
+const Chart = require('./chart');
+const Drawing = require('./drawing');
+const Shape = require('./shape');
 const Table = require('./table');
 const DataValidations = require('./data-validations');
 const {makePivotTable} = require('./pivot-table');
+const {makeSparklineGroup, renameSparklineSheet} = require('./sparkline-group');
 const Encryptor = require('../utils/encryptor');
 const {copyStyle} = require('../utils/copy-style');
+const {slideFormula, fromR1C1} = require('../utils/shared-formula');
+const {checkSheetName} = require('../utils/sheet-name');
+const {spliceFormula, spliceAddress, spliceIndex, spliceSpan} = require('../utils/splice-formula');
+
+// top left cell of an address or range
+function topLeft(range) {
+  const decoded = colCache.decode(range);
+  return decoded.top === undefined ? decoded.address : colCache.encodeAddress(decoded.top, decoded.left);
+}
+
+// the cell itself if it survives the splice, otherwise the first cell after the deleted ones
+function survivingCell(address, splice) {
+  if (spliceAddress(address, splice)) {
+    return address;
+  }
+  const {row, col} = colCache.decodeAddress(address);
+  const index = splice.start + splice.count;
+  return splice.dimension === 'row' ? colCache.encodeAddress(index, col) : colCache.encodeAddress(row, index);
+}
 
 // Worksheet requirements
 //  Operate as sheet inside workbook or standalone
@@ -128,6 +151,8 @@ class Worksheet {
     this.pivotTables = [];
 
     this.conditionalFormattings = [];
+
+    this.sparklineGroups = [];
   }
 
   get name() {
@@ -141,39 +166,21 @@ class Worksheet {
 
     if (this._name === name) return;
 
-    if (typeof name !== 'string') {
-      throw new Error('The name has to be a string.');
-    }
-
-    if (name === '') {
-      throw new Error('The name can\'t be empty.');
-    }
-
-    if (name === 'History') {
-      throw new Error('The name "History" is protected. Please use a different name.');
-    }
-
-    // Illegal character in worksheet name: asterisk (*), question mark (?),
-    // colon (:), forward slash (/ \), or bracket ([])
-    if (/[*?:/\\[\]]/.test(name)) {
-      throw new Error(`Worksheet name ${name} cannot include any of the following characters: * ? : \\ / [ ]`);
-    }
-
-    if (/(^')|('$)/.test(name)) {
-      throw new Error(`The first or last character of worksheet name cannot be a single quotation mark: ${name}`);
-    }
+    const workbook = this._workbook;
+    name = checkSheetName(name, [...workbook._worksheets, ...workbook._chartsheets]);
 
-    if (name && name.length > 31) {
-      // eslint-disable-next-line no-console
-      console.warn(`Worksheet name ${name} exceeds 31 chars. This will be truncated`);
-      name = name.substring(0, 31);
-    }
+    const oldName = this._name;
+    this._name = name;
 
-    if (this._workbook._worksheets.find(ws => ws && ws.name.toLowerCase() === name.toLowerCase())) {
-      throw new Error(`Worksheet name already exists: ${name}`);
+    // formulae, charts and sparklines refer to sheets by name
+    workbook._invalidateDependencies();
+    if (oldName) {
+      workbook.worksheets.forEach(worksheet => {
+        worksheet.getCharts().forEach(chart => chart.renameSheet(oldName, name));
+        worksheet.sparklineGroups.forEach(group => renameSparklineSheet(group, oldName, name));
+      });
+      workbook.chartsheets.forEach(chartsheet => chartsheet.chart.renameSheet(oldName, name));
     }
-
-    this._name = name;
   }
 
   get workbook() {
@@ -265,6 +272,8 @@ class Worksheet {
   }
 
   spliceColumns(start, count, ...inserts) {
+    const splice = this._startSplice('col', start, count, inserts.length);
+
     const rows = this._rows;
     const nRows = rows.length;
     if (inserts.length > 0) {
@@ -305,6 +314,8 @@ class Worksheet {
       this.getColumn(i).defn = null;
     }
 
+    this._finishSplice(splice);
+
     // account for defined names
     this.workbook.definedNames.spliceColumns(this.name, start, count, inserts.length);
   }
@@ -471,19 +482,28 @@ class Worksheet {
     const inserts = new Array(count).fill(rSrc.values);
     this.spliceRows(rowNum + 1, insert ? 0 : count, ...inserts);
 
-    // now copy styles...
+    // now copy styles and translate formulae...
     for (let i = 0; i < count; i++) {
       const rDst = this._rows[rowNum + i];
       rDst.style = rSrc.style;
       rDst.height = rSrc.height;
       // eslint-disable-next-line no-loop-func
       rSrc.eachCell({includeEmpty: true}, (cell, colNumber) => {
-        rDst.getCell(colNumber).style = cell.style;
+        const cDst = rDst.getCell(colNumber);
+        cDst.style = cell.style;
+        if (cell.type === Enums.ValueType.Formula) {
+          cDst.value = {
+            formula: slideFormula(cell.formula, cell.address, cDst.address),
+            result: cell.result,
+          };
+        }
       });
     }
   }
 
   spliceRows(start, count, ...inserts) {
+    const splice = this._startSplice('row', start, count, inserts.length);
+
     // same problem as row.splice, except worse.
     const nKeep = start + count;
     const nInserts = inserts.length;
@@ -505,7 +525,9 @@ class Worksheet {
           rDst.height = rSrc.height;
           // eslint-disable-next-line no-loop-func
           rSrc.eachCell({includeEmpty: true}, (cell, colNumber) => {
-            rDst.getCell(colNumber).style = cell.style;
+            const cDst = rDst.getCell(colNumber);
+            cDst.style = cell.style;
+            cDst._comment = cell._comment;
           });
           this._rows[i - 1] = undefined;
         } else {
@@ -523,15 +545,9 @@ class Worksheet {
           rDst.height = rSrc.height;
           // eslint-disable-next-line no-loop-func
           rSrc.eachCell({includeEmpty: true}, (cell, colNumber) => {
-            rDst.getCell(colNumber).style = cell.style;
-
-            // remerge cells accounting for insert offset
-            if (cell._value.constructor.name === 'MergeValue') {
-              const cellToBeMerged = this.getRow(cell._row._number + nInserts).getCell(colNumber);
-              const prevMaster = cell._value._master;
-              const newMaster = this.getRow(prevMaster._row._number + nInserts).getCell(prevMaster._column._number);
-              cellToBeMerged.merge(newMaster);
-            }
+            const cDst = rDst.getCell(colNumber);
+            cDst.style = cell.style;
+            cDst._comment = cell._comment;
           });
         } else {
           this._rows[i + nExpand - 1] = undefined;
@@ -546,10 +562,378 @@ class Worksheet {
       rDst.values = inserts[i];
     }
 
+    this._finishSplice(splice);
+
     // account for defined names
     this.workbook.definedNames.spliceRows(this.name, start, count, nInserts);
   }
 
+  // prepare for rows or columns to be spliced on this sheet, returning the splice to pass to _finishSplice
+  _startSplice(dimension, start, count, nInserts) {
+    if (!count && !nInserts) {
+      return undefined;
+    }
+    const splice = {sheetName: this.name, dimension, start, count, inserts: nInserts};
+
+    // every formula is rewritten before anything changes, so that one that can't be read
+    // throws with the workbook as it was
+    const rewrites = [];
+    this.workbook.eachSheet(worksheet => {
+      const local = worksheet === this;
+      rewrites.push(
+        worksheet._spliceFormulae(splice, local),
+        worksheet._spliceConditionalFormattings(splice, local),
+        worksheet._spliceDataValidations(splice, local),
+        worksheet._spliceHyperlinks(splice, local)
+      );
+    });
+    rewrites.push(this._splicePrintAreas(splice));
+    rewrites.forEach(rewrite => rewrite());
+    this.workbook._invalidateDependencies();
+
+    // detach merged cells so they move as ordinary cells - they are merged again afterwards
+    splice.merges = Object.values(this._merges).filter(Boolean);
+    splice.merges.forEach(merge => {
+      for (let i = merge.top; i <= merge.bottom; i++) {
+        for (let j = merge.left; j <= merge.right; j++) {
+          const cell = this.getCell(i, j);
+          if (cell.type === Enums.ValueType.Merge) {
+            const {style} = cell;
+            cell.unmerge();
+            cell.style = style;
+          }
+        }
+      }
+    });
+    this._merges = {};
+    return splice;
+  }
+
+  // shift, expand, shrink or remove the range based features of the sheet once the cells have moved
+  _finishSplice(splice) {
+    if (!splice) {
+      return;
+    }
+    splice.merges.forEach(merge => {
+      const range = spliceAddress(merge.range, splice);
+      if (range && range.split(':')[0] !== range.split(':')[1]) {
+        this._mergeCellsInternal(new Range(range), true);
+      }
+    });
+
+    this._spliceTables(splice);
+    this._spliceAutoFilter(splice);
+    this._spliceMedia(splice);
+    this._splicePageSetup(splice);
+  }
+
+  // The _splice* rewrites of formulae below account for rows or columns about to be spliced on the
+  // sheet of the splice (local when it is this one). They work out the new formulae without changing
+  // anything and return a function to apply them.
+
+  _spliceFormulae(splice, local) {
+    const move = address => (local ? spliceAddress(address, splice) : address);
+
+    // (the formulae of the clones of a shared formula are worked out from their masters as they were)
+    const values = [];
+    const masters = {};
+    const clones = [];
+    this.eachRow(row => {
+      row.eachCell(cell => {
+        if (cell.type !== Enums.ValueType.Formula || !move(cell.address)) {
+          return;
+        }
+        const {value, result} = cell;
+        if (value.sharedFormula) {
+          clones.push({cell, value, result, formula: spliceFormula(cell.formula, splice, local)});
+        } else {
+          const formula = spliceFormula(value.formula, splice, local);
+          const ref = value.ref && move(value.ref);
+          if (formula !== value.formula || ref !== value.ref) {
+            values.push({cell, value: Object.assign({}, value, {formula, ref, result})});
+          }
+          masters[cell.address] = formula;
+        }
+      });
+    });
+
+    // shared formulae stay shared only while the master still translates to the same formula
+    clones.forEach(({cell, value, result, formula}) => {
+      const master = masters[value.sharedFormula];
+      const masterAddress = master && move(value.sharedFormula);
+      if (masterAddress && slideFormula(master, masterAddress, move(cell.address)) === formula) {
+        values.push({cell, value: {sharedFormula: masterAddress, result}});
+      } else {
+        values.push({cell, value: {formula, result}});
+      }
+    });
+
+    return () => {
+      values.forEach(({cell, value}) => {
+        cell.value = value;
+      });
+    };
+  }
+
+  _spliceConditionalFormattings(splice, local) {
+    const conditionalFormattings = [];
+    this.conditionalFormattings.forEach(cf => {
+      let {ref} = cf;
+      let rewrite = formula => spliceFormula(formula, splice, false);
+      if (local) {
+        const ranges = cf.ref.split(/\s+/);
+        const refs = ranges.map(range => spliceAddress(range, splice));
+        const index = refs.findIndex(Boolean);
+        if (index === -1) {
+          return;
+        }
+        ref = refs.filter(Boolean).join(' ');
+
+        // rule formulae are relative to the top left cell so they are first moved to a cell that survives
+        const origin = topLeft(ranges[0]);
+        const anchor = survivingCell(topLeft(ranges[index]), splice);
+        rewrite = formula => spliceFormula(slideFormula(formula, origin, anchor), splice, true);
+      }
+      const rules = cf.rules.map(rule => {
+        const copy = Object.assign({}, rule);
+        if (rule.formulae) {
+          copy.formulae = rule.formulae.map(formula => (typeof formula === 'string' ? rewrite(formula) : formula));
+        }
+        if (rule.cfvo) {
+          copy.cfvo = rule.cfvo.map(cfvo =>
+            typeof cfvo.value === 'string' ? Object.assign({}, cfvo, {value: rewrite(cfvo.value)}) : cfvo
+          );
+        }
+        return copy;
+      });
+      conditionalFormattings.push(Object.assign({}, cf, {ref, rules}));
+    });
+    return () => {
+      this.conditionalFormattings = conditionalFormattings;
+    };
+  }
+
+  _spliceDataValidations(splice, local) {
+    const rewritten = new Map();
+    const rewrite = dataValidation => {
+      if (!dataValidation.formulae) {
+        return dataValidation;
+      }
+      if (!rewritten.has(dataValidation)) {
+        const formulae = dataValidation.formulae.map(formula =>
+          typeof formula === 'string' ? spliceFormula(formula, splice, local) : formula
+        );
+        rewritten.set(dataValidation, Object.assign({}, dataValidation, {formulae}));
+      }
+      return rewritten.get(dataValidation);
+    };
+
+    const model = {};
+    _.each(this.dataValidations.model, (dataValidation, address) => {
+      const target = local ? spliceAddress(address, splice) : address;
+      if (dataValidation && target) {
+        model[target] = rewrite(dataValidation);
+      }
+    });
+    return () => {
+      this.dataValidations.model = model;
+    };
+  }
+
+  // internal hyperlinks (#Sheet!A1) follow the cells they point at
+  _spliceHyperlinks(splice, local) {
+    const values = [];
+    this.eachRow(row => {
+      row.eachCell(cell => {
+        const {hyperlink} = cell;
+        if (cell.type !== Enums.ValueType.Hyperlink || !hyperlink || hyperlink[0] !== '#') {
+          return;
+        }
+        const target = spliceFormula(hyperlink.substring(1), splice, local);
+        if (target !== hyperlink.substring(1) && target.indexOf('#REF!') === -1) {
+          values.push({cell, value: Object.assign({}, cell.value, {hyperlink: `#${target}`})});
+        }
+      });
+    });
+    return () => {
+      values.forEach(({cell, value}) => {
+        cell.value = value;
+      });
+    };
+  }
+
+  _splicePrintAreas(splice) {
+    const {pageSetup} = this;
+    const rewrite = ref => {
+      const result = spliceFormula(ref, splice, true);
+      return result.indexOf('#REF!') === -1 ? result : undefined;
+    };
+    const printAreas = {};
+    if (pageSetup.printArea) {
+      const areas = pageSetup.printArea
+        .split('&&')
+        .map(rewrite)
+        .filter(Boolean);
+      printAreas.printArea = areas.length ? areas.join('&&') : undefined;
+    }
+    if (pageSetup.printTitlesRow) {
+      printAreas.printTitlesRow = rewrite(pageSetup.printTitlesRow);
+    }
+    if (pageSetup.printTitlesColumn) {
+      printAreas.printTitlesColumn = rewrite(pageSetup.printTitlesColumn);
+    }
+    return () => {
+      Object.assign(pageSetup, printAreas);
+    };
+  }
+
+  _spliceTables(splice) {
+    const {dimension} = splice;
+    _.each(this.tables, (table, name) => {
+      const {model} = table;
+      const decoded = colCache.decode(model.tableRef);
+      const tableRef = spliceAddress(model.tableRef, splice);
+      const lostHeader = model.headerRow && dimension === 'row' && spliceIndex(decoded.top, splice) === undefined;
+      const lostTotals = model.totalsRow && dimension === 'row' && spliceIndex(decoded.bottom, splice) === undefined;
+      if (!tableRef || lostHeader || lostTotals) {
+        delete this.tables[name];
+        return;
+      }
+
+      const {top, left, bottom, right} = colCache.decode(tableRef);
+      if (dimension === 'col') {
+        // keep the surviving columns and name the inserted ones from their header cells
+        const names = {};
+        const columns = [];
+        model.columns.forEach((column, j) => {
+          const col = spliceIndex(decoded.left + j, splice);
+          if (col !== undefined) {
+            columns[col - left] = column;
+            names[column.name.toLowerCase()] = true;
+          }
+        });
+        let n = 1;
+        for (let j = 0; j <= right - left; j++) {
+          if (!columns[j]) {
+            const header = model.headerRow && this.getCell(top, left + j);
+            let columnName = header && header.text;
+            while (!columnName || names[columnName.toLowerCase()]) {
+              columnName = `Column${n++}`;
+            }
+            names[columnName.toLowerCase()] = true;
+            columns[j] = {name: columnName, totalsRowFunction: 'none'};
+            if (header) {
+              header.value = columnName;
+            }
+          }
+        }
+        model.columns = columns;
+      }
+
+      model.tableRef = tableRef;
+      if (model.autoFilterRef) {
+        model.autoFilterRef = colCache.encode(top, left, bottom - (model.totalsRow ? 1 : 0), right);
+      }
+      if (model.ref) {
+        model.ref = colCache.encodeAddress(top, left);
+        model.tl = colCache.decodeAddress(model.ref);
+      }
+      if (model.rows) {
+        // re-read the table data from its new footprint
+        const rows = [];
+        for (let i = top + (model.headerRow ? 1 : 0); i <= bottom - (model.totalsRow ? 1 : 0); i++) {
+          const values = [];
+          for (let j = left; j <= right; j++) {
+            const cell = this.findCell(i, j);
+            values.push(cell ? cell.value : null);
+          }
+          rows.push(values);
+        }
+        model.rows = rows;
+      }
+    });
+  }
+
+  _spliceAutoFilter(splice) {
+    const {autoFilter} = this;
+    if (!autoFilter) {
+      return;
+    }
+    if (typeof autoFilter === 'string') {
+      this.autoFilter = spliceAddress(autoFilter, splice) || null;
+      return;
+    }
+    const getAddress = addr => (typeof addr === 'string' ? addr : colCache.getAddress(addr.row, addr.column).address);
+    const range = spliceAddress(`${getAddress(autoFilter.from)}:${getAddress(autoFilter.to)}`, splice);
+    if (!range) {
+      this.autoFilter = null;
+      return;
+    }
+    const {top, left, bottom, right} = colCache.decode(range);
+    const setAddress = (addr, row, column) =>
+      typeof addr === 'string' ? colCache.encodeAddress(row, column) : Object.assign({}, addr, {row, column});
+    this.autoFilter = Object.assign({}, autoFilter, {
+      from: setAddress(autoFilter.from, top, left),
+      to: setAddress(autoFilter.to, bottom, right),
+    });
+  }
+
+  // images and charts follow their anchor cells according to editAs - absolute ones stay put,
+  // oneCell ones move without resizing and (default) twoCell ones move and resize
+  _spliceMedia(splice) {
+    const native = splice.dimension === 'row' ? 'nativeRow' : 'nativeCol';
+    const offset = `${native}Off`;
+    this._media = this._media.filter(medium => {
+      if (!medium.range || medium.range.editAs === 'absolute') {
+        return true;
+      }
+      const {tl, br, editAs} = medium.range;
+      const first = tl[native] + 1;
+      if (!br || editAs === 'oneCell') {
+        let index = spliceIndex(first, splice);
+        if (index === undefined) {
+          index = spliceIndex(splice.start + splice.count, splice);
+          tl[offset] = 0;
+        }
+        if (index === undefined) {
+          return false;
+        }
+        if (br) {
+          br[native] += index - first;
+        }
+        tl[native] = index - 1;
+        return true;
+      }
+
+      // a bottom right anchor with no offset ends at the start of the following cell
+      const last = Math.max(first, br[offset] ? br[native] + 1 : br[native]);
+      const span = spliceSpan(first, last, splice);
+      if (!span) {
+        return false;
+      }
+      if (spliceIndex(first, splice) === undefined) {
+        tl[offset] = 0;
+      }
+      tl[native] = span[0] - 1;
+      if (spliceIndex(last, splice) === undefined || !br[offset]) {
+        br[native] = span[1];
+        br[offset] = 0;
+      } else {
+        br[native] = span[1] - 1;
+      }
+      return true;
+    });
+  }
+
+  _splicePageSetup(splice) {
+    if (splice.dimension === 'row') {
+      this.rowBreaks = this.rowBreaks.filter(rowBreak => {
+        rowBreak.id = spliceIndex(rowBreak.id, splice);
+        return rowBreak.id !== undefined;
+      });
+    }
+  }
+
   // iterate over every row in the worksheet, including maybe empty rows
   eachRow(options, iteratee) {
     if (!iteratee) {
@@ -678,7 +1062,10 @@ class Worksheet {
 
   // ===========================================================================
   // Shared/Array Formula
-  fillFormula(range, formula, results, shareType = 'shared') {
+  fillFormula(range, formula, results, options = 'shared') {
+    // options may be just the shareType
+    const {shareType = 'shared', r1c1 = false} = typeof options === 'string' ? {shareType: options} : options;
+
     // Define formula for top-left cell and share to rest
     const decoded = colCache.decode(range);
     const {top, left, bottom, right} = decoded;
@@ -686,6 +1073,11 @@ class Worksheet {
     const masterAddress = colCache.encodeAddress(top, left);
     const isShared = shareType === 'shared';
 
+    // an R1C1 formula is the same for every cell, so it is converted relative to the master
+    if (r1c1) {
+      formula = fromR1C1(formula, masterAddress);
+    }
+
     // work out result accessor
     let getResult;
     if (typeof results === 'function') {
@@ -731,13 +1123,21 @@ class Worksheet {
       imageId,
       range,
     };
-    this._media.push(new Image(this, model));
+    const image = new Image(this, model);
+    this._media.push(image);
+    return image;
   }
 
   getImages() {
     return this._media.filter(m => m.type === 'image');
   }
 
+  // the images drawn over any of the cells of a range, e.g. 'C5' or 'A2:F10'
+  getImagesInRange(range) {
+    const cells = new Range(range);
+    return this.getImages().filter(image => cells.intersects(new Range(image.getCellRange())));
+  }
+
   addBackgroundImage(imageId) {
     const model = {
       type: 'background',
@@ -751,6 +1151,47 @@ class Worksheet {
     return image && image.imageId;
   }
 
+  // =========================================================================
+  // Charts
+  addChart(chart, range) {
+    const model = {
+      type: 'chart',
+      chart,
+      range,
+    };
+    const result = new Chart(this, model);
+    this._media.push(result);
+    return result;
+  }
+
+  getCharts() {
+    return this._media.filter(m => m.type === 'chart');
+  }
+
+  // =========================================================================
+  // Shapes
+  addShape(options) {
+    const {anchor, ...shape} = options;
+    if (!Shape.SHAPE_TYPES.includes(shape.type)) {
+      throw new Error(`Unsupported shape type: ${shape.type}`);
+    }
+    if (!anchor) {
+      throw new Error('A shape needs an anchor');
+    }
+    if (shape.type === 'textBox') {
+      // text boxes are white with a thin grey border, like Excel's
+      shape.fill = shape.fill || {type: 'solid', color: {theme: 0}};
+      shape.line = shape.line || {type: 'solid', color: {argb: 'FFBFBFBF'}, width: 0.75};
+    }
+    const result = new Shape(this, {type: 'shape', shape, range: anchor});
+    this._media.push(result);
+    return result;
+  }
+
+  getShapes() {
+    return this._media.filter(m => m.type === 'shape');
+  }
+
   // =========================================================================
   // Worksheet Protection
   protect(password, options) {
@@ -842,6 +1283,24 @@ Please leave feedback at https://github.com/exceljs/exceljs/discussions/2575`
     }
   }
 
+  // ===========================================================================
+  // Sparklines
+  addSparklineGroup(options) {
+    const group = makeSparklineGroup(this, options);
+    this.sparklineGroups.push(group);
+    return group;
+  }
+
+  removeSparklineGroup(filter) {
+    if (typeof filter === 'number') {
+      this.sparklineGroups.splice(filter, 1);
+    } else if (filter instanceof Function) {
+      this.sparklineGroups = this.sparklineGroups.filter(filter);
+    } else {
+      this.sparklineGroups = [];
+    }
+  }
+
   // ===========================================================================
   // Deprecated
   get tabColor() {
@@ -863,6 +1322,7 @@ Please leave feedback at https://github.com/exceljs/exceljs/discussions/2575`
     const model = {
       id: this.id,
       name: this.name,
+      orderNo: this.orderNo,
       dataValidations: this.dataValidations.model,
       properties: this.properties,
       state: this.state,
@@ -876,6 +1336,7 @@ Please leave feedback at https://github.com/exceljs/exceljs/discussions/2575`
       tables: Object.values(this.tables).map(table => table.model),
       pivotTables: this.pivotTables,
       conditionalFormattings: this.conditionalFormattings,
+      sparklineGroups: this.sparklineGroups,
     };
 
     // =================================================
@@ -933,7 +1394,18 @@ Please leave feedback at https://github.com/exceljs/exceljs/discussions/2575`
     this.headerFooter = value.headerFooter;
     this.views = value.views;
     this.autoFilter = value.autoFilter;
-    this._media = value.media.map(medium => new Image(this, medium));
+    this._media = value.media.map(medium => {
+      switch (medium.type) {
+        case 'chart':
+          return new Chart(this, medium);
+        case 'shape':
+          return new Shape(this, medium);
+        case 'drawing':
+          return new Drawing(this, medium);
+        default:
+          return new Image(this, medium);
+      }
+    });
     this.sheetProtection = value.sheetProtection;
     this.tables = value.tables.reduce((tables, table) => {
       const t = new Table();
@@ -943,6 +1415,7 @@ Please leave feedback at https://github.com/exceljs/exceljs/discussions/2575`
     }, {});
     this.pivotTables = value.pivotTables;
     this.conditionalFormattings = value.conditionalFormattings;
+    this.sparklineGroups = value.sparklineGroups || [];
   }
 }
 
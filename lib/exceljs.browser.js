@@ -22,8 +22,11 @@ require('core-js/modules/es.string.includes');
 require('core-js/modules/es.number.is-nan');
 require('regenerator-runtime/runtime');
 
+const {toR1C1, fromR1C1} = require('./utils/shared-formula');
+
 const ExcelJS = {
   Workbook: require('./doc/workbook'),
+  formula: {toR1C1, fromR1C1},
 };
 
 // Object.assign mono-fill
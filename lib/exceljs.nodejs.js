@@ -7,6 +7,10 @@ const ExcelJS = {
       WorkbookReader: require('./stream/xlsx/workbook-reader'),
     },
   },
+  formula: {
+    toR1C1: require('./utils/shared-formula').toR1C1,
+    fromR1C1: require('./utils/shared-formula').fromR1C1,
+  },
 };
 
 Object.assign(ExcelJS, require('./doc/enums'));
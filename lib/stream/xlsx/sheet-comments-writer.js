@@ -2,7 +2,9 @@ const XmlStream = require('../../utils/xml-stream');
 const RelType = require('../../xlsx/rel-type');
 const colCache = require('../../utils/col-cache');
 const CommentXform = require('../../xlsx/xform/comment/comment-xform');
+const CommentsXform = require('../../xlsx/xform/comment/comments-xform');
 const VmlShapeXform = require('../../xlsx/xform/comment/vml-shape-xform');
+const VmlAnchorXform = require('../../xlsx/xform/comment/vml-anchor-xform');
 
 class SheetCommentsWriter {
   constructor(worksheet, sheetRelsWriter, options) {
@@ -12,6 +14,11 @@ class SheetCommentsWriter {
     this._worksheet = worksheet;
     this._workbook = options.workbook;
     this._sheetRelsWriter = sheetRelsWriter;
+
+    // the authors come before the notes so these are kept until the notes are all known
+    this._authors = [];
+    this._authorIds = {};
+    this._commentsXml = [];
   }
 
   get commentsStream() {
@@ -52,12 +59,6 @@ class SheetCommentsWriter {
   }
 
   _writeOpen() {
-    this.commentsStream.write(
-      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
-        '<comments xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
-        '<authors><author>Author</author></authors>' +
-        '<commentList>'
-    );
     this.vmlStream.write(
       '<?xml version="1.0" encoding="UTF-8"?>' +
         '<xml xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:v="urn:schemas-microsoft-com:vml" xmlns:x="urn:schemas-microsoft-com:office:excel">' +
@@ -72,10 +73,16 @@ class SheetCommentsWriter {
   }
 
   _writeComment(comment, index) {
+    // (threads aren't streamed, so the notes kept for them can't refer to them and are by 'Author')
+    const author = CommentsXform.getAuthor({note: comment.note});
+    if (this._authorIds[author] === undefined) {
+      this._authorIds[author] = this._authors.length;
+      this._authors.push(author);
+    }
     const commentXform = new CommentXform();
     const commentsXmlStream = new XmlStream();
-    commentXform.render(commentsXmlStream, comment);
-    this.commentsStream.write(commentsXmlStream.xml);
+    commentXform.render(commentsXmlStream, {...comment, authorId: this._authorIds[author]});
+    this._commentsXml.push(commentsXmlStream.xml);
 
     const vmlShapeXform = new VmlShapeXform();
     const vmlXmlStream = new XmlStream();
@@ -84,7 +91,17 @@ class SheetCommentsWriter {
   }
 
   _writeClose() {
-    this.commentsStream.write('</commentList></comments>');
+    const authorsXmlStream = new XmlStream();
+    authorsXmlStream.openNode('authors');
+    this._authors.forEach(author => {
+      authorsXmlStream.leafNode('author', null, author);
+    });
+    authorsXmlStream.closeNode();
+    this.commentsStream.write(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<comments xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `${authorsXmlStream.xml}<commentList>${this._commentsXml.join('')}</commentList></comments>`
+    );
     this.vmlStream.write('</xml>');
   }
 
@@ -98,8 +115,11 @@ class SheetCommentsWriter {
         this.startedData = true;
       }
 
+      // (column widths and row heights aren't known here, notes are placed as if they were the defaults)
+      const sizes = VmlAnchorXform.getSheetSizes({});
       comments.forEach(item => {
         item.refAddress = colCache.decodeAddress(item.ref);
+        VmlAnchorXform.placeNote(item, sizes);
       });
 
       comments.forEach(comment => {
@@ -10,12 +10,21 @@ const parseSax = require('../../utils/parse-sax');
 const StyleManager = require('../../xlsx/xform/style/styles-xform');
 const WorkbookXform = require('../../xlsx/xform/book/workbook-xform');
 const RelationshipsXform = require('../../xlsx/xform/core/relationships-xform');
+const CommentsXform = require('../../xlsx/xform/comment/comments-xform');
+const RelType = require('../../xlsx/rel-type');
+const Note = require('../../doc/note');
 
 const WorksheetReader = require('./worksheet-reader');
 const HyperlinkReader = require('./hyperlink-reader');
 
 tmp.setGracefulCleanup();
 
+function bufferStream(buffer) {
+  const stream = new PassThrough();
+  stream.end(buffer);
+  return stream;
+}
+
 class WorkbookReader extends EventEmitter {
   constructor(input, options = {}) {
     super();
@@ -28,6 +37,7 @@ class WorkbookReader extends EventEmitter {
       hyperlinks: 'ignore',
       styles: 'ignore',
       entries: 'ignore',
+      comments: 'ignore',
       ...options,
     };
 
@@ -83,7 +93,11 @@ class WorkbookReader extends EventEmitter {
     stream.pipe(zip);
 
     // worksheets, deferred for parsing after shared strings reading
+    // (and after the comments, which come after the worksheets)
     const waitingWorkSheets = [];
+    const readComments = this.options.comments !== 'ignore';
+    this.worksheetRels = {};
+    this.comments = {};
 
     for await (const entry of iterateStream(zip)) {
       let match;
@@ -107,7 +121,7 @@ class WorkbookReader extends EventEmitter {
           if (entry.path.match(/xl\/worksheets\/sheet\d+[.]xml/)) {
             match = entry.path.match(/xl\/worksheets\/sheet(\d+)[.]xml/);
             sheetNo = match[1];
-            if (this.sharedStrings && this.workbookRels) {
+            if (this.sharedStrings && this.workbookRels && !readComments) {
               yield* this._parseWorksheet(iterateStream(entry), sheetNo);
             } else {
               // create temp file for each worksheet
@@ -130,7 +144,17 @@ class WorkbookReader extends EventEmitter {
           } else if (entry.path.match(/xl\/worksheets\/_rels\/sheet\d+[.]xml.rels/)) {
             match = entry.path.match(/xl\/worksheets\/_rels\/sheet(\d+)[.]xml.rels/);
             sheetNo = match[1];
-            yield* this._parseHyperlinks(iterateStream(entry), sheetNo);
+            if (readComments) {
+              // the rels are read here to find the comments of the sheet, and again by the hyperlinks reader
+              const buffer = await entry.buffer();
+              await this._parseWorksheetRels(bufferStream(buffer), sheetNo);
+              yield* this._parseHyperlinks(iterateStream(bufferStream(buffer)), sheetNo);
+            } else {
+              yield* this._parseHyperlinks(iterateStream(entry), sheetNo);
+            }
+          } else if (readComments && entry.path.match(/xl\/(comments\d+)[.]xml/)) {
+            match = entry.path.match(/xl\/(comments\d+)[.]xml/);
+            await this._parseComments(entry, match[1]);
           }
           break;
       }
@@ -290,6 +314,29 @@ class WorkbookReader extends EventEmitter {
     }
   }
 
+  async _parseWorksheetRels(stream, sheetNo) {
+    const xform = new RelationshipsXform();
+    this.worksheetRels[sheetNo] = await xform.parseStream(iterateStream(stream));
+  }
+
+  async _parseComments(entry, name) {
+    this._emitEntry({type: 'comments', id: name});
+    const xform = new CommentsXform();
+    const {comments} = await xform.parseStream(iterateStream(entry));
+    // keyed like the targets of the worksheet rels
+    this.comments[`../${name}.xml`] = comments;
+  }
+
+  // the notes of a worksheet by cell address
+  _getNotes(sheetNo) {
+    const rel = (this.worksheetRels[sheetNo] || []).find(r => r.Type === RelType.Comments);
+    const comments = (rel && this.comments[rel.Target]) || [];
+    return comments.reduce((notes, comment) => {
+      notes[comment.ref] = Note.fromModel(comment).note;
+      return notes;
+    }, {});
+  }
+
   *_parseWorksheet(iterator, sheetNo) {
     this._emitEntry({type: 'worksheet', id: sheetNo});
     const worksheetReader = new WorksheetReader({
@@ -298,6 +345,9 @@ class WorkbookReader extends EventEmitter {
       iterator,
       options: this.options,
     });
+    if (this.options.comments !== 'ignore') {
+      worksheetReader.notes = this._getNotes(sheetNo);
+    }
 
     const matchingRel = (this.workbookRels || []).find(rel => rel.Target === `worksheets/sheet${sheetNo}.xml`);
     const matchingSheet = matchingRel && (this.model.sheets || []).find(sheet => sheet.rId === matchingRel.Id);
@@ -332,6 +382,7 @@ WorkbookReader.Options = {
   hyperlinks: ['cache', 'emit', 'ignore'],
   styles: ['cache', 'ignore'],
   entries: ['emit', 'ignore'],
+  comments: ['cache', 'emit', 'ignore'],
 };
 
 module.exports = WorkbookReader;
@@ -7,6 +7,7 @@ const RelType = require('../../xlsx/rel-type');
 const StylesXform = require('../../xlsx/xform/style/styles-xform');
 const SharedStrings = require('../../utils/shared-strings');
 const DefinedNames = require('../../doc/defined-names');
+const ThreadedComment = require('../../doc/threaded-comment');
 
 const CoreXform = require('../../xlsx/xform/core/core-xform');
 const RelationshipsXform = require('../../xlsx/xform/core/relationships-xform');
@@ -14,6 +15,8 @@ const ContentTypesXform = require('../../xlsx/xform/core/content-types-xform');
 const AppXform = require('../../xlsx/xform/core/app-xform');
 const WorkbookXform = require('../../xlsx/xform/book/workbook-xform');
 const SharedStringsXform = require('../../xlsx/xform/strings/shared-strings-xform');
+const MetadataXform = require('../../xlsx/xform/book/metadata-xform');
+const RichData = require('../../xlsx/xform/rich-data/rich-data');
 
 const WorksheetWriter = require('./worksheet-writer');
 
@@ -33,8 +36,16 @@ class WorkbookWriter {
     this.useSharedStrings = options.useSharedStrings || false;
     this.sharedStrings = new SharedStrings();
 
+    // cell metadata, e.g. marking dynamic array formulae
+    this.metadata = new MetadataXform();
+
+    // rich values of cells, i.e. pictures in cells
+    this.richData = new RichData();
+
     // style manager
     this.styles = options.useStyles ? new StylesXform(true) : new StylesXform.Mock(true);
+    // called with the stats of the styles when they're written
+    this.styleStats = options.styleStats;
 
     // defined names
     this._definedNames = new DefinedNames();
@@ -46,6 +57,9 @@ class WorkbookWriter {
 
     this.media = [];
     this.commentRefs = [];
+    // the people of threaded comments, which are streamed as the notes kept for them
+    this.persons = [];
+    this.namedStyles = [];
 
     this.zip = Archiver('zip', this.zipOptions);
     if (options.stream) {
@@ -99,11 +113,16 @@ class WorkbookWriter {
     await this.promise;
     await this.addMedia();
     await this._commitWorksheets();
+    this.richDataFiles = this.richData.count
+      ? this.richData.getFiles(imageId => `../media/${this.media[imageId].name}`)
+      : [];
     await Promise.all([
       this.addContentTypes(),
       this.addApp(),
       this.addCore(),
       this.addSharedStrings(),
+      this.addMetadata(),
+      this.addRichData(),
       this.addStyles(),
       this.addWorkbookRels(),
     ]);
@@ -133,6 +152,45 @@ class WorkbookWriter {
     return this.media[id];
   }
 
+  addPerson(person) {
+    if (!person || !person.displayName) {
+      throw new Error('A person needs a display name');
+    }
+    const added = {
+      id: person.id || ThreadedComment.newId(),
+      displayName: person.displayName,
+      userId: person.userId || person.displayName,
+      providerId: person.providerId || 'None',
+    };
+    this.persons.push(added);
+    return added;
+  }
+
+  getPerson(id) {
+    return this.persons.find(person => person.id === id || person.displayName === id);
+  }
+
+  // named styles are added to the stylesheet straight away so that cells can refer to them
+  addNamedStyle(name, style) {
+    if (!name) {
+      throw new Error('A named style needs a name');
+    }
+    let namedStyle = this.getNamedStyle(name);
+    if (namedStyle) {
+      namedStyle.style = style || {};
+    } else {
+      namedStyle = {name, style: style || {}};
+      this.namedStyles.push(namedStyle);
+    }
+    this.styles.addNamedStyle(namedStyle);
+    return namedStyle;
+  }
+
+  getNamedStyle(name) {
+    const key = String(name).toLowerCase();
+    return this.namedStyles.find(namedStyle => namedStyle.name.toLowerCase() === key);
+  }
+
   addWorksheet(name, options) {
     // it's possible to add a worksheet with different than default
     // shared string handling
@@ -188,6 +246,9 @@ class WorkbookWriter {
   addStyles() {
     return new Promise(resolve => {
       this.zip.append(this.styles.xml, {name: 'xl/styles.xml'});
+      if (this.styleStats) {
+        this.styleStats(this.styles.getStats());
+      }
       resolve();
     });
   }
@@ -217,6 +278,8 @@ class WorkbookWriter {
       const model = {
         worksheets: this._worksheets.filter(Boolean),
         sharedStrings: this.sharedStrings,
+        metadata: this.metadata,
+        richDataFiles: this.richDataFiles,
         commentRefs: this.commentRefs,
         media: this.media,
       };
@@ -282,6 +345,25 @@ class WorkbookWriter {
     return Promise.resolve();
   }
 
+  addMetadata() {
+    if (this.metadata.count) {
+      return new Promise(resolve => {
+        this.zip.append(this.metadata.xml, {name: '/xl/metadata.xml'});
+        resolve();
+      });
+    }
+    return Promise.resolve();
+  }
+
+  addRichData() {
+    return new Promise(resolve => {
+      this.richDataFiles.forEach(({path, xml}) => {
+        this.zip.append(xml, {name: path});
+      });
+      resolve();
+    });
+  }
+
   addWorkbookRels() {
     let count = 1;
     const relationships = [
@@ -295,6 +377,18 @@ class WorkbookWriter {
         Target: 'sharedStrings.xml',
       });
     }
+    if (this.metadata.count) {
+      relationships.push({
+        Id: `rId${count++}`,
+        Type: RelType.SheetMetadata,
+        Target: 'metadata.xml',
+      });
+    }
+    this.richDataFiles.forEach(({path, relType}) => {
+      if (relType) {
+        relationships.push({Id: `rId${count++}`, Type: relType, Target: path.substring('xl/'.length)});
+      }
+    });
     this._worksheets.forEach(worksheet => {
       if (worksheet) {
         worksheet.rId = `rId${count++}`;
@@ -27,6 +27,9 @@ class WorksheetReader extends EventEmitter {
 
     // keep a record of dimensions
     this._dimensions = new Dimensions();
+
+    // the notes of the sheet by cell address, when comments are read
+    this.notes = null;
   }
 
   // destroy - not a valid operation for a streaming writer
@@ -140,6 +143,53 @@ class WorksheetReader extends EventEmitter {
       return;
     }
 
+    // notes are given to the cells of their row (even those without a value) or emitted after it
+    const emitNotes = emitSheet && options.comments === 'emit';
+    const rowNotes = {};
+    if (emitSheet && this.notes) {
+      _.each(this.notes, (note, ref) => {
+        const address = colCache.decodeAddress(ref);
+        rowNotes[address.row] = rowNotes[address.row] || [];
+        rowNotes[address.row].push({ref, col: address.col, note});
+      });
+    }
+    const addRow = (events, noteRow) => {
+      const notes = rowNotes[noteRow.number] || [];
+      delete rowNotes[noteRow.number];
+      if (!emitNotes) {
+        notes.forEach(({col, note}) => {
+          noteRow.getCell(col).note = note;
+        });
+      }
+      this._dimensions.expandRow(noteRow);
+      events.push({eventType: 'row', value: noteRow});
+      if (emitNotes) {
+        notes.forEach(({ref, note}) => {
+          events.push({eventType: 'note', value: {ref, note}});
+        });
+      }
+    };
+    // the notes of rows not in the sheet data are in row order too, emitted alone or cached on rows of their own
+    const noteRowNumbers = Object.keys(rowNotes)
+      .map(Number)
+      .sort((a, b) => a - b);
+    let nextNoteRow = 0;
+    const addNotesBefore = (events, rowNumber) => {
+      while (nextNoteRow < noteRowNumbers.length && noteRowNumbers[nextNoteRow] < rowNumber) {
+        const number = noteRowNumbers[nextNoteRow];
+        nextNoteRow += 1;
+        // (rows in the sheet data have had their notes already)
+        if (rowNotes[number] && emitNotes) {
+          rowNotes[number].forEach(({ref, note}) => {
+            events.push({eventType: 'note', value: {ref, note}});
+          });
+          delete rowNotes[number];
+        } else if (rowNotes[number]) {
+          addRow(events, new Row(this, number));
+        }
+      }
+    };
+
     // references
     const {sharedStrings, styles, properties} = this.workbook;
 
@@ -270,11 +320,12 @@ class WorksheetReader extends EventEmitter {
                 inRows = false;
                 break;
 
-              case 'row':
-                this._dimensions.expandRow(row);
-                worksheetEvents.push({eventType: 'row', value: row});
+              case 'row': {
+                addNotesBefore(worksheetEvents, row.number);
+                addRow(worksheetEvents, row);
                 row = null;
                 break;
+              }
 
               case 'c':
                 if (row && c) {
@@ -368,6 +419,13 @@ class WorksheetReader extends EventEmitter {
         yield worksheetEvents;
       }
     }
+
+    // the notes of rows after the sheet data
+    const noteEvents = [];
+    addNotesBefore(noteEvents, Infinity);
+    if (noteEvents.length > 0) {
+      yield noteEvents;
+    }
   }
 }
 
@@ -603,6 +603,9 @@ class WorksheetWriter {
       const options = {
         styles: this._workbook.styles,
         sharedStrings: this.useSharedStrings ? this._workbook.sharedStrings : undefined,
+        metadata: this._workbook.metadata,
+        richData: this._workbook.richData,
+        media: this._workbook.media,
         hyperlinks: this._sheetRelsWriter.hyperlinksProxy,
         merges: this._merges,
         formulae: this._formulae,
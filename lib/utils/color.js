@@ -0,0 +1,69 @@
+// The colours of the default palette of indexed colours, as ARGB.
+// 64 and 65 are the system foreground and background
+const INDEXED_COLORS = [
+  '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+  '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+  '800000', '008000', '000080', '808000', '800080', '008080', 'C0C0C0', '808080',
+  '9999FF', '993366', 'FFFFCC', 'CCFFFF', '660066', 'FF8080', '0066CC', 'CCCCFF',
+  '000080', 'FF00FF', 'FFFF00', '00FFFF', '800080', '800000', '008080', '0000FF',
+  '00CCFF', 'CCFFFF', 'CCFFCC', 'FFFF99', '99CCFF', 'FF99CC', 'CC99FF', 'FFCC99',
+  '3366FF', '33CCCC', '99CC00', 'FFCC00', 'FF9900', 'FF6600', '666699', '969696',
+  '003366', '339966', '003300', '333300', '993300', '993366', '333399', '333333',
+  '000000', 'FFFFFF',
+].map(rgb => `FF${rgb}`);
+
+function rgbToHsl(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) {
+    return [0, 0, l];
+  }
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) {
+    h = ((g - b) / d) + (g < b ? 6 : 0);
+  } else if (max === g) {
+    h = ((b - r) / d) + 2;
+  } else {
+    h = ((r - g) / d) + 4;
+  }
+  return [h / 6, s, l];
+}
+
+function hueToRgb(p, q, t) {
+  const h = (t + 1) % 1;
+  if (h < 1 / 6) return p + ((q - p) * 6 * h);
+  if (h < 1 / 2) return q;
+  if (h < 2 / 3) return p + ((q - p) * ((2 / 3) - h) * 6);
+  return p;
+}
+
+function hslToRgb(h, s, l) {
+  if (s === 0) {
+    return [l, l, l];
+  }
+  const q = l < 0.5 ? l * (1 + s) : l + s - (l * s);
+  const p = (2 * l) - q;
+  return [hueToRgb(p, q, h + (1 / 3)), hueToRgb(p, q, h), hueToRgb(p, q, h - (1 / 3))];
+}
+
+// A tint lightens (towards 1) or darkens (towards -1) a colour by changing its luminance
+function applyTint(argb, tint) {
+  if (!tint) {
+    return argb;
+  }
+  const [r, g, b] = [2, 4, 6].map(i => parseInt(argb.substr(i, 2), 16) / 255);
+  const [h, s, l] = rgbToHsl(r, g, b);
+  const luminance = tint < 0 ? l * (1 + tint) : (l * (1 - tint)) + tint;
+  const hex = hslToRgb(h, s, luminance)
+    .map(c => Math.round(c * 255).toString(16).padStart(2, '0'))
+    .join('');
+  return `${argb.substr(0, 2)}${hex}`.toUpperCase();
+}
+
+module.exports = {
+  INDEXED_COLORS,
+  applyTint,
+};
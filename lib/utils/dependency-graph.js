@@ -0,0 +1,524 @@
+const colCache = require('./col-cache');
+const Enums = require('../doc/enums');
+const {parse, quoteSheetName} = require('./formula-parser');
+const {functions, normaliseFunctionName} = require('./formula-functions');
+const {isReference} = require('./formula-values');
+const FormulaEvaluator = require('./formula-evaluator');
+
+const {ValueType} = Enums;
+
+const MAX_ROW = 1048576;
+const MAX_COL = 16384;
+
+// how often recalculate follows on from spill ranges that have changed
+const MAX_SPILL_PASSES = 10;
+
+function getKey(worksheet, row, col) {
+  return `${worksheet.id}:${row}:${col}`;
+}
+
+function contains(area, worksheet, row, col) {
+  return (
+    area.worksheet === worksheet && row >= area.top && row <= area.bottom && col >= area.left && col <= area.right
+  );
+}
+
+function formatArea({worksheet, top, left, bottom, right}) {
+  let range;
+  if (top === 1 && bottom === MAX_ROW) {
+    range = `${colCache.n2l(left)}:${colCache.n2l(right)}`;
+  } else if (left === 1 && right === MAX_COL) {
+    range = `${top}:${bottom}`;
+  } else if (top === bottom && left === right) {
+    range = colCache.encodeAddress(top, left);
+  } else {
+    range = colCache.encode(top, left, bottom, right);
+  }
+  return `${quoteSheetName(worksheet.name)}!${range}`;
+}
+
+// collect the references of a formula and whether it calls any volatile functions
+function analyse(formula, customFunctions) {
+  const references = [];
+  let volatile = false;
+  const visit = node => {
+    switch (node.type) {
+      case 'cell':
+      case 'range':
+      case 'name':
+        // (other workbooks don't change while this one is calculated)
+        if (node.workbook === undefined) {
+          references.push(node);
+        }
+        break;
+      case 'structured':
+        references.push(node);
+        break;
+      case 'function': {
+        const name = normaliseFunctionName(node.name);
+        const fn = customFunctions[name] || (functions.hasOwnProperty(name) && functions[name]);
+        if (fn && fn.volatile) {
+          volatile = true;
+        }
+        node.args.forEach(visit);
+        break;
+      }
+      case 'unary':
+        visit(node.operand);
+        break;
+      case 'binary':
+        if (node.operator === ':') {
+          // the cells of a range built with the range operator are only known once calculated
+          volatile = true;
+        }
+        visit(node.left);
+        visit(node.right);
+        break;
+      case 'array':
+        node.rows.forEach(row => row.forEach(visit));
+        break;
+    }
+  };
+  try {
+    visit(parse(formula));
+  } catch (error) {
+    // an invalid formula depends on nothing
+  }
+  return {references, volatile};
+}
+
+// Tracks which formula cells of a workbook depend on which cells so that recalculate
+// only calculates the formulae affected by the changes made since the last calculation.
+//
+// The graph is built from the formula cells when first needed and rebuilt whenever a formula changes.
+// Other changes are recorded by position and resolved to the affected formulae on recalculate.
+// Structural changes (splices, adding or removing sheets, ...) invalidate the graph and
+// the next recalculate calculates everything.
+class DependencyGraph {
+  constructor(workbook) {
+    this.workbook = workbook;
+
+    // formula nodes by position, undefined until built
+    this._nodes = undefined;
+
+    // every formula needs calculating
+    this._all = true;
+
+    // positions of the cells changed since the last calculation
+    this._changes = [];
+
+    // keys of the formula cells left uncalculated by circular references
+    this._circular = new Set();
+
+    this._analyses = new Map();
+
+    // positions of the cells whose spilled values changed in the last calculation
+    this._spilled = [];
+  }
+
+  // called when the value of a cell has been set
+  cellChanged(cell, wasFormula) {
+    if (this._calculating || this._all) {
+      return;
+    }
+    if (wasFormula || cell.type === ValueType.Formula) {
+      this._stale = true;
+    }
+    this._changes.push({worksheet: cell.worksheet, row: cell.row, col: cell.col});
+  }
+
+  // forget everything - the next recalculate calculates all formulae
+  invalidate() {
+    this._nodes = undefined;
+    this._analyses = new Map();
+    this._all = true;
+    this._changes = [];
+    this._circular = new Set();
+  }
+
+  // all formulae have been calculated
+  reset() {
+    this._nodes = undefined;
+    this._all = false;
+    this._changes = [];
+    this._circular = new Set();
+  }
+
+  // calculate the formulae affected by the changes since the last calculation, in dependency order
+  recalculate() {
+    this._refresh();
+    const dirty = this._all ? new Set(this._nodes.values()) : this._findDirty();
+    this._all = false;
+    this._changes = [];
+
+    let circular = this._calculate(dirty);
+
+    // dynamic array results that now spill over different cells change the values other formulae see
+    for (let pass = 0; this._spilled.length && pass < MAX_SPILL_PASSES; pass++) {
+      this._circular = new Set(circular.map(node => node.key));
+      this._changes = this._spilled;
+      this._stale = true;
+      this._refresh();
+      circular = this._calculate(this._findDirty());
+      this._changes = [];
+    }
+    this._circular = new Set(circular.map(node => node.key));
+    if (circular.length) {
+      const {worksheets} = this.workbook;
+      circular.sort(
+        (a, b) =>
+          worksheets.indexOf(a.worksheet) - worksheets.indexOf(b.worksheet) ||
+          a.cell.row - b.cell.row ||
+          a.cell.col - b.cell.col
+      );
+      const addresses = circular.map(node => `${quoteSheetName(node.worksheet.name)}!${node.cell.address}`);
+      throw new Error(`Circular reference detected at ${addresses.join(', ')}`);
+    }
+  }
+
+  // the cells and ranges that the formula of cell refers to
+  precedents(cell) {
+    this._refresh();
+    const node = this._nodes.get(getKey(cell.worksheet, cell.row, cell.col));
+    return node ? node.areas.map(formatArea) : [];
+  }
+
+  // the formula cells that refer to cell
+  dependents(cell) {
+    this._refresh();
+    const {worksheet, row, col} = cell;
+    const nodes = new Set();
+    (this._areas.get(worksheet) || []).forEach(area => {
+      if (contains(area, worksheet, row, col)) {
+        nodes.add(area.node);
+      }
+    });
+    return Array.from(nodes).map(node => `${quoteSheetName(node.worksheet.name)}!${node.cell.address}`);
+  }
+
+  // (re)build the graph if it is missing or out of date
+  _refresh() {
+    if (this._nodes && !this._stale) {
+      // cells may have been replaced without being set, e.g. by row.values
+      this._stale = this._changes.some(({worksheet, row, col}) => {
+        const node = this._nodes.get(getKey(worksheet, row, col));
+        const cell = worksheet.findCell(row, col);
+        return node ? node.cell !== cell || cell.type !== ValueType.Formula : cell && cell.type === ValueType.Formula;
+      });
+    }
+    if (!this._nodes || this._stale) {
+      this._build();
+    }
+  }
+
+  _build() {
+    const nodes = (this._nodes = new Map());
+    const outputs = new Map();
+    this._stale = false;
+
+    // a node for every formula cell, array formulae output to every cell of their (spill) range
+    this.workbook.eachSheet(worksheet => {
+      worksheet.eachRow(row => {
+        row.eachCell(cell => {
+          if (cell.type !== ValueType.Formula) {
+            return;
+          }
+          const key = getKey(worksheet, cell.row, cell.col);
+          const node = {key, cell, worksheet, areas: [], precedents: new Set(), dependents: new Set()};
+          nodes.set(key, node);
+
+          const {shareType, ref, spill} = cell._value.model;
+          const output = (shareType === 'array' || spill) && ref ? colCache.decode(ref) : {};
+          const top = output.top || cell.row;
+          const left = output.left || cell.col;
+          const bottom = output.bottom || cell.row;
+          const right = output.right || cell.col;
+          let list = outputs.get(worksheet);
+          if (!list) {
+            outputs.set(worksheet, (list = {cells: new Map(), nodes: []}));
+          }
+          for (let r = top; r <= bottom; r++) {
+            for (let c = left; c <= right; c++) {
+              list.cells.set(getKey(worksheet, r, c), node);
+              list.nodes.push({row: r, col: c, node});
+            }
+          }
+        });
+      });
+    });
+
+    // resolve the references of each formula and link it to the formulae it refers to
+    const evaluator = new FormulaEvaluator(this.workbook);
+    this._areas = new Map();
+    nodes.forEach(node => {
+      const {formula} = node.cell;
+      if (!formula) {
+        return;
+      }
+      let analysis = this._analyses.get(formula);
+      if (!analysis) {
+        analysis = analyse(formula, this.workbook._functions || {});
+        this._analyses.set(formula, analysis);
+      }
+      node.volatile = analysis.volatile;
+      analysis.references.forEach(reference => {
+        this._resolve(reference, node, evaluator).forEach(area => this._link(node, area, outputs));
+      });
+    });
+  }
+
+  // link a formula node to an area it refers to and the formulae that output to it
+  _link(node, area, outputs) {
+    node.areas.push(area);
+    let areas = this._areas.get(area.worksheet);
+    if (!areas) {
+      this._areas.set(area.worksheet, (areas = []));
+    }
+    areas.push(Object.assign({node}, area));
+
+    this._findOutputs(area, outputs.get(area.worksheet)).forEach(precedent => {
+      node.precedents.add(precedent);
+      precedent.dependents.add(node);
+    });
+  }
+
+  // the areas a reference refers to, one for each sheet of a 3D reference
+  _resolve(reference, node, evaluator) {
+    const {worksheet, cell} = node;
+    const findWorksheet = sheetName => {
+      if (sheetName === undefined) {
+        return worksheet;
+      }
+      const name = sheetName.toLowerCase();
+      return this.workbook.worksheets.find(ws => ws.name.toLowerCase() === name);
+    };
+    const findWorksheets = ({sheetName, lastSheetName}) => {
+      const first = findWorksheet(sheetName);
+      if (lastSheetName === undefined) {
+        return first ? [first] : [];
+      }
+      const last = findWorksheet(lastSheetName);
+      if (!first || !last) {
+        return [];
+      }
+      const {worksheets} = this.workbook;
+      const from = worksheets.indexOf(first);
+      const to = worksheets.indexOf(last);
+      return worksheets.slice(Math.min(from, to), Math.max(from, to) + 1);
+    };
+    switch (reference.type) {
+      case 'cell': {
+        const {row, col} = reference;
+        return findWorksheets(reference).map(ws => ({worksheet: ws, top: row, left: col, bottom: row, right: col}));
+      }
+      case 'range': {
+        const {tl, br} = reference;
+        const rows = tl.type === 'column' ? [1, MAX_ROW] : [tl.row, br.row];
+        const cols = tl.type === 'row' ? [1, MAX_COL] : [tl.col, br.col];
+        return findWorksheets(reference).map(ws => ({
+          worksheet: ws,
+          top: Math.min(...rows),
+          left: Math.min(...cols),
+          bottom: Math.max(...rows),
+          right: Math.max(...cols),
+        }));
+      }
+      default: {
+        // names and tables are resolved as the evaluator would
+        const resolved = evaluator.resolveReference(reference, worksheet, cell.row, cell.col);
+        if (!isReference(resolved)) {
+          return [];
+        }
+        const {top, left, bottom, right} = resolved;
+        return [{worksheet: resolved.worksheet, top, left, bottom, right}];
+      }
+    }
+  }
+
+  // the formula nodes that output to the cells of area
+  _findOutputs(area, list) {
+    const found = new Set();
+    if (!list) {
+      return found;
+    }
+    const {worksheet, top, left, bottom, right} = area;
+    if ((bottom - top + 1) * (right - left + 1) <= list.nodes.length) {
+      for (let r = top; r <= bottom; r++) {
+        for (let c = left; c <= right; c++) {
+          const node = list.cells.get(getKey(worksheet, r, c));
+          if (node) {
+            found.add(node);
+          }
+        }
+      }
+    } else {
+      list.nodes.forEach(({row, col, node}) => {
+        if (contains(area, worksheet, row, col)) {
+          found.add(node);
+        }
+      });
+    }
+    return found;
+  }
+
+  // the changed formulae, the formulae that refer to changed cells and everything that depends on them
+  _findDirty() {
+    const dirty = new Set();
+    const stack = [];
+    const add = node => {
+      if (node && !dirty.has(node)) {
+        dirty.add(node);
+        stack.push(node);
+      }
+    };
+    this._nodes.forEach(node => {
+      if (node.volatile || this._circular.has(node.key)) {
+        add(node);
+      }
+    });
+    this._changes.forEach(({worksheet, row, col}) => {
+      add(this._nodes.get(getKey(worksheet, row, col)));
+      (this._areas.get(worksheet) || []).forEach(area => {
+        if (contains(area, worksheet, row, col)) {
+          add(area.node);
+        }
+      });
+    });
+    while (stack.length) {
+      stack.pop().dependents.forEach(add);
+    }
+    return dirty;
+  }
+
+  // calculate the dirty nodes in topological order, returning the nodes caught in circular references
+  _calculate(dirty) {
+    const degrees = new Map();
+    const queue = [];
+    dirty.forEach(node => {
+      let degree = 0;
+      node.precedents.forEach(precedent => {
+        if (dirty.has(precedent)) {
+          degree++;
+        }
+      });
+      degrees.set(node, degree);
+      if (!degree) {
+        queue.push(node);
+      }
+    });
+    const order = [];
+    while (queue.length) {
+      const node = queue.shift();
+      order.push(node);
+      node.dependents.forEach(dependent => {
+        if (dirty.has(dependent)) {
+          const degree = degrees.get(dependent) - 1;
+          degrees.set(dependent, degree);
+          if (!degree) {
+            queue.push(dependent);
+          }
+        }
+      });
+    }
+
+    // whatever is left is either in a cycle or depends on one
+    const remaining = Array.from(dirty).filter(node => degrees.get(node) > 0);
+    const circular = findCycles(remaining);
+    const cyclic = new Set(circular);
+
+    // cells in cycles keep their results and the cells that depend on them use those
+    const cells = new Set();
+    dirty.forEach(node => {
+      if (!cyclic.has(node)) {
+        cells.add(node.cell);
+      }
+    });
+    const spills = [];
+    cells.forEach(cell => {
+      if (cell._value.model.spill) {
+        spills.push({cell, ref: cell._value.model.ref});
+      }
+    });
+
+    const evaluator = new FormulaEvaluator(this.workbook, {isDirty: cell => cells.has(cell)});
+    this._calculating = true;
+    try {
+      order.concat(remaining).forEach(node => {
+        if (cells.has(node.cell)) {
+          evaluator.calculateCell(node.cell);
+        }
+      });
+    } finally {
+      this._calculating = false;
+    }
+
+    // the cells of the spill ranges that have changed
+    this._spilled = [];
+    spills.forEach(({cell, ref}) => {
+      if (cell._value.model.ref !== ref) {
+        const {worksheet} = cell;
+        [ref, cell._value.model.ref].forEach(range => {
+          const {top, left, bottom, right} = colCache.decode(range || cell.address);
+          for (let r = top || cell.row; r <= (bottom || cell.row); r++) {
+            for (let c = left || cell.col; c <= (right || cell.col); c++) {
+              if (r !== cell.row || c !== cell.col) {
+                this._spilled.push({worksheet, row: r, col: c});
+              }
+            }
+          }
+        });
+      }
+    });
+    return circular;
+  }
+}
+
+// the nodes that are part of a cycle (Tarjan's strongly connected components)
+function findCycles(nodes) {
+  const members = new Set(nodes);
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const circular = [];
+  let index = 0;
+
+  const connect = node => {
+    indexes.set(node, index);
+    lowLinks.set(node, index);
+    index++;
+    stack.push(node);
+    onStack.add(node);
+    node.dependents.forEach(dependent => {
+      if (!members.has(dependent)) {
+        return;
+      }
+      if (!indexes.has(dependent)) {
+        connect(dependent);
+        lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(dependent)));
+      } else if (onStack.has(dependent)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indexes.get(dependent)));
+      }
+    });
+    if (lowLinks.get(node) === indexes.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      if (component.length > 1 || node.dependents.has(node)) {
+        circular.push(...component);
+      }
+    }
+  };
+  nodes.forEach(node => {
+    if (!indexes.has(node)) {
+      connect(node);
+    }
+  });
+  return circular;
+}
+
+module.exports = DependencyGraph;
@@ -0,0 +1,783 @@
+const colCache = require('./col-cache');
+const utils = require('./utils');
+const Enums = require('../doc/enums');
+const {parse} = require('./formula-parser');
+const {functions, normaliseFunctionName, isExcelFunction} = require('./formula-functions');
+const {
+  ErrorValue,
+  Reference,
+  makeError,
+  isError,
+  isReference,
+  toArray,
+  toScalar,
+  flatten,
+  toNumber,
+  toText,
+  compare,
+  compareWith,
+} = require('./formula-values');
+
+const {ValueType} = Enums;
+
+const MAX_ROW = 1048576;
+const MAX_COL = 16384;
+
+// operators that combine references rather than their values
+const referenceOperators = [':', ' ', ','];
+
+// the error thrown for a formula that Excel can calculate but this evaluator can't, e.g. one that calls
+// a function that isn't implemented here. The formula and those that depend on it keep their cached results
+function uncalculable(message) {
+  const error = new Error(message);
+  error.uncalculable = true;
+  return error;
+}
+
+// Calculates the formula cells of a workbook and writes the results back to the cells.
+// Each formula is calculated at most once during the lifetime of an evaluator and
+// formula cells that are referenced are calculated on demand.
+// If options.isDirty is given, only the formula cells it accepts are calculated and
+// the others contribute their stored results.
+// Formulae that can't be read, that call Excel functions that aren't implemented or that refer to
+// other workbooks are left as they are, as are the formulae that depend on them.
+class FormulaEvaluator {
+  constructor(workbook, options) {
+    this.workbook = workbook;
+    this.date1904 = !!(workbook.properties && workbook.properties.date1904);
+    this._isDirty = (options && options.isDirty) || (() => true);
+
+    // evaluated values of formula cells (as numbers, strings, booleans or errors)
+    this._values = new Map();
+
+    // formula cells currently being evaluated - used to detect circular references
+    this._pending = new Set();
+
+    this._asts = new Map();
+
+    // worksheets whose array and dynamic array formulae have been calculated
+    this._prepared = new Set();
+
+    // formula cells that can't be calculated and keep their results
+    this._uncalculable = new Set();
+  }
+
+  calculate() {
+    this.workbook.eachSheet(worksheet => {
+      worksheet.eachRow(row => {
+        row.eachCell(cell => {
+          if (cell.type === ValueType.Formula) {
+            this.calculateCell(cell);
+          }
+        });
+      });
+    });
+  }
+
+  calculateCell(cell) {
+    try {
+      this._getFormulaValue(cell);
+    } catch (error) {
+      if (!error.uncalculable) {
+        throw error;
+      }
+    }
+    return cell.result;
+  }
+
+  // evaluate a formula as if it were in the cell at row, col of worksheet
+  evaluate(formula, worksheet, row, col) {
+    const context = this._createContext(worksheet, row, col);
+    let ast = this._asts.get(formula);
+    if (!ast) {
+      try {
+        ast = parse(formula);
+      } catch (error) {
+        throw uncalculable(error.message);
+      }
+      this._asts.set(formula, ast);
+    }
+    return this._evaluateNode(ast, context);
+  }
+
+  // resolve a reference node (cell, range, name or structured) as if it were in the cell at row, col of worksheet
+  resolveReference(node, worksheet, row, col) {
+    return this._evaluateNode(node, this._createContext(worksheet, row, col));
+  }
+
+  getCellValue(worksheet, row, col) {
+    this._prepareWorksheet(worksheet);
+    const cell = worksheet.findCell(row, col);
+    if (!cell) {
+      return null;
+    }
+    switch (cell.type) {
+      case ValueType.Formula:
+        return this._getFormulaValue(cell);
+      case ValueType.Number:
+      case ValueType.Boolean:
+      case ValueType.Error:
+        return cell.value;
+      case ValueType.Date:
+        return utils.dateToExcel(cell.value, this.date1904);
+      case ValueType.String:
+      case ValueType.RichText:
+      case ValueType.Hyperlink:
+      case ValueType.SharedString:
+        return cell.text;
+      default:
+        return null;
+    }
+  }
+
+  _getFormulaValue(cell) {
+    if (this._values.has(cell)) {
+      return this._values.get(cell);
+    }
+    if (this._uncalculable.has(cell)) {
+      throw uncalculable(`${cell.worksheet.name}!${cell.address} can't be calculated`);
+    }
+
+    const {formula} = cell;
+    if (!formula || !this._isDirty(cell)) {
+      // e.g. a shared formula clone without its master - use what we have
+      const {result} = cell;
+      return result instanceof Date ? utils.dateToExcel(result, this.date1904) : result;
+    }
+
+    if (this._pending.has(cell)) {
+      throw new Error(`Circular reference detected at ${cell.worksheet.name}!${cell.address}`);
+    }
+    this._pending.add(cell);
+    let value;
+    try {
+      value = this.evaluate(formula, cell.worksheet, cell.row, cell.col);
+    } catch (error) {
+      if (error.uncalculable) {
+        this._uncalculable.add(cell);
+      }
+      throw error;
+    } finally {
+      this._pending.delete(cell);
+    }
+
+    const {shareType, ref, spill} = cell._value.model;
+    if (spill) {
+      value = this._spill(cell, value);
+    } else if (shareType === 'array' && ref) {
+      value = this._fillArray(cell, ref, value);
+    } else {
+      value = this._toValue(toScalar(value));
+    }
+
+    this._values.set(cell, value);
+    cell._value.result = this._toResult(value, cell);
+    return value;
+  }
+
+  // spread the result of an array formula over the cells of its range
+  _fillArray(master, ref, value) {
+    const {worksheet} = master;
+    const {top, left, bottom, right} = colCache.decode(ref);
+    const array = toArray(value);
+    const rows = array.length;
+    const cols = array[0].length;
+    for (let r = top; r <= bottom; r++) {
+      for (let c = left; c <= right; c++) {
+        if (r !== master.row || c !== master.col) {
+          const rr = rows === 1 ? 0 : r - top;
+          const cc = cols === 1 ? 0 : c - left;
+          const item = rr < rows && cc < cols ? this._toValue(array[rr][cc]) : makeError(ErrorValue.NotApplicable);
+          const cell = worksheet.getCell(r, c);
+          cell.value = this._toResult(item, cell);
+        }
+      }
+    }
+    return this._toValue(array[0][0]);
+  }
+
+  // spill the result of a dynamic array formula from its cell, updating its spill range.
+  // The result is #SPILL! if a value other than those it spilled before is in the way
+  _spill(master, value) {
+    const {worksheet} = master;
+    const {model} = master._value;
+    const array = toArray(value);
+    const bottom = master.row + array.length - 1;
+    const right = master.col + array[0].length - 1;
+
+    const previous = model.ref && colCache.decode(model.ref);
+    const eachPrevious = fn => {
+      if (previous && previous.top) {
+        for (let r = previous.top; r <= previous.bottom; r++) {
+          for (let c = previous.left; c <= previous.right; c++) {
+            if (r !== master.row || c !== master.col) {
+              fn(r, c);
+            }
+          }
+        }
+      }
+    };
+    const spilled = new Set();
+    eachPrevious((r, c) => spilled.add(`${r}:${c}`));
+
+    let blocked = bottom > MAX_ROW || right > MAX_COL;
+    for (let r = master.row; r <= bottom && !blocked; r++) {
+      for (let c = master.col; c <= right && !blocked; c++) {
+        const cell = worksheet.findCell(r, c);
+        blocked = !!cell && cell !== master && cell.type !== ValueType.Null && !spilled.has(`${r}:${c}`);
+      }
+    }
+
+    // clear what was spilled before - cells that still get a value are overwritten below
+    eachPrevious((r, c) => {
+      if (blocked || r > bottom || c > right) {
+        worksheet.getCell(r, c).value = null;
+      }
+    });
+    if (blocked) {
+      model.ref = master.address;
+      return makeError(ErrorValue.Spill);
+    }
+
+    for (let r = master.row; r <= bottom; r++) {
+      for (let c = master.col; c <= right; c++) {
+        if (r !== master.row || c !== master.col) {
+          const cell = worksheet.getCell(r, c);
+          cell.value = this._toResult(this._toValue(array[r - master.row][c - master.col]), cell);
+        }
+      }
+    }
+    const single = bottom === master.row && right === master.col;
+    model.ref = single ? master.address : colCache.encode(master.row, master.col, bottom, right);
+    return this._toValue(array[0][0]);
+  }
+
+  // formulae that write to other cells are calculated before the cells of their worksheet are read
+  _prepareWorksheet(worksheet) {
+    if (this._prepared.has(worksheet)) {
+      return;
+    }
+    this._prepared.add(worksheet);
+    const masters = [];
+    worksheet.eachRow(row => {
+      row.eachCell(cell => {
+        if (cell.type === ValueType.Formula) {
+          const {shareType, ref, spill} = cell._value.model;
+          if (spill || (shareType === 'array' && ref)) {
+            masters.push(cell);
+          }
+        }
+      });
+    });
+    masters.forEach(cell => {
+      if (!this._pending.has(cell)) {
+        // the cells of those that can't be calculated keep their values
+        this.calculateCell(cell);
+      }
+    });
+  }
+
+  _toValue(value) {
+    if (value === null || value === undefined) {
+      return 0;
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      return makeError(ErrorValue.Num);
+    }
+    return value;
+  }
+
+  // convert an evaluated value into a cell result
+  _toResult(value, cell) {
+    if (typeof value === 'number' && utils.isDateFmt(cell.numFmt)) {
+      return utils.excelToDate(value, this.date1904);
+    }
+    return value;
+  }
+
+  _createContext(worksheet, row, col) {
+    return {
+      workbook: this.workbook,
+      worksheet,
+      row,
+      col,
+      date1904: this.date1904,
+      getCellValue: (ws, r, c) => this.getCellValue(ws, r, c),
+    };
+  }
+
+  _findWorksheet(sheetName) {
+    const name = sheetName.toLowerCase();
+    return this.workbook.worksheets.find(worksheet => worksheet.name.toLowerCase() === name);
+  }
+
+  _reference(context, sheetName, top, left, bottom, right) {
+    const worksheet = sheetName === undefined ? context.worksheet : this._findWorksheet(sheetName);
+    if (!worksheet) {
+      return makeError(ErrorValue.Ref);
+    }
+    return new Reference(
+      context,
+      worksheet,
+      Math.min(top, bottom),
+      Math.min(left, right),
+      Math.max(top, bottom),
+      Math.max(left, right)
+    );
+  }
+
+  _resolveRange(node, context) {
+    const {sheetName, tl, br} = node;
+    switch (tl.type) {
+      case 'column': {
+        // whole columns are limited to the rows in use
+        const worksheet = sheetName === undefined ? context.worksheet : this._findWorksheet(sheetName);
+        const bottom = worksheet ? Math.max(worksheet.rowCount, 1) : 1;
+        return this._reference(context, sheetName, 1, tl.col, bottom, br.col);
+      }
+      case 'row': {
+        const worksheet = sheetName === undefined ? context.worksheet : this._findWorksheet(sheetName);
+        const right = worksheet ? Math.max(worksheet.columnCount, 1) : 1;
+        return this._reference(context, sheetName, tl.row, 1, br.row, right);
+      }
+      default:
+        return this._reference(context, sheetName, tl.row, tl.col, br.row, br.col);
+    }
+  }
+
+  // the values of a 3D reference, the areas of each sheet stacked one above the other
+  _resolve3D(node, context) {
+    const first = this._findWorksheet(node.sheetName);
+    const last = this._findWorksheet(node.lastSheetName);
+    if (!first || !last) {
+      return makeError(ErrorValue.Ref);
+    }
+    const {worksheets} = this.workbook;
+    const from = worksheets.indexOf(first);
+    const to = worksheets.indexOf(last);
+    const rows = [];
+    worksheets.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(worksheet => {
+      const area = Object.assign({}, node, {sheetName: worksheet.name, lastSheetName: undefined});
+      rows.push(...toArray(this._evaluateNode(area, context)));
+    });
+    return rows;
+  }
+
+  // the cells of the range, intersection or union of two references
+  _combine(operator, left, right) {
+    if (isError(left)) {
+      return left;
+    }
+    if (isError(right)) {
+      return right;
+    }
+    if (operator === ',') {
+      // the values of a union are listed in a single column
+      return flatten(left)
+        .concat(flatten(right))
+        .map(value => [value]);
+    }
+    if (!isReference(left) || !isReference(right) || left.worksheet !== right.worksheet) {
+      return makeError(ErrorValue.Value);
+    }
+    if (operator === ':') {
+      return new Reference(
+        left.context,
+        left.worksheet,
+        Math.min(left.top, right.top),
+        Math.min(left.left, right.left),
+        Math.max(left.bottom, right.bottom),
+        Math.max(left.right, right.right)
+      );
+    }
+    const top = Math.max(left.top, right.top);
+    const leftCol = Math.max(left.left, right.left);
+    const bottom = Math.min(left.bottom, right.bottom);
+    const rightCol = Math.min(left.right, right.right);
+    if (top > bottom || leftCol > rightCol) {
+      return makeError(ErrorValue.Null);
+    }
+    return new Reference(left.context, left.worksheet, top, leftCol, bottom, rightCol);
+  }
+
+  // @ reduces a range to the cell in the row or column of the formula, and an array to its first value
+  _intersectImplicitly(value, context) {
+    if (!isReference(value)) {
+      return Array.isArray(value) ? value[0][0] : value;
+    }
+    if (value.isCell) {
+      return value;
+    }
+    if (value.left === value.right && context.row >= value.top && context.row <= value.bottom) {
+      return value.offset(context.row - value.top, 0);
+    }
+    if (value.top === value.bottom && context.col >= value.left && context.col <= value.right) {
+      return value.offset(0, context.col - value.left);
+    }
+    return makeError(ErrorValue.Value);
+  }
+
+  // the range that the dynamic array formula of a cell spills over, e.g. A1#
+  _spillRange(value) {
+    if (!isReference(value) || !value.isCell) {
+      return isError(value) ? value : makeError(ErrorValue.Ref);
+    }
+    const {worksheet, top, left} = value;
+    // make sure the formula has spilled
+    this.getCellValue(worksheet, top, left);
+    const cell = worksheet.findCell(top, left);
+    const model = cell && cell.type === ValueType.Formula && cell._value.model;
+    if (!model || !model.spill) {
+      return makeError(ErrorValue.Ref);
+    }
+    const range = colCache.decode(model.ref || cell.address);
+    if (range.top === undefined) {
+      return value;
+    }
+    return new Reference(value.context, worksheet, range.top, range.left, range.bottom, range.right);
+  }
+
+  _findTable(name, context) {
+    const tables = [];
+    this.workbook.eachSheet(worksheet => {
+      Object.values(worksheet.tables).forEach(table => {
+        tables.push({worksheet, model: table.model});
+      });
+    });
+    if (name === undefined) {
+      // an unqualified reference refers to the table containing the formula
+      return tables.find(({worksheet, model}) => {
+        if (worksheet !== context.worksheet) return false;
+        const {top, left, bottom, right} = colCache.decode(model.tableRef);
+        return context.row >= top && context.row <= bottom && context.col >= left && context.col <= right;
+      });
+    }
+    const lower = name.toLowerCase();
+    const matches = value => value && value.toLowerCase() === lower;
+    return tables.find(({model}) => matches(model.name) || matches(model.displayName));
+  }
+
+  _resolveStructured(node, context) {
+    const table = this._findTable(node.table, context);
+    if (!table) {
+      return makeError(node.table === undefined ? ErrorValue.Ref : ErrorValue.Name);
+    }
+    const {worksheet, model} = table;
+    const {top, left, bottom, right} = colCache.decode(model.tableRef);
+    const dataTop = model.headerRow ? top + 1 : top;
+    const dataBottom = model.totalsRow ? bottom - 1 : bottom;
+
+    const rows = [];
+    const specifiers = node.specifiers.length ? node.specifiers : ['#Data'];
+    specifiers.forEach(specifier => {
+      switch (specifier) {
+        case '#All':
+          rows.push(top, bottom);
+          break;
+        case '#Headers':
+          if (model.headerRow) rows.push(top);
+          break;
+        case '#Totals':
+          if (model.totalsRow) rows.push(bottom);
+          break;
+        case '#This Row':
+          if (context.worksheet === worksheet && context.row >= dataTop && context.row <= dataBottom) {
+            rows.push(context.row);
+          }
+          break;
+        default:
+          rows.push(dataTop, dataBottom);
+          break;
+      }
+    });
+    if (!rows.length) {
+      return makeError(ErrorValue.Ref);
+    }
+
+    let columns = [left, right];
+    if (node.columns.length) {
+      const names = model.columns.map(column => column.name.toLowerCase());
+      columns = node.columns.map(column => left + names.indexOf(column.toLowerCase()));
+      if (columns.some(col => col < left)) {
+        return makeError(ErrorValue.Ref);
+      }
+    }
+
+    return new Reference(
+      context,
+      worksheet,
+      Math.min(...rows),
+      Math.min(...columns),
+      Math.max(...rows),
+      Math.max(...columns)
+    );
+  }
+
+  _resolveName(name, context) {
+    const {definedNames} = this.workbook;
+    const lower = name.toLowerCase();
+    const key = Object.keys(definedNames.matrixMap).find(n => n.toLowerCase() === lower);
+    const {ranges} = definedNames.getRanges(key);
+    if (ranges.length !== 1) {
+      return makeError(ranges.length ? ErrorValue.Value : ErrorValue.Name);
+    }
+    const location = colCache.decodeEx(ranges[0]);
+    if (location.top) {
+      return this._reference(
+        context,
+        location.sheetName,
+        location.top,
+        location.left,
+        location.bottom,
+        location.right
+      );
+    }
+    return this._reference(context, location.sheetName, location.row, location.col, location.row, location.col);
+  }
+
+  _evaluateNode(node, context) {
+    switch (node.type) {
+      case 'number':
+      case 'string':
+      case 'boolean':
+        return node.value;
+      case 'error':
+        return makeError(node.value);
+      case 'missing':
+        return null;
+      case 'cell':
+      case 'range':
+        if (node.workbook !== undefined) {
+          // other workbooks aren't available
+          throw uncalculable(`${node.workbook} is another workbook`);
+        }
+        if (node.lastSheetName !== undefined) {
+          return this._resolve3D(node, context);
+        }
+        return node.type === 'cell'
+          ? this._reference(context, node.sheetName, node.row, node.col, node.row, node.col)
+          : this._resolveRange(node, context);
+      case 'name':
+        if (node.workbook !== undefined) {
+          throw uncalculable(`${node.workbook} is another workbook`);
+        }
+        return this._resolveName(node.name, context);
+      case 'structured':
+        return this._resolveStructured(node, context);
+      case 'array':
+        return node.rows.map(row => row.map(item => this._evaluateNode(item, context)));
+      case 'unary': {
+        const operand = this._evaluateNode(node.operand, context);
+        switch (node.operator) {
+          case '@':
+            return this._intersectImplicitly(operand, context);
+          case '#':
+            return this._spillRange(operand);
+          default:
+            return this._unary(node.operator, operand);
+        }
+      }
+      case 'binary':
+        if (referenceOperators.includes(node.operator)) {
+          return this._combine(
+            node.operator,
+            this._evaluateNode(node.left, context),
+            this._evaluateNode(node.right, context)
+          );
+        }
+        return this._binary(
+          node.operator,
+          this._evaluateNode(node.left, context),
+          this._evaluateNode(node.right, context)
+        );
+      case 'function':
+        return this._call(node, context);
+      default:
+        return makeError(ErrorValue.Value);
+    }
+  }
+
+  _call(node, context) {
+    const name = normaliseFunctionName(node.name);
+    if ((name === 'ANCHORARRAY' || name === 'SINGLE') && node.args.length === 1) {
+      // the functions the spill and implicit intersection operators are stored as
+      const operand = this._evaluateNode(node.args[0], context);
+      return name === 'ANCHORARRAY' ? this._spillRange(operand) : this._intersectImplicitly(operand, context);
+    }
+    const custom = this.workbook._functions && this.workbook._functions[name];
+    if (custom) {
+      return this._callCustom(custom, node, context);
+    }
+    const fn = functions.hasOwnProperty(name) && functions[name];
+    if (!fn) {
+      if (isExcelFunction(node.name)) {
+        throw uncalculable(`${name} isn't implemented`);
+      }
+      return makeError(ErrorValue.Name);
+    }
+    if (fn.lazy) {
+      return fn(
+        node.args.map(arg => () => this._evaluateNode(arg, context)),
+        context
+      );
+    }
+    return fn(
+      node.args.map(arg => this._evaluateNode(arg, context)),
+      context
+    );
+  }
+
+  // call a function registered with workbook.registerFunction
+  _callCustom({impl, arrayAware}, node, context) {
+    const args = node.args.map(arg => this._evaluateNode(arg, context));
+    const call = values => {
+      let result;
+      try {
+        result = impl(...values);
+      } catch (error) {
+        return makeError(ErrorValue.Value);
+      }
+      return this._fromCustom(result);
+    };
+    if (arrayAware) {
+      // ranges and arrays are passed as 2D arrays
+      return call(args.map(arg => (isReference(arg) || Array.isArray(arg) ? toArray(arg) : arg)));
+    }
+    // otherwise the function is called for each element of any range or array arguments
+    return lift(args, (...values) => call(values));
+  }
+
+  // convert the result of a custom function into a formula value
+  _fromCustom(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return utils.dateToExcel(value, this.date1904);
+    }
+    switch (typeof value) {
+      case 'number':
+        return Number.isFinite(value) ? value : makeError(ErrorValue.Num);
+      case 'string':
+      case 'boolean':
+        return value;
+      default:
+        break;
+    }
+    if (isError(value)) {
+      return Object.values(ErrorValue).includes(value.error) ? makeError(value.error) : makeError(ErrorValue.Value);
+    }
+    if (Array.isArray(value) && value.length) {
+      const rows = Array.isArray(value[0]) ? value : [value];
+      return rows.map(row => (Array.isArray(row) ? row : [row]).map(item => this._fromCustom(item)));
+    }
+    return makeError(ErrorValue.Value);
+  }
+
+  _unary(operator, operand) {
+    return lift([operand], value => {
+      if (operator === '+') {
+        return value;
+      }
+      const n = toNumber(value);
+      if (isError(n)) {
+        return n;
+      }
+      return operator === '%' ? n / 100 : -n;
+    });
+  }
+
+  _binary(operator, left, right) {
+    return lift([left, right], (a, b) => {
+      if (isError(a)) {
+        return a;
+      }
+      if (isError(b)) {
+        return b;
+      }
+      switch (operator) {
+        case '&': {
+          return toText(a) + toText(b);
+        }
+        case '=':
+        case '<>':
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+          return compareWith(operator, compare(a, b));
+        default:
+          return arithmetic(operator, a, b);
+      }
+    });
+  }
+}
+
+function arithmetic(operator, a, b) {
+  const x = toNumber(a);
+  if (isError(x)) {
+    return x;
+  }
+  const y = toNumber(b);
+  if (isError(y)) {
+    return y;
+  }
+  let result;
+  switch (operator) {
+    case '+':
+      result = x + y;
+      break;
+    case '-':
+      result = x - y;
+      break;
+    case '*':
+      result = x * y;
+      break;
+    case '/':
+      if (y === 0) {
+        return makeError(ErrorValue.DivZero);
+      }
+      result = x / y;
+      break;
+    case '^':
+      if (x === 0 && y < 0) {
+        return makeError(ErrorValue.DivZero);
+      }
+      result = x ** y;
+      break;
+    default:
+      return makeError(ErrorValue.Value);
+  }
+  return Number.isFinite(result) ? result : makeError(ErrorValue.Num);
+}
+
+function isMulti(value) {
+  return isReference(value) ? !value.isCell : Array.isArray(value);
+}
+
+// apply fn to scalar operands, or element-wise when any operand is an array or a range.
+// Single rows and columns are broadcast as in Excel, mismatched areas yield #N/A.
+function lift(operands, fn) {
+  if (!operands.some(isMulti)) {
+    return fn(...operands.map(toScalar));
+  }
+  const arrays = operands.map(toArray);
+  const rows = Math.max(...arrays.map(array => array.length));
+  const cols = Math.max(...arrays.map(array => array[0].length));
+  const pick = (array, r, c) => {
+    const rr = array.length === 1 ? 0 : r;
+    const cc = array[0].length === 1 ? 0 : c;
+    return rr < array.length && cc < array[0].length ? array[rr][cc] : makeError(ErrorValue.NotApplicable);
+  };
+  const result = [];
+  for (let r = 0; r < rows; r++) {
+    const row = [];
+    for (let c = 0; c < cols; c++) {
+      row.push(fn(...arrays.map(array => pick(array, r, c))));
+    }
+    result.push(row);
+  }
+  return result;
+}
+
+module.exports = FormulaEvaluator;
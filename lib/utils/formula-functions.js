@@ -0,0 +1,1230 @@
+const utils = require('./utils');
+const {tokenize} = require('./formula-parser');
+const {
+  ErrorValue,
+  makeError,
+  isError,
+  isReference,
+  toArray,
+  toScalar,
+  flatten,
+  formatNumber,
+  parseNumber,
+  toNumber,
+  toText,
+  toBoolean,
+  compare,
+  wildcardToRegExp,
+  makeCriterion,
+} = require('./formula-values');
+
+// Built-in worksheet functions.
+//
+// Each function is called with (args, context) where args are the evaluated arguments
+// (scalars, 2D arrays or References) and context describes the cell being calculated.
+// Functions flagged as lazy receive argument thunks instead so that only the
+// branches that are needed get evaluated.
+// Functions flagged as volatile are recalculated by every workbook.recalculate.
+
+function lazy(fn) {
+  fn.lazy = true;
+  return fn;
+}
+
+function volatile(fn) {
+  fn.volatile = true;
+  return fn;
+}
+
+// wrap fn so that its arguments are coerced by the matching converter.
+// The last converter is used for any remaining arguments. Errors short-circuit.
+function scalars(converters, fn) {
+  return (args, context) => {
+    const values = [];
+    for (let i = 0; i < args.length; i++) {
+      const convert = converters[Math.min(i, converters.length - 1)];
+      const value = convert(args[i]);
+      if (isError(value)) {
+        return value;
+      }
+      values.push(value);
+    }
+    return fn(values, context);
+  };
+}
+
+const N = toNumber;
+const T = toText;
+const B = toBoolean;
+
+// numbers for aggregate functions: references and arrays contribute only their numbers,
+// direct arguments are coerced
+function collectNumbers(args) {
+  const numbers = [];
+  for (const arg of args) {
+    if (isReference(arg) || Array.isArray(arg)) {
+      for (const value of flatten(arg)) {
+        if (isError(value)) {
+          return value;
+        }
+        if (typeof value === 'number') {
+          numbers.push(value);
+        }
+      }
+    } else {
+      const number = toNumber(arg);
+      if (isError(number)) {
+        return number;
+      }
+      numbers.push(number);
+    }
+  }
+  return numbers;
+}
+
+function aggregate(fn) {
+  return args => {
+    const numbers = collectNumbers(args);
+    return isError(numbers) ? numbers : fn(numbers);
+  };
+}
+
+function sum(numbers) {
+  return numbers.reduce((total, n) => total + n, 0);
+}
+
+function variance(sample) {
+  return aggregate(numbers => {
+    const count = sample ? numbers.length - 1 : numbers.length;
+    if (count < 1) {
+      return makeError(ErrorValue.DivZero);
+    }
+    const mean = sum(numbers) / numbers.length;
+    return sum(numbers.map(n => (n - mean) ** 2)) / count;
+  });
+}
+
+function deviation(sample) {
+  const fn = variance(sample);
+  return args => {
+    const result = fn(args);
+    return isError(result) ? result : Math.sqrt(result);
+  };
+}
+
+// function numbers of SUBTOTAL, 101 to 111 are the same functions ignoring hidden rows
+const subtotals = [
+  'AVERAGE',
+  'COUNT',
+  'COUNTA',
+  'MAX',
+  'MIN',
+  'PRODUCT',
+  'STDEV',
+  'STDEVP',
+  'SUM',
+  'VAR',
+  'VARP',
+];
+
+// round half away from zero, ignoring binary representation noise
+function roundTo(value, digits, method = Math.round) {
+  const factor = 10 ** Math.trunc(digits);
+  const scaled = Number((Math.abs(value) * factor).toPrecision(15));
+  return (Math.sign(value) * method(scaled)) / factor;
+}
+
+function precise(value) {
+  return Number(value.toPrecision(15));
+}
+
+function checkNumber(value) {
+  return Number.isFinite(value) ? value : makeError(ErrorValue.Num);
+}
+
+// =========================================================================
+// Criteria
+
+// offsets of the cells that satisfy every (criteria range, criterion) pair
+function matchCriteria(pairs) {
+  const [first] = pairs;
+  const rows = toArray(first[0]).length;
+  const cols = toArray(first[0])[0].length;
+  const tests = pairs.map(([range, criterion]) => ({
+    values: toArray(range),
+    matches: makeCriterion(criterion),
+  }));
+  if (tests.some(({values}) => values.length !== rows || values[0].length !== cols)) {
+    return makeError(ErrorValue.Value);
+  }
+  const matches = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (tests.every(({values, matches: test}) => test(values[r][c]))) {
+        matches.push([r, c]);
+      }
+    }
+  }
+  return matches;
+}
+
+// the values of range, resized to match the shape of the criteria range as Excel does
+function sizedValues(range, like) {
+  const shape = toArray(like);
+  if (isReference(range)) {
+    return range.offset(0, 0, shape.length, shape[0].length).toArray();
+  }
+  return toArray(range);
+}
+
+function pairsOf(args) {
+  const pairs = [];
+  for (let i = 0; i + 1 < args.length; i += 2) {
+    pairs.push([args[i], args[i + 1]]);
+  }
+  return pairs;
+}
+
+function valuesAt(values, matches) {
+  return matches.map(([r, c]) => values[r] && values[r][c]).filter(value => typeof value === 'number');
+}
+
+// =========================================================================
+// Lookup
+
+function exactMatch(values, target) {
+  if (typeof target === 'string' && /[*?~]/.test(target)) {
+    const rx = wildcardToRegExp(target);
+    return values.findIndex(value => typeof value === 'string' && rx.test(value));
+  }
+  return values.findIndex(
+    value => value !== null && value !== undefined && typeof value === typeof target && compare(value, target) === 0
+  );
+}
+
+// position of the last value that orders before (or equal to) target, assuming sorted values
+function approximateMatch(values, target, descending) {
+  let found = -1;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value !== null && value !== undefined && typeof value === typeof target) {
+      const order = compare(value, target);
+      if (descending ? order < 0 : order > 0) {
+        break;
+      }
+      found = i;
+    }
+  }
+  return found;
+}
+
+function lookup(args, byColumn) {
+  const [value, table, index, rangeLookup] = args;
+  const lookupValue = toScalar(value);
+  if (isError(lookupValue)) {
+    return lookupValue;
+  }
+  const n = toNumber(index);
+  if (isError(n)) {
+    return n;
+  }
+  const position = Math.trunc(n);
+  let array = toArray(table);
+  if (!byColumn) {
+    // transpose so that HLOOKUP works like VLOOKUP
+    array = array[0].map((_, c) => array.map(row => row[c]));
+  }
+  if (position < 1) {
+    return makeError(ErrorValue.Value);
+  }
+  if (position > array[0].length) {
+    return makeError(ErrorValue.Ref);
+  }
+  let exact = false;
+  if (args.length > 3) {
+    exact = toBoolean(rangeLookup);
+    if (isError(exact)) {
+      return exact;
+    }
+    exact = !exact;
+  }
+  const keys = array.map(row => row[0]);
+  const found = exact ? exactMatch(keys, lookupValue) : approximateMatch(keys, lookupValue, false);
+  return found < 0 ? makeError(ErrorValue.NotApplicable) : array[found][position - 1];
+}
+
+// =========================================================================
+// Dynamic arrays
+// These return 2D arrays that spill from the formula cell. byCol variants transpose
+// the array so that the work is always done on rows.
+
+function transpose(array) {
+  return array[0].map((_, c) => array.map(row => row[c]));
+}
+
+// an optional argument, treating a missing argument as the default
+function optional(arg, convert, defaultValue) {
+  return arg === undefined || arg === null ? defaultValue : convert(arg);
+}
+
+function compareRows(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    const order = compare(a[i], b[i]);
+    if (order) {
+      return order;
+    }
+  }
+  return 0;
+}
+
+// =========================================================================
+// Dates
+// Dates are serial numbers, counted in days from the workbook's epoch.
+
+function toDate(serial, context) {
+  return utils.excelToDate(serial, context.date1904);
+}
+
+function toSerial(date, context) {
+  return utils.dateToExcel(date, context.date1904);
+}
+
+function dateParts(serial, context) {
+  if (serial < 0) {
+    return makeError(ErrorValue.Num);
+  }
+  const date = toDate(Math.floor(serial), context);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+function timeParts(serial) {
+  if (serial < 0) {
+    return makeError(ErrorValue.Num);
+  }
+  const seconds = Math.round((serial - Math.floor(serial)) * 86400);
+  return {
+    hour: Math.floor(seconds / 3600) % 24,
+    minute: Math.floor(seconds / 60) % 60,
+    second: seconds % 60,
+  };
+}
+
+function serialFromParts(year, month, day, context) {
+  return toSerial(new Date(Date.UTC(year, month - 1, day)), context);
+}
+
+function addMonths(serial, months, endOfMonth, context) {
+  const parts = dateParts(serial, context);
+  if (isError(parts)) {
+    return parts;
+  }
+  const month = parts.month + Math.trunc(months);
+  const lastDay = new Date(Date.UTC(parts.year, month, 0)).getUTCDate();
+  return serialFromParts(parts.year, month, endOfMonth ? lastDay : Math.min(parts.day, lastDay), context);
+}
+
+// =========================================================================
+// TEXT() formatting
+
+const monthNames = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const dateTokenRx = /"[^"]*"|\\.|\[[^\]]*]|yyyy|yy|mmmmm|mmmm|mmm|mm|m|dddd|ddd|dd|d|hh|h|ss|s|AM\/PM|A\/P|0+|./gi;
+
+function formatDate(serial, format, context) {
+  const date = toDate(serial, context);
+  const time = timeParts(serial);
+  const tokens = format.match(dateTokenRx) || [];
+  const twelveHour = tokens.some(token => /^(AM\/PM|A\/P)$/i.test(token));
+
+  // m and mm mean minutes when they follow hours or precede seconds
+  const isMinute = index => {
+    for (let i = index - 1; i >= 0; i--) {
+      if (/^h+$/i.test(tokens[i])) return true;
+      if (/^[ymd]+$/i.test(tokens[i])) break;
+    }
+    for (let i = index + 1; i < tokens.length; i++) {
+      if (/^s+$/i.test(tokens[i])) return true;
+      if (/^[ymdh]+$/i.test(tokens[i])) break;
+    }
+    return false;
+  };
+
+  const pad = n => (n < 10 ? `0${n}` : `${n}`);
+  const hour = twelveHour ? time.hour % 12 || 12 : time.hour;
+  return tokens
+    .map((token, index) => {
+      const lower = token.toLowerCase();
+      switch (lower) {
+        case 'yyyy':
+          return `${date.getUTCFullYear()}`;
+        case 'yy':
+          return pad(date.getUTCFullYear() % 100);
+        case 'mmmmm':
+          return monthNames[date.getUTCMonth()][0];
+        case 'mmmm':
+          return monthNames[date.getUTCMonth()];
+        case 'mmm':
+          return monthNames[date.getUTCMonth()].substr(0, 3);
+        case 'mm':
+          return isMinute(index) ? pad(time.minute) : pad(date.getUTCMonth() + 1);
+        case 'm':
+          return isMinute(index) ? `${time.minute}` : `${date.getUTCMonth() + 1}`;
+        case 'dddd':
+          return dayNames[date.getUTCDay()];
+        case 'ddd':
+          return dayNames[date.getUTCDay()].substr(0, 3);
+        case 'dd':
+          return pad(date.getUTCDate());
+        case 'd':
+          return `${date.getUTCDate()}`;
+        case 'hh':
+          return pad(hour);
+        case 'h':
+          return `${hour}`;
+        case 'ss':
+          return pad(time.second);
+        case 's':
+          return `${time.second}`;
+        case 'am/pm':
+          return time.hour < 12 ? 'AM' : 'PM';
+        case 'a/p':
+          return time.hour < 12 ? 'A' : 'P';
+        default:
+          if (token[0] === '"') return token.slice(1, -1);
+          if (token[0] === '\\') return token[1];
+          if (token[0] === '[') return '';
+          return token;
+      }
+    })
+    .join('');
+}
+
+function formatNumeric(value, format) {
+  const literal = text => text.replace(/"([^"]*)"|\\(.)/g, (m, quoted, escaped) => quoted || escaped || '');
+  const match = /[0#?][0#?,]*(\.[0#?]*)?|\.[0#?]+/.exec(format);
+  if (!match) {
+    return literal(format);
+  }
+  const prefix = literal(format.substr(0, match.index));
+  const suffix = literal(format.substr(match.index + match[0].length));
+  const percents = (format.match(/%/g) || []).length;
+  const scaled = value * (100 ** percents);
+
+  const [intPattern, decPattern = ''] = match[0].split('.');
+  const decimals = decPattern.length;
+  const minDecimals = (decPattern.match(/0/g) || []).length;
+  const minInteger = (intPattern.match(/0/g) || []).length;
+  const grouped = intPattern.includes(',');
+
+  const rounded = roundTo(Math.abs(scaled), decimals);
+  let [intText, decText = ''] = rounded.toFixed(decimals).split('.');
+  while (decText.length > minDecimals && decText.endsWith('0')) {
+    decText = decText.slice(0, -1);
+  }
+  if (intText === '0' && minInteger === 0) {
+    intText = '';
+  }
+  while (intText.length < minInteger) {
+    intText = `0${intText}`;
+  }
+  if (grouped) {
+    intText = intText.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  }
+  const number = decText || decimals ? `${intText}.${decText}` : intText;
+  return `${prefix}${number}${suffix}`;
+}
+
+function formatText(value, format, context) {
+  const sections = format.split(';');
+  if (typeof value === 'string') {
+    return sections.length > 3 ? sections[3].replace(/@/g, value).replace(/"/g, '') : value;
+  }
+  let section = sections[0];
+  let sign = value < 0 ? '-' : '';
+  if (value < 0 && sections.length > 1) {
+    [, section] = sections;
+    sign = '';
+  } else if (value === 0 && sections.length > 2) {
+    [, , section] = sections;
+  }
+  if (/^general$/i.test(section.trim()) || !section) {
+    return formatNumber(value);
+  }
+  if (utils.isDateFmt(section)) {
+    return formatDate(value, section, context);
+  }
+  return sign + formatNumeric(Math.abs(value), section);
+}
+
+// =========================================================================
+// Functions
+
+const functions = {
+  // Math
+  ABS: scalars([N], ([n]) => Math.abs(n)),
+  AVERAGE: aggregate(numbers => (numbers.length ? sum(numbers) / numbers.length : makeError(ErrorValue.DivZero))),
+  CEILING: scalars([N], ([n, significance = 1]) => {
+    if (significance === 0) return 0;
+    if (n > 0 && significance < 0) return makeError(ErrorValue.Num);
+    return precise(Math.ceil(precise(n / significance)) * significance);
+  }),
+  COUNT: args =>
+    args.reduce((count, arg) => {
+      if (isReference(arg) || Array.isArray(arg)) {
+        return count + flatten(arg).filter(value => typeof value === 'number').length;
+      }
+      return isError(toNumber(arg)) ? count : count + 1;
+    }, 0),
+  COUNTA: args =>
+    args.reduce(
+      (count, arg) => count + flatten(arg).filter(value => value !== null && value !== undefined).length,
+      0
+    ),
+  COUNTBLANK: ([range]) => flatten(range).filter(value => value === null || value === undefined || value === '').length,
+  COUNTIF: ([range, criterion]) => {
+    const matches = matchCriteria([[range, criterion]]);
+    return isError(matches) ? matches : matches.length;
+  },
+  COUNTIFS: args => {
+    const matches = matchCriteria(pairsOf(args));
+    return isError(matches) ? matches : matches.length;
+  },
+  SUMIF: ([range, criterion, sumRange]) => {
+    const matches = matchCriteria([[range, criterion]]);
+    if (isError(matches)) return matches;
+    return sum(valuesAt(sizedValues(sumRange || range, range), matches));
+  },
+  SUMIFS: ([sumRange, ...args]) => {
+    const matches = matchCriteria(pairsOf(args));
+    if (isError(matches)) return matches;
+    return sum(valuesAt(sizedValues(sumRange, args[0]), matches));
+  },
+  AVERAGEIF: ([range, criterion, averageRange]) => {
+    const matches = matchCriteria([[range, criterion]]);
+    if (isError(matches)) return matches;
+    const numbers = valuesAt(sizedValues(averageRange || range, range), matches);
+    return numbers.length ? sum(numbers) / numbers.length : makeError(ErrorValue.DivZero);
+  },
+  AVERAGEIFS: ([averageRange, ...args]) => {
+    const matches = matchCriteria(pairsOf(args));
+    if (isError(matches)) return matches;
+    const numbers = valuesAt(sizedValues(averageRange, args[0]), matches);
+    return numbers.length ? sum(numbers) / numbers.length : makeError(ErrorValue.DivZero);
+  },
+  EXP: scalars([N], ([n]) => checkNumber(Math.exp(n))),
+  FLOOR: scalars([N], ([n, significance = 1]) => {
+    if (significance === 0) return makeError(ErrorValue.DivZero);
+    if (n > 0 && significance < 0) return makeError(ErrorValue.Num);
+    return precise(Math.floor(precise(n / significance)) * significance);
+  }),
+  INT: scalars([N], ([n]) => Math.floor(n)),
+  LN: scalars([N], ([n]) => (n > 0 ? Math.log(n) : makeError(ErrorValue.Num))),
+  LOG: scalars([N], ([n, base = 10]) => {
+    if (n <= 0 || base <= 0 || base === 1) return makeError(ErrorValue.Num);
+    return Math.log(n) / Math.log(base);
+  }),
+  LOG10: scalars([N], ([n]) => (n > 0 ? Math.log10(n) : makeError(ErrorValue.Num))),
+  MAX: aggregate(numbers => (numbers.length ? Math.max(...numbers) : 0)),
+  MEDIAN: aggregate(numbers => {
+    if (!numbers.length) return makeError(ErrorValue.Num);
+    const sorted = numbers.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }),
+  MIN: aggregate(numbers => (numbers.length ? Math.min(...numbers) : 0)),
+  MOD: scalars([N], ([n, d]) => {
+    if (d === 0) return makeError(ErrorValue.DivZero);
+    return n - (d * Math.floor(n / d));
+  }),
+  PI: () => Math.PI,
+  POWER: scalars([N], ([n, p]) => checkNumber(n ** p)),
+  PRODUCT: aggregate(numbers => numbers.reduce((product, n) => product * n, 1)),
+  RAND: volatile(() => Math.random()),
+  RANDBETWEEN: volatile(
+    scalars([N], ([low, high]) => {
+      const min = Math.ceil(low);
+      const max = Math.floor(high);
+      if (min > max) return makeError(ErrorValue.Num);
+      return min + Math.floor(Math.random() * (max - min + 1));
+    })
+  ),
+  ROUND: scalars([N], ([n, digits = 0]) => roundTo(n, digits)),
+  ROUNDDOWN: scalars([N], ([n, digits = 0]) => roundTo(n, digits, Math.floor)),
+  ROUNDUP: scalars([N], ([n, digits = 0]) => roundTo(n, digits, Math.ceil)),
+  SIGN: scalars([N], ([n]) => Math.sign(n)),
+  SQRT: scalars([N], ([n]) => (n < 0 ? makeError(ErrorValue.Num) : Math.sqrt(n))),
+  STDEV: deviation(true),
+  'STDEV.P': deviation(false),
+  'STDEV.S': deviation(true),
+  STDEVP: deviation(false),
+  SUBTOTAL: ([fn, ...refs], context) => {
+    const n = toNumber(fn);
+    if (isError(n)) return n;
+    const name = subtotals[(Math.trunc(n) % 100) - 1];
+    if (!name || n < 1 || n >= 112) return makeError(ErrorValue.Value);
+    return functions[name](refs, context);
+  },
+  SUM: aggregate(sum),
+  SUMPRODUCT: args => {
+    const arrays = args.map(toArray);
+    const rows = arrays[0].length;
+    const cols = arrays[0][0].length;
+    if (arrays.some(array => array.length !== rows || array[0].length !== cols)) {
+      return makeError(ErrorValue.Value);
+    }
+    let total = 0;
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        let product = 1;
+        for (const array of arrays) {
+          const value = array[r][c];
+          if (isError(value)) return value;
+          product *= typeof value === 'number' ? value : 0;
+        }
+        total += product;
+      }
+    }
+    return total;
+  },
+  TRUNC: scalars([N], ([n, digits = 0]) => roundTo(n, digits, Math.floor)),
+  VAR: variance(true),
+  'VAR.P': variance(false),
+  'VAR.S': variance(true),
+  VARP: variance(false),
+
+  // Logical
+  AND: args => logical(args, values => values.every(Boolean)),
+  FALSE: () => false,
+  IF: lazy((args, context) => {
+    const condition = toBoolean(args[0]());
+    if (isError(condition)) return condition;
+    if (condition) {
+      return args.length > 1 ? args[1]() : true;
+    }
+    return args.length > 2 ? args[2]() : false;
+  }),
+  IFERROR: lazy(args => {
+    const value = toScalar(args[0]());
+    return isError(value) ? args[1]() : value;
+  }),
+  IFNA: lazy(args => {
+    const value = toScalar(args[0]());
+    return isError(value) && value.error === ErrorValue.NotApplicable ? args[1]() : value;
+  }),
+  NOT: scalars([B], ([b]) => !b),
+  OR: args => logical(args, values => values.some(Boolean)),
+  TRUE: () => true,
+  XOR: args => logical(args, values => values.filter(Boolean).length % 2 === 1),
+
+  // Information
+  ISBLANK: ([value]) => {
+    value = toScalar(value);
+    return value === null || value === undefined;
+  },
+  ISERR: ([value]) => {
+    value = toScalar(value);
+    return isError(value) && value.error !== ErrorValue.NotApplicable;
+  },
+  ISERROR: ([value]) => isError(toScalar(value)),
+  ISLOGICAL: ([value]) => typeof toScalar(value) === 'boolean',
+  ISNA: ([value]) => {
+    value = toScalar(value);
+    return isError(value) && value.error === ErrorValue.NotApplicable;
+  },
+  ISNUMBER: ([value]) => typeof toScalar(value) === 'number',
+  ISTEXT: ([value]) => typeof toScalar(value) === 'string',
+  NA: () => makeError(ErrorValue.NotApplicable),
+
+  // Lookup and reference
+  CHOOSE: lazy(args => {
+    const index = toNumber(args[0]());
+    if (isError(index)) return index;
+    const i = Math.trunc(index);
+    if (i < 1 || i >= args.length) return makeError(ErrorValue.Value);
+    return args[i]();
+  }),
+  COLUMN: ([reference], context) => {
+    if (reference === undefined) return context.col;
+    return isReference(reference) ? reference.left : makeError(ErrorValue.Value);
+  },
+  COLUMNS: ([array]) => (isReference(array) ? array.columnCount : toArray(array)[0].length),
+  HLOOKUP: args => lookup(args, false),
+  INDEX: ([array, rowArg, colArg]) => {
+    const values = toArray(array);
+    const rows = values.length;
+    const cols = values[0].length;
+    let row = rowArg === undefined ? 0 : toNumber(rowArg);
+    let col = colArg === undefined ? 0 : toNumber(colArg);
+    if (isError(row)) return row;
+    if (isError(col)) return col;
+    row = Math.trunc(row);
+    col = Math.trunc(col);
+    if (colArg === undefined && rows === 1 && cols > 1) {
+      // a single row with one index - the index selects the column
+      col = row;
+      row = 1;
+    }
+    if (row < 0 || col < 0) return makeError(ErrorValue.Value);
+    if (row > rows || col > cols) return makeError(ErrorValue.Ref);
+    if (isReference(array)) {
+      return array.offset(row ? row - 1 : 0, col ? col - 1 : 0, row ? 1 : rows, col ? 1 : cols);
+    }
+    if (row && col) return values[row - 1][col - 1];
+    if (row) return [values[row - 1]];
+    return values.map(r => [r[col ? col - 1 : 0]]);
+  },
+  MATCH: ([value, array, typeArg]) => {
+    const lookupValue = toScalar(value);
+    if (isError(lookupValue)) return lookupValue;
+    const type = typeArg === undefined ? 1 : toNumber(typeArg);
+    if (isError(type)) return type;
+    const values = flatten(array);
+    let found;
+    if (type === 0) {
+      found = exactMatch(values, lookupValue);
+    } else {
+      found = approximateMatch(values, lookupValue, type < 0);
+    }
+    return found < 0 ? makeError(ErrorValue.NotApplicable) : found + 1;
+  },
+  OFFSET: volatile(([reference, rowsArg, colsArg, heightArg, widthArg]) => {
+    if (!isReference(reference)) return makeError(ErrorValue.Value);
+    const numbers = [rowsArg, colsArg, heightArg, widthArg].map(arg => (arg === undefined ? undefined : toNumber(arg)));
+    const error = numbers.find(isError);
+    if (error) return error;
+    const [rows = 0, cols = 0, height = reference.rowCount, width = reference.columnCount] = numbers.map(n =>
+      n === undefined ? undefined : Math.trunc(n)
+    );
+    if (height < 1 || width < 1 || reference.top + rows < 1 || reference.left + cols < 1) {
+      return makeError(ErrorValue.Ref);
+    }
+    return reference.offset(rows, cols, height, width);
+  }),
+  ROW: ([reference], context) => {
+    if (reference === undefined) return context.row;
+    return isReference(reference) ? reference.top : makeError(ErrorValue.Value);
+  },
+  ROWS: ([array]) => (isReference(array) ? array.rowCount : toArray(array).length),
+  VLOOKUP: args => lookup(args, true),
+
+  // Dynamic arrays
+  FILTER: ([array, include, ifEmpty]) => {
+    const values = toArray(array);
+    const flags = toArray(include);
+    let byCol;
+    if (flags[0].length === 1 && flags.length === values.length) {
+      byCol = false;
+    } else if (flags.length === 1 && flags[0].length === values[0].length) {
+      byCol = true;
+    } else {
+      return makeError(ErrorValue.Value);
+    }
+    const keep = [];
+    for (const value of flatten(flags)) {
+      const flag = toBoolean(value);
+      if (isError(flag)) return flag;
+      keep.push(flag);
+    }
+    const rows = (byCol ? transpose(values) : values).filter((_, i) => keep[i]);
+    if (!rows.length) {
+      return ifEmpty === undefined ? makeError(ErrorValue.Calc) : ifEmpty;
+    }
+    return byCol ? transpose(rows) : rows;
+  },
+  SEQUENCE: ([rowsArg, colsArg, startArg, stepArg]) => {
+    const [rows, cols, start, step] = [
+      optional(rowsArg, toNumber, 1),
+      optional(colsArg, toNumber, 1),
+      optional(startArg, toNumber, 1),
+      optional(stepArg, toNumber, 1),
+    ];
+    const error = [rows, cols, start, step].find(isError);
+    if (error) return error;
+    const height = Math.trunc(rows);
+    const width = Math.trunc(cols);
+    if (height < 1 || width < 1) return makeError(height && width ? ErrorValue.Value : ErrorValue.Calc);
+    const result = [];
+    for (let r = 0; r < height; r++) {
+      const row = [];
+      for (let c = 0; c < width; c++) {
+        row.push(start + (((r * width) + c) * step));
+      }
+      result.push(row);
+    }
+    return result;
+  },
+  SORT: ([array, indexArg, orderArg, byColArg]) => {
+    const [index, order, byCol] = [
+      optional(indexArg, toNumber, 1),
+      optional(orderArg, toNumber, 1),
+      optional(byColArg, toBoolean, false),
+    ];
+    const error = [index, order, byCol].find(isError);
+    if (error) return error;
+    const rows = byCol ? transpose(toArray(array)) : toArray(array);
+    const key = Math.trunc(index) - 1;
+    if (key < 0 || key >= rows[0].length || (order !== 1 && order !== -1)) {
+      return makeError(ErrorValue.Value);
+    }
+    const sorted = rows
+      .map((row, i) => ({row, i}))
+      .sort((a, b) => compare(a.row[key], b.row[key]) * order || a.i - b.i)
+      .map(({row}) => row);
+    return byCol ? transpose(sorted) : sorted;
+  },
+  UNIQUE: ([array, byColArg, onceArg]) => {
+    const [byCol, once] = [optional(byColArg, toBoolean, false), optional(onceArg, toBoolean, false)];
+    const error = [byCol, once].find(isError);
+    if (error) return error;
+    const rows = byCol ? transpose(toArray(array)) : toArray(array);
+    const groups = [];
+    rows.forEach(row => {
+      const group = groups.find(g => compareRows(g.row, row) === 0);
+      if (group) {
+        group.count++;
+      } else {
+        groups.push({row, count: 1});
+      }
+    });
+    const unique = groups.filter(group => !once || group.count === 1).map(({row}) => row);
+    if (!unique.length) return makeError(ErrorValue.Calc);
+    return byCol ? transpose(unique) : unique;
+  },
+
+  // Text
+  CHAR: scalars([N], ([n]) => (n < 1 || n > 255 ? makeError(ErrorValue.Value) : String.fromCharCode(n))),
+  CODE: scalars([T], ([text]) => (text ? text.charCodeAt(0) : makeError(ErrorValue.Value))),
+  CONCAT: args => {
+    let result = '';
+    for (const value of args.reduce((values, arg) => values.concat(flatten(arg)), [])) {
+      const text = toText(value);
+      if (isError(text)) return text;
+      result += text;
+    }
+    return result;
+  },
+  CONCATENATE: scalars([T], texts => texts.join('')),
+  EXACT: scalars([T], ([a, b]) => a === b),
+  FIND: scalars([T, T, N], ([find, within, start = 1]) => {
+    if (start < 1 || start > within.length + 1) return makeError(ErrorValue.Value);
+    const index = within.indexOf(find, start - 1);
+    return index < 0 ? makeError(ErrorValue.Value) : index + 1;
+  }),
+  LEFT: scalars([T, N], ([text, count = 1]) => (count < 0 ? makeError(ErrorValue.Value) : text.substr(0, count))),
+  LEN: scalars([T], ([text]) => text.length),
+  LOWER: scalars([T], ([text]) => text.toLowerCase()),
+  MID: scalars([T, N, N], ([text, start, count]) => {
+    if (start < 1 || count < 0) return makeError(ErrorValue.Value);
+    return text.substr(start - 1, count);
+  }),
+  PROPER: scalars([T], ([text]) =>
+    text
+      .toLowerCase()
+      .replace(/(^|[^a-z\u00C0-\u024F])([a-z\u00C0-\u024F])/g, (m, before, letter) => before + letter.toUpperCase())
+  ),
+  REPLACE: scalars([T, N, N, T], ([text, start, count, replacement]) => {
+    if (start < 1 || count < 0) return makeError(ErrorValue.Value);
+    return text.substr(0, start - 1) + replacement + text.substr(start - 1 + count);
+  }),
+  REPT: scalars([T, N], ([text, count]) => (count < 0 ? makeError(ErrorValue.Value) : text.repeat(Math.trunc(count)))),
+  RIGHT: scalars([T, N], ([text, count = 1]) => {
+    if (count < 0) return makeError(ErrorValue.Value);
+    return count ? text.substr(-Math.min(count, text.length)) : '';
+  }),
+  SEARCH: scalars([T, T, N], ([find, within, start = 1]) => {
+    if (start < 1 || start > within.length + 1) return makeError(ErrorValue.Value);
+    const match = wildcardToRegExp(find, false).exec(within.substr(start - 1));
+    return match ? match.index + start : makeError(ErrorValue.Value);
+  }),
+  SUBSTITUTE: scalars([T, T, T, N], ([text, search, replacement, instance]) => {
+    if (!search) return text;
+    if (instance === undefined) return text.split(search).join(replacement);
+    if (instance < 1) return makeError(ErrorValue.Value);
+    let index = -1;
+    for (let i = 0; i < instance; i++) {
+      index = text.indexOf(search, index + 1);
+      if (index < 0) return text;
+    }
+    return text.substr(0, index) + replacement + text.substr(index + search.length);
+  }),
+  TEXT: ([value, format], context) => {
+    const pattern = toText(format);
+    if (isError(pattern)) return pattern;
+    value = toScalar(value);
+    if (isError(value)) return value;
+    if (typeof value === 'string') {
+      const number = parseNumber(value);
+      value = number === undefined ? value : number;
+    } else {
+      value = toNumber(value);
+    }
+    return formatText(value, pattern, context);
+  },
+  TEXTJOIN: ([delimiter, ignoreEmpty, ...args]) => {
+    const separator = toText(delimiter);
+    if (isError(separator)) return separator;
+    const ignore = toBoolean(ignoreEmpty);
+    if (isError(ignore)) return ignore;
+    const texts = [];
+    for (const value of args.reduce((values, arg) => values.concat(flatten(arg)), [])) {
+      const text = toText(value);
+      if (isError(text)) return text;
+      if (text || !ignore) texts.push(text);
+    }
+    return texts.join(separator);
+  },
+  TRIM: scalars([T], ([text]) => text.replace(/ +/g, ' ').trim()),
+  UPPER: scalars([T], ([text]) => text.toUpperCase()),
+  VALUE: ([value]) => {
+    value = toScalar(value);
+    if (typeof value === 'string') {
+      const number = parseNumber(value);
+      return number === undefined ? makeError(ErrorValue.Value) : number;
+    }
+    return toNumber(value);
+  },
+
+  // Date and time
+  DATE: scalars([N], ([year, month, day], context) => {
+    year = Math.trunc(year);
+    if (year >= 0 && year < 1900) year += 1900;
+    if (year < 1900 || year > 9999) return makeError(ErrorValue.Num);
+    return serialFromParts(year, Math.trunc(month), Math.trunc(day), context);
+  }),
+  DATEDIF: scalars([N, N, T], ([start, end, unit], context) => {
+    if (start > end) return makeError(ErrorValue.Num);
+    const from = dateParts(start, context);
+    const to = dateParts(end, context);
+    if (isError(from)) return from;
+    if (isError(to)) return to;
+    const months = ((to.year - from.year) * 12) + to.month - from.month - (to.day < from.day ? 1 : 0);
+    switch (unit.toUpperCase()) {
+      case 'Y':
+        return Math.floor(months / 12);
+      case 'M':
+        return months;
+      case 'D':
+        return Math.floor(end) - Math.floor(start);
+      case 'YM':
+        return months % 12;
+      case 'MD':
+        return Math.floor(end) - addMonths(start, months, false, context);
+      case 'YD': {
+        const years = Math.floor(months / 12);
+        return Math.floor(end) - addMonths(start, years * 12, false, context);
+      }
+      default:
+        return makeError(ErrorValue.Num);
+    }
+  }),
+  DAY: scalars([N], ([serial], context) => {
+    const parts = dateParts(serial, context);
+    return isError(parts) ? parts : parts.day;
+  }),
+  DAYS: scalars([N], ([end, start]) => Math.floor(end) - Math.floor(start)),
+  EDATE: scalars([N], ([start, months], context) => addMonths(start, months, false, context)),
+  EOMONTH: scalars([N], ([start, months], context) => addMonths(start, months, true, context)),
+  HOUR: scalars([N], ([serial]) => {
+    const parts = timeParts(serial);
+    return isError(parts) ? parts : parts.hour;
+  }),
+  MINUTE: scalars([N], ([serial]) => {
+    const parts = timeParts(serial);
+    return isError(parts) ? parts : parts.minute;
+  }),
+  MONTH: scalars([N], ([serial], context) => {
+    const parts = dateParts(serial, context);
+    return isError(parts) ? parts : parts.month;
+  }),
+  NOW: volatile((args, context) => {
+    const now = new Date();
+    const utc = Date.UTC(
+      now.getFullYear(),
+      now.getMonth(),
+      now.getDate(),
+      now.getHours(),
+      now.getMinutes(),
+      now.getSeconds(),
+      now.getMilliseconds()
+    );
+    return toSerial(new Date(utc), context);
+  }),
+  SECOND: scalars([N], ([serial]) => {
+    const parts = timeParts(serial);
+    return isError(parts) ? parts : parts.second;
+  }),
+  TIME: scalars([N], ([hour, minute, second]) => {
+    const seconds = (Math.trunc(hour) * 3600) + (Math.trunc(minute) * 60) + Math.trunc(second);
+    if (seconds < 0) return makeError(ErrorValue.Num);
+    return (seconds % 86400) / 86400;
+  }),
+  TODAY: volatile((args, context) => {
+    const now = new Date();
+    return serialFromParts(now.getFullYear(), now.getMonth() + 1, now.getDate(), context);
+  }),
+  WEEKDAY: scalars([N], ([serial, type = 1], context) => {
+    const parts = dateParts(serial, context);
+    if (isError(parts)) return parts;
+    switch (type) {
+      case 1:
+        return parts.weekday + 1;
+      case 2:
+        return ((parts.weekday + 6) % 7) + 1;
+      case 3:
+        return (parts.weekday + 6) % 7;
+      default:
+        return makeError(ErrorValue.Num);
+    }
+  }),
+  YEAR: scalars([N], ([serial], context) => {
+    const parts = dateParts(serial, context);
+    return isError(parts) ? parts : parts.year;
+  }),
+};
+
+// AND, OR, XOR: references contribute booleans and numbers, direct arguments are coerced
+function logical(args, fn) {
+  const values = [];
+  for (const arg of args) {
+    if (isReference(arg) || Array.isArray(arg)) {
+      for (const value of flatten(arg)) {
+        if (isError(value)) return value;
+        if (typeof value === 'boolean' || typeof value === 'number') {
+          values.push(!!value);
+        }
+      }
+    } else {
+      const value = toBoolean(arg);
+      if (isError(value)) return value;
+      values.push(value);
+    }
+  }
+  return values.length ? fn(values) : makeError(ErrorValue.Value);
+}
+
+// the name of a function without the prefixes Excel adds to newer and user defined functions
+function normaliseFunctionName(name) {
+  return name.toUpperCase().replace(/^(_XLFN\.|_XLUDF\.)?(_XLWS\.)?/, '');
+}
+
+// the worksheet functions of Excel, whether implemented here or not
+const excelFunctions = new Set(
+  `
+  ABS ACCRINT ACCRINTM ACOS ACOSH ACOT ACOTH ADDRESS AGGREGATE AMORDEGRC AMORLINC AND ARABIC AREAS ARRAYTOTEXT ASC
+  ASIN ASINH ATAN ATAN2 ATANH AVEDEV AVERAGE AVERAGEA AVERAGEIF AVERAGEIFS BAHTTEXT BASE BESSELI BESSELJ BESSELK
+  BESSELY BETA.DIST BETA.INV BETADIST BETAINV BIN2DEC BIN2HEX BIN2OCT BINOM.DIST BINOM.DIST.RANGE BINOM.INV
+  BINOMDIST BITAND BITLSHIFT BITOR BITRSHIFT BITXOR BYCOL BYROW CALL CEILING CEILING.MATH CEILING.PRECISE CELL CHAR
+  CHIDIST CHIINV CHISQ.DIST CHISQ.DIST.RT CHISQ.INV CHISQ.INV.RT CHISQ.TEST CHITEST CHOOSE CHOOSECOLS CHOOSEROWS
+  CLEAN CODE COLUMN COLUMNS COMBIN COMBINA COMPLEX CONCAT CONCATENATE CONFIDENCE CONFIDENCE.NORM CONFIDENCE.T
+  CONVERT CORREL COS COSH COT COTH COUNT COUNTA COUNTBLANK COUNTIF COUNTIFS COUPDAYBS COUPDAYS COUPDAYSNC COUPNCD
+  COUPNUM COUPPCD COVAR COVARIANCE.P COVARIANCE.S CRITBINOM CSC CSCH CUBEKPIMEMBER CUBEMEMBER CUBEMEMBERPROPERTY
+  CUBERANKEDMEMBER CUBESET CUBESETCOUNT CUBEVALUE CUMIPMT CUMPRINC DATE DATEDIF DATEVALUE DAVERAGE DAY DAYS DAYS360
+  DB DBCS DCOUNT DCOUNTA DDB DEC2BIN DEC2HEX DEC2OCT DECIMAL DEGREES DELTA DEVSQ DGET DISC DMAX DMIN DOLLAR DOLLARDE
+  DOLLARFR DPRODUCT DROP DSTDEV DSTDEVP DSUM DURATION DVAR DVARP ECMA.CEILING EDATE EFFECT ENCODEURL EOMONTH ERF
+  ERF.PRECISE ERFC ERFC.PRECISE ERROR.TYPE EUROCONVERT EVEN EXACT EXP EXPAND EXPON.DIST EXPONDIST F.DIST F.DIST.RT
+  F.INV F.INV.RT F.TEST FACT FACTDOUBLE FALSE FDIST FIELDVALUE FILTER FILTERXML FIND FINDB FINV FISHER FISHERINV
+  FIXED FLOOR FLOOR.MATH FLOOR.PRECISE FORECAST FORECAST.ETS FORECAST.ETS.CONFINT FORECAST.ETS.SEASONALITY
+  FORECAST.ETS.STAT FORECAST.LINEAR FORMULATEXT FREQUENCY FTEST FV FVSCHEDULE GAMMA GAMMA.DIST GAMMA.INV GAMMADIST
+  GAMMAINV GAMMALN GAMMALN.PRECISE GAUSS GCD GEOMEAN GESTEP GETPIVOTDATA GROUPBY GROWTH HARMEAN HEX2BIN HEX2DEC
+  HEX2OCT HLOOKUP HOUR HSTACK HYPERLINK HYPGEOM.DIST HYPGEOMDIST IF IFERROR IFNA IFS IMABS IMAGE IMAGINARY
+  IMARGUMENT IMCONJUGATE IMCOS IMCOSH IMCOT IMCSC IMCSCH IMDIV IMEXP IMLN IMLOG10 IMLOG2 IMPOWER IMPRODUCT IMREAL
+  IMSEC IMSECH IMSIN IMSINH IMSQRT IMSUB IMSUM IMTAN INDEX INDIRECT INFO INT INTERCEPT INTRATE IPMT IRR ISBLANK
+  ISERR ISERROR ISEVEN ISFORMULA ISLOGICAL ISNA ISNONTEXT ISNUMBER ISO.CEILING ISODD ISOMITTED ISOWEEKNUM ISPMT
+  ISREF ISTEXT JIS KURT LAMBDA LARGE LCM LEFT LEFTB LEN LENB LET LINEST LN LOG LOG10 LOGEST LOGINV LOGNORM.DIST
+  LOGNORM.INV LOGNORMDIST LOOKUP LOWER MAKEARRAY MAP MATCH MAX MAXA MAXIFS MDETERM MDURATION MEDIAN MID MIDB MIN
+  MINA MINIFS MINUTE MINVERSE MIRR MMULT MOD MODE MODE.MULT MODE.SNGL MONTH MROUND MULTINOMIAL MUNIT N NA
+  NEGBINOM.DIST NEGBINOMDIST NETWORKDAYS NETWORKDAYS.INTL NOMINAL NORM.DIST NORM.INV NORM.S.DIST NORM.S.INV NORMDIST
+  NORMINV NORMSDIST NORMSINV NOT NOW NPER NPV NUMBERVALUE OCT2BIN OCT2DEC OCT2HEX ODD ODDFPRICE ODDFYIELD ODDLPRICE
+  ODDLYIELD OFFSET OR PDURATION PEARSON PERCENTILE PERCENTILE.EXC PERCENTILE.INC PERCENTOF PERCENTRANK
+  PERCENTRANK.EXC PERCENTRANK.INC PERMUT PERMUTATIONA PHI PHONETIC PI PIVOTBY PMT POISSON POISSON.DIST POWER PPMT
+  PRICE PRICEDISC PRICEMAT PROB PRODUCT PROPER PV QUARTILE QUARTILE.EXC QUARTILE.INC QUOTIENT RADIANS RAND RANDARRAY
+  RANDBETWEEN RANK RANK.AVG RANK.EQ RATE RECEIVED REDUCE REGEXEXTRACT REGEXREPLACE REGEXTEST REGISTER.ID REPLACE
+  REPLACEB REPT RIGHT RIGHTB ROMAN ROUND ROUNDDOWN ROUNDUP ROW ROWS RRI RSQ RTD SCAN SEARCH SEARCHB SEC SECH SECOND
+  SEQUENCE SERIESSUM SHEET SHEETS SIGN SIN SINH SKEW SKEW.P SLN SLOPE SMALL SORT SORTBY SQRT SQRTPI STANDARDIZE
+  STDEV STDEV.P STDEV.S STDEVA STDEVP STDEVPA STEYX SUBSTITUTE SUBTOTAL SUM SUMIF SUMIFS SUMPRODUCT SUMSQ SUMX2MY2
+  SUMX2PY2 SUMXMY2 SWITCH SYD T T.DIST T.DIST.2T T.DIST.RT T.INV T.INV.2T T.TEST TAKE TAN TANH TBILLEQ TBILLPRICE
+  TBILLYIELD TDIST TEXT TEXTAFTER TEXTBEFORE TEXTJOIN TEXTSPLIT TIME TIMEVALUE TINV TOCOL TODAY TOROW TRANSPOSE
+  TREND TRIM TRIMMEAN TRIMRANGE TRUE TRUNC TTEST TYPE UNICHAR UNICODE UNIQUE UPPER VALUE VALUETOTEXT VAR VAR.P VAR.S
+  VARA VARP VARPA VDB VLOOKUP VSTACK WEBSERVICE WEEKDAY WEEKNUM WEIBULL WEIBULL.DIST WORKDAY WORKDAY.INTL WRAPCOLS
+  WRAPROWS XIRR XLOOKUP XMATCH XNPV XOR YEAR YEARFRAC YIELD YIELDDISC YIELDMAT Z.TEST ZTEST
+`
+    .trim()
+    .split(/\s+/)
+);
+
+// whether Excel can calculate the function - one of its own or a newer one, which Excel stores with the _xlfn. prefix
+function isExcelFunction(name) {
+  return /^_xlfn\./i.test(name) || excelFunctions.has(normaliseFunctionName(name));
+}
+
+// the prefixes Excel stores the dynamic array functions with, e.g. _xlfn._xlws.FILTER
+const functionPrefixes = {
+  ANCHORARRAY: '_xlfn.',
+  FILTER: '_xlfn._xlws.',
+  RANDARRAY: '_xlfn.',
+  SEQUENCE: '_xlfn.',
+  SINGLE: '_xlfn.',
+  SORT: '_xlfn._xlws.',
+  SORTBY: '_xlfn.',
+  UNIQUE: '_xlfn.',
+  XLOOKUP: '_xlfn.',
+  XMATCH: '_xlfn.',
+};
+
+// quick test for formulae that might call any of them or use the spill (#) or implicit intersection (@) operators
+const prefixedFunctionRx = new RegExp(`[#@]|(${Object.keys(functionPrefixes).join('|')})\\(`, 'i');
+
+// function names outside of strings, for formulae that can't be tokenized
+const functionNameRx = /("(?:[^"]|"")*"?)|(^|[^A-Za-z0-9_.\\$])([A-Za-z_][A-Za-z0-9_.]*)(?=\()/g;
+
+function isOperator(token, values) {
+  return !!token && token.type === 'operator' && values.includes(token.value);
+}
+
+// the index of the token after a value, reference, function call or bracketed expression
+function primaryEnd(tokens, index) {
+  const open = tokens[index] && tokens[index].type === 'function' ? index + 1 : index;
+  if (!tokens[open] || (tokens[open].type !== '(' && tokens[open].type !== '{')) {
+    return index + 1;
+  }
+  let depth = 0;
+  let i = open;
+  do {
+    const {type} = tokens[i++];
+    if (type === '(' || type === '{') {
+      depth++;
+    } else if (type === ')' || type === '}') {
+      depth--;
+    }
+  } while (depth > 0 && i < tokens.length);
+  return i;
+}
+
+// the index of the token after the operand of a prefix operator, including any range and spill operators
+function operandEnd(tokens, index) {
+  let i = index;
+  while (isOperator(tokens[i], ['+', '-', '@'])) {
+    i++;
+  }
+  i = primaryEnd(tokens, i);
+  while (isOperator(tokens[i], [':', '#'])) {
+    i = tokens[i].value === '#' ? i + 1 : primaryEnd(tokens, i + 1);
+  }
+  return i;
+}
+
+// Rewrite the tokens of a formula, leaving the text between them untouched.
+// replacer.token is called with the index of each token and returns undefined to keep it,
+// otherwise the replacement text and the index of the token after those it replaces.
+// It is also given rewrite(from, to) to rewrite the tokens it replaces and tokenText(index).
+// Formulae that can't be tokenized still get their function names replaced by replacer.name.
+function rewriteFormula(formula, replacer) {
+  if (!prefixedFunctionRx.test(formula)) {
+    return formula;
+  }
+  let tokens;
+  try {
+    tokens = tokenize(formula);
+  } catch (error) {
+    return formula.replace(functionNameRx, (match, string, before, name) => {
+      const normalised = !string && normaliseFunctionName(name);
+      return normalised && functionPrefixes.hasOwnProperty(normalised) ? before + replacer.name(normalised) : match;
+    });
+  }
+  const tokenText = index => formula.substring(tokens[index].start, tokens[index].end);
+  const rewrite = (from, to, start = tokens[from].start, end = tokens[to - 1].end) => {
+    let result = '';
+    let pos = start;
+    let i = from;
+    while (i < to) {
+      const replacement = replacer.token(tokens, i, rewrite, tokenText);
+      if (replacement) {
+        const [text, next] = replacement;
+        result += formula.substring(pos, tokens[i].start) + text;
+        pos = tokens[next - 1].end;
+        i = next;
+      } else {
+        i++;
+      }
+    }
+    return result + formula.substring(pos, end);
+  };
+  return rewrite(0, tokens.length, 0, formula.length);
+}
+
+// add the prefixes Excel expects to the dynamic array functions of a formula.
+// Spill ranges (A1#) are written as ANCHORARRAY(A1) and implicit intersections (@A1:A3) as SINGLE(A1:A3)
+function addFunctionPrefixes(formula) {
+  const prefix = name => functionPrefixes[name] + name;
+  return rewriteFormula(formula, {
+    name: prefix,
+    token(tokens, i, rewrite, tokenText) {
+      const token = tokens[i];
+      if (isOperator(token, ['@'])) {
+        const end = operandEnd(tokens, i + 1);
+        return end > i + 1 && [`${prefix('SINGLE')}(${rewrite(i + 1, end)})`, end];
+      }
+      if ((token.type === 'cell' || token.type === 'name') && isOperator(tokens[i + 1], ['#'])) {
+        return [`${prefix('ANCHORARRAY')}(${tokenText(i)})`, i + 2];
+      }
+      const name = token.type === 'function' && normaliseFunctionName(token.value);
+      return name && functionPrefixes.hasOwnProperty(name) ? [prefix(name), i + 1] : undefined;
+    },
+  });
+}
+
+// remove the prefixes of the dynamic array functions of a formula,
+// turning ANCHORARRAY and SINGLE back into the spill (#) and implicit intersection (@) operators
+function removeFunctionPrefixes(formula) {
+  return rewriteFormula(formula, {
+    name: name => name,
+    token(tokens, i, rewrite, tokenText) {
+      const token = tokens[i];
+      const name = token.type === 'function' && normaliseFunctionName(token.value);
+      if (!name || !functionPrefixes.hasOwnProperty(name)) {
+        return undefined;
+      }
+      // the arguments are the tokens between the brackets
+      const end = primaryEnd(tokens, i);
+      const from = i + 2;
+      const to = end - 1;
+      const argument = tokens[from];
+      if (name === 'ANCHORARRAY' && to === from + 1 && (argument.type === 'cell' || argument.type === 'name')) {
+        return [`${tokenText(from)}#`, end];
+      }
+      if (name === 'SINGLE' && to > from && tokens[to] && tokens[to].type === ')') {
+        const operand = rewrite(from, to);
+        return [operandEnd(tokens, from) === to ? `@${operand}` : `@(${operand})`, end];
+      }
+      return [name, i + 1];
+    },
+  });
+}
+
+module.exports = {
+  functions,
+  formatText,
+  normaliseFunctionName,
+  isExcelFunction,
+  addFunctionPrefixes,
+  removeFunctionPrefixes,
+};
@@ -0,0 +1,776 @@
+/* eslint-disable max-classes-per-file */
+const colCache = require('./col-cache');
+
+// Tokenizer and parser for Excel formulae.
+//
+// parse(formula) returns an AST made of plain objects:
+//   {type: 'number', value}
+//   {type: 'string', value}
+//   {type: 'boolean', value}
+//   {type: 'error', value}                      e.g. '#N/A'
+//   {type: 'missing'}                           an omitted function argument
+//   {type: 'cell', workbook, sheetName, lastSheetName, address, col, row, colAbsolute, rowAbsolute}
+//   {type: 'range', workbook, sheetName, lastSheetName, tl, br}
+//                                               tl and br are cell, column or row nodes
+//   {type: 'column', col, colAbsolute}          bound of a whole column range such as A:C
+//   {type: 'row', row, rowAbsolute}             bound of a whole row range such as 1:3
+//   {type: 'name', workbook, sheetName, name}
+//   {type: 'structured', table, specifiers, columns}
+//                                               table reference e.g. Table1[[#Headers],[A]:[B]]
+//   {type: 'function', name, args}
+//   {type: 'unary', operator, operand}          operator is one of '+', '-', '%',
+//                                               '@' (implicit intersection) or '#' (spill range)
+//   {type: 'binary', operator, left, right}     including ':' (range), ' ' (intersection) and ',' (union)
+//   {type: 'array', rows}                       array constant, rows of literal nodes
+//
+// sheetName is only present on references that are qualified with a sheet.
+// lastSheetName is only present on 3D references such as Sheet1:Sheet3!A1, which
+// refer to the same cells on every sheet from sheetName to lastSheetName.
+// workbook is only present on references to other workbooks such as [1]Sheet1!A1 or [1]!Total,
+// where it is the number of the external link of the file that the workbook is stored as.
+//
+// tokenize(formula) returns the tokens, each with the start and end offsets of its
+// text within the formula. Reference tokens (cell, range, name and structured) carry
+// their AST node as value so that references can be found and rewritten in place.
+
+const errorRx = /^#(NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|GETTING_DATA|SPILL!|CALC!)/i;
+const numberRx = /^(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?/i;
+const identifierRx = /^[A-Za-z_\\$\u00A1-\uFFFF][A-Za-z0-9_.$\u00A1-\uFFFF]*/;
+const sheetNameRx = /^[A-Za-z0-9_.\u00A1-\uFFFF]+(?=!)/;
+const sheetSpanRx = /^([A-Za-z0-9_.\u00A1-\uFFFF]+):([A-Za-z0-9_.\u00A1-\uFFFF]+)(?=!)/;
+const bareSheetNameRx = /^[A-Za-z_\u00A1-\uFFFF][A-Za-z0-9_.\u00A1-\uFFFF]*$/;
+const workbookRx = /^\[([^[\]']+)\]/;
+const cellRx = /^(\$)?([A-Za-z]{1,3})(\$)?([1-9][0-9]*)$/;
+// the spill operator applies to a cell so A1:B1# is A1 to the spill range of B1
+const cellRangeRx = /^(\$?[A-Za-z]{1,3}\$?[0-9]+)(:(\$?[A-Za-z]{1,3}\$?[0-9]+)(?!#))?(?![A-Za-z0-9_.([])/;
+const columnRangeRx = /^(\$)?([A-Za-z]{1,3}):(\$)?([A-Za-z]{1,3})(?![A-Za-z0-9_.(!$[])/;
+const rowRangeRx = /^(\$)?([1-9][0-9]*):(\$)?([1-9][0-9]*)(?![A-Za-z0-9_.(!$[])/;
+const operators = ['<=', '>=', '<>', '+', '-', '*', '/', '^', '&', '=', '<', '>', '%', ':', '@'];
+const specifiers = ['#All', '#Data', '#Headers', '#Totals', '#This Row'];
+
+const MAX_ROW = 1048576;
+
+function decodeColumn(absolute, letters) {
+  letters = letters.toUpperCase();
+  if (letters.length === 3 && letters > 'XFD') {
+    return undefined;
+  }
+  return {type: 'column', col: colCache.l2n(letters), colAbsolute: !!absolute};
+}
+
+function decodeRow(absolute, digits) {
+  const row = parseInt(digits, 10);
+  if (row > MAX_ROW) {
+    return undefined;
+  }
+  return {type: 'row', row, rowAbsolute: !!absolute};
+}
+
+function decodeCell(text) {
+  const match = cellRx.exec(text);
+  if (!match) {
+    return undefined;
+  }
+  const column = decodeColumn(match[1], match[2]);
+  const row = decodeRow(match[3], match[4]);
+  if (!column || !row) {
+    // beyond the last column or row - must be a name
+    return undefined;
+  }
+  return {
+    type: 'cell',
+    address: colCache.n2l(column.col) + row.row,
+    col: column.col,
+    row: row.row,
+    colAbsolute: column.colAbsolute,
+    rowAbsolute: row.rowAbsolute,
+  };
+}
+
+function normaliseSpecifier(text) {
+  const lower = text.replace(/\s+/g, ' ').toLowerCase();
+  return specifiers.find(specifier => specifier.toLowerCase() === lower);
+}
+
+// structured reference column names escape special characters with '
+function unescapeColumn(text) {
+  return text.replace(/'(.)/g, '$1').trim();
+}
+
+function escapeColumn(name) {
+  return name.replace(/['#[\]]/g, '\'$&');
+}
+
+// add the workbook and sheets a reference is qualified with to its node
+function qualify(node, sheetName, lastSheetName, workbook) {
+  const qualifiers = {};
+  if (workbook !== undefined) {
+    qualifiers.workbook = workbook;
+  }
+  if (sheetName !== undefined) {
+    qualifiers.sheetName = sheetName;
+  }
+  if (lastSheetName !== undefined) {
+    qualifiers.lastSheetName = lastSheetName;
+  }
+  return Object.assign(qualifiers, node);
+}
+
+class Tokenizer {
+  constructor(formula) {
+    this.text = formula;
+    this.pos = formula[0] === '=' ? 1 : 0;
+    this.tokens = [];
+  }
+
+  get rest() {
+    return this.text.substr(this.pos);
+  }
+
+  error(message) {
+    throw new Error(`Invalid formula "${this.text}": ${message} at position ${this.pos}`);
+  }
+
+  push(type, value, start) {
+    this.tokens.push({type, value, start, end: this.pos});
+  }
+
+  tokenize() {
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+      const start = this.pos;
+      if (/\s/.test(ch)) {
+        this.pos++;
+      } else if (ch === '"') {
+        this.readString();
+      } else if (ch === '#' && this.followsSpillable()) {
+        this.pos++;
+        this.push('operator', '#', start);
+      } else if (ch === '#') {
+        this.readError(start);
+      } else if (ch === '\'') {
+        this.readQuotedSheet();
+      } else if (ch === '[' && this.isExternal()) {
+        this.readExternal();
+      } else if (ch === '[') {
+        this.readStructured(undefined, start);
+      } else if (/[0-9.]/.test(ch) || identifierRx.test(ch)) {
+        this.readWord();
+      } else if ('(),;{}'.includes(ch)) {
+        this.pos++;
+        this.push(ch, ch, start);
+      } else {
+        const {rest} = this;
+        const operator = operators.find(op => rest.startsWith(op));
+        if (!operator) {
+          this.error(`unexpected character '${ch}'`);
+        }
+        this.pos += operator.length;
+        this.push('operator', operator, start);
+      }
+    }
+    return this.tokens;
+  }
+
+  // [1] followed by a sheet or a ! refers to another workbook rather than a table column
+  isExternal() {
+    const match = workbookRx.exec(this.rest);
+    if (!match) {
+      return false;
+    }
+    const after = this.rest.substr(match[0].length);
+    return after[0] === '!' || sheetSpanRx.test(after) || sheetNameRx.test(after);
+  }
+
+  // a # straight after a cell or a name is the spill range operator, e.g. A1#
+  followsSpillable() {
+    const last = this.tokens[this.tokens.length - 1];
+    return !!last && last.end === this.pos && (last.type === 'cell' || last.type === 'name');
+  }
+
+  readString() {
+    const start = this.pos;
+    let value = '';
+    let i = this.pos + 1;
+    for (;;) {
+      if (i >= this.text.length) {
+        this.error('unterminated string');
+      }
+      if (this.text[i] === '"') {
+        if (this.text[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else {
+          break;
+        }
+      } else {
+        value += this.text[i++];
+      }
+    }
+    this.pos = i + 1;
+    this.push('string', value, start);
+  }
+
+  readError(start) {
+    const match = errorRx.exec(this.rest);
+    if (!match) {
+      this.error('unknown error literal');
+    }
+    this.pos += match[0].length;
+    this.push('error', match[0].toUpperCase(), start);
+  }
+
+  readQuotedSheet() {
+    const start = this.pos;
+    let sheetName = '';
+    let i = this.pos + 1;
+    for (;;) {
+      if (i >= this.text.length) {
+        this.error('unterminated sheet name');
+      }
+      if (this.text[i] === '\'') {
+        if (this.text[i + 1] === '\'') {
+          sheetName += '\'';
+          i += 2;
+        } else {
+          break;
+        }
+      } else {
+        sheetName += this.text[i++];
+      }
+    }
+    if (this.text[i + 1] !== '!') {
+      this.error('expected ! after sheet name');
+    }
+    this.pos = i + 2;
+    // e.g. '[1]Sheet 1'!A1 on a sheet of another workbook
+    let workbook;
+    const workbookMatch = workbookRx.exec(sheetName);
+    if (workbookMatch) {
+      workbook = workbookMatch[1];
+      sheetName = sheetName.substr(workbookMatch[0].length);
+    }
+    // sheet names can't contain a colon so one separates the sheets of a 3D reference
+    // ('[1]'!Total is a name of the workbook)
+    const [first, last] = sheetName ? sheetName.split(':') : [];
+    this.readSheetReference(first, start, last, workbook);
+  }
+
+  // a reference to another workbook, e.g. [1]Sheet1!A1 or [1]!Total for a name of the workbook
+  readExternal() {
+    const start = this.pos;
+    const [prefix, workbook] = workbookRx.exec(this.rest);
+    this.pos += prefix.length;
+    if (this.text[this.pos] === '!') {
+      this.pos++;
+      this.readSheetReference(undefined, start, undefined, workbook);
+    } else {
+      this.readSheet(start, workbook);
+    }
+  }
+
+  // read an unquoted sheet and the reference on it, returning false if there is no sheet
+  readSheet(start, workbook) {
+    const spanMatch = sheetSpanRx.exec(this.rest);
+    if (spanMatch) {
+      this.pos += spanMatch[0].length + 1;
+      this.readSheetReference(spanMatch[1], start, spanMatch[2], workbook);
+      return true;
+    }
+    const sheetMatch = sheetNameRx.exec(this.rest);
+    if (sheetMatch) {
+      this.pos += sheetMatch[0].length + 1;
+      this.readSheetReference(sheetMatch[0], start, undefined, workbook);
+      return true;
+    }
+    return false;
+  }
+
+  // a word is a reference, number, function name, boolean or name
+  readWord() {
+    const start = this.pos;
+    if (this.readSheet(start)) {
+      return;
+    }
+
+    if (this.readReference(undefined, start)) {
+      return;
+    }
+
+    const numberMatch = numberRx.exec(this.rest);
+    if (numberMatch) {
+      this.pos += numberMatch[0].length;
+      this.push('number', parseFloat(numberMatch[0]), start);
+      return;
+    }
+
+    const match = identifierRx.exec(this.rest);
+    if (!match) {
+      this.error(`unexpected character '${this.text[this.pos]}'`);
+    }
+    const identifier = match[0];
+    this.pos += identifier.length;
+
+    const next = this.text[this.pos];
+    if (next === '(') {
+      this.push('function', identifier, start);
+      return;
+    }
+    if (next === '[') {
+      this.readStructured(identifier, start);
+      return;
+    }
+
+    const upper = identifier.toUpperCase();
+    if (upper === 'TRUE' || upper === 'FALSE') {
+      this.push('boolean', upper === 'TRUE', start);
+      return;
+    }
+
+    this.push('name', {type: 'name', name: identifier}, start);
+  }
+
+  readSheetReference(sheetName, start, lastSheetName, workbook) {
+    if (this.text[this.pos] === '#') {
+      // e.g. Sheet1!#REF!
+      this.readError(start);
+      return;
+    }
+    if (sheetName !== undefined && this.readReference(sheetName, start, lastSheetName, workbook)) {
+      return;
+    }
+    const match = identifierRx.exec(this.rest);
+    if (!match || lastSheetName !== undefined) {
+      this.error(`invalid reference on sheet ${sheetName}`);
+    }
+    this.pos += match[0].length;
+    this.push('name', qualify({type: 'name', name: match[0]}, sheetName, lastSheetName, workbook), start);
+  }
+
+  // try to read a cell, range, whole column or whole row reference
+  readReference(sheetName, start, lastSheetName, workbook) {
+    const {rest} = this;
+    let node;
+    let match = rowRangeRx.exec(rest);
+    if (match) {
+      const tl = decodeRow(match[1], match[2]);
+      const br = decodeRow(match[3], match[4]);
+      node = tl && br && {type: 'range', tl, br};
+    } else {
+      match = columnRangeRx.exec(rest);
+      if (match) {
+        const tl = decodeColumn(match[1], match[2]);
+        const br = decodeColumn(match[3], match[4]);
+        node = tl && br && {type: 'range', tl, br};
+      } else {
+        match = cellRangeRx.exec(rest);
+        if (match) {
+          const tl = decodeCell(match[1]);
+          const br = match[3] && decodeCell(match[3]);
+          node = match[3] ? tl && br && {type: 'range', tl, br} : tl;
+        }
+      }
+    }
+    if (!node) {
+      return false;
+    }
+    node = qualify(node, sheetName, lastSheetName, workbook);
+    this.pos += match[0].length;
+    this.push(node.type, node, start);
+    return true;
+  }
+
+  // read the bracketed part of a structured reference, table is undefined within a table
+  readStructured(table, start) {
+    let depth = 0;
+    let i = this.pos;
+    for (;;) {
+      if (i >= this.text.length) {
+        this.error('unterminated structured reference');
+      }
+      const ch = this.text[i++];
+      if (ch === '\'') {
+        i++;
+      } else if (ch === '[') {
+        depth++;
+      } else if (ch === ']' && --depth === 0) {
+        break;
+      }
+    }
+    const body = this.text.substring(this.pos + 1, i - 1);
+    this.pos = i;
+    const node = {type: 'structured', table, specifiers: [], columns: []};
+    this.parseStructuredBody(body, node);
+    this.push('structured', node, start);
+  }
+
+  parseStructuredBody(body, node) {
+    const trimmed = body.trim();
+    if (trimmed[0] === '[') {
+      // list of items e.g. [#Headers],[Col1]:[Col2]
+      const itemRx = /\s*\[((?:'.|[^\]'])*)\]\s*([,:]?)/y;
+      let last = 0;
+      let match = itemRx.exec(trimmed);
+      while (match) {
+        this.parseStructuredItem(match[1], node);
+        last = itemRx.lastIndex;
+        match = match[2] ? itemRx.exec(trimmed) : null;
+      }
+      if (last !== trimmed.length) {
+        this.error('invalid structured reference');
+      }
+    } else if (trimmed[0] === '@') {
+      node.specifiers.push('#This Row');
+      const column = trimmed.substr(1).trim();
+      if (column[0] === '[') {
+        this.parseStructuredBody(column, node);
+      } else if (column) {
+        node.columns.push(unescapeColumn(column));
+      }
+    } else if (trimmed) {
+      this.parseStructuredItem(trimmed, node);
+    }
+  }
+
+  parseStructuredItem(item, node) {
+    if (item[0] === '#') {
+      const specifier = normaliseSpecifier(item);
+      if (!specifier) {
+        this.error(`unknown table specifier ${item}`);
+      }
+      node.specifiers.push(specifier);
+    } else if (item[0] === '@') {
+      node.specifiers.push('#This Row');
+      if (item.length > 1) {
+        node.columns.push(unescapeColumn(item.substr(1)));
+      }
+    } else {
+      node.columns.push(unescapeColumn(item));
+    }
+  }
+}
+
+function tokenize(formula) {
+  return new Tokenizer(formula).tokenize();
+}
+
+// Operator precedence, lowest first
+const binaryLevels = [['=', '<>', '<', '>', '<=', '>='], ['&'], ['+', '-'], ['*', '/'], ['^']];
+
+class Parser {
+  constructor(formula) {
+    this.formula = formula;
+    this.tokens = tokenize(formula);
+    this.index = 0;
+  }
+
+  get token() {
+    return this.tokens[this.index];
+  }
+
+  error(message) {
+    throw new Error(`Invalid formula "${this.formula}": ${message}`);
+  }
+
+  // the text of a token as it is in the formula
+  text(token) {
+    return this.formula.substring(token.start, token.end);
+  }
+
+  isOperator(values) {
+    const {token} = this;
+    return token && token.type === 'operator' && values.includes(token.value);
+  }
+
+  expect(type) {
+    const {token} = this;
+    if (!token || token.type !== type) {
+      this.error(`expected '${type}'`);
+    }
+    this.index++;
+    return token;
+  }
+
+  parse() {
+    if (!this.tokens.length) {
+      this.error('empty formula');
+    }
+    const node = this.parseBinary(0);
+    if (this.token) {
+      this.error(`unexpected '${this.text(this.token)}'`);
+    }
+    return node;
+  }
+
+  parseBinary(level) {
+    if (level >= binaryLevels.length) {
+      return this.parseUnary();
+    }
+    let left = this.parseBinary(level + 1);
+    while (this.isOperator(binaryLevels[level])) {
+      const operator = this.token.value;
+      this.index++;
+      const right = this.parseBinary(level + 1);
+      left = {type: 'binary', operator, left, right};
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator(['-', '+', '@'])) {
+      const operator = this.token.value;
+      this.index++;
+      return {type: 'unary', operator, operand: this.parseUnary()};
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parseIntersection();
+    while (this.isOperator(['%'])) {
+      this.index++;
+      node = {type: 'unary', operator: '%', operand: node};
+    }
+    return node;
+  }
+
+  // the range operator between references, e.g. A1:INDEX(B:B,3) or A1:B2:C3
+  parseRange() {
+    let left = this.parseSpill();
+    while (this.isOperator([':'])) {
+      this.index++;
+      const right = this.parseSpill();
+      left = {type: 'binary', operator: ':', left, right};
+    }
+    return left;
+  }
+
+  // references separated by white space intersect, e.g. A1:C3 B2:D4
+  parseIntersection() {
+    let left = this.parseRange();
+    while (this.isIntersection()) {
+      const right = this.parseRange();
+      left = {type: 'binary', operator: ' ', left, right};
+    }
+    return left;
+  }
+
+  isIntersection() {
+    const {token} = this;
+    const previous = this.tokens[this.index - 1];
+    return (
+      !!token &&
+      token.start > previous.end &&
+      ['cell', 'range', 'name', 'structured', 'function', '('].includes(token.type) &&
+      ['cell', 'range', 'name', 'structured', ')'].includes(previous.type)
+    );
+  }
+
+  parseSpill() {
+    const node = this.parsePrimary();
+    if (this.isOperator(['#'])) {
+      this.index++;
+      return {type: 'unary', operator: '#', operand: node};
+    }
+    return node;
+  }
+
+  parsePrimary() {
+    const {token} = this;
+    if (!token) {
+      this.error('unexpected end of formula');
+    }
+    this.index++;
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'boolean':
+      case 'error':
+        return {type: token.type, value: token.value};
+      case 'cell':
+      case 'range':
+      case 'name':
+      case 'structured':
+        return token.value;
+      case 'function':
+        return this.parseFunction(token.value);
+      case '(': {
+        // within brackets a comma is the union operator, e.g. SUM((A1,B1:B3))
+        let node = this.parseBinary(0);
+        while (this.token && this.token.type === ',') {
+          this.index++;
+          node = {type: 'binary', operator: ',', left: node, right: this.parseBinary(0)};
+        }
+        this.expect(')');
+        return node;
+      }
+      case '{':
+        return this.parseArray();
+      default:
+        return this.error(`unexpected '${this.text(token)}'`);
+    }
+  }
+
+  parseFunction(name) {
+    this.expect('(');
+    const args = [];
+    if (this.token && this.token.type === ')') {
+      this.index++;
+      return {type: 'function', name, args};
+    }
+    for (;;) {
+      const {token} = this;
+      if (token && (token.type === ',' || token.type === ')')) {
+        args.push({type: 'missing'});
+      } else {
+        args.push(this.parseBinary(0));
+      }
+      if (this.token && this.token.type === ',') {
+        this.index++;
+      } else {
+        this.expect(')');
+        return {type: 'function', name, args};
+      }
+    }
+  }
+
+  parseArray() {
+    const rows = [[]];
+    for (;;) {
+      let negate = false;
+      if (this.isOperator(['-'])) {
+        negate = true;
+        this.index++;
+      }
+      const {token} = this;
+      if (!token || !['number', 'string', 'boolean', 'error'].includes(token.type)) {
+        this.error('invalid array constant');
+      }
+      this.index++;
+      rows[rows.length - 1].push({type: token.type, value: negate ? -token.value : token.value});
+
+      const separator = this.token;
+      this.index++;
+      if (!separator) {
+        this.error('unterminated array constant');
+      } else if (separator.type === ';') {
+        rows.push([]);
+      } else if (separator.type === '}') {
+        return {type: 'array', rows};
+      } else if (separator.type !== ',') {
+        this.error('invalid array constant');
+      }
+    }
+  }
+}
+
+function parse(formula) {
+  return new Parser(formula).parse();
+}
+
+// =========================================================================
+// References
+
+const referenceTypes = ['cell', 'range', 'name', 'structured'];
+
+function isBareSheetName(sheetName) {
+  return bareSheetNameRx.test(sheetName) && !cellRx.test(sheetName) && !/^R\d*C\d*$/i.test(sheetName);
+}
+
+function quoteSheetName(sheetName) {
+  if (isBareSheetName(sheetName)) {
+    return sheetName;
+  }
+  return `'${sheetName.replace(/'/g, '\'\'')}'`;
+}
+
+// the workbook and sheet qualifying a reference node, including the ! - the workbook and
+// the sheets of a 3D reference are quoted together
+function formatSheetPrefix(node) {
+  const {workbook, sheetName, lastSheetName} = node;
+  const book = workbook === undefined ? '' : `[${workbook}]`;
+  if (sheetName === undefined) {
+    return book && `${book}!`;
+  }
+  const sheets = lastSheetName === undefined ? sheetName : `${sheetName}:${lastSheetName}`;
+  if (isBareSheetName(sheetName) && (lastSheetName === undefined || isBareSheetName(lastSheetName))) {
+    return `${book}${sheets}!`;
+  }
+  return `'${(book + sheets).replace(/'/g, '\'\'')}'!`;
+}
+
+function formatBound(node) {
+  const col = node.colAbsolute ? `$${colCache.n2l(node.col)}` : colCache.n2l(node.col);
+  const row = node.rowAbsolute ? `$${node.row}` : `${node.row}`;
+  switch (node.type) {
+    case 'column':
+      return col;
+    case 'row':
+      return row;
+    default:
+      return col + row;
+  }
+}
+
+function formatStructured(node) {
+  const items = node.specifiers.map(specifier => `[${specifier}]`);
+  if (node.columns.length) {
+    items.push(node.columns.map(column => `[${escapeColumn(column)}]`).join(':'));
+  }
+  // a lone column or specifier doesn't need the inner brackets
+  const body = items.length === 1 && node.columns.length < 2 ? items[0] : `[${items.join(',')}]`;
+  return (node.table || '') + (items.length ? body : '[]');
+}
+
+// render a reference node as formula text
+function formatReference(node) {
+  const prefix = formatSheetPrefix(node);
+  switch (node.type) {
+    case 'cell':
+      return prefix + formatBound(node);
+    case 'range':
+      return `${prefix}${formatBound(node.tl)}:${formatBound(node.br)}`;
+    case 'name':
+      return prefix + node.name;
+    case 'structured':
+      return formatStructured(node);
+    default:
+      throw new Error(`Not a reference: ${node.type}`);
+  }
+}
+
+// list the reference nodes of a formula along with their text
+function getReferences(formula) {
+  return tokenize(formula)
+    .filter(token => referenceTypes.includes(token.type))
+    .map(token => ({node: token.value, text: formula.substring(token.start, token.end)}));
+}
+
+// Rewrite the references of a formula, leaving the rest of the text untouched.
+// replacer is called with each reference node and returns undefined to keep it,
+// otherwise a new node or the text to replace it with.
+function replaceReferences(formula, replacer) {
+  let result = '';
+  let pos = 0;
+  tokenize(formula).forEach(token => {
+    if (referenceTypes.includes(token.type)) {
+      const replacement = replacer(token.value);
+      if (replacement !== undefined) {
+        result += formula.substring(pos, token.start);
+        result += typeof replacement === 'string' ? replacement : formatReference(replacement);
+        pos = token.end;
+      }
+    }
+  });
+  return result + formula.substring(pos);
+}
+
+module.exports = {
+  tokenize,
+  parse,
+  quoteSheetName,
+  formatSheetPrefix,
+  formatReference,
+  getReferences,
+  replaceReferences,
+};
@@ -0,0 +1,347 @@
+const Enums = require('../doc/enums');
+
+// Values used while evaluating formulae:
+//   null            a blank cell or an omitted argument
+//   number, string, boolean
+//   {error}         an Excel error, same shape as an Error cell value
+//   Array           a 2D array (array of rows) of the above
+//   Reference       a rectangular block of cells on a worksheet
+
+const {ErrorValue} = Enums;
+
+function makeError(error) {
+  return {error};
+}
+
+function isError(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && typeof value.error === 'string';
+}
+
+class Reference {
+  constructor(context, worksheet, top, left, bottom, right) {
+    this.context = context;
+    this.worksheet = worksheet;
+    this.top = top;
+    this.left = left;
+    this.bottom = bottom;
+    this.right = right;
+  }
+
+  get rowCount() {
+    return this.bottom - this.top + 1;
+  }
+
+  get columnCount() {
+    return this.right - this.left + 1;
+  }
+
+  get isCell() {
+    return this.top === this.bottom && this.left === this.right;
+  }
+
+  // value at zero based offset within the reference
+  getValue(rowOffset, colOffset) {
+    return this.context.getCellValue(this.worksheet, this.top + rowOffset, this.left + colOffset);
+  }
+
+  // sub-reference at zero based offset within the reference
+  offset(rowOffset, colOffset, rowCount = 1, columnCount = 1) {
+    const top = this.top + rowOffset;
+    const left = this.left + colOffset;
+    return new Reference(
+      this.context,
+      this.worksheet,
+      top,
+      left,
+      top + rowCount - 1,
+      left + columnCount - 1
+    );
+  }
+
+  toArray() {
+    const rows = [];
+    for (let r = 0; r < this.rowCount; r++) {
+      const row = [];
+      for (let c = 0; c < this.columnCount; c++) {
+        row.push(this.getValue(r, c));
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // reduce to a single value using implicit intersection with the formula's cell
+  toScalar() {
+    if (this.isCell) {
+      return this.getValue(0, 0);
+    }
+    const {row, col} = this.context;
+    if (this.left === this.right && row >= this.top && row <= this.bottom) {
+      return this.getValue(row - this.top, 0);
+    }
+    if (this.top === this.bottom && col >= this.left && col <= this.right) {
+      return this.getValue(0, col - this.left);
+    }
+    return makeError(ErrorValue.Value);
+  }
+}
+
+function isReference(value) {
+  return value instanceof Reference;
+}
+
+// references and arrays as 2D arrays, scalars as 1x1 arrays
+function toArray(value) {
+  if (value instanceof Reference) {
+    return value.toArray();
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return [[value]];
+}
+
+function toScalar(value) {
+  if (value instanceof Reference) {
+    return value.toScalar();
+  }
+  if (Array.isArray(value)) {
+    return value[0][0];
+  }
+  return value;
+}
+
+// all values of the argument in row major order
+function flatten(value) {
+  return toArray(value).reduce((values, row) => values.concat(row), []);
+}
+
+function formatNumber(value) {
+  if (Number.isInteger(value) && Math.abs(value) < 1e15) {
+    return value.toString();
+  }
+  return parseFloat(value.toPrecision(15))
+    .toString()
+    .toUpperCase();
+}
+
+function parseNumber(text) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return undefined;
+  }
+  const percent = trimmed.endsWith('%');
+  const numeric = Number((percent ? trimmed.slice(0, -1) : trimmed).replace(/,/g, ''));
+  if (!Number.isFinite(numeric)) {
+    return undefined;
+  }
+  return percent ? numeric / 100 : numeric;
+}
+
+function toNumber(value) {
+  value = toScalar(value);
+  if (value === null || value === undefined) {
+    return 0;
+  }
+  switch (typeof value) {
+    case 'number':
+      return value;
+    case 'boolean':
+      return value ? 1 : 0;
+    case 'string': {
+      const number = parseNumber(value);
+      return number === undefined ? makeError(ErrorValue.Value) : number;
+    }
+    default:
+      return isError(value) ? value : makeError(ErrorValue.Value);
+  }
+}
+
+function toText(value) {
+  value = toScalar(value);
+  if (value === null || value === undefined) {
+    return '';
+  }
+  switch (typeof value) {
+    case 'string':
+      return value;
+    case 'number':
+      return formatNumber(value);
+    case 'boolean':
+      return value ? 'TRUE' : 'FALSE';
+    default:
+      return isError(value) ? value : makeError(ErrorValue.Value);
+  }
+}
+
+function toBoolean(value) {
+  value = toScalar(value);
+  if (value === null || value === undefined) {
+    return false;
+  }
+  switch (typeof value) {
+    case 'boolean':
+      return value;
+    case 'number':
+      return value !== 0;
+    case 'string':
+      switch (value.toUpperCase()) {
+        case 'TRUE':
+          return true;
+        case 'FALSE':
+          return false;
+        default:
+          return makeError(ErrorValue.Value);
+      }
+    default:
+      return isError(value) ? value : makeError(ErrorValue.Value);
+  }
+}
+
+// Excel orders numbers before text before booleans; blanks take the type of the other side
+function typeRank(value) {
+  switch (typeof value) {
+    case 'number':
+      return 0;
+    case 'string':
+      return 1;
+    case 'boolean':
+      return 2;
+    default:
+      return 0;
+  }
+}
+
+function blankAs(other) {
+  switch (typeof other) {
+    case 'string':
+      return '';
+    case 'boolean':
+      return false;
+    default:
+      return 0;
+  }
+}
+
+function compare(a, b) {
+  if (a === null || a === undefined) {
+    a = blankAs(b);
+  }
+  if (b === null || b === undefined) {
+    b = blankAs(a);
+  }
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) {
+    return rankA < rankB ? -1 : 1;
+  }
+  if (typeof a === 'string') {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+  }
+  if (a < b) {
+    return -1;
+  }
+  return a > b ? 1 : 0;
+}
+
+// convert Excel wildcards (* ? and ~ escapes) to a regular expression
+function wildcardToRegExp(pattern, anchored = true) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '~' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (ch === '*') {
+      source += '[\\s\\S]*';
+    } else if (ch === '?') {
+      source += '[\\s\\S]';
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return anchored ? new RegExp(`^${source}$`, 'i') : new RegExp(source, 'i');
+}
+
+// build a predicate from a COUNTIF style criterion such as 5, ">=10", "<>", "app*"
+function makeCriterion(criterion) {
+  criterion = toScalar(criterion);
+  if (typeof criterion === 'number' || typeof criterion === 'boolean') {
+    return value => value === criterion;
+  }
+  if (isError(criterion)) {
+    return value => isError(value) && value.error === criterion.error;
+  }
+  const text = toText(criterion);
+  const [, operator = '=', operand] = /^(<=|>=|<>|<|>|=)?([\s\S]*)$/.exec(text);
+  const number = parseNumber(operand);
+  const upper = operand.toUpperCase();
+
+  if (operand === '') {
+    const isBlank = value => value === null || value === undefined || value === '';
+    return operator === '<>' ? value => !isBlank(value) : isBlank;
+  }
+
+  // order returns the comparison with the operand or undefined when the types differ
+  let order;
+  if (number !== undefined) {
+    order = value => (typeof value === 'number' ? compare(value, number) : undefined);
+  } else if (upper === 'TRUE' || upper === 'FALSE') {
+    const bool = upper === 'TRUE';
+    order = value => (typeof value === 'boolean' ? compare(value, bool) : undefined);
+  } else if (operator === '=' || operator === '<>') {
+    const rx = wildcardToRegExp(operand);
+    order = value => {
+      if (typeof value !== 'string') return undefined;
+      return rx.test(value) ? 0 : 1;
+    };
+  } else {
+    order = value => (typeof value === 'string' ? compare(value, operand) : undefined);
+  }
+  return value => {
+    const result = order(value);
+    if (result === undefined) {
+      return operator === '<>';
+    }
+    return compareWith(operator, result);
+  };
+}
+
+function compareWith(operator, order) {
+  switch (operator) {
+    case '=':
+      return order === 0;
+    case '<>':
+      return order !== 0;
+    case '<':
+      return order < 0;
+    case '<=':
+      return order <= 0;
+    case '>':
+      return order > 0;
+    case '>=':
+      return order >= 0;
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  ErrorValue,
+  Reference,
+  makeError,
+  isError,
+  isReference,
+  toArray,
+  toScalar,
+  flatten,
+  formatNumber,
+  parseNumber,
+  toNumber,
+  toText,
+  toBoolean,
+  compare,
+  compareWith,
+  wildcardToRegExp,
+  makeCriterion,
+};
@@ -0,0 +1,685 @@
+const utils = require('./utils');
+const defaultNumFormats = require('../xlsx/defaultnumformats');
+
+// Renders values the way Excel shows them with a number format, e.g. 1234.5 with '#,##0.00' is '1,234.50'.
+//
+// A format has up to four sections separated by ';' - for positive numbers, negative numbers, zero and text.
+// Sections can start with a colour ([Red], [Color10]) and a condition ([>=100]) instead of the sign picking them.
+// Locale tokens ([$-409]) are understood but the text is always English, currencies ([$€-407]) show their symbol.
+
+const MONTHS = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// the built-in date formats Excel shows in the short date of the locale rather than as written
+const LOCALE_FORMATS = {
+  'mm-dd-yy': 'm/d/yyyy',
+  'm/d/yy "h":mm': 'm/d/yyyy h:mm',
+};
+
+const CONDITION = /^(<=|>=|<>|<|>|=)\s*(-?[0-9.]+(?:[eE][+-]?[0-9]+)?)$/;
+
+function testCondition({operator, operand}, value) {
+  switch (operator) {
+    case '<':
+      return value < operand;
+    case '<=':
+      return value <= operand;
+    case '>':
+      return value > operand;
+    case '>=':
+      return value >= operand;
+    case '<>':
+      return value !== operand;
+    default:
+      return value === operand;
+  }
+}
+
+// the digits of a value rounded half away from zero, as Excel does on its 15 significant digits
+function roundDigits(value, decimals) {
+  const [mantissa, exponent] = Math.abs(value)
+    .toPrecision(15)
+    .split(/e/i);
+  const shifted = Math.round(Number(`${mantissa}e${Number(exponent || 0) + decimals}`));
+  const digits = String(shifted).padStart(decimals + 1, '0');
+  return {
+    integer: decimals ? digits.slice(0, -decimals) : digits,
+    fraction: decimals ? digits.slice(-decimals) : '',
+  };
+}
+
+function trimZeros(text) {
+  return text.includes('.') ? text.replace(/\.?0+$/, '') : text;
+}
+
+function exponential(value, decimals) {
+  const [mantissa, exponent] = value.toExponential(decimals).split('e');
+  const power = Number(exponent);
+  return `${trimZeros(mantissa)}E${power < 0 ? '-' : '+'}${String(Math.abs(power)).padStart(2, '0')}`;
+}
+
+// numbers in the General format take up to 11 characters
+function general(value) {
+  if (value === 0) {
+    return '0';
+  }
+  const size = Math.abs(value);
+  if (size >= 1e11 || size < 1e-9) {
+    return exponential(value, 5);
+  }
+  for (let precision = 11; precision > 1; precision--) {
+    const text = value.toPrecision(precision);
+    const shown = text.includes('e') ? exponential(value, precision - 1) : trimZeros(text);
+    if (shown.replace('-', '').length <= 11) {
+      return shown;
+    }
+  }
+  return exponential(value, 0);
+}
+
+// the numerator and denominator closest to a fraction with a denominator of at most max
+function approximate(fraction, max) {
+  let best = [0, 1];
+  let error = fraction;
+  for (let denominator = 1; denominator <= max && error > 0; denominator++) {
+    const numerator = Math.round(fraction * denominator);
+    const e = Math.abs(fraction - (numerator / denominator));
+    if (e < error) {
+      best = [numerator, denominator];
+      error = e;
+    }
+  }
+  return best;
+}
+
+// what placeholders without a digit show
+const PADDING = {0: '0', '?': ' ', '#': ''};
+
+// the texts of digits placed in placeholders ('0', '#' or '?'), aligned right with any extra digits in the first
+function fillPlaceholders(digits, placeholders) {
+  const offset = placeholders.length - digits.length;
+  return placeholders.map((placeholder, i) => {
+    if (i === 0 && offset < 0) {
+      return digits.slice(0, 1 - offset);
+    }
+    return i >= offset ? digits[i - offset] : PADDING[placeholder];
+  });
+}
+
+// the texts of digits placed in placeholders aligned left, as for denominators
+function fillPlaceholdersLeft(digits, placeholders) {
+  return placeholders.map((placeholder, i) => (i < digits.length ? digits[i] : PADDING[placeholder]));
+}
+
+// thousands separators between the digits of the texts of the integer placeholders
+function groupThousands(texts) {
+  let count = 0;
+  const grouped = texts.map(() => '');
+  for (let i = texts.length - 1; i >= 0; i--) {
+    const chars = texts[i].split('');
+    for (let j = chars.length - 1; j >= 0; j--) {
+      const isDigit = /[0-9]/.test(chars[j]);
+      if (isDigit && count && count % 3 === 0) {
+        grouped[i] = `${chars[j]},${grouped[i]}`;
+      } else {
+        grouped[i] = chars[j] + grouped[i];
+      }
+      if (isDigit) {
+        count++;
+      }
+    }
+  }
+  return grouped;
+}
+
+class NumberFormat {
+  constructor(format) {
+    this.format = format;
+    this.sections = NumberFormat.splitSections(format).map(section => NumberFormat.parseSection(section));
+  }
+
+  // the text of a value (a number, date, boolean, string or {error}) and the colour it is shown in
+  render(value, options = {}) {
+    if (value === null || value === undefined) {
+      return {text: ''};
+    }
+    if (typeof value === 'boolean') {
+      return {text: value ? 'TRUE' : 'FALSE'};
+    }
+    if (value.error) {
+      return {text: value.error};
+    }
+    if (typeof value === 'string' || value instanceof String) {
+      return this._renderText(String(value));
+    }
+    const number = value instanceof Date ? utils.dateToExcel(value, options.date1904) : value;
+    if (typeof number !== 'number' || Number.isNaN(number)) {
+      return {text: String(value)};
+    }
+    return this._renderNumber(number, options);
+  }
+
+  _renderText(text) {
+    const section = this.sections[3] || this.sections.find(s => s.isText);
+    if (!section) {
+      return {text};
+    }
+    return {
+      text: section.tokens.map(token => (token.type === 'text' ? text : token.text || '')).join(''),
+      color: section.color,
+    };
+  }
+
+  _renderNumber(value, options) {
+    const sections = this.sections.filter(section => !section.isText).slice(0, 3);
+    const [first, second, third] = sections;
+    let section;
+    let shown = value;
+    if (sections.some(s => s.condition)) {
+      if (first.condition && testCondition(first.condition, value)) {
+        section = first;
+      } else if (second && second.condition) {
+        section = testCondition(second.condition, value) ? second : third;
+      } else {
+        section = second;
+      }
+      if (!section) {
+        return {text: '#'.repeat(11)};
+      }
+    } else if (!first) {
+      return {text: general(value)};
+    } else if (value < 0 && second) {
+      section = second;
+      shown = -value;
+    } else if (value === 0 && third) {
+      section = third;
+    } else {
+      section = first;
+    }
+
+    // (there are no negative dates)
+    const negative = shown < 0 && !section.isEmpty && !section.isDate;
+    const text = section.isDate
+      ? NumberFormat.renderDate(section, shown, options)
+      : NumberFormat.renderNumber(section, Math.abs(shown));
+    return {text: negative ? `-${text}` : text, color: section.color};
+  }
+
+  // the formats of a number format, split on the ';' outside of quotes, escapes and brackets
+  static splitSections(format) {
+    const sections = [''];
+    let quoted = false;
+    let bracketed = false;
+    for (let i = 0; i < format.length; i++) {
+      const c = format[i];
+      if (c === '\\' && !quoted && i + 1 < format.length) {
+        sections[sections.length - 1] += c + format[++i];
+      } else if (c === ';' && !quoted && !bracketed) {
+        sections.push('');
+      } else {
+        if (c === '"') {
+          quoted = !quoted;
+        } else if (c === '[' && !quoted) {
+          bracketed = true;
+        } else if (c === ']' && !quoted) {
+          bracketed = false;
+        }
+        sections[sections.length - 1] += c;
+      }
+    }
+    return sections;
+  }
+
+  static parseSection(format) {
+    const section = {tokens: [], isEmpty: format === ''};
+    const isDate = NumberFormat.isDateSection(format);
+    const {tokens} = section;
+    const literal = text => tokens.push({type: 'literal', text});
+
+    let i = 0;
+    while (i < format.length) {
+      const c = format[i];
+      const rest = format.substring(i);
+      if (c === '"') {
+        const end = format.indexOf('"', i + 1);
+        literal(format.substring(i + 1, end < 0 ? format.length : end));
+        i = end < 0 ? format.length : end + 1;
+      } else if (c === '\\') {
+        literal(format[i + 1] || '');
+        i += 2;
+      } else if (c === '_') {
+        // the space taken by a character
+        literal(' ');
+        i += 2;
+      } else if (c === '*') {
+        // a character repeated to fill the cell, which has no width here
+        i += 2;
+      } else if (c === '[') {
+        const end = format.indexOf(']', i);
+        const content = format.substring(i + 1, end < 0 ? format.length : end);
+        i = end < 0 ? format.length : end + 1;
+        NumberFormat.parseBracket(section, content);
+      } else if (/^general/i.test(rest)) {
+        tokens.push({type: 'general'});
+        i += 'general'.length;
+      } else if (c === '@') {
+        tokens.push({type: 'text'});
+        section.isText = true;
+        i++;
+      } else if (isDate) {
+        i += NumberFormat.parseDateToken(section, rest);
+      } else {
+        NumberFormat.parseNumberToken(section, c);
+        i++;
+      }
+    }
+
+    section.isDate = isDate;
+    if (isDate) {
+      NumberFormat.findMinutes(tokens);
+    }
+    return section;
+  }
+
+  static isDateSection(format) {
+    const stripped = format
+      .replace(/"[^"]*"/g, '')
+      .replace(/\\./g, '')
+      .replace(/[_*]./g, '')
+      .replace(/\[(h+|m+|s+)]/gi, 'h')
+      .replace(/\[[^\]]*]/g, '')
+      .replace(/general/gi, '');
+    return /[ymdhsgb]|e(?![+-])|AM\/PM|A\/P/i.test(stripped) && !/[0#?][.,]*[eE][+-]/.test(stripped);
+  }
+
+  static parseBracket(section, content) {
+    const elapsed = content.match(/^(h+|m+|s+)$/i);
+    const condition = content.match(CONDITION);
+    const currency = content.match(/^\$([^-]*)(-[0-9a-fA-F]+)?$/);
+    if (elapsed) {
+      section.tokens.push({type: 'elapsed', unit: elapsed[1][0].toLowerCase(), width: elapsed[1].length});
+    } else if (condition) {
+      section.condition = {operator: condition[1], operand: Number(condition[2])};
+    } else if (currency) {
+      // a currency symbol and/or locale
+      if (currency[1]) {
+        section.tokens.push({type: 'literal', text: currency[1]});
+      }
+    } else if (/^(black|blue|cyan|green|magenta|red|white|yellow|color\s*[0-9]+)$/i.test(content)) {
+      section.color = content;
+    }
+  }
+
+  static parseNumberToken(section, c) {
+    const {tokens} = section;
+    switch (c) {
+      case '0':
+      case '#':
+      case '?':
+        tokens.push({type: 'digit', placeholder: c});
+        break;
+      case '.':
+        tokens.push({type: 'point', text: '.'});
+        break;
+      case ',':
+        tokens.push({type: 'comma', text: ','});
+        break;
+      case '%':
+        tokens.push({type: 'percent', text: '%'});
+        break;
+      case '/':
+        tokens.push({type: 'slash', text: '/'});
+        break;
+      case '+':
+      case '-': {
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === 'literal' && /^[eE]$/.test(last.text)) {
+          tokens[tokens.length - 1] = {type: 'exponent', text: last.text, sign: c};
+        } else {
+          tokens.push({type: 'literal', text: c});
+        }
+        break;
+      }
+      default:
+        tokens.push({type: 'literal', text: c});
+        break;
+    }
+  }
+
+  // returns the length of the date token at the start of text
+  static parseDateToken(section, text) {
+    const {tokens} = section;
+    const ampm = text.match(/^(AM\/PM|A\/P)/i);
+    const part = text.match(/^(y+|m+|d+|h+|s+|e+|g+|b+)/i);
+    const subsecond = text.match(/^\.(0+)/);
+    if (ampm) {
+      tokens.push({type: 'ampm', text: ampm[1]});
+      section.hasAmPm = true;
+      return ampm[1].length;
+    }
+    if (part) {
+      tokens.push({type: 'date', code: part[1][0].toLowerCase(), width: part[1].length});
+      return part[1].length;
+    }
+    if (subsecond) {
+      const last = tokens.filter(token => token.type === 'date' || token.type === 'elapsed').pop();
+      if (last && (last.code === 's' || last.unit === 's')) {
+        tokens.push({type: 'subsecond', width: subsecond[1].length});
+        return subsecond[0].length;
+      }
+    }
+    tokens.push({type: 'literal', text: text[0]});
+    return 1;
+  }
+
+  // m is minutes after hours or before seconds, months otherwise
+  static findMinutes(tokens) {
+    const parts = tokens.filter(token => token.type === 'date' || token.type === 'elapsed');
+    parts.forEach((token, i) => {
+      if (token.code === 'm' && token.width <= 2) {
+        const before = parts[i - 1];
+        const after = parts[i + 1];
+        if ((before && (before.code === 'h' || before.unit === 'h')) || (after && (after.code === 's' || after.unit === 's'))) {
+          token.code = 'n';
+        }
+      }
+    });
+  }
+
+  static renderNumber(section, value) {
+    const {tokens} = section;
+    if (tokens.some(token => token.type === 'general')) {
+      return tokens.map(token => (token.type === 'general' ? general(value) : token.text || '')).join('');
+    }
+
+    const exponentIndex = tokens.findIndex(token => token.type === 'exponent');
+    const slashIndex = tokens.findIndex(token => token.type === 'slash');
+    const isDigit = token => token && token.type === 'digit';
+    if (
+      slashIndex > 0 &&
+      exponentIndex < 0 &&
+      isDigit(tokens[slashIndex - 1]) &&
+      (isDigit(tokens[slashIndex + 1]) || /^[1-9]$/.test((tokens[slashIndex + 1] || {}).text))
+    ) {
+      return NumberFormat.renderFraction(section, value, slashIndex);
+    }
+
+    // percentages multiply and commas after the digits divide by a thousand
+    let scaled = value;
+    const mantissaEnd = exponentIndex < 0 ? tokens.length : exponentIndex;
+    const pointIndex = tokens.findIndex((token, i) => token.type === 'point' && i < mantissaEnd);
+    const integerEnd = pointIndex < 0 ? mantissaEnd : pointIndex;
+    tokens.forEach((token, i) => {
+      if (token.type === 'percent') {
+        scaled *= 100;
+      } else if (token.type === 'comma' && i < mantissaEnd) {
+        const next = tokens.slice(i + 1, integerEnd).find(t => t.type !== 'comma');
+        if (!next || !isDigit(next)) {
+          const previous = tokens[i - 1];
+          if (previous && (isDigit(previous) || previous.type === 'comma')) {
+            scaled /= 1000;
+          }
+        }
+      }
+    });
+    const integerDigits = tokens.slice(0, integerEnd).filter(isDigit);
+    const fractionDigits = tokens.slice(integerEnd, mantissaEnd).filter(isDigit);
+    const grouped = tokens.slice(0, integerEnd).some((token, i) => {
+      const rest = tokens.slice(i + 1, integerEnd);
+      return token.type === 'comma' && i > 0 && rest.some(isDigit) && tokens.slice(0, i).some(isDigit);
+    });
+
+    let exponent = 0;
+    if (exponentIndex >= 0 && scaled !== 0) {
+      const step = integerDigits.length > 1 ? integerDigits.length : 1;
+      exponent = Math.floor(Math.floor(Math.log10(scaled)) / step) * step;
+      const {integer} = roundDigits(scaled / (10 ** exponent), fractionDigits.length);
+      if (integer.length > step) {
+        exponent += step;
+      }
+      scaled /= 10 ** exponent;
+    }
+
+    const rounded = roundDigits(scaled, fractionDigits.length);
+    const integer = rounded.integer === '0' ? '' : rounded.integer;
+    let integerTexts = fillPlaceholders(integer, integerDigits.map(token => token.placeholder));
+    if (grouped) {
+      integerTexts = groupThousands(integerTexts);
+    }
+
+    // trailing zeros of the decimals are dropped for # and shown as spaces for ?
+    const fractionTexts = rounded.fraction.split('');
+    for (let i = fractionTexts.length - 1; i >= 0 && fractionTexts[i] === '0'; i--) {
+      const {placeholder} = fractionDigits[i];
+      if (placeholder === '0') {
+        break;
+      }
+      fractionTexts[i] = placeholder === '?' ? ' ' : '';
+    }
+
+    let integerIndex = 0;
+    let fractionIndex = 0;
+    let exponentPart = '';
+    const exponentDigits = tokens.slice(exponentIndex + 1).filter(isDigit);
+    return tokens
+      .map((token, i) => {
+        if (exponentIndex >= 0 && i > exponentIndex) {
+          if (isDigit(token)) {
+            if (!exponentPart) {
+              exponentPart = fillPlaceholders(
+                String(Math.abs(exponent)),
+                exponentDigits.map(t => t.placeholder)
+              ).join('');
+              return exponentPart;
+            }
+            return '';
+          }
+          return token.text || '';
+        }
+        switch (token.type) {
+          case 'digit':
+            return i < integerEnd ? integerTexts[integerIndex++] : fractionTexts[fractionIndex++];
+          case 'comma':
+            return '';
+          case 'point':
+            // with no placeholders for them, the digits of the whole number go before the point
+            return i === pointIndex && !integerDigits.length ? `${integer}.` : '.';
+          case 'exponent':
+            if (exponent < 0) {
+              return `${token.text}-`;
+            }
+            return token.sign === '+' ? `${token.text}+` : token.text;
+          default:
+            return token.text || '';
+        }
+      })
+      .join('');
+  }
+
+  static renderFraction(section, value, slashIndex) {
+    const {tokens} = section;
+    const isDigit = token => token && token.type === 'digit';
+
+    // the numerator is the placeholders before the slash, the whole number any placeholders before them
+    let numeratorStart = slashIndex;
+    while (isDigit(tokens[numeratorStart - 1])) {
+      numeratorStart--;
+    }
+    let denominatorEnd = slashIndex + 1;
+    while (
+      denominatorEnd < tokens.length &&
+      (isDigit(tokens[denominatorEnd]) || /^[0-9]$/.test(tokens[denominatorEnd].text))
+    ) {
+      denominatorEnd++;
+    }
+    const wholeDigits = tokens.slice(0, numeratorStart).filter(isDigit);
+    const numeratorDigits = tokens.slice(numeratorStart, slashIndex);
+    const denominatorTokens = tokens.slice(slashIndex + 1, denominatorEnd);
+    const fixed = denominatorTokens.some(token => !isDigit(token))
+      ? Number(denominatorTokens.map(token => token.text || token.placeholder).join(''))
+      : 0;
+
+    let whole = wholeDigits.length ? Math.floor(value) : 0;
+    const fraction = value - whole;
+    const best = fixed
+      ? [Math.round(fraction * fixed), fixed]
+      : approximate(fraction, (10 ** denominatorTokens.length) - 1);
+    let [numerator] = best;
+    const [, denominator] = best;
+    if (wholeDigits.length && numerator === denominator) {
+      whole += 1;
+      numerator = 0;
+    }
+
+    const wholeTexts = fillPlaceholders(
+      whole ? String(whole) : '',
+      wholeDigits.map(token => token.placeholder)
+    );
+    if (wholeDigits.length && !whole && !numerator) {
+      wholeTexts[wholeTexts.length - 1] = '0';
+    }
+    const numeratorTexts = fillPlaceholders(String(numerator), numeratorDigits.map(token => token.placeholder));
+    const denominatorTexts = fixed
+      ? [String(denominator)]
+      : fillPlaceholdersLeft(String(denominator), denominatorTokens.map(token => token.placeholder));
+    let fractionText = `${numeratorTexts.join('')}/${denominatorTexts.join('')}`;
+    if (wholeDigits.length && !numerator) {
+      // a whole number has spaces in place of its fraction
+      fractionText = ' '.repeat(fractionText.length);
+    }
+
+    let wholeIndex = 0;
+    const before = tokens
+      .slice(0, numeratorStart)
+      .map(token => (isDigit(token) ? wholeTexts[wholeIndex++] : token.text || ''))
+      .join('');
+    const after = tokens
+      .slice(denominatorEnd)
+      .map(token => token.text || '')
+      .join('');
+    return before + fractionText + after;
+  }
+
+  static renderDate(section, serial, options) {
+    const {tokens} = section;
+    if (serial < 0 || serial >= 2958466) {
+      return '#'.repeat(11);
+    }
+
+    // the value is rounded to the fractions of a second shown
+    const subsecond = tokens.find(token => token.type === 'subsecond');
+    const scale = 10 ** (subsecond ? Math.min(subsecond.width, 3) : 0);
+    const ticks = Math.round(serial * 86400 * scale);
+    const days = Math.floor(ticks / (86400 * scale));
+    const seconds = Math.floor((ticks - (days * 86400 * scale)) / scale);
+    const fraction = ticks % scale;
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+
+    // Excel counts 29 Feb 1900 as a day so dates before March 1900 are a day out from the calendar
+    const day1900 = options.date1904 ? days + 1462 : days;
+    let year = 1900;
+    let month = 1;
+    let date = 0;
+    if (day1900 === 60) {
+      month = 2;
+      date = 29;
+    } else if (day1900 > 0) {
+      const d = new Date(Date.UTC(1899, 11, 31) + ((day1900 > 60 ? day1900 - 1 : day1900) * 86400000));
+      year = d.getUTCFullYear();
+      month = d.getUTCMonth() + 1;
+      date = d.getUTCDate();
+    }
+    const weekday = (day1900 + 6) % 7;
+
+    const pad = (n, width) => String(n).padStart(width, '0');
+    const hour = section.hasAmPm ? (hours % 12) || 12 : hours;
+    return tokens
+      .map(token => {
+        switch (token.type) {
+          case 'date':
+            switch (token.code) {
+              case 'y':
+                return token.width > 2 ? pad(year, 4) : pad(year % 100, 2);
+              case 'e':
+                return String(year);
+              case 'b':
+                return token.width > 2 ? String(year + 543) : pad((year + 543) % 100, 2);
+              case 'm':
+                if (token.width === 3) return MONTHS[month - 1].substring(0, 3);
+                if (token.width === 4) return MONTHS[month - 1];
+                if (token.width > 4) return MONTHS[month - 1][0];
+                return pad(month, token.width);
+              case 'd':
+                if (token.width === 3) return DAYS[weekday].substring(0, 3);
+                if (token.width > 3) return DAYS[weekday];
+                return pad(date, token.width);
+              case 'h':
+                return pad(hour, Math.min(token.width, 2));
+              case 'n':
+                return pad(minutes, token.width);
+              case 's':
+                return pad(seconds % 60, Math.min(token.width, 2));
+              default:
+                // eras aren't shown in English
+                return '';
+            }
+          case 'elapsed': {
+            const total = {h: hours + (days * 24), m: Math.floor(ticks / (60 * scale)), s: Math.floor(ticks / scale)};
+            return pad(total[token.unit], token.width);
+          }
+          case 'subsecond':
+            return `.${pad(fraction, Math.min(token.width, 3)).padEnd(token.width, '0')}`;
+          case 'ampm': {
+            const [am, pm] = token.text.split('/');
+            return hours < 12 ? am : pm;
+          }
+          default:
+            return token.text || '';
+        }
+      })
+      .join('');
+  }
+
+  // the format of a built-in number format id, in a locale for the formats that depend on it
+  static getBuiltIn(id, locale) {
+    const builtIn = defaultNumFormats[id];
+    if (!builtIn) {
+      return undefined;
+    }
+    return builtIn.f || builtIn[locale] || Object.values(builtIn)[0];
+  }
+
+  // parsed formats are kept, there are only so many in a workbook
+  static get(format, options = {}) {
+    const code = typeof format === 'number' ? NumberFormat.getBuiltIn(format, options.locale) : format;
+    const key = LOCALE_FORMATS[code] || code || 'General';
+    let numberFormat = NumberFormat.cache.get(key);
+    if (!numberFormat) {
+      numberFormat = new NumberFormat(key);
+      NumberFormat.cache.set(key, numberFormat);
+    }
+    return numberFormat;
+  }
+
+  static format(format, value, options) {
+    return NumberFormat.get(format, options).render(value, options).text;
+  }
+}
+
+NumberFormat.cache = new Map();
+
+module.exports = NumberFormat;
@@ -1,44 +1,206 @@
 const colCache = require('./col-cache');
+const {replaceReferences, formatReference, formatSheetPrefix} = require('./formula-parser');
 
-// const cellRefRegex = /(([a-z_\-0-9]*)!)?[$]?([a-z]+)[$]?([1-9][0-9]*)/i;
-const replacementCandidateRx = /(([a-z_\-0-9]*)!)?([a-z0-9_$]{2,})([(])?/gi;
-const CRrx = /^([$])?([a-z]+)([$])?([1-9][0-9]*)$/i;
+const MAX_ROW = 1048576;
+const MAX_COL = 16384;
 
+// move the relative parts of a cell, column or row node, returning undefined if it falls off the sheet
+function slideBound(node, rowOffset, colOffset) {
+  const result = Object.assign({}, node);
+  if (node.col !== undefined && !node.colAbsolute) {
+    result.col += colOffset;
+    if (result.col < 1 || result.col > MAX_COL) {
+      return undefined;
+    }
+  }
+  if (node.row !== undefined && !node.rowAbsolute) {
+    result.row += rowOffset;
+    if (result.row < 1 || result.row > MAX_ROW) {
+      return undefined;
+    }
+  }
+  return result;
+}
+
+// move the relative references of a formula in fromCell to where they would be in toCell.
+// Throws if the formula can't be read.
 function slideFormula(formula, fromCell, toCell) {
   const offset = colCache.decode(fromCell);
   const to = colCache.decode(toCell);
-  return formula.replace(
-    replacementCandidateRx,
-    (refMatch, sheet, sheetMaybe, addrPart, trailingParen) => {
-      if (trailingParen) {
-        return refMatch;
+  const rowOffset = to.row - offset.row;
+  const colOffset = to.col - offset.col;
+
+  return replaceReferences(formula, node => {
+    switch (node.type) {
+      case 'cell': {
+        const cell = slideBound(node, rowOffset, colOffset);
+        return cell || '#REF!';
       }
-      const match = CRrx.exec(addrPart);
-      if (match) {
-        const colDollar = match[1];
-        const colStr = match[2].toUpperCase();
-        const rowDollar = match[3];
-        const rowStr = match[4];
-        if (colStr.length > 3 || (colStr.length === 3 && colStr > 'XFD')) {
-          // > XFD is the highest col number in excel 2007 and beyond, so this is a named range
-          return refMatch;
-        }
-        let col = colCache.l2n(colStr);
-        let row = parseInt(rowStr, 10);
-        if (!colDollar) {
-          col += to.col - offset.col;
-        }
-        if (!rowDollar) {
-          row += to.row - offset.row;
+      case 'range': {
+        const tl = slideBound(node.tl, rowOffset, colOffset);
+        const br = slideBound(node.br, rowOffset, colOffset);
+        return tl && br ? Object.assign({}, node, {tl, br}) : '#REF!';
+      }
+      default:
+        // names and table references do not move
+        return undefined;
+    }
+  });
+}
+
+// =========================================================================
+// R1C1 notation
+// R1C1 references are absolute (R2C3) or relative to the cell the formula is in (R[1]C[-1]).
+// An omitted number refers to the row or column of that cell, so RC is the cell itself.
+
+function r1c1Part(letter, index, absolute, base) {
+  if (absolute) {
+    return `${letter}${index}`;
+  }
+  return index === base ? letter : `${letter}[${index - base}]`;
+}
+
+function r1c1Bound(node, base) {
+  const row = node.row === undefined ? '' : r1c1Part('R', node.row, node.rowAbsolute, base.row);
+  const col = node.col === undefined ? '' : r1c1Part('C', node.col, node.colAbsolute, base.col);
+  return row + col;
+}
+
+// convert the references of an A1 formula in the cell at address into R1C1 notation.
+// Throws if the formula can't be read.
+function toR1C1(formula, address) {
+  const base = colCache.decodeAddress(address);
+  return replaceReferences(formula, node => {
+    const prefix = formatSheetPrefix(node);
+    switch (node.type) {
+      case 'cell':
+        return prefix + r1c1Bound(node, base);
+      case 'range': {
+        const tl = r1c1Bound(node.tl, base);
+        const br = r1c1Bound(node.br, base);
+        // whole rows and columns are written once if the range spans just one
+        return prefix + (tl === br && node.tl.type !== 'cell' ? tl : `${tl}:${br}`);
+      }
+      default:
+        return undefined;
+    }
+  });
+}
+
+const r1c1Rx = /^(R(\[-?\d+\]|\d+)?)?(C(\[-?\d+\]|\d+)?)?/i;
+const identifierCharRx = /[A-Za-z0-9_.\\$\u00A1-\uFFFF]/;
+const errorRx = /^#[A-Z0-9/]+[!?]?/i;
+
+// a reference bound at pos of an R1C1 formula relative to base, or undefined if there is none.
+// Returns the A1 bound node (undefined if it falls off the sheet) and the position after it
+function parseR1C1(text, pos, base) {
+  const match = r1c1Rx.exec(text.substring(pos));
+  const end = pos + (match ? match[0].length : 0);
+  if (!match[0] || (end < text.length && /[A-Za-z0-9_.\\([!]/.test(text[end]))) {
+    return undefined;
+  }
+  const resolve = (part, number, index, limit) => {
+    if (!part) {
+      return {};
+    }
+    if (number === undefined) {
+      return {index};
+    }
+    if (number[0] === '[') {
+      return {index: index + parseInt(number.slice(1, -1), 10)};
+    }
+    return {index: parseInt(number, 10), absolute: true, limit};
+  };
+  const row = resolve(match[1], match[2], base.row);
+  const col = resolve(match[3], match[4], base.col);
+  let node;
+  if (match[1] && match[3]) {
+    node = {type: 'cell', row: row.index, col: col.index, rowAbsolute: !!row.absolute, colAbsolute: !!col.absolute};
+  } else if (match[1]) {
+    node = {type: 'row', row: row.index, rowAbsolute: !!row.absolute};
+  } else {
+    node = {type: 'column', col: col.index, colAbsolute: !!col.absolute};
+  }
+  const onSheet =
+    (node.row === undefined || (node.row >= 1 && node.row <= MAX_ROW)) &&
+    (node.col === undefined || (node.col >= 1 && node.col <= MAX_COL));
+  return {node: onSheet ? node : undefined, end};
+}
+
+// convert the references of an R1C1 formula in the cell at address into A1 notation
+function fromR1C1(formula, address) {
+  const base = colCache.decodeAddress(address);
+  let result = '';
+  let pos = 0;
+  while (pos < formula.length) {
+    const ch = formula[pos];
+    const start = pos === 0 || !identifierCharRx.test(formula[pos - 1]);
+    if (ch === '"' || ch === '\'') {
+      // strings and quoted sheet names, where doubled quotes escape the quote
+      let end = pos + 1;
+      while (end < formula.length && (formula[end] !== ch || formula[end + 1] === ch)) {
+        end += formula[end] === ch ? 2 : 1;
+      }
+      result += formula.substring(pos, end + 1);
+      pos = end + 1;
+    } else if (ch === '#' && errorRx.test(formula.substring(pos))) {
+      const [error] = errorRx.exec(formula.substring(pos));
+      result += error;
+      pos += error.length;
+    } else if (ch === '[') {
+      // structured references are copied as they are
+      let depth = 0;
+      let end = pos;
+      do {
+        if (formula[end] === '\'') {
+          end++;
+        } else if (formula[end] === '[') {
+          depth++;
+        } else if (formula[end] === ']') {
+          depth--;
         }
-        const res = (sheet || '') + (colDollar || '') + colCache.n2l(col) + (rowDollar || '') + row;
-        return res;
+        end++;
+      } while (depth > 0 && end < formula.length);
+      result += formula.substring(pos, end);
+      pos = end;
+    } else if (start && /[RC]/i.test(ch) && parseR1C1(formula, pos, base)) {
+      const first = parseR1C1(formula, pos, base);
+      const second = formula[first.end] === ':' && parseR1C1(formula, first.end + 1, base);
+      let tl = first.node;
+      let br = tl;
+      pos = first.end;
+      if (second && first.node && second.node && first.node.type === second.node.type) {
+        br = second.node;
+        pos = second.end;
+      } else if (second && (!first.node || !second.node)) {
+        tl = undefined;
+        pos = second.end;
+      }
+      if (!tl || !br) {
+        result += '#REF!';
+      } else if (tl === br && tl.type === 'cell') {
+        result += formatReference(tl);
+      } else {
+        result += formatReference({type: 'range', tl, br});
+      }
+    } else if (start && identifierCharRx.test(ch)) {
+      // names, functions, booleans and numbers
+      let end = pos;
+      while (end < formula.length && identifierCharRx.test(formula[end])) {
+        end++;
       }
-      return refMatch;
+      result += formula.substring(pos, end);
+      pos = end;
+    } else {
+      result += ch;
+      pos++;
     }
-  );
+  }
+  return result;
 }
 
 module.exports = {
   slideFormula,
+  toR1C1,
+  fromR1C1,
 };
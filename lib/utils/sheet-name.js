@@ -0,0 +1,39 @@
+// worksheets and chartsheets share the rules for their names.
+// Returns the name to use, which may have been truncated
+function checkSheetName(name, sheets) {
+  if (typeof name !== 'string') {
+    throw new Error('The name has to be a string.');
+  }
+
+  if (name === '') {
+    throw new Error('The name can\'t be empty.');
+  }
+
+  if (name === 'History') {
+    throw new Error('The name "History" is protected. Please use a different name.');
+  }
+
+  // Illegal character in worksheet name: asterisk (*), question mark (?),
+  // colon (:), forward slash (/ \), or bracket ([])
+  if (/[*?:/\\[\]]/.test(name)) {
+    throw new Error(`Worksheet name ${name} cannot include any of the following characters: * ? : \\ / [ ]`);
+  }
+
+  if (/(^')|('$)/.test(name)) {
+    throw new Error(`The first or last character of worksheet name cannot be a single quotation mark: ${name}`);
+  }
+
+  if (name && name.length > 31) {
+    // eslint-disable-next-line no-console
+    console.warn(`Worksheet name ${name} exceeds 31 chars. This will be truncated`);
+    name = name.substring(0, 31);
+  }
+
+  if (sheets.find(sheet => sheet && sheet.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`Worksheet name already exists: ${name}`);
+  }
+
+  return name;
+}
+
+module.exports = {checkSheetName};
@@ -0,0 +1,138 @@
+const colCache = require('./col-cache');
+const {replaceReferences} = require('./formula-parser');
+
+// Rewriting of references when rows or columns are spliced on a worksheet.
+//
+// A splice is described by {sheetName, dimension, start, count, inserts}
+// where dimension is 'row' or 'col': count rows (or columns) are removed at start
+// and then inserts new ones are inserted there, as with worksheet.spliceRows
+
+const MAX = {
+  row: 1048576,
+  col: 16384,
+};
+
+// new first and last index of a span, or undefined if it is deleted
+function spliceSpan(first, last, splice) {
+  const {dimension, start, count, inserts} = splice;
+  if (count > 0) {
+    const end = start + count - 1;
+    if (first >= start && last <= end) {
+      return undefined;
+    }
+    if (first > end) {
+      first -= count;
+    } else if (first > start) {
+      first = start;
+    }
+    if (last > end) {
+      last -= count;
+    } else if (last >= start) {
+      last = start - 1;
+    }
+  }
+  if (inserts > 0) {
+    if (first >= start) {
+      first += inserts;
+    }
+    if (last >= start) {
+      last += inserts;
+    }
+  }
+  if (first > MAX[dimension]) {
+    return undefined;
+  }
+  return [first, Math.min(last, MAX[dimension])];
+}
+
+// new index of a row or column, or undefined if it is deleted
+function spliceIndex(index, splice) {
+  const span = spliceSpan(index, index, splice);
+  return span && span[0];
+}
+
+function setIndex(node, dimension, index) {
+  const result = Object.assign({}, node, {[dimension]: index});
+  if (result.type === 'cell') {
+    result.address = colCache.n2l(result.col) + result.row;
+  }
+  return result;
+}
+
+function spliceNode(node, splice) {
+  const {dimension} = splice;
+  switch (node.type) {
+    case 'cell': {
+      const index = spliceIndex(node[dimension], splice);
+      return index === undefined ? undefined : setIndex(node, dimension, index);
+    }
+    case 'range': {
+      const {tl, br} = node;
+      if (tl[dimension] === undefined) {
+        // e.g. whole columns are unaffected by row splices
+        return node;
+      }
+      const span = spliceSpan(tl[dimension], br[dimension], splice);
+      if (!span) {
+        return undefined;
+      }
+      return Object.assign({}, node, {
+        tl: setIndex(tl, dimension, span[0]),
+        br: setIndex(br, dimension, span[1]),
+      });
+    }
+    default:
+      return node;
+  }
+}
+
+// Rewrite the references of a formula that point at the spliced sheet, deleted targets become #REF!.
+// local is true when the formula belongs to the spliced sheet so that unqualified references apply.
+// Throws if the formula can't be read rather than leave references pointing at the wrong cells.
+function spliceFormula(formula, splice, local) {
+  const sheetName = splice.sheetName.toLowerCase();
+  return replaceReferences(formula, node => {
+    // 3D references span several sheets so, as in Excel, a splice on one of them leaves them be,
+    // as it does references to other workbooks
+    if (
+      (node.type !== 'cell' && node.type !== 'range') ||
+      node.lastSheetName !== undefined ||
+      node.workbook !== undefined
+    ) {
+      return undefined;
+    }
+    if (node.sheetName === undefined ? !local : node.sheetName.toLowerCase() !== sheetName) {
+      return undefined;
+    }
+    const result = spliceNode(node, splice);
+    if (result === node) {
+      return undefined;
+    }
+    return result || '#REF!';
+  });
+}
+
+// new address of a cell or range on the spliced sheet, or undefined if it is deleted
+function spliceAddress(address, splice) {
+  const decoded = colCache.decode(address);
+  if (decoded.top === undefined) {
+    const cell = spliceNode({type: 'cell', row: decoded.row, col: decoded.col}, splice);
+    return cell && cell.address;
+  }
+  const {dimension} = splice;
+  const [first, last] = dimension === 'row' ? [decoded.top, decoded.bottom] : [decoded.left, decoded.right];
+  const span = spliceSpan(first, last, splice);
+  if (!span) {
+    return undefined;
+  }
+  return dimension === 'row'
+    ? colCache.encode(span[0], decoded.left, span[1], decoded.right)
+    : colCache.encode(decoded.top, span[0], decoded.bottom, span[1]);
+}
+
+module.exports = {
+  spliceFormula,
+  spliceAddress,
+  spliceIndex,
+  spliceSpan,
+};
@@ -0,0 +1,102 @@
+// Parts of the package that exceljs doesn't model (e.g. the charts of a loaded file) are kept
+// as they were loaded: {path, data, contentType, rels}, where each internal rel has the part it targets.
+// When written, the parts are renamed after their owner so they can't clash with the parts
+// exceljs generates, and their relationships are re-wired to match.
+// Pictures of the workbook's media are parts {path, imageId} that refer to the media as written.
+
+// resolve a relationship target against the path of its source part
+function resolveTarget(source, target) {
+  const segments = target[0] === '/' ? [] : source.split('/').slice(0, -1);
+  target.split('/').forEach(segment => {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  });
+  return segments.join('/');
+}
+
+// the relationship target from a source part to another part
+function relativeTarget(source, path) {
+  const from = source.split('/').slice(0, -1);
+  const to = path.split('/');
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+    common++;
+  }
+  return from
+    .slice(common)
+    .map(() => '..')
+    .concat(to.slice(common))
+    .join('/');
+}
+
+function relsPath(path) {
+  const slash = path.lastIndexOf('/');
+  return `${path.substring(0, slash)}/_rels/${path.substring(slash + 1)}.rels`;
+}
+
+class PackageParts {
+  constructor(media) {
+    this.media = media || [];
+    this.parts = [];
+    this.paths = new Map();
+  }
+
+  // add a part (and the parts it refers to) to be written, returning its path.
+  // Unless given a path, the part is renamed with the prefix of its owner, e.g. chart1_style3.xml
+  add(part, prefix, path) {
+    if (part.imageId !== undefined) {
+      const medium = this.media[part.imageId];
+      return `xl/media/${medium.name}.${medium.extension}`;
+    }
+    if (!this.paths.has(part)) {
+      if (!path) {
+        const slash = part.path.lastIndexOf('/');
+        const name = part.path.substring(slash + 1).replace(/^(chart|drawing)\d+_/, '');
+        path = `${part.path.substring(0, slash)}/${prefix}_${name}`;
+      }
+      this.paths.set(part, path);
+      this.parts.push(part);
+      (part.rels || []).forEach(rel => {
+        if (rel.part) {
+          this.add(rel.part, prefix);
+        }
+      });
+    }
+    return this.paths.get(part);
+  }
+
+  // the target of a relationship from source (a path) to a part, adding it with prefix if need be
+  target(source, part, prefix) {
+    return relativeTarget(source, this.add(part, prefix));
+  }
+
+  // the files to write for each part: [{path, data}, ...], with relationships as models
+  get files() {
+    const files = [];
+    this.parts.forEach(part => {
+      const path = this.paths.get(part);
+      files.push({path, data: part.data, contentType: part.contentType});
+      if (part.rels && part.rels.length) {
+        files.push({
+          path: relsPath(path),
+          rels: part.rels.map(({Id, Type, Target, TargetMode, part: target}) => ({
+            Id,
+            Type,
+            Target: target ? this.target(path, target) : Target,
+            TargetMode,
+          })),
+        });
+      }
+    });
+    return files;
+  }
+}
+
+PackageParts.resolveTarget = resolveTarget;
+PackageParts.relativeTarget = relativeTarget;
+PackageParts.relsPath = relsPath;
+
+module.exports = PackageParts;
@@ -3,6 +3,7 @@
 module.exports = {
   OfficeDocument: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
   Worksheet: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet',
+  Chartsheet: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chartsheet',
   CalcChain: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/calcChain',
   SharedStrings: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings',
   Styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
@@ -17,4 +18,13 @@ module.exports = {
   PivotCacheDefinition: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/pivotCacheDefinition',
   PivotCacheRecords: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/pivotCacheRecords',
   PivotTable: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/pivotTable',
+  Drawing: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
+  Chart: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart',
+  SheetMetadata: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/sheetMetadata',
+  RichValue: 'http://schemas.microsoft.com/office/2017/06/relationships/rdRichValue',
+  RichValueStructure: 'http://schemas.microsoft.com/office/2017/06/relationships/rdRichValueStructure',
+  RichValueTypes: 'http://schemas.microsoft.com/office/2017/06/relationships/rdRichValueTypes',
+  RichValueRel: 'http://schemas.microsoft.com/office/2022/10/relationships/richValueRel',
+  ThreadedComment: 'http://schemas.microsoft.com/office/2017/10/relationships/threadedComment',
+  Person: 'http://schemas.microsoft.com/office/2017/10/relationships/person',
 };
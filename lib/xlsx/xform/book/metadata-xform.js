@@ -0,0 +1,254 @@
+const XmlStream = require('../../../utils/xml-stream');
+const BaseXform = require('../base-xform');
+
+// The types of metadata that can be attached to cells (cm) and values (vm).
+// Each record is described in the futureMetadata of its type by an extension element.
+const METADATA_TYPES = {
+  // dynamic array formulae
+  XLDAPR: {
+    attributes: {
+      minSupportedVersion: 120000,
+      copy: 1,
+      pasteAll: 1,
+      pasteValues: 1,
+      merge: 1,
+      splitFirst: 1,
+      rowColShift: 1,
+      clearFormats: 1,
+      clearComments: 1,
+      assign: 1,
+      coerce: 1,
+      cellMeta: 1,
+    },
+    uri: '{bdbb8cdc-fa1e-496e-a857-3c3f30c029c3}',
+    namespaces: {'xmlns:xda': 'http://schemas.microsoft.com/office/spreadsheetml/2017/dynamicarray'},
+    render(xmlStream, record) {
+      xmlStream.leafNode('xda:dynamicArrayProperties', {
+        fDynamic: record.dynamicArray ? 1 : 0,
+        fCollapsed: record.collapsed ? 1 : 0,
+      });
+    },
+  },
+  // rich values (e.g. pictures in cells), by index into xl/richData/rdrichvalue.xml
+  XLRICHVALUE: {
+    attributes: {
+      minSupportedVersion: 120000,
+      copy: 1,
+      pasteAll: 1,
+      pasteValues: 1,
+      merge: 1,
+      splitFirst: 1,
+      rowColShift: 1,
+      clearFormats: 1,
+      clearComments: 1,
+      assign: 1,
+      coerce: 1,
+    },
+    uri: '{3e2802c4-a4d2-4d8b-9148-e3be6c30e623}',
+    namespaces: {'xmlns:xlrd': 'http://schemas.microsoft.com/office/spreadsheetml/2017/richdata'},
+    render(xmlStream, record) {
+      xmlStream.leafNode('xlrd:rvb', {i: record.index});
+    },
+  },
+};
+
+// Handles xl/metadata.xml. The model is a list of records for each of cellMetadata
+// and valueMetadata, e.g. {type: 'XLDAPR', dynamicArray: true, collapsed: false} or {type: 'XLRICHVALUE', index: 0}.
+// Cells refer to the records by (1 based) index.
+class MetadataXform extends BaseXform {
+  constructor(model) {
+    super();
+
+    this.model = model || {
+      cellMetadata: [],
+      valueMetadata: [],
+    };
+    this.hash = Object.create(null);
+  }
+
+  get count() {
+    return this.model.cellMetadata.length + this.model.valueMetadata.length;
+  }
+
+  getCellMetadata(index) {
+    return this.model.cellMetadata[index - 1];
+  }
+
+  getValueMetadata(index) {
+    return this.model.valueMetadata[index - 1];
+  }
+
+  // add a record to cellMetadata (if it isn't there already), returning its index
+  addCellMetadata(record) {
+    return this._add('cellMetadata', record);
+  }
+
+  addValueMetadata(record) {
+    return this._add('valueMetadata', record);
+  }
+
+  _add(name, record) {
+    const key = `${name}:${JSON.stringify(record)}`;
+    let index = this.hash[key];
+    if (index === undefined) {
+      this.model[name].push(record);
+      index = this.hash[key] = this.model[name].length;
+    }
+    return index;
+  }
+
+  // <metadata xmlns="..." xmlns:xda="...">
+  //   <metadataTypes count="1"><metadataType name="XLDAPR" .../></metadataTypes>
+  //   <futureMetadata name="XLDAPR" count="1">
+  //     <bk><extLst><ext uri="..."><xda:dynamicArrayProperties fDynamic="1" fCollapsed="0"/></ext></extLst></bk>
+  //   </futureMetadata>
+  //   <cellMetadata count="1"><bk><rc t="1" v="0"/></bk></cellMetadata>
+  // </metadata>
+  render(xmlStream, model) {
+    model = model || this.model;
+
+    // the records of each type, in order of appearance
+    const types = [];
+    const records = {};
+    const lists = ['cellMetadata', 'valueMetadata'];
+    lists.forEach(name => {
+      model[name].forEach(record => {
+        if (!records[record.type]) {
+          types.push(record.type);
+          records[record.type] = [];
+        }
+        records[record.type].push(record);
+      });
+    });
+
+    xmlStream.openXml(XmlStream.StdDocAttributes);
+    xmlStream.openNode('metadata', {
+      ...MetadataXform.METADATA_ATTRIBUTES,
+      ...Object.assign({}, ...types.map(type => METADATA_TYPES[type].namespaces)),
+    });
+
+    xmlStream.openNode('metadataTypes', {count: types.length});
+    types.forEach(type => {
+      xmlStream.leafNode('metadataType', {name: type, ...METADATA_TYPES[type].attributes});
+    });
+    xmlStream.closeNode();
+
+    types.forEach(type => {
+      const {uri, render} = METADATA_TYPES[type];
+      xmlStream.openNode('futureMetadata', {name: type, count: records[type].length});
+      records[type].forEach(record => {
+        xmlStream.openNode('bk');
+        xmlStream.openNode('extLst');
+        xmlStream.openNode('ext', {uri});
+        render(xmlStream, record);
+        xmlStream.closeNode();
+        xmlStream.closeNode();
+        xmlStream.closeNode();
+      });
+      xmlStream.closeNode();
+    });
+
+    lists.forEach(name => {
+      if (model[name].length) {
+        xmlStream.openNode(name, {count: model[name].length});
+        model[name].forEach(record => {
+          xmlStream.openNode('bk');
+          xmlStream.leafNode('rc', {
+            t: types.indexOf(record.type) + 1,
+            v: records[record.type].indexOf(record),
+          });
+          xmlStream.closeNode();
+        });
+        xmlStream.closeNode();
+      }
+    });
+
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    switch (node.name) {
+      case 'metadata':
+        this.types = [];
+        this.future = {};
+        this.blocks = {cellMetadata: [], valueMetadata: []};
+        return true;
+      case 'metadataType':
+        this.types.push(node.attributes.name);
+        return true;
+      case 'futureMetadata':
+        this.futureName = node.attributes.name;
+        this.future[this.futureName] = [];
+        return true;
+      case 'cellMetadata':
+      case 'valueMetadata':
+        this.list = this.blocks[node.name];
+        return true;
+      case 'bk':
+        if (this.futureName) {
+          this.record = {};
+          this.future[this.futureName].push(this.record);
+        } else if (this.list) {
+          this.block = [];
+          this.list.push(this.block);
+        }
+        return true;
+      case 'rc':
+        if (this.block) {
+          this.block.push({t: parseInt(node.attributes.t, 10), v: parseInt(node.attributes.v, 10)});
+        }
+        return true;
+      case 'xda:dynamicArrayProperties':
+        if (this.record) {
+          this.record.dynamicArray = node.attributes.fDynamic === '1';
+          this.record.collapsed = node.attributes.fCollapsed === '1';
+        }
+        return true;
+      case 'xlrd:rvb':
+        if (this.record) {
+          this.record.index = parseInt(node.attributes.i, 10);
+        }
+        return true;
+      default:
+        return true;
+    }
+  }
+
+  parseText() {}
+
+  parseClose(name) {
+    switch (name) {
+      case 'futureMetadata':
+        this.futureName = undefined;
+        this.record = undefined;
+        return true;
+      case 'cellMetadata':
+      case 'valueMetadata':
+        this.list = undefined;
+        this.block = undefined;
+        return true;
+      case 'metadata': {
+        // resolve each block to the record of its first type
+        const resolve = block => {
+          const [rc] = block;
+          const type = rc && this.types[rc.t - 1];
+          const future = type && this.future[type];
+          return {type, ...(future && future[rc.v])};
+        };
+        this.model = {
+          cellMetadata: this.blocks.cellMetadata.map(resolve),
+          valueMetadata: this.blocks.valueMetadata.map(resolve),
+        };
+        return false;
+      }
+      default:
+        return true;
+    }
+  }
+}
+
+MetadataXform.METADATA_ATTRIBUTES = {
+  xmlns: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+};
+
+module.exports = MetadataXform;
@@ -0,0 +1,87 @@
+const BaseXform = require('../base-xform');
+const utils = require('../../../utils/utils');
+const Theme = require('../../../doc/theme');
+
+// xl/theme/themeN.xml - only the name, colour scheme and fonts of the theme are parsed.
+// Themes are written as they were loaded (or the default theme) with these put back in.
+class ThemeXform extends BaseXform {
+  get tag() {
+    return 'a:theme';
+  }
+
+  parseOpen(node) {
+    const {attributes} = node;
+    switch (node.name) {
+      case this.tag:
+        this.model = {name: attributes.name, colors: {}, fonts: {}};
+        return true;
+      case 'a:majorFont':
+      case 'a:minorFont':
+        this.font = node.name === 'a:majorFont' ? 'major' : 'minor';
+        return true;
+      case 'a:latin':
+        if (this.font) {
+          this.model.fonts[this.font] = attributes.typeface;
+        }
+        return true;
+      case 'a:srgbClr':
+      case 'a:sysClr':
+        // system colours are kept with the colour they last had
+        if (this.color && !this.model.colors[this.color]) {
+          this.model.colors[this.color] = `FF${node.name === 'a:sysClr' ? attributes.lastClr : attributes.val}`;
+        }
+        return true;
+      case 'a:clrScheme':
+        this.inScheme = true;
+        return true;
+      default:
+        if (this.inScheme && Theme.COLOR_NAMES.includes(node.name.replace('a:', ''))) {
+          this.color = node.name.replace('a:', '');
+        }
+        return true;
+    }
+  }
+
+  parseText() {}
+
+  parseClose(name) {
+    switch (name) {
+      case this.tag:
+        return false;
+      case 'a:clrScheme':
+        this.inScheme = false;
+        return true;
+      case 'a:majorFont':
+      case 'a:minorFont':
+        this.font = undefined;
+        return true;
+      default:
+        if (this.color && name === `a:${this.color}`) {
+          this.color = undefined;
+        }
+        return true;
+    }
+  }
+
+  // the xml of a theme with the name, colours and fonts of the model, leaving those that are the same as they were
+  static applyTheme(xml, {name, colors, fonts}) {
+    let result = xml.replace(/(<a:theme\b[^>]*\sname=")[^"]*/, `$1${utils.xmlEncode(name)}`);
+    Object.keys(colors).forEach(key => {
+      const pattern = new RegExp(`<a:${key}>([\\s\\S]*?)</a:${key}>`);
+      result = result.replace(pattern, (element, content) => {
+        const current = content.match(/(?:lastClr|val)="([0-9A-Fa-f]{6})"/);
+        if (current && `FF${current[1]}`.toUpperCase() === colors[key].toUpperCase()) {
+          return element;
+        }
+        return `<a:${key}><a:srgbClr val="${colors[key].slice(-6).toUpperCase()}"/></a:${key}>`;
+      });
+    });
+    ['major', 'minor'].forEach(font => {
+      const pattern = new RegExp(`(<a:${font}Font>\\s*<a:latin\\s[^>]*typeface=")[^"]*`);
+      result = result.replace(pattern, `$1${utils.xmlEncode(fonts[font])}`);
+    });
+    return result;
+  }
+}
+
+module.exports = ThemeXform;
@@ -42,6 +42,10 @@ class WorkbookXform extends BaseXform {
 
   prepare(model) {
     model.sheets = model.worksheets;
+    if (model.chartsheets && model.chartsheets.length) {
+      // chartsheets take their places among the worksheets
+      model.sheets = model.worksheets.concat(model.chartsheets).sort((a, b) => a.orderNo - b.orderNo);
+    }
 
     // collate all the print areas from all of the sheets and add them to the defined names
     const printAreas = [];
@@ -166,6 +170,7 @@ class WorkbookXform extends BaseXform {
     const worksheets = [];
     let worksheet;
     let index = 0;
+    model.chartsheets = [];
 
     (model.sheets || []).forEach(sheet => {
       const rel = rels[sheet.rId];
@@ -174,17 +179,23 @@ class WorkbookXform extends BaseXform {
       }
       // if rel.Target start with `[space]/xl/` or `/xl/` , then it will be replaced with `''` and spliced behind `xl/`,
       // otherwise it will be spliced directly behind `xl/`. i.g.
-      worksheet = model.worksheetHash[`xl/${rel.Target.replace(/^(\s|\/xl\/)+/, '')}`];
-      // If there are "chartsheets" in the file, rel.Target will
-      // come out as chartsheets/sheet1.xml or similar here, and
-      // that won't be in model.worksheetHash.
-      // As we don't have the infrastructure to support chartsheets,
-      // we will ignore them for now:
+      const path = `xl/${rel.Target.replace(/^(\s|\/xl\/)+/, '')}`;
+      worksheet = model.worksheetHash[path];
       if (worksheet) {
         worksheet.name = sheet.name;
         worksheet.id = sheet.id;
         worksheet.state = sheet.state;
         worksheets[index++] = worksheet;
+        return;
+      }
+      // chartsheets count in the positions of the sheets used by defined names
+      const chartsheet = model.chartsheetHash && model.chartsheetHash[path];
+      if (chartsheet) {
+        chartsheet.name = sheet.name;
+        chartsheet.id = sheet.id;
+        chartsheet.state = sheet.state;
+        model.chartsheets.push(chartsheet);
+        index++;
       }
     });
 
@@ -0,0 +1,290 @@
+const XmlStream = require('../../../utils/xml-stream');
+const {replaceReferences} = require('../../../utils/formula-parser');
+
+const BaseXform = require('../base-xform');
+
+const LEGEND_POSITIONS = {
+  right: 'r',
+  left: 'l',
+  top: 't',
+  bottom: 'b',
+  topRight: 'tr',
+};
+
+// the axis ids are only used to pair the axes of a chart
+const X_AXIS_ID = 500000001;
+const Y_AXIS_ID = 500000002;
+
+// series refer to their cells with absolute, sheet qualified references
+function formatSeriesReference(ref, sheetName) {
+  const absolute = node => Object.assign(node, {colAbsolute: true, rowAbsolute: true});
+  return replaceReferences(ref, node => {
+    switch (node.type) {
+      case 'cell':
+        absolute(node);
+        break;
+      case 'range':
+        absolute(node.tl);
+        absolute(node.br);
+        break;
+      default:
+        return undefined;
+    }
+    return Object.assign(node, {sheetName: node.sheetName === undefined ? sheetName : node.sheetName});
+  });
+}
+
+function renderVal(xmlStream, name, value) {
+  xmlStream.leafNode(name, {val: value});
+}
+
+function renderRichText(xmlStream, tag, text) {
+  xmlStream.openNode(tag);
+  xmlStream.openNode('c:tx');
+  xmlStream.openNode('c:rich');
+  xmlStream.leafNode('a:bodyPr');
+  xmlStream.leafNode('a:lstStyle');
+  xmlStream.openNode('a:p');
+  xmlStream.openNode('a:r');
+  xmlStream.leafNode('a:t', undefined, text);
+  xmlStream.closeNode();
+  xmlStream.closeNode();
+  xmlStream.closeNode();
+  xmlStream.closeNode();
+  renderVal(xmlStream, 'c:overlay', 0);
+  xmlStream.closeNode();
+}
+
+function renderSolidFill(xmlStream, color) {
+  xmlStream.openNode('a:solidFill');
+  xmlStream.leafNode('a:srgbClr', {val: color.argb.slice(-6)});
+  xmlStream.closeNode();
+}
+
+// Renders xl/charts/chartN.xml from the chart spec given to worksheet.addChart.
+// Charts are written without cached values, Excel reads them from the sheets when opened.
+// Not used for parsing
+class ChartSpaceXform extends BaseXform {
+  get tag() {
+    return 'c:chartSpace';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openXml(XmlStream.StdDocAttributes);
+    xmlStream.openNode(this.tag, ChartSpaceXform.CHART_SPACE_ATTRIBUTES);
+    renderVal(xmlStream, 'c:roundedCorners', 0);
+
+    xmlStream.openNode('c:chart');
+    if (model.title) {
+      renderRichText(xmlStream, 'c:title', model.title);
+    }
+    renderVal(xmlStream, 'c:autoTitleDeleted', model.title ? 0 : 1);
+
+    xmlStream.openNode('c:plotArea');
+    xmlStream.leafNode('c:layout');
+    this.renderPlot(xmlStream, model);
+    if (model.type !== 'pie') {
+      this.renderAxes(xmlStream, model);
+    }
+    xmlStream.closeNode();
+
+    if (model.legend !== false) {
+      const legend = model.legend || {};
+      xmlStream.openNode('c:legend');
+      renderVal(xmlStream, 'c:legendPos', LEGEND_POSITIONS[legend.position] || 'r');
+      renderVal(xmlStream, 'c:overlay', 0);
+      xmlStream.closeNode();
+    }
+    renderVal(xmlStream, 'c:plotVisOnly', 1);
+    renderVal(xmlStream, 'c:dispBlanksAs', 'gap');
+    xmlStream.closeNode();
+
+    xmlStream.closeNode();
+  }
+
+  renderPlot(xmlStream, model) {
+    const {type, grouping} = model;
+    switch (type) {
+      case 'bar':
+      case 'column':
+        xmlStream.openNode('c:barChart');
+        renderVal(xmlStream, 'c:barDir', type === 'bar' ? 'bar' : 'col');
+        renderVal(xmlStream, 'c:grouping', grouping || 'clustered');
+        renderVal(xmlStream, 'c:varyColors', 0);
+        this.renderSeries(xmlStream, model);
+        renderVal(xmlStream, 'c:gapWidth', 150);
+        if (grouping === 'stacked' || grouping === 'percentStacked') {
+          renderVal(xmlStream, 'c:overlap', 100);
+        }
+        break;
+      case 'line':
+        xmlStream.openNode('c:lineChart');
+        renderVal(xmlStream, 'c:grouping', grouping || 'standard');
+        renderVal(xmlStream, 'c:varyColors', 0);
+        this.renderSeries(xmlStream, model);
+        renderVal(xmlStream, 'c:marker', 1);
+        break;
+      case 'area':
+        xmlStream.openNode('c:areaChart');
+        renderVal(xmlStream, 'c:grouping', grouping || 'standard');
+        renderVal(xmlStream, 'c:varyColors', 0);
+        this.renderSeries(xmlStream, model);
+        break;
+      case 'scatter':
+        xmlStream.openNode('c:scatterChart');
+        renderVal(xmlStream, 'c:scatterStyle', 'lineMarker');
+        renderVal(xmlStream, 'c:varyColors', 0);
+        this.renderSeries(xmlStream, model);
+        break;
+      case 'pie':
+        xmlStream.openNode('c:pieChart');
+        renderVal(xmlStream, 'c:varyColors', 1);
+        this.renderSeries(xmlStream, model);
+        renderVal(xmlStream, 'c:firstSliceAng', 0);
+        xmlStream.closeNode();
+        return;
+      default:
+        throw new Error(`Unsupported chart type: ${type}`);
+    }
+    renderVal(xmlStream, 'c:axId', X_AXIS_ID);
+    renderVal(xmlStream, 'c:axId', Y_AXIS_ID);
+    xmlStream.closeNode();
+  }
+
+  renderSeries(xmlStream, model) {
+    const {type, sheetName} = model;
+    const renderRef = (tag, refTag, ref) => {
+      xmlStream.openNode(tag);
+      xmlStream.openNode(refTag);
+      xmlStream.leafNode('c:f', undefined, formatSeriesReference(ref, sheetName));
+      xmlStream.closeNode();
+      xmlStream.closeNode();
+    };
+
+    model.series.forEach((series, index) => {
+      xmlStream.openNode('c:ser');
+      renderVal(xmlStream, 'c:idx', index);
+      renderVal(xmlStream, 'c:order', index);
+      if (series.name) {
+        xmlStream.openNode('c:tx');
+        xmlStream.leafNode('c:v', undefined, series.name);
+        xmlStream.closeNode();
+      }
+
+      if (type === 'scatter') {
+        // markers only
+        xmlStream.openNode('c:spPr');
+        xmlStream.openNode('a:ln', {w: 19050});
+        xmlStream.leafNode('a:noFill');
+        xmlStream.closeNode();
+        xmlStream.closeNode();
+      } else if (series.color && type !== 'pie') {
+        xmlStream.openNode('c:spPr');
+        if (type === 'line') {
+          xmlStream.openNode('a:ln', {w: 28575});
+          renderSolidFill(xmlStream, series.color);
+          xmlStream.closeNode();
+        } else {
+          renderSolidFill(xmlStream, series.color);
+        }
+        xmlStream.closeNode();
+      }
+      if (type === 'bar' || type === 'column') {
+        renderVal(xmlStream, 'c:invertIfNegative', 0);
+      }
+
+      if (type === 'scatter') {
+        if (series.categories) {
+          renderRef('c:xVal', 'c:numRef', series.categories);
+        }
+        renderRef('c:yVal', 'c:numRef', series.values);
+      } else {
+        if (series.categories) {
+          renderRef('c:cat', 'c:strRef', series.categories);
+        }
+        renderRef('c:val', 'c:numRef', series.values);
+      }
+      if (type === 'line' || type === 'scatter') {
+        renderVal(xmlStream, 'c:smooth', 0);
+      }
+      xmlStream.closeNode();
+    });
+  }
+
+  renderAxes(xmlStream, model) {
+    const {type} = model;
+    const axes = model.axes || {};
+    const horizontal = type === 'bar';
+    this.renderAxis(xmlStream, {
+      tag: type === 'scatter' ? 'c:valAx' : 'c:catAx',
+      id: X_AXIS_ID,
+      crossId: Y_AXIS_ID,
+      position: horizontal ? 'l' : 'b',
+      crossBetween: 'midCat',
+      options: axes.x || {},
+    });
+    this.renderAxis(xmlStream, {
+      tag: 'c:valAx',
+      id: Y_AXIS_ID,
+      crossId: X_AXIS_ID,
+      position: horizontal ? 'b' : 'l',
+      crossBetween: type === 'scatter' ? 'midCat' : 'between',
+      options: {majorGridlines: true, ...axes.y},
+    });
+  }
+
+  renderAxis(xmlStream, {tag, id, crossId, position, crossBetween, options}) {
+    xmlStream.openNode(tag);
+    renderVal(xmlStream, 'c:axId', id);
+    xmlStream.openNode('c:scaling');
+    renderVal(xmlStream, 'c:orientation', 'minMax');
+    if (options.max !== undefined) {
+      renderVal(xmlStream, 'c:max', options.max);
+    }
+    if (options.min !== undefined) {
+      renderVal(xmlStream, 'c:min', options.min);
+    }
+    xmlStream.closeNode();
+    renderVal(xmlStream, 'c:delete', options.hidden ? 1 : 0);
+    renderVal(xmlStream, 'c:axPos', position);
+    if (options.majorGridlines) {
+      xmlStream.leafNode('c:majorGridlines');
+    }
+    if (options.title) {
+      renderRichText(xmlStream, 'c:title', options.title);
+    }
+    xmlStream.leafNode('c:numFmt', {formatCode: options.numFmt || 'General', sourceLinked: options.numFmt ? 0 : 1});
+    renderVal(xmlStream, 'c:majorTickMark', 'out');
+    renderVal(xmlStream, 'c:minorTickMark', 'none');
+    renderVal(xmlStream, 'c:tickLblPos', 'nextTo');
+    renderVal(xmlStream, 'c:crossAx', crossId);
+    renderVal(xmlStream, 'c:crosses', 'autoZero');
+    if (tag === 'c:catAx') {
+      renderVal(xmlStream, 'c:auto', 1);
+      renderVal(xmlStream, 'c:lblAlgn', 'ctr');
+      renderVal(xmlStream, 'c:lblOffset', 100);
+      renderVal(xmlStream, 'c:noMultiLvlLbl', 0);
+    } else {
+      renderVal(xmlStream, 'c:crossBetween', crossBetween);
+    }
+    xmlStream.closeNode();
+  }
+
+  parseOpen() {
+    return false;
+  }
+
+  parseText() {}
+
+  parseClose() {
+    return false;
+  }
+}
+
+ChartSpaceXform.CHART_SPACE_ATTRIBUTES = {
+  'xmlns:c': 'http://schemas.openxmlformats.org/drawingml/2006/chart',
+  'xmlns:a': 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  'xmlns:r': 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+};
+
+module.exports = ChartSpaceXform;
@@ -47,12 +47,14 @@ utils.inherits(CommentXform, BaseXform, {
 
     xmlStream.openNode('comment', {
       ref: model.ref,
-      authorId: 0,
+      authorId: model.authorId || 0,
     });
     xmlStream.openNode('text');
     if (model && model.note && model.note.texts) {
+      // the font of the note is for the texts without one of their own
+      const {font} = model.note;
       model.note.texts.forEach(text => {
-        this.richTextXform.render(xmlStream, text);
+        this.richTextXform.render(xmlStream, font && !text.font ? {...text, font} : text);
       });
     }
     xmlStream.closeNode();
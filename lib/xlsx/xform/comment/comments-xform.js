@@ -24,16 +24,26 @@ utils.inherits(
       xmlStream.openXml(XmlStream.StdDocAttributes);
       xmlStream.openNode('comments', CommentsXform.COMMENTS_ATTRIBUTES);
 
-      // authors
-      // TODO: support authors properly
+      // authors: the notes kept for threaded comments are by their thread
+      const authorIds = {};
+      const authors = [];
+      model.comments.forEach(comment => {
+        const author = CommentsXform.getAuthor(comment);
+        if (authorIds[author] === undefined) {
+          authorIds[author] = authors.length;
+          authors.push(author);
+        }
+      });
       xmlStream.openNode('authors');
-      xmlStream.leafNode('author', null, 'Author');
+      authors.forEach(author => {
+        xmlStream.leafNode('author', null, author);
+      });
       xmlStream.closeNode();
 
       // comments
       xmlStream.openNode('commentList');
       model.comments.forEach(comment => {
-        this.map.comment.render(xmlStream, comment);
+        this.map.comment.render(xmlStream, {...comment, authorId: authorIds[CommentsXform.getAuthor(comment)]});
       });
       xmlStream.closeNode();
       xmlStream.closeNode();
@@ -45,11 +55,18 @@ utils.inherits(
         return true;
       }
       switch (node.name) {
-        case 'commentList':
+        case 'comments':
           this.model = {
+            authors: [],
             comments: [],
           };
           return true;
+        case 'author':
+          this.author = '';
+          return true;
+        case 'authors':
+        case 'commentList':
+          return true;
         case 'comment':
           this.parser = this.map.comment;
           this.parser.parseOpen(node);
@@ -61,16 +78,28 @@ utils.inherits(
     parseText(text) {
       if (this.parser) {
         this.parser.parseText(text);
+      } else if (this.author !== undefined) {
+        this.author += text;
       }
     },
     parseClose(name) {
       switch (name) {
-        case 'commentList':
+        case 'comments':
           return false;
-        case 'comment':
-          this.model.comments.push(this.parser.model);
+        case 'author':
+          this.model.authors.push(this.author);
+          this.author = undefined;
+          return true;
+        case 'comment': {
+          const comment = this.parser.model;
+          const author = this.model.authors[comment.authorId];
+          if (author && author !== CommentsXform.DEFAULT_AUTHOR) {
+            comment.note.author = author;
+          }
+          this.model.comments.push(comment);
           this.parser = undefined;
           return true;
+        }
         default:
           if (this.parser) {
             this.parser.parseClose(name);
@@ -80,3 +109,11 @@ utils.inherits(
     },
   }
 );
+
+// notes without an author of their own are written by 'Author'
+CommentsXform.DEFAULT_AUTHOR = 'Author';
+
+// the author of a note, or of the thread it is kept for
+CommentsXform.getAuthor = function(comment) {
+  return comment.author || (comment.note && comment.note.author) || CommentsXform.DEFAULT_AUTHOR;
+};
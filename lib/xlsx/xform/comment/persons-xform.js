@@ -0,0 +1,46 @@
+const XmlStream = require('../../../utils/xml-stream');
+const BaseXform = require('../base-xform');
+
+// xl/persons/person.xml: the people of threaded comments, as a list of {id, displayName, userId, providerId}
+class PersonsXform extends BaseXform {
+  get tag() {
+    return 'personList';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openXml(XmlStream.StdDocAttributes);
+    xmlStream.openNode(this.tag, PersonsXform.PERSON_LIST_ATTRIBUTES);
+    model.forEach(({displayName, id, userId, providerId}) => {
+      xmlStream.leafNode('person', {displayName, id, userId, providerId});
+    });
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    switch (node.name) {
+      case this.tag:
+        this.model = [];
+        return true;
+      case 'person': {
+        const {displayName, id, userId, providerId} = node.attributes;
+        this.model.push({id, displayName, userId, providerId});
+        return true;
+      }
+      default:
+        return true;
+    }
+  }
+
+  parseText() {}
+
+  parseClose(name) {
+    return name !== this.tag;
+  }
+}
+
+PersonsXform.PERSON_LIST_ATTRIBUTES = {
+  xmlns: 'http://schemas.microsoft.com/office/spreadsheetml/2018/threadedcomments',
+  'xmlns:x': 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+};
+
+module.exports = PersonsXform;
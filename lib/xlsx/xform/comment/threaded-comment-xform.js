@@ -0,0 +1,94 @@
+const BaseXform = require('../base-xform');
+
+// dates of threaded comments are UTC, to hundredths of a second and without a zone, e.g. 2024-03-01T09:30:00.00
+function formatDate(date) {
+  return date.toISOString().substring(0, 22);
+}
+
+function parseDate(text) {
+  return new Date(/(Z|[+-]\d\d:\d\d)$/.test(text) ? text : `${text}Z`);
+}
+
+/**
+  <threadedComment ref="B2" dT="2024-03-01T09:30:00.00" personId="{...}" id="{...}" parentId="{...}" done="1">
+    <text>Thanks @Ann</text>
+    <mentions>
+      <mention mentionpersonId="{...}" mentionId="{...}" startIndex="7" length="4"/>
+    </mentions>
+  </threadedComment>
+ */
+class ThreadedCommentXform extends BaseXform {
+  get tag() {
+    return 'threadedComment';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openNode(this.tag, {
+      ref: model.ref,
+      dT: formatDate(model.date),
+      personId: model.personId,
+      id: model.id,
+      parentId: model.parentId,
+      done: model.done ? '1' : undefined,
+    });
+    xmlStream.leafNode('text', undefined, model.text);
+    if (model.mentions && model.mentions.length) {
+      xmlStream.openNode('mentions');
+      model.mentions.forEach(mention => {
+        xmlStream.leafNode('mention', {
+          mentionpersonId: mention.personId,
+          mentionId: mention.id,
+          startIndex: mention.startIndex,
+          length: mention.length,
+        });
+      });
+      xmlStream.closeNode();
+    }
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    switch (node.name) {
+      case this.tag: {
+        const {ref, dT, personId, id, parentId, done} = node.attributes;
+        this.model = {ref, id, personId, date: parseDate(dT), text: ''};
+        if (parentId) {
+          this.model.parentId = parentId;
+        }
+        if (done === '1' || done === 'true') {
+          this.model.done = true;
+        }
+        return true;
+      }
+      case 'text':
+        this.inText = true;
+        return true;
+      case 'mention':
+        this.model.mentions = this.model.mentions || [];
+        this.model.mentions.push({
+          id: node.attributes.mentionId,
+          personId: node.attributes.mentionpersonId,
+          startIndex: parseInt(node.attributes.startIndex, 10),
+          length: parseInt(node.attributes.length, 10),
+        });
+        return true;
+      default:
+        return true;
+    }
+  }
+
+  parseText(text) {
+    if (this.inText) {
+      this.model.text += text;
+    }
+  }
+
+  parseClose(name) {
+    if (name === 'text') {
+      this.inText = false;
+    }
+    return name !== this.tag;
+  }
+}
+
+module.exports = ThreadedCommentXform;
@@ -0,0 +1,110 @@
+const XmlStream = require('../../../utils/xml-stream');
+const BaseXform = require('../base-xform');
+const Note = require('../../../doc/note');
+
+const ThreadedCommentXform = require('./threaded-comment-xform');
+
+// xl/threadedComments/threadedCommentN.xml: the threaded comments of a sheet.
+// The model is {threads}, each thread being the comment starting it with its ref, resolved flag and replies.
+// In the file the comments are listed one after another, replies referring to the first comment by parentId
+class ThreadedCommentsXform extends BaseXform {
+  constructor() {
+    super();
+
+    this.map = {
+      threadedComment: new ThreadedCommentXform(),
+    };
+  }
+
+  get tag() {
+    return 'ThreadedComments';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openXml(XmlStream.StdDocAttributes);
+    xmlStream.openNode(this.tag, ThreadedCommentsXform.THREADED_COMMENTS_ATTRIBUTES);
+    model.threads.forEach(thread => {
+      const {ref, replies} = thread;
+      this.map.threadedComment.render(xmlStream, {...thread, done: thread.resolved});
+      replies.forEach(reply => {
+        this.map.threadedComment.render(xmlStream, {...reply, ref, parentId: thread.id});
+      });
+    });
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    if (this.parser) {
+      this.parser.parseOpen(node);
+      return true;
+    }
+    switch (node.name) {
+      case this.tag:
+        this.comments = [];
+        return true;
+      case 'threadedComment':
+        this.parser = this.map.threadedComment;
+        this.parser.parseOpen(node);
+        return true;
+      default:
+        return true;
+    }
+  }
+
+  parseText(text) {
+    if (this.parser) {
+      this.parser.parseText(text);
+    }
+  }
+
+  parseClose(name) {
+    if (this.parser) {
+      if (!this.parser.parseClose(name)) {
+        this.comments.push(this.parser.model);
+        this.parser = undefined;
+      }
+      return true;
+    }
+    if (name === this.tag) {
+      const threads = {};
+      this.comments.forEach(({parentId, done, ...comment}) => {
+        if (!parentId) {
+          threads[comment.id] = {type: 'thread', ...comment, resolved: Boolean(done), replies: []};
+        }
+      });
+      this.comments.forEach(({parentId, ref, ...reply}) => {
+        if (parentId && threads[parentId]) {
+          threads[parentId].replies.push(reply);
+        }
+      });
+      this.model = {threads: Object.values(threads)};
+      return false;
+    }
+    return true;
+  }
+
+  // Excel keeps a note of each thread for readers that don't know threaded comments.
+  // The note's author refers to the thread
+  static toNote(thread, ref) {
+    const lines = [
+      '[Threaded comment]',
+      '',
+      'Your version of Excel allows you to read this threaded comment; however, any edits to it will get removed ' +
+        'if the file is opened in a newer version of Excel. Learn more: https://go.microsoft.com/fwlink/?linkid=870924',
+      '',
+      'Comment:',
+      `    ${thread.text}`,
+    ];
+    thread.replies.forEach(reply => {
+      lines.push('Reply:', `    ${reply.text}`);
+    });
+    return {...new Note(lines.join('\n')).model, ref, author: `tc=${thread.id}`};
+  }
+}
+
+ThreadedCommentsXform.THREADED_COMMENTS_ATTRIBUTES = {
+  xmlns: 'http://schemas.microsoft.com/office/spreadsheetml/2018/threadedcomments',
+  'xmlns:x': 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+};
+
+module.exports = ThreadedCommentsXform;
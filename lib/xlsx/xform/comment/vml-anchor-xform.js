@@ -1,6 +1,29 @@
 const BaseXform = require('../base-xform');
+const {columnWidthPixels, rowHeightPixels} = require('../../../doc/drawing-range');
 
-// render the triangle in the cell for the comment
+// the position of the far edge of the first count columns (or rows)
+function edgeOf(size, count) {
+  let edge = 0;
+  for (let i = 1; i <= count; i++) {
+    edge += size(i);
+  }
+  return edge;
+}
+
+// the column (or row) a distance falls in, zero based, with the offset into it
+function cellOffsetAt(size, distance, max) {
+  let edge = 0;
+  let index = 1;
+  while (index < max && edge + size(index) <= distance) {
+    edge += size(index);
+    index++;
+  }
+  return [index - 1, Math.round(distance - edge)];
+}
+
+// The box of a note is anchored by the cells its corners are in with pixel offsets into them:
+//   [left column, offset, top row, offset, right column, offset, bottom row, offset]
+// The box itself is given in pixels from the top left of the sheet: {x, y, width, height}
 class VmlAnchorXform extends BaseXform {
   get tag() {
     return 'x:Anchor';
@@ -31,9 +54,9 @@ class VmlAnchorXform extends BaseXform {
   }
 
   render(xmlStream, model) {
-    const rect = model.anchor
-      ? this.getAnchorRect(model.anchor)
-      : this.getDefaultRect(model.refAddress);
+    const rect =
+      model.rect ||
+      (model.anchor ? this.getAnchorRect(model.anchor) : this.getDefaultRect(model.refAddress));
 
     xmlStream.leafNode('x:Anchor', null, rect.join(', '));
   }
@@ -57,4 +80,80 @@ class VmlAnchorXform extends BaseXform {
   }
 }
 
+// the sizes in pixels of the columns and rows of a sheet model, by number
+VmlAnchorXform.getSheetSizes = ({cols, rows, properties}) => {
+  const {defaultColWidth, defaultRowHeight} = properties || {};
+  const heights = {};
+  (rows || []).forEach(row => {
+    heights[row.number] = row.hidden ? 0 : rowHeightPixels(row.height || defaultRowHeight);
+  });
+  return {
+    col: n => {
+      const col = (cols || []).find(c => c.min <= n && n <= c.max);
+      if (col && col.hidden) {
+        return 0;
+      }
+      const custom = col && col.width !== undefined && col.isCustomWidth !== false;
+      return columnWidthPixels(custom ? col.width : defaultColWidth);
+    },
+    row: n => (heights[n] !== undefined ? heights[n] : rowHeightPixels(defaultRowHeight)),
+  };
+};
+
+VmlAnchorXform.toBox = ([l, lf, t, tf, r, rf, b, bf], sizes) => {
+  const x = edgeOf(sizes.col, l) + lf;
+  const y = edgeOf(sizes.row, t) + tf;
+  return {
+    x,
+    y,
+    width: edgeOf(sizes.col, r) + rf - x,
+    height: edgeOf(sizes.row, b) + bf - y,
+  };
+};
+
+VmlAnchorXform.toRect = ({x, y, width, height}, sizes) => [
+  ...cellOffsetAt(sizes.col, x, 16384),
+  ...cellOffsetAt(sizes.row, y, 1048576),
+  ...cellOffsetAt(sizes.col, x + width, 16384),
+  ...cellOffsetAt(sizes.row, y + height, 1048576),
+];
+
+// Notes are placed by the top left corner of their box, {col, row} (zero based, with fractions of cells),
+// and its width and height in pixels. Notes without them go where Excel puts notes by default
+VmlAnchorXform.placeNote = (comment, sizes) => {
+  const {position, width, height} = comment.note;
+  if (!position && width === undefined && height === undefined) {
+    return;
+  }
+  const box = VmlAnchorXform.toBox(VmlAnchorXform.prototype.getDefaultRect(comment.refAddress), sizes);
+  if (position) {
+    const col = Math.floor(position.col);
+    const row = Math.floor(position.row);
+    box.x = edgeOf(sizes.col, col) + ((position.col - col) * sizes.col(col + 1));
+    box.y = edgeOf(sizes.row, row) + ((position.row - row) * sizes.row(row + 1));
+  }
+  box.width = width !== undefined ? width : box.width;
+  box.height = height !== undefined ? height : box.height;
+  comment.box = box;
+  comment.rect = VmlAnchorXform.toRect(box, sizes);
+};
+
+// the position and size of a loaded note from its anchor, unless it is where notes go by default
+VmlAnchorXform.readNote = (note, refAddress, sizes) => {
+  const rect = (note.anchor || '').split(',').map(value => parseInt(value, 10));
+  delete note.anchor;
+  const defaultRect = VmlAnchorXform.prototype.getDefaultRect(refAddress);
+  if (rect.length !== 8 || rect.some(Number.isNaN) || rect.every((value, i) => value === defaultRect[i])) {
+    return;
+  }
+  const [l, lf, t, tf] = rect;
+  const box = VmlAnchorXform.toBox(rect, sizes);
+  note.position = {
+    col: l + (sizes.col(l + 1) ? lf / sizes.col(l + 1) : 0),
+    row: t + (sizes.row(t + 1) ? tf / sizes.row(t + 1) : 0),
+  };
+  note.width = box.width;
+  note.height = box.height;
+};
+
 module.exports = VmlAnchorXform;
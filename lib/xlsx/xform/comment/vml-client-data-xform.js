@@ -33,6 +33,9 @@ class VmlClientDataXform extends BaseXform {
     this.map['x:LockText'].render(xmlStream, protection.lockText);
     xmlStream.leafNode('x:Row', null, model.refAddress.row - 1);
     xmlStream.leafNode('x:Column', null, model.refAddress.col - 1);
+    if (model.note.visible) {
+      xmlStream.leafNode('x:Visible');
+    }
     xmlStream.closeNode();
   }
 
@@ -46,6 +49,9 @@ class VmlClientDataXform extends BaseXform {
           editAs: '',
         };
         break;
+      case 'x:Visible':
+        this.model.visible = true;
+        break;
       default:
         this.parser = this.map[node.name];
         if (this.parser) {
@@ -34,7 +34,7 @@ class VmlShapeXform extends BaseXform {
     }
 
     switch (node.name) {
-      case this.tag:
+      case this.tag: {
         this.reset();
         this.model = {
           margins: {
@@ -44,7 +44,15 @@ class VmlShapeXform extends BaseXform {
           editAs: '',
           protection: {},
         };
+        const fillColor = VmlShapeXform.parseColor(node.attributes.fillcolor);
+        if (fillColor) {
+          this.model.fillColor = fillColor;
+        }
+        if (/visibility:\s*visible/.test(node.attributes.style || '')) {
+          this.model.visible = true;
+        }
         break;
+      }
       default:
         this.parser = this.map[node.name];
         if (this.parser) {
@@ -75,6 +83,9 @@ class VmlShapeXform extends BaseXform {
           this.map['x:ClientData'].model && this.map['x:ClientData'].model.protection;
         this.model.anchor = this.map['x:ClientData'].model && this.map['x:ClientData'].model.anchor;
         this.model.editAs = this.map['x:ClientData'].model && this.map['x:ClientData'].model.editAs;
+        if (this.map['x:ClientData'].model && this.map['x:ClientData'].model.visible) {
+          this.model.visible = true;
+        }
         return false;
       default:
         return true;
@@ -82,14 +93,31 @@ class VmlShapeXform extends BaseXform {
   }
 }
 
-VmlShapeXform.V_SHAPE_ATTRIBUTES = (model, index) => ({
-  id: `_x0000_s${1025 + index}`,
-  type: '#_x0000_t202',
-  style:
-    'position:absolute; margin-left:105.3pt;margin-top:10.5pt;width:97.8pt;height:59.1pt;z-index:1;visibility:hidden',
-  fillcolor: 'infoBackground [80]',
-  strokecolor: 'none [81]',
-  'o:insetmode': model.note.margins && model.note.margins.insetmode,
-});
+// the style of the shape places it in points, where the box of the note is in pixels
+const toPoints = pixels => `${Math.round(pixels * 75) / 100}pt`;
+
+VmlShapeXform.V_SHAPE_ATTRIBUTES = (model, index) => {
+  const {box} = model;
+  const position = box
+    ? `margin-left:${toPoints(box.x)};margin-top:${toPoints(box.y)};width:${toPoints(box.width)};height:${toPoints(
+        box.height
+      )}`
+    : 'margin-left:105.3pt;margin-top:10.5pt;width:97.8pt;height:59.1pt';
+  const {fillColor, visible} = model.note;
+  return {
+    id: `_x0000_s${1025 + index}`,
+    type: '#_x0000_t202',
+    style: `position:absolute; ${position};z-index:1;visibility:${visible ? 'visible' : 'hidden'}`,
+    fillcolor: fillColor && fillColor.argb ? `#${fillColor.argb.slice(-6)}` : 'infoBackground [80]',
+    strokecolor: 'none [81]',
+    'o:insetmode': model.note.margins && model.note.margins.insetmode,
+  };
+};
+
+// the fill colour of a note is #rrggbb, or a system colour for the default
+VmlShapeXform.parseColor = value => {
+  const match = (value || '').match(/^#([0-9a-fA-F]{6})/);
+  return match ? {argb: `FF${match[1].toUpperCase()}`} : undefined;
+};
 
 module.exports = VmlShapeXform;
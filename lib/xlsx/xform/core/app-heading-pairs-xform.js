@@ -1,17 +1,26 @@
 const BaseXform = require('../base-xform');
 
 class AppHeadingPairsXform extends BaseXform {
+  // the model is the list of sheets, chartsheets being those with a chart
   render(xmlStream, model) {
+    const charts = model.filter(sheet => sheet.chart).length;
+    const headings = [{name: 'Worksheets', count: model.length - charts}];
+    if (charts) {
+      headings.push({name: 'Charts', count: charts});
+    }
+
     xmlStream.openNode('HeadingPairs');
-    xmlStream.openNode('vt:vector', {size: 2, baseType: 'variant'});
+    xmlStream.openNode('vt:vector', {size: 2 * headings.length, baseType: 'variant'});
 
-    xmlStream.openNode('vt:variant');
-    xmlStream.leafNode('vt:lpstr', undefined, 'Worksheets');
-    xmlStream.closeNode();
+    headings.forEach(({name, count}) => {
+      xmlStream.openNode('vt:variant');
+      xmlStream.leafNode('vt:lpstr', undefined, name);
+      xmlStream.closeNode();
 
-    xmlStream.openNode('vt:variant');
-    xmlStream.leafNode('vt:i4', undefined, model.length);
-    xmlStream.closeNode();
+      xmlStream.openNode('vt:variant');
+      xmlStream.leafNode('vt:i4', undefined, count);
+      xmlStream.closeNode();
+    });
 
     xmlStream.closeNode();
     xmlStream.closeNode();
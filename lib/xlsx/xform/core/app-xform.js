@@ -26,8 +26,10 @@ class AppXform extends BaseXform {
     xmlStream.leafNode('DocSecurity', undefined, '0');
     xmlStream.leafNode('ScaleCrop', undefined, 'false');
 
-    this.map.HeadingPairs.render(xmlStream, model.worksheets);
-    this.map.TitleOfParts.render(xmlStream, model.worksheets);
+    // the titles are listed in the order of the headings: worksheets then charts
+    const sheets = model.worksheets.concat(model.chartsheets || []);
+    this.map.HeadingPairs.render(xmlStream, sheets);
+    this.map.TitleOfParts.render(xmlStream, sheets);
     this.map.Company.render(xmlStream, model.company || '');
     this.map.Manager.render(xmlStream, model.manager);
 
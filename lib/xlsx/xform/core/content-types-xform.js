@@ -3,7 +3,7 @@ const XmlStream = require('../../../utils/xml-stream');
 const BaseXform = require('../base-xform');
 
 // used for rendering the [Content_Types].xml file
-// not used for parsing
+// parsing just collects the content types: {defaults: {extension: type}, overrides: {partName: type}}
 class ContentTypesXform extends BaseXform {
   render(xmlStream, model) {
     xmlStream.openXml(XmlStream.StdDocAttributes);
@@ -16,7 +16,10 @@ class ContentTypesXform extends BaseXform {
         const imageType = medium.extension;
         if (!mediaHash[imageType]) {
           mediaHash[imageType] = true;
-          xmlStream.leafNode('Default', {Extension: imageType, ContentType: `image/${imageType}`});
+          xmlStream.leafNode('Default', {
+            Extension: imageType,
+            ContentType: ContentTypesXform.IMAGE_TYPES[imageType] || `image/${imageType}`,
+          });
         }
       }
     });
@@ -40,6 +43,13 @@ class ContentTypesXform extends BaseXform {
       });
     });
 
+    (model.chartsheets || []).forEach(chartsheet => {
+      xmlStream.leafNode('Override', {
+        PartName: `/xl/chartsheets/sheet${chartsheet.id}.xml`,
+        ContentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.chartsheet+xml',
+      });
+    });
+
     if ((model.pivotTables || []).length) {
       // Note(2023-10-06): assuming at most one pivot table for now.
       xmlStream.leafNode('Override', {
@@ -73,6 +83,19 @@ class ContentTypesXform extends BaseXform {
       });
     }
 
+    if (model.metadata && model.metadata.count) {
+      xmlStream.leafNode('Override', {
+        PartName: '/xl/metadata.xml',
+        ContentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheetMetadata+xml',
+      });
+    }
+
+    (model.richDataFiles || []).forEach(({path, contentType}) => {
+      if (contentType) {
+        xmlStream.leafNode('Override', {PartName: `/${path}`, ContentType: contentType});
+      }
+    });
+
     if (model.tables) {
       model.tables.forEach(table => {
         xmlStream.leafNode('Override', {
@@ -91,17 +114,47 @@ class ContentTypesXform extends BaseXform {
       });
     }
 
+    if (model.charts) {
+      model.charts.forEach(chart => {
+        xmlStream.leafNode('Override', {
+          PartName: `/xl/charts/${chart.name}.xml`,
+          ContentType: 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml',
+        });
+      });
+    }
+
+    if (model.parts) {
+      model.parts.files.forEach(({path, contentType}) => {
+        if (contentType) {
+          xmlStream.leafNode('Override', {PartName: `/${path}`, ContentType: contentType});
+        }
+      });
+    }
+
     if (model.commentRefs) {
       xmlStream.leafNode('Default', {
         Extension: 'vml',
         ContentType: 'application/vnd.openxmlformats-officedocument.vmlDrawing',
       });
 
-      model.commentRefs.forEach(({commentName}) => {
+      model.commentRefs.forEach(({commentName, threadedCommentName}) => {
         xmlStream.leafNode('Override', {
           PartName: `/xl/${commentName}.xml`,
           ContentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.comments+xml',
         });
+        if (threadedCommentName) {
+          xmlStream.leafNode('Override', {
+            PartName: `/xl/threadedComments/${threadedCommentName}.xml`,
+            ContentType: 'application/vnd.ms-excel.threadedcomments+xml',
+          });
+        }
+      });
+    }
+
+    if (model.persons && model.persons.length) {
+      xmlStream.leafNode('Override', {
+        PartName: '/xl/persons/person.xml',
+        ContentType: 'application/vnd.ms-excel.person+xml',
       });
     }
 
@@ -117,14 +170,26 @@ class ContentTypesXform extends BaseXform {
     xmlStream.closeNode();
   }
 
-  parseOpen() {
-    return false;
+  parseOpen(node) {
+    switch (node.name) {
+      case 'Types':
+        this.model = {defaults: {}, overrides: {}};
+        return true;
+      case 'Default':
+        this.model.defaults[node.attributes.Extension.toLowerCase()] = node.attributes.ContentType;
+        return true;
+      case 'Override':
+        this.model.overrides[node.attributes.PartName] = node.attributes.ContentType;
+        return true;
+      default:
+        return false;
+    }
   }
 
   parseText() {}
 
-  parseClose() {
-    return false;
+  parseClose(name) {
+    return name !== 'Types';
   }
 }
 
@@ -132,4 +197,9 @@ ContentTypesXform.PROPERTY_ATTRIBUTES = {
   xmlns: 'http://schemas.openxmlformats.org/package/2006/content-types',
 };
 
+// the content types of images that aren't image/<extension>
+ContentTypesXform.IMAGE_TYPES = {
+  svg: 'image/svg+xml',
+};
+
 module.exports = ContentTypesXform;
@@ -0,0 +1,75 @@
+const BaseCellAnchorXform = require('./base-cell-anchor-xform');
+const StaticXform = require('../static-xform');
+
+const PosXform = require('./pos-xform');
+const ExtXform = require('./ext-xform');
+const PicXform = require('./pic-xform');
+const GraphicFrameXform = require('./graphic-frame-xform');
+const ShapeXform = require('./shape-xform');
+const RawXform = require('../raw-xform');
+
+// anchored to a position on the sheet rather than to cells, e.g. the chart of a chartsheet
+class AbsoluteAnchorXform extends BaseCellAnchorXform {
+  constructor() {
+    super();
+
+    this.map = {
+      'xdr:pos': new PosXform(),
+      'xdr:ext': new ExtXform({tag: 'xdr:ext'}),
+      'xdr:pic': new PicXform(),
+      'xdr:graphicFrame': new GraphicFrameXform(),
+      'xdr:sp': new ShapeXform(),
+      'xdr:grpSp': new RawXform(),
+      'xdr:cxnSp': new RawXform(),
+      'xdr:clientData': new StaticXform({tag: 'xdr:clientData'}),
+    };
+  }
+
+  get tag() {
+    return 'xdr:absoluteAnchor';
+  }
+
+  prepare(model, options) {
+    this.prepareContent(model, options);
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openNode(this.tag);
+
+    this.map['xdr:pos'].render(xmlStream, model.range.pos);
+    this.map['xdr:ext'].render(xmlStream, model.range.ext);
+    this.renderContent(xmlStream, model);
+    this.map['xdr:clientData'].render(xmlStream, {});
+
+    xmlStream.closeNode();
+  }
+
+  parseClose(name) {
+    if (this.parser) {
+      if (!this.parser.parseClose(name)) {
+        this.parser = undefined;
+      }
+      return true;
+    }
+    switch (name) {
+      case this.tag:
+        this.model.range = {
+          pos: this.map['xdr:pos'].model,
+          ext: this.map['xdr:ext'].model,
+          editAs: 'absolute',
+        };
+        this.parseContent();
+        return false;
+      default:
+        // could be some unrecognised tags
+        return true;
+    }
+  }
+
+  reconcile(model, options) {
+    model.medium = this.reconcilePicture(model.picture, options);
+    this.reconcileContent(model, options);
+  }
+}
+
+module.exports = AbsoluteAnchorXform;
@@ -1,4 +1,15 @@
 const BaseXform = require('../base-xform');
+const StaticXform = require('../static-xform');
+const RelType = require('../../rel-type');
+const ShapeXform = require('./shape-xform');
+
+const CONTENT_TAGS = ['xdr:sp', 'xdr:grpSp', 'xdr:cxnSp'];
+
+// call back with each element of raw content
+function walk(element, callback) {
+  callback(element);
+  (element.c || []).forEach(child => walk(child, callback));
+}
 
 class BaseCellAnchorXform extends BaseXform {
   parseOpen(node) {
@@ -31,15 +42,99 @@ class BaseCellAnchorXform extends BaseXform {
     }
   }
 
-  reconcilePicture(model, options) {
-    if (model && model.rId) {
-      const rel = options.rels[model.rId];
-      const match = rel.Target.match(/.*\/media\/(.+[.][a-zA-Z]{3,4})/);
-      if (match) {
-        const name = match[1];
-        const mediaId = options.mediaIndex[name];
-        return options.media[mediaId];
+  // the anchored object is a picture, a chart frame, a shape or content that is kept as it was loaded
+  prepareContent(model, options) {
+    if (model.content) {
+      // loaded ids may clash with the ids given to pictures and charts
+      walk(model.content, element => {
+        if (element.tag === 'xdr:cNvPr') {
+          element.$.id = options.nextId();
+        }
+      });
+    } else if (model.graphicFrame) {
+      this.map['xdr:graphicFrame'].prepare(model.graphicFrame, options);
+    } else if (model.shape) {
+      this.map['xdr:sp'].prepare(model.shape, options);
+    } else {
+      this.map['xdr:pic'].prepare(model.picture, options);
+    }
+  }
+
+  renderContent(xmlStream, model) {
+    if (model.content) {
+      StaticXform.build(xmlStream, model.content);
+    } else if (model.graphicFrame) {
+      this.map['xdr:graphicFrame'].render(xmlStream, model.graphicFrame);
+    } else if (model.shape) {
+      this.map['xdr:sp'].render(xmlStream, model.shape);
+    } else {
+      this.map['xdr:pic'].render(xmlStream, model.picture);
+    }
+  }
+
+  parseContent() {
+    this.model.picture = this.map['xdr:pic'].model;
+    if (this.map['xdr:graphicFrame'].model) {
+      this.model.graphicFrame = this.map['xdr:graphicFrame'].model;
+    }
+    const content = CONTENT_TAGS.map(tag => this.map[tag].model).find(Boolean);
+    const shape = content && content.tag === 'xdr:sp' && ShapeXform.toModel(content);
+    if (shape) {
+      this.model.shape = shape;
+    } else if (content) {
+      this.model.content = content;
+    }
+  }
+
+  // charts are kept as their loaded parts, other content along with the parts it refers to
+  reconcileContent(model, options) {
+    const {graphicFrame} = model;
+    if (!options.getPart || !(graphicFrame || model.content)) {
+      return;
+    }
+    const rel = graphicFrame && options.rels[graphicFrame.rId];
+    if (rel && rel.Type === RelType.Chart) {
+      const part = options.getPart(rel.Target);
+      if (part) {
+        model.chart = {name: graphicFrame.name, part};
       }
+    } else {
+      model.content = model.content || graphicFrame.content;
+      model.rels = {};
+      walk(model.content, element => {
+        Object.entries(element.$ || {}).forEach(([name, rId]) => {
+          const target = name.startsWith('r:') && options.rels[rId];
+          if (target) {
+            const {Type, Target, TargetMode} = target;
+            model.rels[rId] = {Type, Target, TargetMode};
+            if (TargetMode !== 'External') {
+              model.rels[rId].part = options.getPart(Target);
+            }
+          }
+        });
+      });
+    }
+    delete model.graphicFrame;
+  }
+
+  reconcilePicture(model, options) {
+    const medium = model && this.reconcileMedium(model.rId, options);
+    // svg pictures are kept as the svg, the picture of the blip being its fallback
+    const svg = medium && this.reconcileMedium(model.svgRId, options);
+    if (svg) {
+      svg.fallback = medium.index;
+      return svg;
+    }
+    return medium;
+  }
+
+  reconcileMedium(rId, options) {
+    const rel = rId && options.rels[rId];
+    const match = rel && rel.Target.match(/.*\/media\/(.+[.][a-zA-Z]{3,4})/);
+    if (match) {
+      const name = match[1];
+      const mediaId = options.mediaIndex[name];
+      return options.media[mediaId];
     }
     return undefined;
   }
@@ -1,6 +1,9 @@
 const BaseXform = require('../base-xform');
 const BlipXform = require('./blip-xform');
 
+// the sides of the crop, in percent of the picture, and the attributes of a:srcRect (in thousandths of a percent)
+const CROP_SIDES = {left: 'l', top: 't', right: 'r', bottom: 'b'};
+
 class BlipFillXform extends BaseXform {
   constructor() {
     super();
@@ -19,6 +22,16 @@ class BlipFillXform extends BaseXform {
 
     this.map['a:blip'].render(xmlStream, model);
 
+    if (model.crop) {
+      const attributes = {};
+      Object.entries(CROP_SIDES).forEach(([side, name]) => {
+        if (model.crop[side]) {
+          attributes[name] = Math.round(model.crop[side] * 1000);
+        }
+      });
+      xmlStream.leafNode('a:srcRect', attributes);
+    }
+
     // TODO: options for this + parsing
     xmlStream.openNode('a:stretch');
     xmlStream.leafNode('a:fillRect');
@@ -36,6 +49,16 @@ class BlipFillXform extends BaseXform {
     switch (node.name) {
       case this.tag:
         this.reset();
+        this.crop = undefined;
+        break;
+
+      case 'a:srcRect':
+        this.crop = {};
+        Object.entries(CROP_SIDES).forEach(([side, name]) => {
+          if (node.attributes[name]) {
+            this.crop[side] = parseInt(node.attributes[name], 10) / 1000;
+          }
+        });
         break;
 
       default:
@@ -60,6 +83,9 @@ class BlipFillXform extends BaseXform {
     switch (name) {
       case this.tag:
         this.model = this.map['a:blip'].model;
+        if (this.crop && Object.keys(this.crop).length) {
+          this.model = Object.assign({}, this.model, {crop: this.crop});
+        }
         return false;
 
       default:
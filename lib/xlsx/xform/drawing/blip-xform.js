@@ -1,17 +1,33 @@
 const BaseXform = require('../base-xform');
 
+// an svg picture is drawn from a:blip's own (raster) picture by readers that don't know svg
+const SVG_BLIP_URI = '{96DAC541-7B7A-43D3-8B79-37D633B846F1}';
+
 class BlipXform extends BaseXform {
   get tag() {
     return 'a:blip';
   }
 
   render(xmlStream, model) {
-    xmlStream.leafNode(this.tag, {
+    const attributes = {
       'xmlns:r': 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
       'r:embed': model.rId,
       cstate: 'print',
+    };
+    if (!model.svgRId) {
+      xmlStream.leafNode(this.tag, attributes);
+      return;
+    }
+    xmlStream.openNode(this.tag, attributes);
+    xmlStream.openNode('a:extLst');
+    xmlStream.openNode('a:ext', {uri: SVG_BLIP_URI});
+    xmlStream.leafNode('asvg:svgBlip', {
+      'xmlns:asvg': 'http://schemas.microsoft.com/office/drawing/2016/SVG/main',
+      'r:embed': model.svgRId,
     });
-    // TODO: handle children (e.g. a:extLst=>a:ext=>a14:useLocalDpi
+    xmlStream.closeNode();
+    xmlStream.closeNode();
+    xmlStream.closeNode();
   }
 
   parseOpen(node) {
@@ -21,6 +37,9 @@ class BlipXform extends BaseXform {
           rId: node.attributes['r:embed'],
         };
         return true;
+      case 'asvg:svgBlip':
+        this.model.svgRId = node.attributes['r:embed'];
+        return true;
       default:
         return true;
     }
@@ -5,10 +5,11 @@ class CNvPicPrXform extends BaseXform {
     return 'xdr:cNvPicPr';
   }
 
-  render(xmlStream) {
+  // the aspect ratio of pictures is locked unless lockAspectRatio is false
+  render(xmlStream, model) {
     xmlStream.openNode(this.tag);
     xmlStream.leafNode('a:picLocks', {
-      noChangeAspect: '1',
+      noChangeAspect: model && model.lockAspectRatio === false ? undefined : '1',
     });
     xmlStream.closeNode();
   }
@@ -16,6 +17,12 @@ class CNvPicPrXform extends BaseXform {
   parseOpen(node) {
     switch (node.name) {
       case this.tag:
+        this.model = {lockAspectRatio: false};
+        return true;
+      case 'a:picLocks':
+        if (node.attributes.noChangeAspect === '1') {
+          this.model = null;
+        }
         return true;
       default:
         return true;
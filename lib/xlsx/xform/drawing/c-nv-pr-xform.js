@@ -20,6 +20,7 @@ class CNvPrXform extends BaseXform {
     xmlStream.openNode(this.tag, {
       id: model.index,
       name: `Picture ${model.index}`,
+      descr: model.description,
     });
     this.map['a:hlinkClick'].render(xmlStream, model);
     this.map['a:extLst'].render(xmlStream, model);
@@ -35,6 +36,7 @@ class CNvPrXform extends BaseXform {
     switch (node.name) {
       case this.tag:
         this.reset();
+        this.description = node.attributes.descr;
         break;
       default:
         this.parser = this.map[node.name];
@@ -58,6 +60,9 @@ class CNvPrXform extends BaseXform {
     switch (name) {
       case this.tag:
         this.model = this.map['a:hlinkClick'].model;
+        if (this.description) {
+          this.model = Object.assign({}, this.model, {description: this.description});
+        }
         return false;
       default:
         return true;
@@ -4,10 +4,14 @@ const XmlStream = require('../../../utils/xml-stream');
 const BaseXform = require('../base-xform');
 const TwoCellAnchorXform = require('./two-cell-anchor-xform');
 const OneCellAnchorXform = require('./one-cell-anchor-xform');
+const AbsoluteAnchorXform = require('./absolute-anchor-xform');
 
 function getAnchorType(model) {
   const range = typeof model.range === 'string' ? colCache.decode(model.range) : model.range;
 
+  if (range.pos) {
+    return 'xdr:absoluteAnchor';
+  }
   return range.br ? 'xdr:twoCellAnchor' : 'xdr:oneCellAnchor';
 }
 
@@ -18,14 +22,18 @@ class DrawingXform extends BaseXform {
     this.map = {
       'xdr:twoCellAnchor': new TwoCellAnchorXform(),
       'xdr:oneCellAnchor': new OneCellAnchorXform(),
+      'xdr:absoluteAnchor': new AbsoluteAnchorXform(),
     };
   }
 
   prepare(model) {
+    // pictures and charts are numbered by position, other content follows on
+    let id = model.anchors.length;
+    const nextId = () => ++id;
     model.anchors.forEach((item, index) => {
       item.anchorType = getAnchorType(item);
       const anchor = this.map[item.anchorType];
-      anchor.prepare(item, {index});
+      anchor.prepare(item, {index, nextId});
     });
   }
 
@@ -92,7 +100,9 @@ class DrawingXform extends BaseXform {
 
   reconcile(model, options) {
     model.anchors.forEach(anchor => {
-      if (anchor.br) {
+      if (anchor.range && anchor.range.pos) {
+        this.map['xdr:absoluteAnchor'].reconcile(anchor, options);
+      } else if (anchor.br) {
         this.map['xdr:twoCellAnchor'].reconcile(anchor, options);
       } else {
         this.map['xdr:oneCellAnchor'].reconcile(anchor, options);
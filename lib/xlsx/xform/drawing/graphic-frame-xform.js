@@ -0,0 +1,81 @@
+const BaseXform = require('../base-xform');
+const RawXform = require('../raw-xform');
+
+// A frame holding a chart, referring to the chart part by relationship id.
+// Frames holding anything else (e.g. SmartArt) are parsed as raw content.
+class GraphicFrameXform extends BaseXform {
+  constructor() {
+    super();
+
+    this.raw = new RawXform();
+  }
+
+  get tag() {
+    return 'xdr:graphicFrame';
+  }
+
+  prepare(model, options) {
+    model.index = options.index + 1;
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openNode(this.tag, {macro: ''});
+
+    xmlStream.openNode('xdr:nvGraphicFramePr');
+    xmlStream.leafNode('xdr:cNvPr', {id: model.index, name: model.name || `Chart ${model.index}`});
+    xmlStream.leafNode('xdr:cNvGraphicFramePr');
+    xmlStream.closeNode();
+
+    xmlStream.openNode('xdr:xfrm');
+    xmlStream.leafNode('a:off', {x: 0, y: 0});
+    xmlStream.leafNode('a:ext', {cx: 0, cy: 0});
+    xmlStream.closeNode();
+
+    xmlStream.openNode('a:graphic');
+    xmlStream.openNode('a:graphicData', {uri: GraphicFrameXform.CHART_URI});
+    xmlStream.leafNode('c:chart', {
+      'xmlns:c': GraphicFrameXform.CHART_URI,
+      'xmlns:r': 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+      'r:id': model.rId,
+    });
+    xmlStream.closeNode();
+    xmlStream.closeNode();
+
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    switch (node.name) {
+      case this.tag:
+        this.model = {};
+        this.raw.reset();
+        break;
+      case 'xdr:cNvPr':
+        this.model.name = node.attributes.name;
+        break;
+      case 'c:chart':
+        this.model.rId = node.attributes['r:id'];
+        break;
+      default:
+        break;
+    }
+    this.raw.parseOpen(node);
+    return true;
+  }
+
+  parseText(text) {
+    this.raw.parseText(text);
+  }
+
+  parseClose(name) {
+    if (!this.raw.parseClose(name)) {
+      this.model.content = this.raw.model;
+      return false;
+    }
+    return true;
+  }
+}
+
+GraphicFrameXform.CHART_URI = 'http://schemas.openxmlformats.org/drawingml/2006/chart';
+
+module.exports = GraphicFrameXform;
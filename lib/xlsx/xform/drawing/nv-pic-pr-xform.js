@@ -55,6 +55,9 @@ class NvPicPrXform extends BaseXform {
     switch (name) {
       case this.tag:
         this.model = this.map['xdr:cNvPr'].model;
+        if (this.map['xdr:cNvPicPr'].model) {
+          this.model = Object.assign({}, this.model, this.map['xdr:cNvPicPr'].model);
+        }
         return false;
       default:
         return true;
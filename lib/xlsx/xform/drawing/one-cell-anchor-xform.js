@@ -4,6 +4,9 @@ const StaticXform = require('../static-xform');
 const CellPositionXform = require('./cell-position-xform');
 const ExtXform = require('./ext-xform');
 const PicXform = require('./pic-xform');
+const GraphicFrameXform = require('./graphic-frame-xform');
+const ShapeXform = require('./shape-xform');
+const RawXform = require('../raw-xform');
 
 class OneCellAnchorXform extends BaseCellAnchorXform {
   constructor() {
@@ -13,6 +16,10 @@ class OneCellAnchorXform extends BaseCellAnchorXform {
       'xdr:from': new CellPositionXform({tag: 'xdr:from'}),
       'xdr:ext': new ExtXform({tag: 'xdr:ext'}),
       'xdr:pic': new PicXform(),
+      'xdr:graphicFrame': new GraphicFrameXform(),
+      'xdr:sp': new ShapeXform(),
+      'xdr:grpSp': new RawXform(),
+      'xdr:cxnSp': new RawXform(),
       'xdr:clientData': new StaticXform({tag: 'xdr:clientData'}),
     };
   }
@@ -22,7 +29,7 @@ class OneCellAnchorXform extends BaseCellAnchorXform {
   }
 
   prepare(model, options) {
-    this.map['xdr:pic'].prepare(model.picture, options);
+    this.prepareContent(model, options);
   }
 
   render(xmlStream, model) {
@@ -30,7 +37,7 @@ class OneCellAnchorXform extends BaseCellAnchorXform {
 
     this.map['xdr:from'].render(xmlStream, model.range.tl);
     this.map['xdr:ext'].render(xmlStream, model.range.ext);
-    this.map['xdr:pic'].render(xmlStream, model.picture);
+    this.renderContent(xmlStream, model);
     this.map['xdr:clientData'].render(xmlStream, {});
 
     xmlStream.closeNode();
@@ -47,7 +54,7 @@ class OneCellAnchorXform extends BaseCellAnchorXform {
       case this.tag:
         this.model.range.tl = this.map['xdr:from'].model;
         this.model.range.ext = this.map['xdr:ext'].model;
-        this.model.picture = this.map['xdr:pic'].model;
+        this.parseContent();
         return false;
       default:
         // could be some unrecognised tags
@@ -57,6 +64,7 @@ class OneCellAnchorXform extends BaseCellAnchorXform {
 
   reconcile(model, options) {
     model.medium = this.reconcilePicture(model.picture, options);
+    this.reconcileContent(model, options);
   }
 }
 
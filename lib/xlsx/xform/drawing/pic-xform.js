@@ -1,10 +1,8 @@
 const BaseXform = require('../base-xform');
-const StaticXform = require('../static-xform');
 
 const BlipFillXform = require('./blip-fill-xform');
 const NvPicPrXform = require('./nv-pic-pr-xform');
-
-const spPrJSON = require('./sp-pr');
+const SpPrXform = require('./sp-pr-xform');
 
 class PicXform extends BaseXform {
   constructor() {
@@ -13,7 +11,7 @@ class PicXform extends BaseXform {
     this.map = {
       'xdr:nvPicPr': new NvPicPrXform(),
       'xdr:blipFill': new BlipFillXform(),
-      'xdr:spPr': new StaticXform(spPrJSON),
+      'xdr:spPr': new SpPrXform(),
     };
   }
 
@@ -0,0 +1,37 @@
+const BaseXform = require('../base-xform');
+
+/** https://en.wikipedia.org/wiki/Office_Open_XML_file_formats#DrawingML */
+const EMU_PER_PIXEL_AT_96_DPI = 9525;
+
+// the position of an absolute anchor, in pixels from the top left of the sheet
+class PosXform extends BaseXform {
+  get tag() {
+    return 'xdr:pos';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.leafNode(this.tag, {
+      x: Math.floor(model.x * EMU_PER_PIXEL_AT_96_DPI),
+      y: Math.floor(model.y * EMU_PER_PIXEL_AT_96_DPI),
+    });
+  }
+
+  parseOpen(node) {
+    if (node.name === this.tag) {
+      this.model = {
+        x: parseInt(node.attributes.x || '0', 10) / EMU_PER_PIXEL_AT_96_DPI,
+        y: parseInt(node.attributes.y || '0', 10) / EMU_PER_PIXEL_AT_96_DPI,
+      };
+      return true;
+    }
+    return false;
+  }
+
+  parseText() {}
+
+  parseClose() {
+    return false;
+  }
+}
+
+module.exports = PosXform;
@@ -0,0 +1,509 @@
+const StaticXform = require('../static-xform');
+const RawXform = require('../raw-xform');
+
+const EMU_PER_POINT = 12700;
+
+// Excel's theme colour indexes, as named in drawings
+const SCHEME_COLORS = [
+  'lt1',
+  'dk1',
+  'lt2',
+  'dk2',
+  'accent1',
+  'accent2',
+  'accent3',
+  'accent4',
+  'accent5',
+  'accent6',
+  'hlink',
+  'folHlink',
+];
+const SCHEME_ALIASES = {bg1: 'lt1', tx1: 'dk1', bg2: 'lt2', tx2: 'dk2'};
+
+const HORIZONTAL = {left: 'l', center: 'ctr', right: 'r', justify: 'just'};
+const VERTICAL = {top: 't', middle: 'ctr', bottom: 'b'};
+
+// text is centred in shapes and starts at the top left of text boxes
+const DEFAULT_ALIGNMENT = {
+  shape: {horizontal: 'center', vertical: 'middle'},
+  textBox: {horizontal: 'left', vertical: 'top'},
+};
+
+// the preset geometry and name of the shapes exceljs creates
+const GEOMETRIES = {
+  rect: 'rect',
+  roundRect: 'roundRect',
+  ellipse: 'ellipse',
+  arrow: 'line',
+  line: 'line',
+  textBox: 'rect',
+};
+const NAMES = {
+  rect: 'Rectangle',
+  roundRect: 'Rounded Rectangle',
+  ellipse: 'Oval',
+  arrow: 'Arrow',
+  line: 'Line',
+  textBox: 'TextBox',
+};
+
+// the parts of a shape's properties that the model covers
+const SHAPE_PROPERTIES = ['a:xfrm', 'a:prstGeom', 'a:solidFill', 'a:noFill', 'a:ln'];
+const LINE_PROPERTIES = ['a:solidFill', 'a:noFill', 'a:prstDash', 'a:round', 'a:bevel', 'a:miter', 'a:headEnd', 'a:tailEnd'];
+
+function schemeColor(val) {
+  return {tag: 'a:schemeClr', $: {val}};
+}
+
+// the theme style Excel gives new shapes: filled and outlined in accent1 with light text
+function buildStyle(line, fill, font) {
+  return {
+    tag: 'xdr:style',
+    c: [
+      {tag: 'a:lnRef', $: {idx: line}, c: [{...schemeColor('accent1'), c: [{tag: 'a:shade', $: {val: '50000'}}]}]},
+      {tag: 'a:fillRef', $: {idx: fill}, c: [schemeColor('accent1')]},
+      {tag: 'a:effectRef', $: {idx: '0'}, c: [schemeColor('accent1')]},
+      {tag: 'a:fontRef', $: {idx: 'minor'}, c: [schemeColor(font)]},
+    ],
+  };
+}
+const STYLES = {
+  shape: buildStyle('2', '1', 'lt1'),
+  line: buildStyle('1', '0', 'tx1'),
+  textBox: buildStyle('0', '0', 'tx1'),
+};
+
+function isLine(type) {
+  return type === 'line' || type === 'arrow';
+}
+
+// =============================================================================
+// raw xml helpers
+
+function child(element, tag) {
+  return element && (element.c || []).find(c => c.tag === tag);
+}
+
+function hasRelationships(element) {
+  return (
+    Object.keys(element.$ || {}).some(name => name.startsWith('r:')) ||
+    (element.c || []).some(hasRelationships)
+  );
+}
+
+// a plain colour, or null if it is one the model doesn't have (e.g. with tints or system colours)
+function toColor(element) {
+  const color = element && element.c && element.c.length === 1 && element.c[0];
+  if (!color || color.c) {
+    return null;
+  }
+  switch (color.tag) {
+    case 'a:srgbClr':
+      return {argb: `FF${color.$.val.toUpperCase()}`};
+    case 'a:schemeClr': {
+      const theme = SCHEME_COLORS.indexOf(SCHEME_ALIASES[color.$.val] || color.$.val);
+      return theme === -1 ? null : {theme};
+    }
+    default:
+      return null;
+  }
+}
+
+function toFill(element) {
+  if (element.tag === 'a:noFill') {
+    return {type: 'none'};
+  }
+  const color = toColor(element);
+  return color && {type: 'solid', color};
+}
+
+function toLine(ln) {
+  if ((ln.c || []).some(c => !LINE_PROPERTIES.includes(c.tag))) {
+    return null;
+  }
+  const line = {};
+  let color;
+  (ln.c || []).forEach(c => {
+    switch (c.tag) {
+      case 'a:noFill':
+        line.type = 'none';
+        break;
+      case 'a:solidFill':
+        line.type = 'solid';
+        color = toColor(c);
+        line.color = color;
+        break;
+      case 'a:prstDash':
+        line.dash = c.$.val;
+        break;
+      default:
+        break;
+    }
+  });
+  if (color === null) {
+    return null;
+  }
+  if (ln.$ && ln.$.w) {
+    line.width = parseInt(ln.$.w, 10) / EMU_PER_POINT;
+  }
+  return line;
+}
+
+function toFont(rPr) {
+  const attributes = (rPr && rPr.$) || {};
+  const font = {};
+  if (attributes.b === '1') font.bold = true;
+  if (attributes.i === '1') font.italic = true;
+  if (attributes.u && attributes.u !== 'none') font.underline = attributes.u === 'dbl' ? 'double' : true;
+  if (attributes.strike && attributes.strike !== 'noStrike') font.strike = true;
+  if (attributes.sz) font.size = parseInt(attributes.sz, 10) / 100;
+  const color = toColor(child(rPr, 'a:solidFill'));
+  if (color) font.color = color;
+  const latin = child(rPr, 'a:latin');
+  if (latin) font.name = latin.$.typeface;
+  return Object.keys(font).length ? font : undefined;
+}
+
+// the text of a shape as a string or rich text, along with its alignment, or null if it has fields
+function toText(txBody) {
+  const runs = [];
+  // as the xml has it when there are no attributes
+  const alignment = {horizontal: 'left', vertical: 'top'};
+  let aligned = false;
+  const newLine = () => {
+    if (runs.length) {
+      runs[runs.length - 1].text += '\n';
+    } else {
+      runs.push({text: '\n'});
+    }
+  };
+
+  const bodyPr = child(txBody, 'a:bodyPr');
+  const vertical = bodyPr && bodyPr.$ && Object.keys(VERTICAL).find(key => VERTICAL[key] === bodyPr.$.anchor);
+  if (vertical) {
+    alignment.vertical = vertical;
+  }
+
+  const paragraphs = (txBody.c || []).filter(c => c.tag === 'a:p');
+  const supported = paragraphs.every((p, index) => {
+    if (index) {
+      newLine();
+    }
+    return (p.c || []).every(c => {
+      switch (c.tag) {
+        case 'a:pPr': {
+          const horizontal = c.$ && Object.keys(HORIZONTAL).find(key => HORIZONTAL[key] === c.$.algn);
+          if (horizontal && !aligned) {
+            alignment.horizontal = horizontal;
+          }
+          aligned = true;
+          return true;
+        }
+        case 'a:r': {
+          const t = child(c, 'a:t');
+          const run = {text: (t && t.t) || ''};
+          const font = toFont(child(c, 'a:rPr'));
+          if (font) {
+            run.font = font;
+          }
+          runs.push(run);
+          return true;
+        }
+        case 'a:br':
+          newLine();
+          return true;
+        case 'a:endParaRPr':
+          return true;
+        default:
+          return false;
+      }
+    });
+  });
+  if (!supported) {
+    return null;
+  }
+
+  const text = runs.some(run => run.font) ? {richText: runs} : runs.map(run => run.text).join('');
+  return {text, alignment};
+}
+
+// =============================================================================
+// render helpers
+
+function renderColor(xmlStream, color) {
+  xmlStream.openNode('a:solidFill');
+  if (color.theme !== undefined) {
+    xmlStream.leafNode('a:schemeClr', {val: SCHEME_COLORS[color.theme]});
+  } else {
+    xmlStream.leafNode('a:srgbClr', {val: color.argb.slice(-6)});
+  }
+  xmlStream.closeNode();
+}
+
+function renderFill(xmlStream, fill) {
+  if (fill && fill.type === 'none') {
+    xmlStream.leafNode('a:noFill');
+  } else if (fill && fill.color) {
+    renderColor(xmlStream, fill.color);
+  }
+}
+
+function renderLine(xmlStream, line, arrow) {
+  if (!line && !arrow) {
+    return;
+  }
+  line = line || {};
+  xmlStream.openNode('a:ln', {w: line.width && Math.round(line.width * EMU_PER_POINT)});
+  if (line.type === 'none') {
+    xmlStream.leafNode('a:noFill');
+  } else if (line.color) {
+    renderColor(xmlStream, line.color);
+  }
+  if (line.dash) {
+    xmlStream.leafNode('a:prstDash', {val: line.dash});
+  }
+  if (arrow) {
+    xmlStream.leafNode('a:tailEnd', {type: 'triangle'});
+  }
+  xmlStream.closeNode();
+}
+
+function renderRunProperties(xmlStream, font) {
+  font = font || {};
+  let underline;
+  if (font.underline) {
+    underline = font.underline === 'double' ? 'dbl' : 'sng';
+  }
+  xmlStream.openNode('a:rPr', {
+    lang: 'en-US',
+    sz: font.size && Math.round(font.size * 100),
+    b: font.bold ? '1' : undefined,
+    i: font.italic ? '1' : undefined,
+    u: underline,
+    strike: font.strike ? 'sngStrike' : undefined,
+  });
+  if (font.color) {
+    renderColor(xmlStream, font.color);
+  }
+  if (font.name) {
+    xmlStream.leafNode('a:latin', {typeface: font.name});
+  }
+  xmlStream.closeNode();
+}
+
+// split the runs of the text into paragraphs at each new line
+function toParagraphs(text) {
+  let runs;
+  if (text === undefined || text === null) {
+    runs = [];
+  } else if (text.richText) {
+    runs = text.richText;
+  } else {
+    runs = [{text: String(text)}];
+  }
+  const paragraphs = [[]];
+  runs.forEach(run => {
+    run.text.split('\n').forEach((line, index) => {
+      if (index) {
+        paragraphs.push([]);
+      }
+      if (line) {
+        paragraphs[paragraphs.length - 1].push({text: line, font: run.font});
+      }
+    });
+  });
+  return paragraphs;
+}
+
+function renderText(xmlStream, model) {
+  const alignment = {...DEFAULT_ALIGNMENT[model.type === 'textBox' ? 'textBox' : 'shape'], ...model.alignment};
+
+  xmlStream.openNode('xdr:txBody');
+  xmlStream.leafNode('a:bodyPr', {
+    vertOverflow: 'clip',
+    horzOverflow: 'clip',
+    wrap: 'square',
+    rtlCol: '0',
+    anchor: VERTICAL[alignment.vertical],
+  });
+  xmlStream.leafNode('a:lstStyle');
+  toParagraphs(model.text).forEach(runs => {
+    xmlStream.openNode('a:p');
+    xmlStream.leafNode('a:pPr', {algn: HORIZONTAL[alignment.horizontal]});
+    runs.forEach(run => {
+      xmlStream.openNode('a:r');
+      renderRunProperties(xmlStream, run.font);
+      xmlStream.leafNode('a:t', undefined, run.text);
+      xmlStream.closeNode();
+    });
+    xmlStream.closeNode();
+  });
+  xmlStream.closeNode();
+}
+
+// A shape or text box (xdr:sp) drawn from the shape model:
+//   type: rect, roundRect, ellipse, arrow, line, textBox or the name of another preset geometry
+//   name, description: shown in Excel's selection pane and as alt text
+//   text: a string or rich text, alignment: {horizontal, vertical}
+//   fill: {type: 'solid', color} or {type: 'none'}
+//   line: {type: 'solid', color, width (in points), dash} or {type: 'none'}
+//   flipH, flipV: flips the shape, e.g. to draw a line from the bottom left to the top right of its range
+//   adjustments: the guides of the preset geometry, e.g. {adj: 'val 16667'}
+//   style: the theme style of a loaded shape, kept as it was
+// Shapes are parsed as raw xml; only those using what the model covers are read into it (see toModel),
+// the rest are kept as raw content.
+class ShapeXform extends RawXform {
+  get tag() {
+    return 'xdr:sp';
+  }
+
+  prepare(model, options) {
+    model.index = options.index + 1;
+  }
+
+  render(xmlStream, model) {
+    const geometry = GEOMETRIES[model.type] || model.type;
+    const adjustments = model.adjustments || {};
+
+    xmlStream.openNode(this.tag, {macro: '', textlink: ''});
+
+    xmlStream.openNode('xdr:nvSpPr');
+    xmlStream.leafNode('xdr:cNvPr', {
+      id: model.index,
+      name: model.name || `${NAMES[model.type] || 'Shape'} ${model.index}`,
+      descr: model.description,
+    });
+    xmlStream.leafNode('xdr:cNvSpPr', model.type === 'textBox' ? {txBox: '1'} : undefined);
+    xmlStream.closeNode();
+
+    xmlStream.openNode('xdr:spPr');
+    xmlStream.openNode('a:xfrm', {flipH: model.flipH ? '1' : undefined, flipV: model.flipV ? '1' : undefined});
+    xmlStream.leafNode('a:off', {x: 0, y: 0});
+    xmlStream.leafNode('a:ext', {cx: 0, cy: 0});
+    xmlStream.closeNode();
+    xmlStream.openNode('a:prstGeom', {prst: geometry});
+    xmlStream.openNode('a:avLst');
+    Object.keys(adjustments).forEach(name => xmlStream.leafNode('a:gd', {name, fmla: adjustments[name]}));
+    xmlStream.closeNode();
+    xmlStream.closeNode();
+    renderFill(xmlStream, model.fill);
+    renderLine(xmlStream, model.line, model.type === 'arrow');
+    xmlStream.closeNode();
+
+    if (model.style) {
+      StaticXform.build(xmlStream, model.style);
+    } else if (isLine(model.type)) {
+      StaticXform.build(xmlStream, STYLES.line);
+    } else {
+      StaticXform.build(xmlStream, model.type === 'textBox' ? STYLES.textBox : STYLES.shape);
+    }
+
+    if (!isLine(geometry) && (model.text !== undefined || model.type === 'textBox')) {
+      renderText(xmlStream, model);
+    }
+
+    xmlStream.closeNode();
+  }
+
+  // read a raw xdr:sp into the shape model, or undefined if it uses something the model doesn't have
+  static toModel(sp) {
+    if (hasRelationships(sp) || (sp.$ && sp.$.textlink)) {
+      return undefined;
+    }
+    const spPr = child(sp, 'xdr:spPr');
+    const prstGeom = child(spPr, 'a:prstGeom');
+    if (!prstGeom || spPr.c.some(c => !SHAPE_PROPERTIES.includes(c.tag))) {
+      return undefined;
+    }
+
+    const model = {type: prstGeom.$.prst};
+    const cNvPr = child(child(sp, 'xdr:nvSpPr'), 'xdr:cNvPr');
+    if (cNvPr && cNvPr.$.name) {
+      model.name = cNvPr.$.name;
+    }
+    if (cNvPr && cNvPr.$.descr) {
+      model.description = cNvPr.$.descr;
+    }
+    const cNvSpPr = child(child(sp, 'xdr:nvSpPr'), 'xdr:cNvSpPr');
+    if (cNvSpPr && cNvSpPr.$ && cNvSpPr.$.txBox === '1') {
+      if (model.type !== 'rect') {
+        return undefined;
+      }
+      model.type = 'textBox';
+    }
+
+    const xfrm = child(spPr, 'a:xfrm');
+    if (xfrm && xfrm.$ && xfrm.$.rot) {
+      return undefined;
+    }
+    if (xfrm && xfrm.$ && xfrm.$.flipH === '1') {
+      model.flipH = true;
+    }
+    if (xfrm && xfrm.$ && xfrm.$.flipV === '1') {
+      model.flipV = true;
+    }
+    const guides = (child(prstGeom, 'a:avLst') || {}).c || [];
+    if (guides.length) {
+      model.adjustments = {};
+      guides.forEach(gd => {
+        model.adjustments[gd.$.name] = gd.$.fmla;
+      });
+    }
+
+    const fill = spPr.c.find(c => c.tag === 'a:solidFill' || c.tag === 'a:noFill');
+    if (fill) {
+      model.fill = toFill(fill);
+      if (!model.fill) {
+        return undefined;
+      }
+    }
+
+    const ln = child(spPr, 'a:ln');
+    if (ln) {
+      const line = toLine(ln);
+      if (!line) {
+        return undefined;
+      }
+      const headEnd = child(ln, 'a:headEnd');
+      const tailEnd = child(ln, 'a:tailEnd');
+      const arrowHead = end => end && end.$ && end.$.type && end.$.type !== 'none' && end.$.type;
+      if (arrowHead(headEnd) || (arrowHead(tailEnd) && (model.type !== 'line' || arrowHead(tailEnd) !== 'triangle'))) {
+        return undefined;
+      }
+      if (arrowHead(tailEnd)) {
+        model.type = 'arrow';
+      }
+      if (Object.keys(line).length) {
+        model.line = line;
+      }
+    }
+
+    const style = child(sp, 'xdr:style');
+    if (style) {
+      model.style = style;
+    }
+
+    const txBody = child(sp, 'xdr:txBody');
+    if (txBody) {
+      const text = toText(txBody);
+      if (!text) {
+        return undefined;
+      }
+      if (text.text !== '') {
+        model.text = text.text;
+      }
+      // the alignment is kept where it isn't the one exceljs gives the shape
+      const defaults = DEFAULT_ALIGNMENT[model.type === 'textBox' ? 'textBox' : 'shape'];
+      Object.keys(defaults).forEach(key => {
+        if (text.alignment[key] !== defaults[key]) {
+          model.alignment = Object.assign({}, model.alignment, {[key]: text.alignment[key]});
+        }
+      });
+    }
+    return model;
+  }
+}
+
+ShapeXform.SHAPE_TYPES = Object.keys(GEOMETRIES);
+
+module.exports = ShapeXform;
@@ -0,0 +1,61 @@
+const BaseXform = require('../base-xform');
+
+// rotations are in 60,000ths of a degree
+const ROTATION_UNITS = 60000;
+
+// the shape properties of a picture: a rectangle, possibly rotated or flipped.
+// Excel takes the size and position from the anchor so the offset and extent are left at 0
+class SpPrXform extends BaseXform {
+  get tag() {
+    return 'xdr:spPr';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openNode(this.tag);
+    xmlStream.openNode('a:xfrm', {
+      rot: model.rotation ? Math.round(model.rotation * ROTATION_UNITS) : undefined,
+      flipH: model.flipH ? '1' : undefined,
+      flipV: model.flipV ? '1' : undefined,
+    });
+    xmlStream.leafNode('a:off', {x: '0', y: '0'});
+    xmlStream.leafNode('a:ext', {cx: '0', cy: '0'});
+    xmlStream.closeNode();
+    xmlStream.openNode('a:prstGeom', {prst: 'rect'});
+    xmlStream.leafNode('a:avLst');
+    xmlStream.closeNode();
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    switch (node.name) {
+      case this.tag:
+        this.model = null;
+        return true;
+      case 'a:xfrm': {
+        const {rot, flipH, flipV} = node.attributes;
+        const model = {};
+        if (rot && parseInt(rot, 10)) {
+          model.rotation = parseInt(rot, 10) / ROTATION_UNITS;
+        }
+        if (flipH === '1') {
+          model.flipH = true;
+        }
+        if (flipV === '1') {
+          model.flipV = true;
+        }
+        this.model = Object.keys(model).length ? model : null;
+        return true;
+      }
+      default:
+        return true;
+    }
+  }
+
+  parseText() {}
+
+  parseClose(name) {
+    return name !== this.tag;
+  }
+}
+
+module.exports = SpPrXform;
@@ -3,6 +3,9 @@ const StaticXform = require('../static-xform');
 
 const CellPositionXform = require('./cell-position-xform');
 const PicXform = require('./pic-xform');
+const GraphicFrameXform = require('./graphic-frame-xform');
+const ShapeXform = require('./shape-xform');
+const RawXform = require('../raw-xform');
 
 class TwoCellAnchorXform extends BaseCellAnchorXform {
   constructor() {
@@ -12,6 +15,10 @@ class TwoCellAnchorXform extends BaseCellAnchorXform {
       'xdr:from': new CellPositionXform({tag: 'xdr:from'}),
       'xdr:to': new CellPositionXform({tag: 'xdr:to'}),
       'xdr:pic': new PicXform(),
+      'xdr:graphicFrame': new GraphicFrameXform(),
+      'xdr:sp': new ShapeXform(),
+      'xdr:grpSp': new RawXform(),
+      'xdr:cxnSp': new RawXform(),
       'xdr:clientData': new StaticXform({tag: 'xdr:clientData'}),
     };
   }
@@ -21,7 +28,7 @@ class TwoCellAnchorXform extends BaseCellAnchorXform {
   }
 
   prepare(model, options) {
-    this.map['xdr:pic'].prepare(model.picture, options);
+    this.prepareContent(model, options);
   }
 
   render(xmlStream, model) {
@@ -29,7 +36,7 @@ class TwoCellAnchorXform extends BaseCellAnchorXform {
 
     this.map['xdr:from'].render(xmlStream, model.range.tl);
     this.map['xdr:to'].render(xmlStream, model.range.br);
-    this.map['xdr:pic'].render(xmlStream, model.picture);
+    this.renderContent(xmlStream, model);
     this.map['xdr:clientData'].render(xmlStream, {});
 
     xmlStream.closeNode();
@@ -46,7 +53,7 @@ class TwoCellAnchorXform extends BaseCellAnchorXform {
       case this.tag:
         this.model.range.tl = this.map['xdr:from'].model;
         this.model.range.br = this.map['xdr:to'].model;
-        this.model.picture = this.map['xdr:pic'].model;
+        this.parseContent();
         return false;
       default:
         // could be some unrecognised tags
@@ -56,6 +63,7 @@ class TwoCellAnchorXform extends BaseCellAnchorXform {
 
   reconcile(model, options) {
     model.medium = this.reconcilePicture(model.picture, options);
+    this.reconcileContent(model, options);
   }
 }
 
@@ -1,4 +1,5 @@
 const XmlStream = require('../../../utils/xml-stream');
+const utils = require('../../../utils/utils');
 const BaseXform = require('../base-xform');
 
 class PivotTableXform extends BaseXform {
@@ -19,7 +20,7 @@ class PivotTableXform extends BaseXform {
 
   render(xmlStream, model) {
     // eslint-disable-next-line no-unused-vars
-    const {rows, columns, values, metric, cacheFields, cacheId} = model;
+    const {rows, columns, values, metric, cacheFields, cacheId, style} = model;
 
     // Examples
     // --------
@@ -88,7 +89,7 @@ class PivotTableXform extends BaseXform {
         />
       </dataFields>
       <pivotTableStyleInfo
-        name="PivotStyleLight16"
+        name="${utils.xmlEncode(style || 'PivotStyleLight16')}"
         showRowHeaders="1"
         showColHeaders="1"
         showRowStripes="0"
@@ -0,0 +1,43 @@
+const BaseXform = require('./base-xform');
+const StaticXform = require('./static-xform');
+
+// Keeps xml that exceljs doesn't understand so it can be written back as it was.
+// The model has the same shape as a StaticXform model: {tag, $, c, t}.
+// Whichever element parsing starts on becomes the root.
+class RawXform extends BaseXform {
+  render(xmlStream, model) {
+    StaticXform.build(xmlStream, model);
+  }
+
+  parseOpen(node) {
+    const element = {tag: node.name};
+    if (Object.keys(node.attributes).length) {
+      element.$ = {...node.attributes};
+    }
+    if (this.stack && this.stack.length) {
+      const parent = this.stack[this.stack.length - 1];
+      (parent.c = parent.c || []).push(element);
+    } else {
+      this.model = element;
+      this.stack = [];
+    }
+    this.stack.push(element);
+    return true;
+  }
+
+  parseText(text) {
+    const element = this.stack[this.stack.length - 1];
+    element.t = (element.t || '') + text;
+  }
+
+  parseClose() {
+    const element = this.stack.pop();
+    if (element.c && element.t && !element.t.trim()) {
+      // indentation between elements
+      delete element.t;
+    }
+    return this.stack.length > 0;
+  }
+}
+
+module.exports = RawXform;
@@ -0,0 +1,140 @@
+const RelType = require('../../rel-type');
+const RelationshipsXform = require('../core/relationships-xform');
+const RichValueXform = require('./rich-value-xform');
+const RichValueStructureXform = require('./rich-value-structure-xform');
+const RichValueRelXform = require('./rich-value-rel-xform');
+
+// the structure and keys of pictures placed in cells
+const LOCAL_IMAGE = '_localImage';
+const IMAGE_KEY = '_rvRel:LocalImageIdentifier';
+const CALC_ORIGIN_KEY = 'CalcOrigin';
+const TEXT_KEY = 'Text';
+
+// the CalcOrigin of pictures placed in cells, as opposed to those that are the results of formulae
+const CALC_ORIGIN_PLACED = 5;
+
+const RICH_VALUE_TYPES_XML =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<rvTypesInfo xmlns="http://schemas.microsoft.com/office/spreadsheetml/2017/richdata2" ' +
+  'xmlns:mc="http://schemas.openxmlformats.org/markup-compatibility/2006" mc:Ignorable="x" ' +
+  'xmlns:x="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<global><keyFlags>' +
+  '<key name="_Self"><flag name="ExcludeFromFile" value="1"/><flag name="ExcludeFromCalcComparison" value="1"/></key>' +
+  '<key name="_DisplayString"><flag name="ExcludeFromCalcComparison" value="1"/></key>' +
+  '<key name="_Flags"><flag name="ExcludeFromCalcComparison" value="1"/></key>' +
+  '<key name="_Format"><flag name="ExcludeFromCalcComparison" value="1"/></key>' +
+  '<key name="_SubLabel"><flag name="ExcludeFromCalcComparison" value="1"/></key>' +
+  '<key name="_Attribution"><flag name="ExcludeFromCalcComparison" value="1"/></key>' +
+  '<key name="_Icon"><flag name="ExcludeFromCalcComparison" value="1"/></key>' +
+  '<key name="_Display"><flag name="ExcludeFromCalcComparison" value="1"/></key>' +
+  '<key name="_CanonicalPropertyNames"><flag name="ExcludeFromCalcComparison" value="1"/></key>' +
+  '<key name="_ClassificationId"><flag name="ExcludeFromCalcComparison" value="1"/></key>' +
+  '</keyFlags></global></rvTypesInfo>';
+
+// The rich values of a workbook (xl/richData/*): cell values that are more than text or numbers.
+// Cells refer to them through value metadata of type XLRICHVALUE.
+// exceljs models pictures placed in cells, {image, description}, where image is the id of a workbook image.
+// The model holds the rich values, their structures and the imageIds their rels refer to, by index.
+class RichData {
+  constructor(model) {
+    this.model = model || {
+      values: [],
+      structures: [],
+      images: [],
+    };
+    this.hash = Object.create(null);
+  }
+
+  get count() {
+    return this.model.values.length;
+  }
+
+  // add a picture placed in a cell (if it isn't there already), returning the index of its rich value
+  addImage({image, description}) {
+    const key = JSON.stringify([image, description]);
+    let index = this.hash[key];
+    if (index === undefined) {
+      let rel = this.model.images.indexOf(image);
+      if (rel === -1) {
+        rel = this.model.images.push(image) - 1;
+      }
+      const keys = [
+        {name: IMAGE_KEY, type: 'i'},
+        {name: CALC_ORIGIN_KEY, type: 'i'},
+      ];
+      const values = [String(rel), String(CALC_ORIGIN_PLACED)];
+      if (description) {
+        keys.push({name: TEXT_KEY, type: 's'});
+        values.push(description);
+      }
+      const structure = this._addStructure({type: LOCAL_IMAGE, keys});
+      index = this.hash[key] = this.model.values.push({structure, values}) - 1;
+    }
+    return index;
+  }
+
+  _addStructure(structure) {
+    const key = JSON.stringify(structure);
+    const index = this.model.structures.findIndex(s => JSON.stringify(s) === key);
+    return index === -1 ? this.model.structures.push(structure) - 1 : index;
+  }
+
+  // the picture of a rich value as a cell value, or undefined if it is something else
+  getImage(index) {
+    const richValue = this.model.values[index];
+    const structure = richValue && this.model.structures[richValue.structure];
+    if (!structure || structure.type !== LOCAL_IMAGE) {
+      return undefined;
+    }
+    const value = {};
+    structure.keys.forEach(({name}, i) => {
+      if (name === IMAGE_KEY) {
+        value.image = this.model.images[parseInt(richValue.values[i], 10)];
+      } else if (name === TEXT_KEY && richValue.values[i]) {
+        value.description = richValue.values[i];
+      }
+    });
+    return value.image === undefined ? undefined : value;
+  }
+
+  // the files of the rich data: [{path, xml, contentType, relType}], where relType is that of the
+  // relationship from the workbook. imageTarget gives the path of an image from xl/richData
+  getFiles(imageTarget) {
+    const {values, structures, images} = this.model;
+    const rIds = images.map((image, i) => `rId${i + 1}`);
+    return [
+      {
+        path: 'xl/richData/rdrichvalue.xml',
+        xml: new RichValueXform().toXml(values),
+        contentType: 'application/vnd.ms-excel.rdrichvalue+xml',
+        relType: RelType.RichValue,
+      },
+      {
+        path: 'xl/richData/rdrichvaluestructure.xml',
+        xml: new RichValueStructureXform().toXml(structures),
+        contentType: 'application/vnd.ms-excel.rdrichvaluestructure+xml',
+        relType: RelType.RichValueStructure,
+      },
+      {
+        path: 'xl/richData/rdRichValueTypes.xml',
+        xml: RICH_VALUE_TYPES_XML,
+        contentType: 'application/vnd.ms-excel.rdrichvaluetypes+xml',
+        relType: RelType.RichValueTypes,
+      },
+      {
+        path: 'xl/richData/richValueRel.xml',
+        xml: new RichValueRelXform().toXml(rIds),
+        contentType: 'application/vnd.ms-excel.richvaluerel+xml',
+        relType: RelType.RichValueRel,
+      },
+      {
+        path: 'xl/richData/_rels/richValueRel.xml.rels',
+        xml: new RelationshipsXform().toXml(
+          images.map((image, i) => ({Id: rIds[i], Type: RelType.Image, Target: imageTarget(image)}))
+        ),
+      },
+    ];
+  }
+}
+
+module.exports = RichData;
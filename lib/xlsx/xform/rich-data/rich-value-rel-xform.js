@@ -0,0 +1,44 @@
+const XmlStream = require('../../../utils/xml-stream');
+const BaseXform = require('../base-xform');
+
+// xl/richData/richValueRel.xml: the relationships rich values refer to by index, as a list of rIds
+class RichValueRelXform extends BaseXform {
+  get tag() {
+    return 'richValueRels';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openXml(XmlStream.StdDocAttributes);
+    xmlStream.openNode(this.tag, RichValueRelXform.RICH_VALUE_REL_ATTRIBUTES);
+    model.forEach(rId => {
+      xmlStream.leafNode('rel', {'r:id': rId});
+    });
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    switch (node.name) {
+      case this.tag:
+        this.model = [];
+        return true;
+      case 'rel':
+        this.model.push(node.attributes['r:id']);
+        return true;
+      default:
+        return true;
+    }
+  }
+
+  parseText() {}
+
+  parseClose(name) {
+    return name !== this.tag;
+  }
+}
+
+RichValueRelXform.RICH_VALUE_REL_ATTRIBUTES = {
+  xmlns: 'http://schemas.microsoft.com/office/spreadsheetml/2022/richvaluerel',
+  'xmlns:r': 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+};
+
+module.exports = RichValueRelXform;
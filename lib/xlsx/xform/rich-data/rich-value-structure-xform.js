@@ -0,0 +1,52 @@
+const XmlStream = require('../../../utils/xml-stream');
+const BaseXform = require('../base-xform');
+
+// xl/richData/rdrichvaluestructure.xml: the structures of the rich values,
+// e.g. {type: '_localImage', keys: [{name: '_rvRel:LocalImageIdentifier', type: 'i'}, {name: 'CalcOrigin', type: 'i'}]}
+class RichValueStructureXform extends BaseXform {
+  get tag() {
+    return 'rvStructures';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openXml(XmlStream.StdDocAttributes);
+    xmlStream.openNode(this.tag, {...RichValueStructureXform.STRUCTURE_ATTRIBUTES, count: model.length});
+    model.forEach(structure => {
+      xmlStream.openNode('s', {t: structure.type});
+      structure.keys.forEach(key => {
+        xmlStream.leafNode('k', {n: key.name, t: key.type});
+      });
+      xmlStream.closeNode();
+    });
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    switch (node.name) {
+      case this.tag:
+        this.model = [];
+        return true;
+      case 's':
+        this.structure = {type: node.attributes.t, keys: []};
+        this.model.push(this.structure);
+        return true;
+      case 'k':
+        this.structure.keys.push({name: node.attributes.n, type: node.attributes.t});
+        return true;
+      default:
+        return true;
+    }
+  }
+
+  parseText() {}
+
+  parseClose(name) {
+    return name !== this.tag;
+  }
+}
+
+RichValueStructureXform.STRUCTURE_ATTRIBUTES = {
+  xmlns: 'http://schemas.microsoft.com/office/spreadsheetml/2017/richdata',
+};
+
+module.exports = RichValueStructureXform;
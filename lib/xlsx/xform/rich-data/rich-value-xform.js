@@ -0,0 +1,65 @@
+const XmlStream = require('../../../utils/xml-stream');
+const BaseXform = require('../base-xform');
+
+// xl/richData/rdrichvalue.xml: the rich values of the workbook.
+// Each is a list of values for the keys of its structure, e.g. {structure: 0, values: ['0', '5']}
+class RichValueXform extends BaseXform {
+  get tag() {
+    return 'rvData';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openXml(XmlStream.StdDocAttributes);
+    xmlStream.openNode(this.tag, {...RichValueXform.RICH_VALUE_ATTRIBUTES, count: model.length});
+    model.forEach(richValue => {
+      xmlStream.openNode('rv', {s: richValue.structure});
+      richValue.values.forEach(value => {
+        xmlStream.leafNode('v', null, value);
+      });
+      xmlStream.closeNode();
+    });
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    switch (node.name) {
+      case this.tag:
+        this.model = [];
+        return true;
+      case 'rv':
+        this.richValue = {structure: parseInt(node.attributes.s, 10), values: []};
+        this.model.push(this.richValue);
+        return true;
+      case 'v':
+        this.text = [];
+        return true;
+      default:
+        return true;
+    }
+  }
+
+  parseText(text) {
+    if (this.text) {
+      this.text.push(text);
+    }
+  }
+
+  parseClose(name) {
+    switch (name) {
+      case this.tag:
+        return false;
+      case 'v':
+        this.richValue.values.push(this.text.join(''));
+        this.text = undefined;
+        return true;
+      default:
+        return true;
+    }
+  }
+}
+
+RichValueXform.RICH_VALUE_ATTRIBUTES = {
+  xmlns: 'http://schemas.microsoft.com/office/spreadsheetml/2017/richdata',
+};
+
+module.exports = RichValueXform;
@@ -2,8 +2,10 @@ const utils = require('../../../utils/utils');
 const BaseXform = require('../base-xform');
 const Range = require('../../../doc/range');
 const Enums = require('../../../doc/enums');
+const {addFunctionPrefixes, removeFunctionPrefixes} = require('../../../utils/formula-functions');
 
 const RichTextXform = require('../strings/rich-text-xform');
+const ThreadedCommentsXform = require('../comment/threaded-comments-xform');
 
 function getValueType(v) {
   if (v === null || v === undefined) {
@@ -30,6 +32,9 @@ function getValueType(v) {
   if (v.error) {
     return Enums.ValueType.Error;
   }
+  if (typeof v.image === 'number') {
+    return Enums.ValueType.Image;
+  }
   throw new Error('I could not understand type of value');
 }
 
@@ -59,7 +64,12 @@ class CellXform extends BaseXform {
       model.styleId = styleId;
     }
 
-    if (model.comment) {
+    if (model.comment && model.comment.type === 'thread') {
+      options.comments.push(ThreadedCommentsXform.toNote(model.comment, model.address));
+      if (options.threadedComments) {
+        options.threadedComments.push({...model.comment, ref: model.address});
+      }
+    } else if (model.comment) {
       options.comments.push({...model.comment, ref: model.address});
     }
 
@@ -92,6 +102,19 @@ class CellXform extends BaseXform {
         options.merges.add(model);
         break;
 
+      case Enums.ValueType.Image:
+        // pictures in cells are rich values, referred to by value metadata
+        if (options.richData && options.metadata) {
+          if (!options.media || !options.media[model.value.image]) {
+            throw new Error(`Cell ${model.address} refers to an image the workbook doesn't have: ${model.value.image}`);
+          }
+          model.vm = options.metadata.addValueMetadata({
+            type: 'XLRICHVALUE',
+            index: options.richData.addImage(model.value),
+          });
+        }
+        break;
+
       case Enums.ValueType.Formula:
         if (options.date1904) {
           // in case valueType is date
@@ -102,6 +125,11 @@ class CellXform extends BaseXform {
           model.si = options.siFormulae++;
         }
 
+        if (model.spill && options.metadata) {
+          // dynamic array formulae are marked by cell metadata
+          model.cm = options.metadata.addCellMetadata({type: 'XLDAPR', dynamicArray: true, collapsed: false});
+        }
+
         if (model.formula) {
           options.formulae[model.address] = model;
         } else if (model.sharedFormula) {
@@ -129,7 +157,14 @@ class CellXform extends BaseXform {
 
   renderFormula(xmlStream, model) {
     let attrs = null;
-    switch (model.shareType) {
+    switch (model.spill ? 'spill' : model.shareType) {
+      case 'spill':
+        attrs = {
+          t: 'array',
+          ref: model.ref || model.address,
+        };
+        break;
+
       case 'shared':
         attrs = {
           t: 'shared',
@@ -155,37 +190,38 @@ class CellXform extends BaseXform {
         break;
     }
 
+    const formula = model.formula && addFunctionPrefixes(model.formula);
     switch (getValueType(model.result)) {
       case Enums.ValueType.Null: // ?
-        xmlStream.leafNode('f', attrs, model.formula);
+        xmlStream.leafNode('f', attrs, formula);
         break;
 
       case Enums.ValueType.String:
         // oddly, formula results don't ever use shared strings
         xmlStream.addAttribute('t', 'str');
-        xmlStream.leafNode('f', attrs, model.formula);
+        xmlStream.leafNode('f', attrs, formula);
         xmlStream.leafNode('v', null, model.result);
         break;
 
       case Enums.ValueType.Number:
-        xmlStream.leafNode('f', attrs, model.formula);
+        xmlStream.leafNode('f', attrs, formula);
         xmlStream.leafNode('v', null, model.result);
         break;
 
       case Enums.ValueType.Boolean:
         xmlStream.addAttribute('t', 'b');
-        xmlStream.leafNode('f', attrs, model.formula);
+        xmlStream.leafNode('f', attrs, formula);
         xmlStream.leafNode('v', null, model.result ? 1 : 0);
         break;
 
       case Enums.ValueType.Error:
         xmlStream.addAttribute('t', 'e');
-        xmlStream.leafNode('f', attrs, model.formula);
+        xmlStream.leafNode('f', attrs, formula);
         xmlStream.leafNode('v', null, model.result.error);
         break;
 
       case Enums.ValueType.Date:
-        xmlStream.leafNode('f', attrs, model.formula);
+        xmlStream.leafNode('f', attrs, formula);
         xmlStream.leafNode('v', null, utils.dateToExcel(model.result, model.date1904));
         break;
 
@@ -208,6 +244,12 @@ class CellXform extends BaseXform {
     if (model.styleId) {
       xmlStream.addAttribute('s', model.styleId);
     }
+    if (model.cm) {
+      xmlStream.addAttribute('cm', model.cm);
+    }
+    if (model.vm) {
+      xmlStream.addAttribute('vm', model.vm);
+    }
 
     switch (model.type) {
       case Enums.ValueType.Null:
@@ -267,6 +309,14 @@ class CellXform extends BaseXform {
         // nothing to add
         break;
 
+      case Enums.ValueType.Image:
+        // applications that don't know rich values see an error
+        if (model.vm) {
+          xmlStream.addAttribute('t', 'e');
+          xmlStream.leafNode('v', null, '#VALUE!');
+        }
+        break;
+
       default:
         break;
     }
@@ -289,6 +339,12 @@ class CellXform extends BaseXform {
         if (node.attributes.s) {
           this.model.styleId = parseInt(node.attributes.s, 10);
         }
+        if (node.attributes.cm) {
+          this.model.cm = parseInt(node.attributes.cm, 10);
+        }
+        if (node.attributes.vm) {
+          this.model.vm = parseInt(node.attributes.vm, 10);
+        }
         return true;
 
       case 'f':
@@ -446,6 +502,19 @@ class CellXform extends BaseXform {
         }
         break;
 
+      case Enums.ValueType.Error:
+        if (model.vm) {
+          // the error stands in for a rich value, e.g. a picture in the cell
+          const metadata = options.metadata && options.metadata.getValueMetadata(model.vm);
+          const image =
+            metadata && metadata.type === 'XLRICHVALUE' && options.richData && options.richData.getImage(metadata.index);
+          if (image) {
+            model.type = Enums.ValueType.Image;
+            model.value = image;
+          }
+        }
+        break;
+
       case Enums.ValueType.Number:
         if (style && utils.isDateFmt(style.numFmt)) {
           model.type = Enums.ValueType.Date;
@@ -457,6 +526,17 @@ class CellXform extends BaseXform {
         if (model.result !== undefined && style && utils.isDateFmt(style.numFmt)) {
           model.result = utils.excelToDate(model.result, options.date1904);
         }
+        if (model.formula) {
+          model.formula = removeFunctionPrefixes(model.formula);
+        }
+        if (model.cm) {
+          const metadata = options.metadata && options.metadata.getCellMetadata(model.cm);
+          if (metadata && metadata.dynamicArray) {
+            model.spill = true;
+            delete model.shareType;
+          }
+          delete model.cm;
+        }
         if (model.shareType === 'shared') {
           if (model.ref) {
             // master
@@ -488,8 +568,16 @@ class CellXform extends BaseXform {
       model.hyperlink = hyperlink;
     }
 
+    if (model.vm !== undefined) {
+      delete model.vm;
+    }
+
+    // threads take the place of the notes kept for them
+    const thread = options.threadsMap && options.threadsMap[model.address];
     const comment = options.commentsMap && options.commentsMap[model.address];
-    if (comment) {
+    if (thread) {
+      model.comment = thread;
+    } else if (comment) {
       model.comment = comment;
     }
   }
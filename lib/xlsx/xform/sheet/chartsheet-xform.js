@@ -0,0 +1,139 @@
+const _ = require('../../../utils/under-dash');
+const XmlStream = require('../../../utils/xml-stream');
+const RelType = require('../../rel-type');
+
+const BaseXform = require('../base-xform');
+const StaticXform = require('../static-xform');
+const SheetPropertiesXform = require('./sheet-properties-xform');
+const PageMarginsXform = require('./page-margins-xform');
+const DrawingXform = require('./drawing-xform');
+
+// the chart fills the sheet: it is scaled to fit the window whatever its size
+const CHART_SIZE = {width: 910, height: 660};
+
+// xl/chartsheets/sheetN.xml: a sheet holding a drawing with just a chart in it
+class ChartsheetXform extends BaseXform {
+  constructor() {
+    super();
+
+    this.map = {
+      sheetPr: new SheetPropertiesXform(),
+      sheetViews: ChartsheetXform.STATIC_XFORMS.sheetViews,
+      pageMargins: new PageMarginsXform(),
+      drawing: new DrawingXform(),
+    };
+  }
+
+  get tag() {
+    return 'chartsheet';
+  }
+
+  prepare(model, options) {
+    const name = `chart${++options.chartsCount}`;
+    const {chart} = model;
+    if (chart.part) {
+      // loaded charts are written as they were
+      options.parts.add(chart.part, name, `xl/charts/${name}.xml`);
+    } else {
+      options.charts.push({...chart.chart, name});
+    }
+
+    model.drawing = {
+      rId: 'rId1',
+      name: `drawing${++options.drawingsCount}`,
+      anchors: [
+        {
+          graphicFrame: {rId: 'rId1', name: chart.name},
+          range: {pos: {x: 0, y: 0}, ext: CHART_SIZE, editAs: 'absolute'},
+        },
+      ],
+      rels: [{Id: 'rId1', Type: RelType.Chart, Target: `../charts/${name}.xml`}],
+    };
+    options.drawings.push(model.drawing);
+    model.rels = [{Id: 'rId1', Type: RelType.Drawing, Target: `../drawings/${model.drawing.name}.xml`}];
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openXml(XmlStream.StdDocAttributes);
+    xmlStream.openNode(this.tag, ChartsheetXform.CHARTSHEET_ATTRIBUTES);
+
+    this.map.sheetPr.render(xmlStream, {tabColor: model.properties && model.properties.tabColor});
+    this.map.sheetViews.render(xmlStream);
+    this.map.pageMargins.render(xmlStream, ChartsheetXform.PAGE_MARGINS);
+    this.map.drawing.render(xmlStream, model.drawing);
+
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    if (this.parser) {
+      this.parser.parseOpen(node);
+      return true;
+    }
+
+    if (node.name === this.tag) {
+      _.each(this.map, xform => {
+        xform.reset();
+      });
+      return true;
+    }
+
+    this.parser = this.map[node.name];
+    if (this.parser) {
+      this.parser.parseOpen(node);
+    }
+    return true;
+  }
+
+  parseText(text) {
+    if (this.parser) {
+      this.parser.parseText(text);
+    }
+  }
+
+  parseClose(name) {
+    if (this.parser) {
+      if (!this.parser.parseClose(name)) {
+        this.parser = undefined;
+      }
+      return true;
+    }
+    if (name === this.tag) {
+      const sheetPr = this.map.sheetPr.model;
+      this.model = {
+        properties: sheetPr && sheetPr.tabColor ? {tabColor: sheetPr.tabColor} : {},
+        drawing: this.map.drawing.model,
+      };
+      return false;
+    }
+    return true;
+  }
+
+  // the chart is taken from the reconciled drawing of the sheet
+  reconcile(model, options) {
+    const rel = model.drawing && (model.relationships || []).find(r => r.Id === model.drawing.rId);
+    const match = rel && rel.Target.match(/\/drawings\/([a-zA-Z0-9]+)[.][a-zA-Z]{3,4}$/);
+    const drawing = match && options.drawings[match[1]];
+    const anchor = drawing && drawing.anchors.find(a => a.chart);
+    if (anchor) {
+      model.chart = {name: anchor.chart.name, part: anchor.chart.part};
+    }
+
+    delete model.drawing;
+    delete model.relationships;
+  }
+}
+
+ChartsheetXform.CHARTSHEET_ATTRIBUTES = {
+  xmlns: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  'xmlns:r': 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+};
+ChartsheetXform.PAGE_MARGINS = {left: 0.7, right: 0.7, top: 0.75, bottom: 0.75, header: 0.3, footer: 0.3};
+ChartsheetXform.STATIC_XFORMS = {
+  sheetViews: new StaticXform({
+    tag: 'sheetViews',
+    c: [{tag: 'sheetView', $: {zoomToFit: 1, workbookViewId: 0}}],
+  }),
+};
+
+module.exports = ChartsheetXform;
@@ -2,12 +2,14 @@
 const CompositeXform = require('../composite-xform');
 
 const ConditionalFormattingsExt = require('./cf-ext/conditional-formattings-ext-xform');
+const SparklineGroupsExt = require('./sparkline-ext/sparkline-groups-ext-xform');
 
 class ExtXform extends CompositeXform {
   constructor() {
     super();
     this.map = {
       'x14:conditionalFormattings': (this.conditionalFormattings = new ConditionalFormattingsExt()),
+      'x14:sparklineGroups': (this.sparklineGroups = new SparklineGroupsExt()),
     };
   }
 
@@ -16,22 +18,35 @@ class ExtXform extends CompositeXform {
   }
 
   hasContent(model) {
-    return this.conditionalFormattings.hasContent(model.conditionalFormattings);
+    return (
+      this.conditionalFormattings.hasContent(model.conditionalFormattings) ||
+      this.sparklineGroups.hasContent(model.sparklineGroups)
+    );
   }
 
   prepare(model, options) {
     this.conditionalFormattings.prepare(model.conditionalFormattings, options);
   }
 
+  // each extension is written in an ext of its own
   render(xmlStream, model) {
-    xmlStream.openNode('ext', {
-      uri: '{78C0D931-6437-407d-A8EE-F0AAD7539E65}',
-      'xmlns:x14': 'http://schemas.microsoft.com/office/spreadsheetml/2009/9/main',
-    });
-
-    this.conditionalFormattings.render(xmlStream, model.conditionalFormattings);
+    if (this.conditionalFormattings.hasContent(model.conditionalFormattings)) {
+      xmlStream.openNode('ext', {
+        uri: '{78C0D931-6437-407d-A8EE-F0AAD7539E65}',
+        'xmlns:x14': 'http://schemas.microsoft.com/office/spreadsheetml/2009/9/main',
+      });
+      this.conditionalFormattings.render(xmlStream, model.conditionalFormattings);
+      xmlStream.closeNode();
+    }
 
-    xmlStream.closeNode();
+    if (this.sparklineGroups.hasContent(model.sparklineGroups)) {
+      xmlStream.openNode('ext', {
+        uri: '{05C60535-1F16-4fd2-B633-F4F36F0B64E0}',
+        'xmlns:x14': 'http://schemas.microsoft.com/office/spreadsheetml/2009/9/main',
+      });
+      this.sparklineGroups.render(xmlStream, model.sparklineGroups);
+      xmlStream.closeNode();
+    }
   }
 
   createNewModel() {
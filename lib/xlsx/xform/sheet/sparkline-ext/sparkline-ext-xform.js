@@ -0,0 +1,44 @@
+const CompositeXform = require('../../composite-xform');
+
+const FExtXform = require('../cf-ext/f-ext-xform');
+const SqrefExtXform = require('../cf-ext/sqref-ext-xform');
+
+// a sparkline: the cells it plots and the cell it is drawn in
+class SparklineExtXform extends CompositeXform {
+  constructor() {
+    super();
+
+    this.map = {
+      'xm:f': (this.fXform = new FExtXform()),
+      'xm:sqref': (this.sqrefXform = new SqrefExtXform()),
+    };
+  }
+
+  get tag() {
+    return 'x14:sparkline';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openNode(this.tag);
+    this.fXform.render(xmlStream, model.data);
+    this.sqrefXform.render(xmlStream, model.location);
+    xmlStream.closeNode();
+  }
+
+  createNewModel() {
+    return {};
+  }
+
+  onParserClose(name, parser) {
+    switch (name) {
+      case 'xm:f':
+        this.model.data = parser.model;
+        break;
+      case 'xm:sqref':
+        this.model.location = parser.model;
+        break;
+    }
+  }
+}
+
+module.exports = SparklineExtXform;
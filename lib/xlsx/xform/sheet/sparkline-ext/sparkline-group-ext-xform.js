@@ -0,0 +1,162 @@
+const BaseXform = require('../../base-xform');
+const CompositeXform = require('../../composite-xform');
+
+const ColorXform = require('../../style/color-xform');
+const FExtXform = require('../cf-ext/f-ext-xform');
+const SparklinesExtXform = require('./sparklines-ext-xform');
+
+// colours of the group, in the order they appear in the xml
+const COLORS = {
+  series: 'x14:colorSeries',
+  negative: 'x14:colorNegative',
+  axis: 'x14:colorAxis',
+  markers: 'x14:colorMarkers',
+  first: 'x14:colorFirst',
+  last: 'x14:colorLast',
+  high: 'x14:colorHigh',
+  low: 'x14:colorLow',
+};
+
+// the points that can be shown, named as their attributes
+const POINTS = ['markers', 'high', 'low', 'first', 'last', 'negative'];
+
+// axis min and max are 'individual' (the default), 'group' or a number
+function toAxisType(value) {
+  if (typeof value === 'number') {
+    return 'custom';
+  }
+  return value === 'group' ? 'group' : undefined;
+}
+
+function toAxisValue(type, manual) {
+  switch (type) {
+    case 'custom':
+      return parseFloat(manual);
+    case 'group':
+      return 'group';
+    default:
+      return undefined;
+  }
+}
+
+// A group of sparklines sharing type and formatting.
+// Its model:
+//   type: line, column or winLoss
+//   sparklines: [{data, location}], data being the sheet qualified range plotted in the location cell
+//   colors: {series, negative, axis, markers, first, last, high, low}
+//   markers, high, low, first, last, negative: true to show the points
+//   emptyCells: gap, zero or span
+//   showHidden: true to plot hidden cells
+//   lineWeight: in points
+//   axis: {show, min, max, rightToLeft, dateRange}
+class SparklineGroupExtXform extends CompositeXform {
+  constructor() {
+    super();
+
+    this.colorXforms = {};
+    this.map = {
+      'xm:f': (this.dateRangeXform = new FExtXform()),
+      'x14:sparklines': (this.sparklinesXform = new SparklinesExtXform()),
+    };
+    Object.keys(COLORS).forEach(key => {
+      this.map[COLORS[key]] = this.colorXforms[key] = new ColorXform(COLORS[key]);
+    });
+  }
+
+  get tag() {
+    return 'x14:sparklineGroup';
+  }
+
+  render(xmlStream, model) {
+    const axis = model.axis || {};
+    const attributes = {
+      manualMax: typeof axis.max === 'number' ? axis.max : undefined,
+      manualMin: typeof axis.min === 'number' ? axis.min : undefined,
+      lineWeight: BaseXform.toFloatAttribute(model.lineWeight, 0.75),
+      type: BaseXform.toAttribute(model.type, 'line'),
+      dateAxis: BaseXform.toBoolAttribute(!!axis.dateRange, false),
+      displayEmptyCellsAs: BaseXform.toAttribute(model.emptyCells, 'zero'),
+    };
+    POINTS.forEach(name => {
+      attributes[name] = BaseXform.toBoolAttribute(model[name], false);
+    });
+    Object.assign(attributes, {
+      displayXAxis: BaseXform.toBoolAttribute(axis.show, false),
+      displayHidden: BaseXform.toBoolAttribute(model.showHidden, false),
+      minAxisType: toAxisType(axis.min),
+      maxAxisType: toAxisType(axis.max),
+      rightToLeft: BaseXform.toBoolAttribute(axis.rightToLeft, false),
+    });
+    xmlStream.openNode(this.tag, attributes);
+
+    const colors = model.colors || {};
+    Object.keys(COLORS).forEach(key => this.colorXforms[key].render(xmlStream, colors[key]));
+    if (axis.dateRange) {
+      this.dateRangeXform.render(xmlStream, axis.dateRange);
+    }
+    this.sparklinesXform.render(xmlStream, model.sparklines);
+
+    xmlStream.closeNode();
+  }
+
+  createNewModel({attributes}) {
+    const model = {
+      type: BaseXform.toStringValue(attributes.type, 'line'),
+      sparklines: [],
+    };
+    if (attributes.lineWeight !== undefined) {
+      model.lineWeight = parseFloat(attributes.lineWeight);
+    }
+    if (attributes.displayEmptyCellsAs !== undefined) {
+      model.emptyCells = attributes.displayEmptyCellsAs;
+    }
+    POINTS.forEach(name => {
+      if (BaseXform.toBoolValue(attributes[name], false)) {
+        model[name] = true;
+      }
+    });
+    if (BaseXform.toBoolValue(attributes.displayHidden, false)) {
+      model.showHidden = true;
+    }
+
+    const axis = {};
+    if (BaseXform.toBoolValue(attributes.displayXAxis, false)) {
+      axis.show = true;
+    }
+    const min = toAxisValue(attributes.minAxisType, attributes.manualMin);
+    if (min !== undefined) {
+      axis.min = min;
+    }
+    const max = toAxisValue(attributes.maxAxisType, attributes.manualMax);
+    if (max !== undefined) {
+      axis.max = max;
+    }
+    if (BaseXform.toBoolValue(attributes.rightToLeft, false)) {
+      axis.rightToLeft = true;
+    }
+    if (Object.keys(axis).length) {
+      model.axis = axis;
+    }
+    return model;
+  }
+
+  onParserClose(name, parser) {
+    switch (name) {
+      case 'xm:f':
+        this.model.axis = Object.assign({}, this.model.axis, {dateRange: parser.model});
+        break;
+      case 'x14:sparklines':
+        this.model.sparklines = parser.model;
+        break;
+      default: {
+        const key = Object.keys(COLORS).find(k => COLORS[k] === name);
+        if (parser.model) {
+          this.model.colors = Object.assign({}, this.model.colors, {[key]: parser.model});
+        }
+        break;
+      }
+    }
+  }
+}
+
+module.exports = SparklineGroupExtXform;
@@ -0,0 +1,41 @@
+const CompositeXform = require('../../composite-xform');
+
+const SparklineGroupExtXform = require('./sparkline-group-ext-xform');
+
+class SparklineGroupsExtXform extends CompositeXform {
+  constructor() {
+    super();
+
+    this.map = {
+      'x14:sparklineGroup': (this.groupXform = new SparklineGroupExtXform()),
+    };
+  }
+
+  get tag() {
+    return 'x14:sparklineGroups';
+  }
+
+  hasContent(model) {
+    return !!(model && model.length);
+  }
+
+  render(xmlStream, model) {
+    if (this.hasContent(model)) {
+      xmlStream.openNode(this.tag, {
+        'xmlns:xm': 'http://schemas.microsoft.com/office/excel/2006/main',
+      });
+      model.forEach(group => this.groupXform.render(xmlStream, group));
+      xmlStream.closeNode();
+    }
+  }
+
+  createNewModel() {
+    return [];
+  }
+
+  onParserClose(name, parser) {
+    this.model.push(parser.model);
+  }
+}
+
+module.exports = SparklineGroupsExtXform;
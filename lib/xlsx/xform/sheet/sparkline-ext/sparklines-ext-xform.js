@@ -0,0 +1,33 @@
+const CompositeXform = require('../../composite-xform');
+
+const SparklineExtXform = require('./sparkline-ext-xform');
+
+class SparklinesExtXform extends CompositeXform {
+  constructor() {
+    super();
+
+    this.map = {
+      'x14:sparkline': (this.sparklineXform = new SparklineExtXform()),
+    };
+  }
+
+  get tag() {
+    return 'x14:sparklines';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openNode(this.tag);
+    model.forEach(sparkline => this.sparklineXform.render(xmlStream, sparkline));
+    xmlStream.closeNode();
+  }
+
+  createNewModel() {
+    return [];
+  }
+
+  onParserClose(name, parser) {
+    this.model.push(parser.model);
+  }
+}
+
+module.exports = SparklinesExtXform;
@@ -30,6 +30,7 @@ const RowBreaksXform = require('./row-breaks-xform');
 const HeaderFooterXform = require('./header-footer-xform');
 const ConditionalFormattingsXform = require('./cf/conditional-formattings-xform');
 const ExtListXform = require('./ext-lst-xform');
+const VmlAnchorXform = require('../comment/vml-anchor-xform');
 
 const mergeRule = (rule, extRule) => {
   Object.keys(extRule).forEach(key => {
@@ -139,6 +140,7 @@ class WorkSheetXform extends BaseXform {
     options.merges = new Merges();
     model.hyperlinks = options.hyperlinks = [];
     model.comments = options.comments = [];
+    model.threadedComments = options.threadedComments = [];
 
     options.formulae = {};
     options.siFormulae = 0;
@@ -181,18 +183,48 @@ class WorkSheetXform extends BaseXform {
       };
       rels.push(vmlDrawing);
 
+      const sizes = VmlAnchorXform.getSheetSizes(model);
       model.comments.forEach(item => {
         item.refAddress = colCache.decodeAddress(item.ref);
+        VmlAnchorXform.placeNote(item, sizes);
       });
 
-      options.commentRefs.push({
+      const commentRef = {
         commentName: `comments${model.id}`,
         vmlDrawing: `vmlDrawing${model.id}`,
-      });
+      };
+      if (model.threadedComments.length) {
+        commentRef.threadedCommentName = `threadedComment${model.id}`;
+        rels.push({
+          Id: nextRid(rels),
+          Type: RelType.ThreadedComment,
+          Target: `../threadedComments/threadedComment${model.id}.xml`,
+        });
+      }
+      options.commentRefs.push(commentRef);
     }
 
-    const drawingRelsHash = [];
+    // the rels of the drawing to the images it shows, by imageId, so an image drawn more than once is linked once
+    const imageRels = {};
     let bookImage;
+    const getDrawing = () => {
+      let {drawing} = model;
+      if (!drawing) {
+        drawing = model.drawing = {
+          rId: nextRid(rels),
+          name: `drawing${++options.drawingsCount}`,
+          anchors: [],
+          rels: [],
+        };
+        options.drawings.push(drawing);
+        rels.push({
+          Id: drawing.rId,
+          Type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
+          Target: `../drawings/${drawing.name}.xml`,
+        });
+      }
+      return drawing;
+    };
     model.media.forEach(medium => {
       if (medium.type === 'background') {
         const rId = nextRid(rels);
@@ -207,43 +239,39 @@ class WorkSheetXform extends BaseXform {
         };
         model.image = options.media[medium.imageId];
       } else if (medium.type === 'image') {
-        let {drawing} = model;
-        bookImage = options.media[medium.imageId];
-        if (!drawing) {
-          drawing = model.drawing = {
-            rId: nextRid(rels),
-            name: `drawing${++options.drawingsCount}`,
-            anchors: [],
-            rels: [],
-          };
-          options.drawings.push(drawing);
-          rels.push({
-            Id: drawing.rId,
-            Type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
-            Target: `../drawings/${drawing.name}.xml`,
-          });
-        }
-        let rIdImage =
-          this.preImageId === medium.imageId ? drawingRelsHash[medium.imageId] : drawingRelsHash[drawing.rels.length];
-        if (!rIdImage) {
-          rIdImage = nextRid(drawing.rels);
-          drawingRelsHash[drawing.rels.length] = rIdImage;
-          drawing.rels.push({
-            Id: rIdImage,
-            Type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
-            Target: `../media/${bookImage.name}.${bookImage.extension}`,
-          });
-        }
+        const drawing = getDrawing();
+        const embed = imageId => {
+          if (!imageRels[imageId]) {
+            bookImage = options.media[imageId];
+            imageRels[imageId] = nextRid(drawing.rels);
+            drawing.rels.push({
+              Id: imageRels[imageId],
+              Type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+              Target: `../media/${bookImage.name}.${bookImage.extension}`,
+            });
+          }
+          return imageRels[imageId];
+        };
 
         const anchor = {
-          picture: {
-            rId: rIdImage,
-          },
+          picture: {},
           range: medium.range,
         };
+        // an svg is drawn with its fallback as the picture for readers that don't know svg
+        const {fallback} = options.media[medium.imageId];
+        if (fallback !== undefined) {
+          anchor.picture.rId = embed(fallback);
+          anchor.picture.svgRId = embed(medium.imageId);
+        } else {
+          anchor.picture.rId = embed(medium.imageId);
+        }
+        WorkSheetXform.PICTURE_OPTIONS.forEach(key => {
+          if (medium[key] !== undefined) {
+            anchor.picture[key] = medium[key];
+          }
+        });
         if (medium.hyperlinks && medium.hyperlinks.hyperlink) {
           const rIdHyperLink = nextRid(drawing.rels);
-          drawingRelsHash[drawing.rels.length] = rIdHyperLink;
           anchor.picture.hyperlinks = {
             tooltip: medium.hyperlinks.tooltip,
             rId: rIdHyperLink,
@@ -255,8 +283,67 @@ class WorkSheetXform extends BaseXform {
             TargetMode: 'External',
           });
         }
-        this.preImageId = medium.imageId;
         drawing.anchors.push(anchor);
+      } else if (medium.type === 'chart') {
+        const drawing = getDrawing();
+        const name = `chart${++options.chartsCount}`;
+        if (medium.part) {
+          // loaded charts are written as they were
+          options.parts.add(medium.part, name, `xl/charts/${name}.xml`);
+        } else {
+          options.charts.push({...medium.chart, name, sheetName: model.name});
+        }
+        const rIdChart = nextRid(drawing.rels);
+        drawing.rels.push({
+          Id: rIdChart,
+          Type: RelType.Chart,
+          Target: `../charts/${name}.xml`,
+        });
+        drawing.anchors.push({
+          graphicFrame: {
+            rId: rIdChart,
+            name: medium.name,
+          },
+          range: medium.range,
+        });
+      } else if (medium.type === 'shape') {
+        getDrawing().anchors.push({
+          shape: {...medium.shape},
+          range: medium.range,
+        });
+      } else if (medium.type === 'drawing') {
+        // content kept as it was loaded, with its relationships re-wired to this drawing
+        const drawing = getDrawing();
+        const source = `xl/drawings/${drawing.name}.xml`;
+        const ids = {};
+        Object.entries(medium.rels).forEach(([rId, rel]) => {
+          ids[rId] = nextRid(drawing.rels);
+          drawing.rels.push({
+            Id: ids[rId],
+            Type: rel.Type,
+            Target: rel.part ? options.parts.target(source, rel.part, drawing.name) : rel.Target,
+            TargetMode: rel.TargetMode,
+          });
+        });
+        const rewire = element => {
+          const copy = {...element};
+          if (element.$) {
+            copy.$ = {...element.$};
+            Object.keys(copy.$).forEach(name => {
+              if (name.startsWith('r:') && ids[copy.$[name]]) {
+                copy.$[name] = ids[copy.$[name]];
+              }
+            });
+          }
+          if (element.c) {
+            copy.c = element.c.map(rewire);
+          }
+          return copy;
+        };
+        drawing.anchors.push({
+          content: rewire(medium.content),
+          range: medium.range,
+        });
       }
     });
 
@@ -443,6 +530,9 @@ class WorkSheetXform extends BaseXform {
         if (this.map.sheetProtection.model) {
           this.model.sheetProtection = this.map.sheetProtection.model;
         }
+        if (this.map.extLst.model && this.map.extLst.model['x14:sparklineGroups']) {
+          this.model.sparklineGroups = this.map.extLst.model['x14:sparklineGroups'];
+        }
 
         return false;
       }
@@ -463,8 +553,10 @@ class WorkSheetXform extends BaseXform {
       }
       if (rel.Type === RelType.VmlDrawing && model.comments && model.comments.length) {
         const vmlComment = options.vmlDrawings[rel.Target].comments;
+        const sizes = VmlAnchorXform.getSheetSizes(model);
         model.comments.forEach((comment, index) => {
           comment.note = Object.assign({}, comment.note, vmlComment[index]);
+          VmlAnchorXform.readNote(comment.note, colCache.decodeAddress(comment.ref), sizes);
         });
       }
       return h;
@@ -475,6 +567,14 @@ class WorkSheetXform extends BaseXform {
       }
       return h;
     }, {});
+    options.threadsMap = (model.relationships || [])
+      .filter(rel => rel.Type === RelType.ThreadedComment && options.threadedComments[rel.Target])
+      .reduce((h, rel) => {
+        options.threadedComments[rel.Target].threads.forEach(({ref, ...thread}) => {
+          h[ref] = thread;
+        });
+        return h;
+      }, {});
     options.hyperlinkMap = (model.hyperlinks || []).reduce((h, hyperlink) => {
       if (hyperlink.rId) {
         h[hyperlink.address] = rels[hyperlink.rId].Target;
@@ -508,7 +608,32 @@ class WorkSheetXform extends BaseXform {
               range: anchor.range,
               hyperlinks: anchor.picture.hyperlinks,
             };
+            WorkSheetXform.PICTURE_OPTIONS.forEach(key => {
+              if (anchor.picture[key] !== undefined) {
+                image[key] = anchor.picture[key];
+              }
+            });
             model.media.push(image);
+          } else if (anchor.chart) {
+            model.media.push({
+              type: 'chart',
+              name: anchor.chart.name,
+              part: anchor.chart.part,
+              range: anchor.range,
+            });
+          } else if (anchor.shape) {
+            model.media.push({
+              type: 'shape',
+              shape: anchor.shape,
+              range: anchor.range,
+            });
+          } else if (anchor.content) {
+            model.media.push({
+              type: 'drawing',
+              content: anchor.content,
+              rels: anchor.rels,
+              range: anchor.range,
+            });
           }
         });
       }
@@ -545,4 +670,7 @@ WorkSheetXform.WORKSHEET_ATTRIBUTES = {
   'xmlns:x14ac': 'http://schemas.microsoft.com/office/spreadsheetml/2009/9/ac',
 };
 
+// how a picture is drawn, passed between the images of the worksheet and the pictures of its drawing
+WorkSheetXform.PICTURE_OPTIONS = ['rotation', 'flipH', 'flipV', 'crop', 'description', 'lockAspectRatio'];
+
 module.exports = WorkSheetXform;
@@ -61,4 +61,6 @@ class StaticXform extends BaseXform {
   }
 }
 
+StaticXform.build = build;
+
 module.exports = StaticXform;
@@ -0,0 +1,89 @@
+const BaseXform = require('../base-xform');
+
+// the ids of the built in styles of Excel by name
+const BUILTIN_IDS = {
+  Normal: 0,
+  Comma: 3,
+  Currency: 4,
+  Percent: 5,
+  'Comma [0]': 6,
+  'Currency [0]': 7,
+  Hyperlink: 8,
+  'Followed Hyperlink': 9,
+  Note: 10,
+  'Warning Text': 11,
+  Title: 15,
+  'Heading 1': 16,
+  'Heading 2': 17,
+  'Heading 3': 18,
+  'Heading 4': 19,
+  Input: 20,
+  Output: 21,
+  Calculation: 22,
+  'Check Cell': 23,
+  'Linked Cell': 24,
+  Total: 25,
+  Good: 26,
+  Bad: 27,
+  Neutral: 28,
+  'Explanatory Text': 53,
+};
+// Accent1, 20% - Accent1, 40% - Accent1, 60% - Accent1, Accent2, ...
+for (let accent = 1, id = 29; accent <= 6; accent++, id += 4) {
+  BUILTIN_IDS[`Accent${accent}`] = id;
+  BUILTIN_IDS[`20% - Accent${accent}`] = id + 1;
+  BUILTIN_IDS[`40% - Accent${accent}`] = id + 2;
+  BUILTIN_IDS[`60% - Accent${accent}`] = id + 3;
+}
+
+// <cellStyle name="Heading 1" xfId="1" builtinId="16"/>
+// a named style - its formatting is the xf of cellStyleXfs at xfId
+class CellStyleXform extends BaseXform {
+  get tag() {
+    return 'cellStyle';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.leafNode('cellStyle', {
+      name: model.name,
+      xfId: model.xfId || 0,
+      builtinId: model.builtinId,
+      iLevel: model.iLevel,
+      hidden: model.hidden ? '1' : undefined,
+      customBuiltin: model.customBuiltin ? '1' : undefined,
+    });
+  }
+
+  parseOpen(node) {
+    if (node.name !== 'cellStyle') {
+      return false;
+    }
+    const {attributes} = node;
+    const toInt = value => (value === undefined ? undefined : parseInt(value, 10));
+    const toBool = value => (value === undefined ? undefined : value === '1' || value === 'true');
+    this.model = {
+      name: attributes.name,
+      xfId: toInt(attributes.xfId) || 0,
+      builtinId: toInt(attributes.builtinId),
+      iLevel: toInt(attributes.iLevel),
+      hidden: toBool(attributes.hidden),
+      customBuiltin: toBool(attributes.customBuiltin),
+    };
+    Object.keys(this.model).forEach(key => {
+      if (this.model[key] === undefined) {
+        delete this.model[key];
+      }
+    });
+    return true;
+  }
+
+  parseText() {}
+
+  parseClose() {
+    return false;
+  }
+}
+
+CellStyleXform.BUILTIN_IDS = BUILTIN_IDS;
+
+module.exports = CellStyleXform;
@@ -10,6 +10,9 @@ const FillXform = require('./fill-xform');
 const BorderXform = require('./border-xform');
 const NumFmtXform = require('./numfmt-xform');
 const StyleXform = require('./style-xform');
+const CellStyleXform = require('./cell-style-xform');
+const TableStyleXform = require('./table-style-xform');
+const TableStylesXform = require('./table-styles-xform');
 const DxfXform = require('./dxf-xform');
 
 // custom numfmt ids start here
@@ -38,7 +41,9 @@ class StylesXform extends BaseXform {
         count: true,
         childXform: new StyleXform({xfId: true}),
       }),
+      cellStyles: new ListXform({tag: 'cellStyles', count: true, childXform: new CellStyleXform()}),
       dxfs: new ListXform({tag: 'dxfs', always: true, count: true, childXform: new DxfXform()}),
+      tableStyles: new TableStylesXform(),
 
       // for style manager
       numFmt: new NumFmtXform(),
@@ -46,9 +51,9 @@ class StylesXform extends BaseXform {
       fill: new FillXform(),
       border: new BorderXform(),
       style: new StyleXform({xfId: true}),
+      cellStyleXf: new StyleXform(),
+      dxf: new DxfXform(),
 
-      cellStyles: StylesXform.STATIC_XFORMS.cellStyles,
-      tableStyles: StylesXform.STATIC_XFORMS.tableStyles,
       extLst: StylesXform.STATIC_XFORMS.extLst,
     };
 
@@ -66,6 +71,14 @@ class StylesXform extends BaseXform {
       font: {},
       border: {},
       fill: {},
+      dxf: {},
+      namedStyle: {},
+
+      // for the stats: the styles looked up for cells, rows and columns, the xml of the parts added
+      // and how many were merged with an equivalent part written differently
+      references: 0,
+      xml: new Set(),
+      merged: {},
     };
   }
 
@@ -78,10 +91,16 @@ class StylesXform extends BaseXform {
       borders: [],
       fills: [],
       dxfs: [],
+      cellStyleXfs: [],
+      cellStyles: [],
+      tableStyles: {styles: []},
     };
 
     this.initIndex();
 
+    // the Normal style, the style of cells without a named style
+    this.addNamedStyle({name: 'Normal'});
+
     // default (zero) border
     this._addBorder({});
 
@@ -113,10 +132,7 @@ class StylesXform extends BaseXform {
         xmlStream.closeNode();
       }
 
-      if (!model.fonts.length) {
-        // default (zero) font
-        this._addFont({size: 11, color: {theme: 1}, name: 'Calibri', family: 2, scheme: 'minor'});
-      }
+      this._addDefaultFont();
       xmlStream.openNode('fonts', {count: model.fonts.length, 'x14ac:knownFonts': 1});
       model.fonts.forEach(fontXml => {
         xmlStream.writeXml(fontXml);
@@ -135,28 +151,32 @@ class StylesXform extends BaseXform {
       });
       xmlStream.closeNode();
 
-      this.map.cellStyleXfs.render(xmlStream, [{numFmtId: 0, fontId: 0, fillId: 0, borderId: 0, xfId: 0}]);
+      xmlStream.openNode('cellStyleXfs', {count: model.cellStyleXfs.length});
+      model.cellStyleXfs.forEach(xfXml => {
+        xmlStream.writeXml(xfXml);
+      });
+      xmlStream.closeNode();
 
       xmlStream.openNode('cellXfs', {count: model.styles.length});
       model.styles.forEach(styleXml => {
         xmlStream.writeXml(styleXml);
       });
       xmlStream.closeNode();
+
+      this.map.cellStyles.render(xmlStream, model.cellStyles);
     } else {
       // model is plain JSON and needs to be xformed
       this.map.numFmts.render(xmlStream, model.numFmts);
       this.map.fonts.render(xmlStream, model.fonts);
       this.map.fills.render(xmlStream, model.fills);
       this.map.borders.render(xmlStream, model.borders);
-      this.map.cellStyleXfs.render(xmlStream, [{numFmtId: 0, fontId: 0, fillId: 0, borderId: 0, xfId: 0}]);
+      this.map.cellStyleXfs.render(xmlStream, model.cellStyleXfs || [{numFmtId: 0, fontId: 0, fillId: 0, borderId: 0}]);
       this.map.cellXfs.render(xmlStream, model.styles);
+      this.map.cellStyles.render(xmlStream, model.cellStyles || [{name: 'Normal', xfId: 0, builtinId: 0}]);
     }
 
-    StylesXform.STATIC_XFORMS.cellStyles.render(xmlStream);
-
     this.map.dxfs.render(xmlStream, model.dxfs);
-
-    StylesXform.STATIC_XFORMS.tableStyles.render(xmlStream);
+    this.map.tableStyles.render(xmlStream, model.tableStyles || {});
     StylesXform.STATIC_XFORMS.extLst.render(xmlStream);
 
     xmlStream.closeNode();
@@ -206,13 +226,24 @@ class StylesXform extends BaseXform {
         add('fills', this.map.fills);
         add('borders', this.map.borders);
         add('styles', this.map.cellXfs);
+        add('cellStyleXfs', this.map.cellStyleXfs);
+        add('cellStyles', this.map.cellStyles);
         add('dxfs', this.map.dxfs);
+        if (this.map.tableStyles.model) {
+          this.model.tableStyles = this.map.tableStyles.model;
+        }
 
-        // index numFmts
+        // index numFmts and the names of named styles by xfId
         this.index = {
           model: [],
           numFmt: [],
+          styleName: [],
         };
+        if (this.model.cellStyles) {
+          this.model.cellStyles.forEach(cellStyle => {
+            this.index.styleName[cellStyle.xfId] = cellStyle.name;
+          });
+        }
         if (this.model.numFmts) {
           const numFmtIndex = this.index.numFmt;
           this.model.numFmts.forEach(numFmt => {
@@ -237,10 +268,9 @@ class StylesXform extends BaseXform {
     }
 
     // if we have no default font, add it here now
-    if (!this.model.fonts.length) {
-      // default (zero) font
-      this._addFont({size: 11, color: {theme: 1}, name: 'Calibri', family: 2, scheme: 'minor'});
-    }
+    this._addDefaultFont();
+
+    this.index.references++;
 
     // if we have seen this style object before, assume it has the same styleId
     if (this.weakMap && this.weakMap.has(model)) {
@@ -265,31 +295,67 @@ class StylesXform extends BaseXform {
       }
     }
 
-    if (model.font) {
-      style.fontId = this._addFont(model.font);
+    this._addStyleParts(model, style);
+
+    // cells of a named style refer to it, named styles not yet seen are added with the style of the cell
+    if (model.name) {
+      const xfId = this.index.namedStyle[model.name.toLowerCase()];
+      style.xfId = xfId !== undefined ? xfId : this.addNamedStyle({name: model.name, style: model});
     }
 
-    if (model.border) {
-      style.borderId = this._addBorder(model.border);
+    const styleId = this._addStyle(style);
+    if (this.weakMap) {
+      this.weakMap.set(model, styleId);
     }
+    return styleId;
+  }
 
-    if (model.fill) {
-      style.fillId = this._addFill(model.fill);
+  // add a named style {name, style, builtinId, iLevel, hidden, customBuiltin}, returning its xfId.
+  // Named styles with the names of the built in styles of Excel get their builtinId
+  addNamedStyle(namedStyle) {
+    const {name, style = {}} = namedStyle;
+    const key = name.toLowerCase();
+    // (Normal may have another name in other languages)
+    let xfId = namedStyle.builtinId === 0 ? 0 : this.index.namedStyle[key];
+    this.index.namedStyle[key] = xfId;
+    if (xfId === undefined) {
+      xfId = this.index.namedStyle[key] = this.model.cellStyles.length;
     }
 
-    if (model.alignment) {
-      style.alignment = model.alignment;
+    // the font of the Normal style is the default font, other fonts come after it
+    if (xfId !== 0 && style.font) {
+      this._addDefaultFont();
     }
 
-    if (model.protection) {
-      style.protection = model.protection;
+    const xf = {};
+    if (style.numFmt) {
+      xf.numFmtId = this._addNumFmtStr(style.numFmt);
     }
+    this._addStyleParts(style, xf);
+    this.model.cellStyleXfs[xfId] = this.map.cellStyleXf.toXml(xf);
 
-    const styleId = this._addStyle(style);
-    if (this.weakMap) {
-      this.weakMap.set(model, styleId);
+    const cellStyle = {name, xfId};
+    ['builtinId', 'iLevel', 'hidden', 'customBuiltin'].forEach(prop => {
+      if (namedStyle[prop] !== undefined) {
+        cellStyle[prop] = namedStyle[prop];
+      }
+    });
+    if (cellStyle.builtinId === undefined && CellStyleXform.BUILTIN_IDS[name] !== undefined) {
+      cellStyle.builtinId = CellStyleXform.BUILTIN_IDS[name];
+      if (xfId) {
+        cellStyle.customBuiltin = true;
+      }
     }
-    return styleId;
+    this.model.cellStyles[xfId] = cellStyle;
+    return xfId;
+  }
+
+  // the named styles of a parsed stylesheet: [{name, style, builtinId, iLevel, hidden, customBuiltin}]
+  getNamedStyles() {
+    return (this.model.cellStyles || []).map(({xfId, ...cellStyle}) => {
+      const xf = this.model.cellStyleXfs && this.model.cellStyleXfs[xfId];
+      return {...cellStyle, style: xf ? this._getXfModel(xf) : {}};
+    });
   }
 
   // given a styleId (i.e. s="n"), get the cell's style model
@@ -304,7 +370,99 @@ class StylesXform extends BaseXform {
     if (model) return model;
 
     // build a new model
-    model = this.index.model[id] = {};
+    model = this.index.model[id] = this._getXfModel(style);
+
+    // -------------------------------------------------------
+    // the named style of the cell, other than Normal
+    const name = style.xfId && this.index.styleName && this.index.styleName[style.xfId];
+    if (name) {
+      model.name = name;
+    }
+
+    return model;
+  }
+
+  addDxfStyle(style) {
+    if (style.numFmt) {
+      // register numFmtId to use it during dxf-xform rendering
+      style.numFmtId = this._addNumFmtStr(style.numFmt);
+    }
+
+    return this._addIndexed('dxf', this.model.dxfs, this.map.dxf.toXml(style), style);
+  }
+
+  getDxfStyle(id) {
+    return this.model.dxfs[id];
+  }
+
+  // add the table and pivot styles {defaultTableStyle, defaultPivotStyle, styles}, where each style is
+  // {name, table, pivot, elements} and the elements are dxf styles by type, e.g. {headerRow: {font, fill}}.
+  // Stripes can be more than one row or column wide with a size, e.g. {firstRowStripe: {fill, size: 2}}
+  addTableStyles({defaultTableStyle, defaultPivotStyle, styles}) {
+    const {tableStyles} = this.model;
+    tableStyles.defaultTableStyle = defaultTableStyle;
+    tableStyles.defaultPivotStyle = defaultPivotStyle;
+    (styles || []).forEach(({name, table, pivot, elements}) => {
+      Object.keys(elements).forEach(type => {
+        if (!TableStyleXform.ELEMENT_TYPES.includes(type)) {
+          throw new Error(`Unknown element ${type} of table style ${name}`);
+        }
+      });
+      tableStyles.styles.push({
+        name,
+        table,
+        pivot,
+        elements: TableStyleXform.ELEMENT_TYPES.filter(type => elements[type]).map(type => {
+          const {size, ...style} = elements[type];
+          return {type, size, dxfId: this.addDxfStyle(style)};
+        }),
+      });
+    });
+  }
+
+  // the number of each part of the stylesheet, with how many parts were merged with an equivalent one
+  // that is written differently, and the number of styles of cells, rows and columns that refer to them
+  getStats() {
+    const {model} = this;
+    const index = this.index || {};
+    const merged = index.merged || {};
+    const stats = {references: index.references || 0};
+    Object.entries(StylesXform.STATS_PARTS).forEach(([part, [modelName, indexName]]) => {
+      stats[part] = {
+        count: (model[modelName] || []).length,
+        merged: merged[indexName] || 0,
+      };
+    });
+    return stats;
+  }
+
+  // the table and pivot styles of a parsed stylesheet, like those given to addTableStyles
+  getTableStyles() {
+    const {defaultTableStyle, defaultPivotStyle, styles = []} = this.model.tableStyles || {};
+    return {
+      defaultTableStyle,
+      defaultPivotStyle,
+      styles: styles.map(({name, table, pivot, elements}) => ({
+        name,
+        table,
+        pivot,
+        elements: elements.reduce((memo, {type, size, dxfId}) => {
+          const style = this._getDxfModel(dxfId);
+          if (size !== undefined) {
+            style.size = size;
+          }
+          memo[type] = style;
+          return memo;
+        }, {}),
+      })),
+    };
+  }
+
+  // =========================================================================
+  // Private Interface
+  // the style model of an xf of cellXfs or cellStyleXfs
+  _getXfModel(style) {
+    const model = {};
 
     // -------------------------------------------------------
     // number format
@@ -343,32 +501,62 @@ class StylesXform extends BaseXform {
     return model;
   }
 
-  addDxfStyle(style) {
-    if (style.numFmt) {
-      // register numFmtId to use it during dxf-xform rendering
-      style.numFmtId = this._addNumFmtStr(style.numFmt);
+  // the style model of a parsed dxf, without its missing parts
+  _getDxfModel(dxfId) {
+    const dxf = (this.model.dxfs && this.model.dxfs[dxfId]) || {};
+    const model = {};
+    Object.keys(dxf).forEach(key => {
+      if (dxf[key]) {
+        model[key] = key === 'numFmt' ? dxf.numFmt.formatCode : dxf[key];
+      }
+    });
+    return model;
+  }
+
+  // the ids of the font, border and fill of a style model, with its alignment and protection
+  _addStyleParts(model, style) {
+    if (model.font) {
+      style.fontId = this._addFont(model.font);
     }
 
-    this.model.dxfs.push(style);
-    return this.model.dxfs.length - 1;
-  }
+    if (model.border) {
+      style.borderId = this._addBorder(model.border);
+    }
 
-  getDxfStyle(id) {
-    return this.model.dxfs[id];
+    if (model.fill) {
+      style.fillId = this._addFill(model.fill);
+    }
+
+    // (alignment and protection without any values are the same as none)
+    const hasValues = value => value && Object.values(value).some(v => v !== undefined);
+    if (hasValues(model.alignment)) {
+      style.alignment = model.alignment;
+    }
+
+    if (hasValues(model.protection)) {
+      style.protection = model.protection;
+    }
   }
 
-  // =========================================================================
-  // Private Interface
-  _addStyle(style) {
-    const xml = this.map.style.toXml(style);
-    let index = this.index.style[xml];
+  // add the xml of a part of the stylesheet (or the part itself as item) to its list once, returning its index.
+  // Parts that only differ in the case of their colours are the same part
+  _addIndexed(name, list, xml, item) {
+    const key = xml.replace(/\brgb="([0-9A-Fa-f]+)"/g, (match, rgb) => `rgb="${rgb.toUpperCase()}"`);
+    let index = this.index[name][key];
     if (index === undefined) {
-      index = this.index.style[xml] = this.model.styles.length;
-      this.model.styles.push(xml);
+      index = this.index[name][key] = list.length;
+      list.push(item || key);
+    } else if (!this.index.xml.has(`${name}:${xml}`)) {
+      this.index.merged[name] = (this.index.merged[name] || 0) + 1;
     }
+    this.index.xml.add(`${name}:${xml}`);
     return index;
   }
 
+  _addStyle(style) {
+    return this._addIndexed('style', this.model.styles, this.map.style.toXml(style));
+  }
+
   // =========================================================================
   // Number Formats
   _addNumFmtStr(formatCode) {
@@ -378,7 +566,9 @@ class StylesXform extends BaseXform {
 
     // check if already in
     index = this.index.numFmt[formatCode];
-    if (index !== undefined) return index;
+    if (index !== undefined) {
+      return index;
+    }
 
     index = this.index.numFmt[formatCode] = NUMFMT_BASE + this.model.numFmts.length;
     const xml = this.map.numFmt.toXml({id: index, formatCode});
@@ -388,38 +578,27 @@ class StylesXform extends BaseXform {
 
   // =========================================================================
   // Fonts
-  _addFont(font) {
-    const xml = this.map.font.toXml(font);
-    let index = this.index.font[xml];
-    if (index === undefined) {
-      index = this.index.font[xml] = this.model.fonts.length;
-      this.model.fonts.push(xml);
+  _addDefaultFont() {
+    if (!this.model.fonts.length) {
+      // default (zero) font
+      this._addFont({size: 11, color: {theme: 1}, name: 'Calibri', family: 2, scheme: 'minor'});
     }
-    return index;
+  }
+
+  _addFont(font) {
+    return this._addIndexed('font', this.model.fonts, this.map.font.toXml(font));
   }
 
   // =========================================================================
   // Borders
   _addBorder(border) {
-    const xml = this.map.border.toXml(border);
-    let index = this.index.border[xml];
-    if (index === undefined) {
-      index = this.index.border[xml] = this.model.borders.length;
-      this.model.borders.push(xml);
-    }
-    return index;
+    return this._addIndexed('border', this.model.borders, this.map.border.toXml(border));
   }
 
   // =========================================================================
   // Fills
   _addFill(fill) {
-    const xml = this.map.fill.toXml(fill);
-    let index = this.index.fill[xml];
-    if (index === undefined) {
-      index = this.index.fill[xml] = this.model.fills.length;
-      this.model.fills.push(xml);
-    }
-    return index;
+    return this._addIndexed('fill', this.model.fills, this.map.fill.toXml(fill));
   }
 
   // =========================================================================
@@ -432,17 +611,18 @@ StylesXform.STYLESHEET_ATTRIBUTES = {
   'xmlns:x14ac': 'http://schemas.microsoft.com/office/spreadsheetml/2009/9/ac',
   'xmlns:x16r2': 'http://schemas.microsoft.com/office/spreadsheetml/2015/02/main',
 };
+// the parts of the stylesheet in the stats, with their names in the model and the index
+StylesXform.STATS_PARTS = {
+  cellXfs: ['styles', 'style'],
+  cellStyleXfs: ['cellStyleXfs'],
+  numFmts: ['numFmts', 'numFmt'],
+  fonts: ['fonts', 'font'],
+  fills: ['fills', 'fill'],
+  borders: ['borders', 'border'],
+  dxfs: ['dxfs', 'dxf'],
+};
 StylesXform.STATIC_XFORMS = {
-  cellStyles: new StaticXform({
-    tag: 'cellStyles',
-    $: {count: 1},
-    c: [{tag: 'cellStyle', $: {name: 'Normal', xfId: 0, builtinId: 0}}],
-  }),
   dxfs: new StaticXform({tag: 'dxfs', $: {count: 0}}),
-  tableStyles: new StaticXform({
-    tag: 'tableStyles',
-    $: {count: 0, defaultTableStyle: 'TableStyleMedium2', defaultPivotStyle: 'PivotStyleLight16'},
-  }),
   extLst: new StaticXform({
     tag: 'extLst',
     c: [
@@ -492,6 +672,14 @@ class StylesXformMock extends StylesXform {
     return Promise.resolve();
   }
 
+  // named styles aren't written without styles
+  addNamedStyle() {
+    return 0;
+  }
+
+  // nor are table styles
+  addTableStyles() {}
+
   // add a cell's style model to the collection
   // each style property is processed and cross-referenced, etc.
   // the styleId is returned. Note: cellType is used when numFmt not defined
@@ -0,0 +1,92 @@
+const BaseXform = require('../base-xform');
+
+// <tableStyle name="Brand" pivot="0" count="2">
+//   <tableStyleElement type="wholeTable" dxfId="0"/>
+//   <tableStyleElement type="firstRowStripe" size="1" dxfId="1"/>
+// </tableStyle>
+// the elements refer to the differential formats (dxfs) of the stylesheet
+class TableStyleXform extends BaseXform {
+  get tag() {
+    return 'tableStyle';
+  }
+
+  render(xmlStream, model) {
+    xmlStream.openNode(this.tag, {
+      name: model.name,
+      pivot: model.pivot === false ? '0' : undefined,
+      table: model.table === false ? '0' : undefined,
+      count: model.elements.length,
+    });
+    model.elements.forEach(({type, size, dxfId}) => {
+      xmlStream.leafNode('tableStyleElement', {type, size, dxfId});
+    });
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    const {attributes} = node;
+    switch (node.name) {
+      case this.tag:
+        this.model = {
+          name: attributes.name,
+          pivot: attributes.pivot !== '0',
+          table: attributes.table !== '0',
+          elements: [],
+        };
+        return true;
+      case 'tableStyleElement': {
+        const element = {type: attributes.type};
+        if (attributes.size !== undefined) {
+          element.size = parseInt(attributes.size, 10);
+        }
+        if (attributes.dxfId !== undefined) {
+          element.dxfId = parseInt(attributes.dxfId, 10);
+        }
+        this.model.elements.push(element);
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+
+  parseText() {}
+
+  parseClose(name) {
+    return name !== this.tag;
+  }
+}
+
+// the elements of table and pivot styles in the order Excel writes them
+TableStyleXform.ELEMENT_TYPES = [
+  'wholeTable',
+  'headerRow',
+  'totalRow',
+  'firstColumn',
+  'lastColumn',
+  'firstRowStripe',
+  'secondRowStripe',
+  'firstColumnStripe',
+  'secondColumnStripe',
+  'firstHeaderCell',
+  'lastHeaderCell',
+  'firstTotalCell',
+  'lastTotalCell',
+  'firstSubtotalColumn',
+  'secondSubtotalColumn',
+  'thirdSubtotalColumn',
+  'firstSubtotalRow',
+  'secondSubtotalRow',
+  'thirdSubtotalRow',
+  'blankRow',
+  'firstColumnSubheading',
+  'secondColumnSubheading',
+  'thirdColumnSubheading',
+  'firstRowSubheading',
+  'secondRowSubheading',
+  'thirdRowSubheading',
+  'pageFieldLabels',
+  'pageFieldValues',
+];
+
+module.exports = TableStyleXform;
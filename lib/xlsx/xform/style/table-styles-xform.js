@@ -0,0 +1,73 @@
+const BaseXform = require('../base-xform');
+const TableStyleXform = require('./table-style-xform');
+
+// <tableStyles count="1" defaultTableStyle="TableStyleMedium2" defaultPivotStyle="PivotStyleLight16">
+//   <tableStyle .../>
+// </tableStyles>
+// model: {defaultTableStyle, defaultPivotStyle, styles: [tableStyle]}
+class TableStylesXform extends BaseXform {
+  constructor() {
+    super();
+
+    this.map = {
+      tableStyle: new TableStyleXform(),
+    };
+  }
+
+  get tag() {
+    return 'tableStyles';
+  }
+
+  render(xmlStream, model) {
+    const styles = model.styles || [];
+    xmlStream.openNode(this.tag, {
+      count: styles.length,
+      defaultTableStyle: model.defaultTableStyle || TableStylesXform.DEFAULT_TABLE_STYLE,
+      defaultPivotStyle: model.defaultPivotStyle || TableStylesXform.DEFAULT_PIVOT_STYLE,
+    });
+    styles.forEach(style => {
+      this.map.tableStyle.render(xmlStream, style);
+    });
+    xmlStream.closeNode();
+  }
+
+  parseOpen(node) {
+    if (this.parser) {
+      this.parser.parseOpen(node);
+      return true;
+    }
+    switch (node.name) {
+      case this.tag:
+        this.model = {
+          defaultTableStyle: node.attributes.defaultTableStyle,
+          defaultPivotStyle: node.attributes.defaultPivotStyle,
+          styles: [],
+        };
+        return true;
+      case 'tableStyle':
+        this.parser = this.map.tableStyle;
+        this.parser.parseOpen(node);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  parseText() {}
+
+  parseClose(name) {
+    if (this.parser) {
+      if (!this.parser.parseClose(name)) {
+        this.model.styles.push(this.parser.model);
+        this.parser = undefined;
+      }
+      return true;
+    }
+    return name !== this.tag;
+  }
+}
+
+TableStylesXform.DEFAULT_TABLE_STYLE = 'TableStyleMedium2';
+TableStylesXform.DEFAULT_PIVOT_STYLE = 'PivotStyleLight16';
+
+module.exports = TableStylesXform;
@@ -12,18 +12,29 @@ const StylesXform = require('./xform/style/styles-xform');
 
 const CoreXform = require('./xform/core/core-xform');
 const SharedStringsXform = require('./xform/strings/shared-strings-xform');
+const MetadataXform = require('./xform/book/metadata-xform');
+const RichData = require('./xform/rich-data/rich-data');
+const RichValueXform = require('./xform/rich-data/rich-value-xform');
+const RichValueStructureXform = require('./xform/rich-data/rich-value-structure-xform');
+const RichValueRelXform = require('./xform/rich-data/rich-value-rel-xform');
 const RelationshipsXform = require('./xform/core/relationships-xform');
 const ContentTypesXform = require('./xform/core/content-types-xform');
 const AppXform = require('./xform/core/app-xform');
 const WorkbookXform = require('./xform/book/workbook-xform');
 const WorksheetXform = require('./xform/sheet/worksheet-xform');
+const ChartsheetXform = require('./xform/sheet/chartsheet-xform');
 const DrawingXform = require('./xform/drawing/drawing-xform');
+const ChartSpaceXform = require('./xform/chart/chart-space-xform');
+const PackageParts = require('./package-parts');
 const TableXform = require('./xform/table/table-xform');
 const PivotCacheRecordsXform = require('./xform/pivot-table/pivot-cache-records-xform');
 const PivotCacheDefinitionXform = require('./xform/pivot-table/pivot-cache-definition-xform');
 const PivotTableXform = require('./xform/pivot-table/pivot-table-xform');
 const CommentsXform = require('./xform/comment/comments-xform');
 const VmlNotesXform = require('./xform/comment/vml-notes-xform');
+const ThreadedCommentsXform = require('./xform/comment/threaded-comments-xform');
+const PersonsXform = require('./xform/comment/persons-xform');
+const ThemeXform = require('./xform/book/theme-xform');
 
 const theme1Xml = require('./xml/theme1');
 
@@ -95,11 +106,14 @@ class XLSX {
     Object.keys(model.drawings).forEach(name => {
       const drawing = model.drawings[name];
       const drawingRel = model.drawingRels[name];
-      if (drawingRel) {
+      // (drawings of chart shapes aren't sheet drawings)
+      if (drawing && drawingRel) {
         drawingOptions.rels = drawingRel.reduce((o, rel) => {
           o[rel.Id] = rel;
           return o;
         }, {});
+        drawingOptions.getPart = target =>
+          this._readPart(model, PackageParts.resolveTarget(`xl/drawings/${name}.xml`, target));
         (drawing.anchors || []).forEach(anchor => {
           const hyperlinks = anchor.picture && anchor.picture.hyperlinks;
           if (hyperlinks && drawingOptions.rels[hyperlinks.rId]) {
@@ -111,6 +125,10 @@ class XLSX {
       }
     });
 
+    // the named styles, before the styles of cells are dropped with the stylesheet
+    model.namedStyles = model.styles ? model.styles.getNamedStyles() : [];
+    model.tableStyles = model.styles && model.styles.getTableStyles();
+
     // reconcile tables with the default styles
     const tableOptions = {
       styles: model.styles,
@@ -122,11 +140,14 @@ class XLSX {
     const sheetOptions = {
       styles: model.styles,
       sharedStrings: model.sharedStrings,
+      metadata: model.metadata,
+      richData: model.richValues && this._reconcileRichData(model),
       media: model.media,
       mediaIndex: model.mediaIndex,
       date1904: model.properties && model.properties.date1904,
       drawings: model.drawings,
       comments: model.comments,
+      threadedComments: model.threadedComments,
       tables: model.tables,
       vmlDrawings: model.vmlDrawings,
     };
@@ -135,11 +156,26 @@ class XLSX {
       worksheetXform.reconcile(worksheet, sheetOptions);
     });
 
+    const chartsheetXform = new ChartsheetXform();
+    model.chartsheets.forEach(chartsheet => {
+      chartsheet.relationships = model.chartsheetRels[chartsheet.sheetNo];
+      chartsheetXform.reconcile(chartsheet, sheetOptions);
+      delete chartsheet.sheetNo;
+    });
+    // (there's nothing to keep of a chartsheet without a chart)
+    model.chartsheets = model.chartsheets.filter(chartsheet => chartsheet.chart);
+
     // delete unnecessary parts
     delete model.worksheetHash;
     delete model.worksheetRels;
+    delete model.chartsheetHash;
+    delete model.chartsheetRels;
     delete model.globalRels;
     delete model.sharedStrings;
+    delete model.metadata;
+    delete model.richValues;
+    delete model.richValueStructures;
+    delete model.richValueRels;
     delete model.workbookRels;
     delete model.sheetDefs;
     delete model.styles;
@@ -147,6 +183,63 @@ class XLSX {
     delete model.drawings;
     delete model.drawingRels;
     delete model.vmlDrawings;
+    delete model.threadedComments;
+    delete model.contentTypes;
+    delete model.rawParts;
+    delete model.partRels;
+    delete model.loadedParts;
+  }
+
+  // the rich values of pictures in cells refer to their images through the rels of xl/richData/richValueRel.xml
+  _reconcileRichData(model) {
+    const rels = (model.partRels['xl/richData/richValueRel.xml'] || []).reduce((o, rel) => {
+      o[rel.Id] = rel;
+      return o;
+    }, {});
+    const images = (model.richValueRels || []).map(rId => {
+      const match = rels[rId] && rels[rId].Target.match(/\/media\/(.+)$/);
+      return match ? model.mediaIndex[match[1]] : undefined;
+    });
+    return new RichData({
+      values: model.richValues,
+      structures: model.richValueStructures || [],
+      images,
+    });
+  }
+
+  // a part that exceljs doesn't model, along with the parts it refers to
+  _readPart(model, path) {
+    let part = model.loadedParts[path];
+    if (!part) {
+      // pictures are written with the media of the workbook, so only which one it is is kept
+      const match = path.match(/^xl\/media\/(.+)$/);
+      if (match && model.mediaIndex[match[1]] !== undefined) {
+        part = model.loadedParts[path] = {path, imageId: model.mediaIndex[match[1]]};
+        return part;
+      }
+      const data = model.rawParts[path];
+      if (data === undefined) {
+        return undefined;
+      }
+      const {defaults, overrides} = model.contentTypes || {defaults: {}, overrides: {}};
+      const extension = path.substring(path.lastIndexOf('.') + 1).toLowerCase();
+      part = model.loadedParts[path] = {
+        path,
+        data,
+        contentType: overrides[`/${path}`] || defaults[extension],
+      };
+      const rels = model.partRels[path];
+      if (rels) {
+        part.rels = rels.map(({Id, Type, Target, TargetMode}) => {
+          const rel = {Id, Type, Target, TargetMode};
+          if (TargetMode !== 'External') {
+            rel.part = this._readPart(model, PackageParts.resolveTarget(path, Target));
+          }
+          return rel;
+        });
+      }
+    }
+    return part;
   }
 
   async _processWorksheetEntry(stream, model, sheetNo, options, path) {
@@ -157,12 +250,28 @@ class XLSX {
     model.worksheets.push(worksheet);
   }
 
+  async _processChartsheetEntry(stream, model, sheetNo, path) {
+    const xform = new ChartsheetXform();
+    const chartsheet = await xform.parseStream(stream);
+    chartsheet.sheetNo = sheetNo;
+    model.chartsheetHash[path] = chartsheet;
+  }
+
+  async _processChartsheetRelsEntry(stream, model, sheetNo) {
+    model.chartsheetRels[sheetNo] = await this.parseRels(stream);
+  }
+
   async _processCommentEntry(stream, model, name) {
     const xform = new CommentsXform();
     const comments = await xform.parseStream(stream);
     model.comments[`../${name}.xml`] = comments;
   }
 
+  async _processThreadedCommentEntry(stream, model, name) {
+    const xform = new ThreadedCommentsXform();
+    model.threadedComments[`../threadedComments/${name}.xml`] = await xform.parseStream(stream);
+  }
+
   async _processTableEntry(stream, model, name) {
     const xform = new TableXform();
     const table = await xform.parseStream(stream);
@@ -213,6 +322,11 @@ class XLSX {
     const xform = new RelationshipsXform();
     const relationships = await xform.parseStream(entry);
     model.drawingRels[name] = relationships;
+    model.partRels[`xl/drawings/${name}.xml`] = relationships;
+  }
+
+  async _processPartRelsEntry(entry, model, path) {
+    model.partRels[path] = await this.parseRels(entry);
   }
 
   async _processVmlDrawingEntry(entry, model, name) {
@@ -233,6 +347,13 @@ class XLSX {
       });
       entry.pipe(stream);
     });
+
+    // the colours and fonts of the theme of the workbook
+    if (name === 'theme1') {
+      const stream = new PassThrough();
+      stream.end(model.themes[name]);
+      model.theme = await new ThemeXform().parseStream(stream);
+    }
   }
 
   /**
@@ -269,14 +390,20 @@ class XLSX {
       worksheets: [],
       worksheetHash: {},
       worksheetRels: [],
+      chartsheetHash: {},
+      chartsheetRels: {},
       themes: {},
       media: [],
       mediaIndex: {},
       drawings: {},
       drawingRels: {},
       comments: {},
+      threadedComments: {},
       tables: {},
       vmlDrawings: {},
+      rawParts: {},
+      partRels: {},
+      loadedParts: {},
     };
 
     const zip = await JSZip.loadAsync(buffer);
@@ -289,12 +416,16 @@ class XLSX {
         }
         let stream;
         if (
-          entryName.match(/xl\/media\//) ||
+          entryName.match(/xl\/(media|embeddings)\//) ||
           // themes are not parsed as stream
           entryName.match(/xl\/theme\/([a-zA-Z0-9]+)[.]xml/)
         ) {
+          const content = await entry.async('nodebuffer');
+          if (entryName.match(/xl\/embeddings\//)) {
+            model.rawParts[entryName] = content;
+          }
           stream = new PassThrough();
-          stream.write(await entry.async('nodebuffer'));
+          stream.write(content);
         } else {
           // use object mode to avoid buffer-string convention
           stream = new PassThrough({
@@ -310,6 +441,10 @@ class XLSX {
             // running in node.js
             content = await entry.async('string');
           }
+          // charts and the parts of drawings are kept as they are
+          if (entryName.match(/xl\/(charts|drawings|diagrams)\/[^/]+$/)) {
+            model.rawParts[entryName] = content;
+          }
           const chunkSize = 16 * 1024;
           for (let i = 0; i < content.length; i += chunkSize) {
             stream.write(content.substring(i, i + chunkSize));
@@ -317,6 +452,10 @@ class XLSX {
         }
         stream.end();
         switch (entryName) {
+          case '[Content_Types].xml':
+            model.contentTypes = await new ContentTypesXform().parseStream(stream);
+            break;
+
           case '_rels/.rels':
             model.globalRels = await this.parseRels(stream);
             break;
@@ -345,6 +484,31 @@ class XLSX {
             await model.styles.parseStream(stream);
             break;
 
+          case 'xl/metadata.xml':
+            model.metadata = new MetadataXform();
+            await model.metadata.parseStream(stream);
+            break;
+
+          case 'xl/persons/person.xml':
+            model.persons = await new PersonsXform().parseStream(stream);
+            break;
+
+          case 'xl/richData/rdrichvalue.xml':
+            model.richValues = await new RichValueXform().parseStream(stream);
+            break;
+
+          case 'xl/richData/rdrichvaluestructure.xml':
+            model.richValueStructures = await new RichValueStructureXform().parseStream(stream);
+            break;
+
+          case 'xl/richData/richValueRel.xml':
+            model.richValueRels = await new RichValueRelXform().parseStream(stream);
+            break;
+
+          case 'xl/richData/_rels/richValueRel.xml.rels':
+            await this._processPartRelsEntry(stream, model, 'xl/richData/richValueRel.xml');
+            break;
+
           case 'docProps/app.xml': {
             const appXform = new AppXform();
             const appProperties = await appXform.parseStream(stream);
@@ -371,6 +535,16 @@ class XLSX {
               await this._processWorksheetRelsEntry(stream, model, match[1]);
               break;
             }
+            match = entryName.match(/xl\/chartsheets\/sheet(\d+)[.]xml$/);
+            if (match) {
+              await this._processChartsheetEntry(stream, model, match[1], entryName);
+              break;
+            }
+            match = entryName.match(/xl\/chartsheets\/_rels\/sheet(\d+)[.]xml[.]rels$/);
+            if (match) {
+              await this._processChartsheetRelsEntry(stream, model, match[1]);
+              break;
+            }
             match = entryName.match(/xl\/theme\/([a-zA-Z0-9]+)[.]xml/);
             if (match) {
               await this._processThemeEntry(stream, model, match[1]);
@@ -391,6 +565,11 @@ class XLSX {
               await this._processCommentEntry(stream, model, match[1]);
               break;
             }
+            match = entryName.match(/xl\/threadedComments\/(threadedComment\d+)[.]xml/);
+            if (match) {
+              await this._processThreadedCommentEntry(stream, model, match[1]);
+              break;
+            }
             match = entryName.match(/xl\/tables\/(table\d+)[.]xml/);
             if (match) {
               await this._processTableEntry(stream, model, match[1]);
@@ -406,6 +585,11 @@ class XLSX {
               await this._processVmlDrawingEntry(stream, model, match[1]);
               break;
             }
+            match = entryName.match(/(xl\/(charts|diagrams))\/_rels\/([^/]+)[.]rels$/);
+            if (match) {
+              await this._processPartRelsEntry(stream, model, `${match[1]}/${match[3]}`);
+              break;
+            }
           }
         }
       }
@@ -448,16 +632,31 @@ class XLSX {
     const drawingXform = new DrawingXform();
     const relsXform = new RelationshipsXform();
 
-    model.worksheets.forEach(worksheet => {
-      const {drawing} = worksheet;
-      if (drawing) {
-        drawingXform.prepare(drawing, {});
-        let xml = drawingXform.toXml(drawing);
-        zip.append(xml, {name: `xl/drawings/${drawing.name}.xml`});
-
-        xml = relsXform.toXml(drawing.rels);
-        zip.append(xml, {name: `xl/drawings/_rels/${drawing.name}.xml.rels`});
-      }
+    // the drawings of worksheets and chartsheets
+    model.drawings.forEach(drawing => {
+      drawingXform.prepare(drawing, {});
+      let xml = drawingXform.toXml(drawing);
+      zip.append(xml, {name: `xl/drawings/${drawing.name}.xml`});
+
+      xml = relsXform.toXml(drawing.rels);
+      zip.append(xml, {name: `xl/drawings/_rels/${drawing.name}.xml.rels`});
+    });
+  }
+
+  addCharts(zip, model) {
+    const chartXform = new ChartSpaceXform();
+
+    model.charts.forEach(chart => {
+      const xml = chartXform.toXml(chart);
+      zip.append(xml, {name: `xl/charts/${chart.name}.xml`});
+    });
+  }
+
+  addParts(zip, model) {
+    const relsXform = new RelationshipsXform();
+
+    model.parts.files.forEach(({path, data, rels}) => {
+      zip.append(rels ? relsXform.toXml(rels) : data, {name: path});
     });
   }
 
@@ -557,7 +756,10 @@ class XLSX {
   }
 
   async addThemes(zip, model) {
-    const themes = model.themes || {theme1: theme1Xml};
+    const themes = {...(model.themes || {theme1: theme1Xml})};
+    if (model.theme) {
+      themes.theme1 = ThemeXform.applyTheme(themes.theme1 || theme1Xml, model.theme);
+    }
     Object.keys(themes).forEach(name => {
       const xml = themes[name];
       const path = `xl/theme/${name}.xml`;
@@ -588,6 +790,25 @@ class XLSX {
         Target: 'sharedStrings.xml',
       });
     }
+    if (model.metadata.count) {
+      relationships.push({
+        Id: `rId${count++}`,
+        Type: XLSX.RelType.SheetMetadata,
+        Target: 'metadata.xml',
+      });
+    }
+    if (model.persons.length) {
+      relationships.push({
+        Id: `rId${count++}`,
+        Type: XLSX.RelType.Person,
+        Target: 'persons/person.xml',
+      });
+    }
+    model.richDataFiles.forEach(({path, relType}) => {
+      if (relType) {
+        relationships.push({Id: `rId${count++}`, Type: relType, Target: path.substring('xl/'.length)});
+      }
+    });
     if ((model.pivotTables || []).length) {
       const pivotTable = model.pivotTables[0];
       pivotTable.rId = `rId${count++}`;
@@ -605,6 +826,14 @@ class XLSX {
         Target: `worksheets/sheet${worksheet.id}.xml`,
       });
     });
+    model.chartsheets.forEach(chartsheet => {
+      chartsheet.rId = `rId${count++}`;
+      relationships.push({
+        Id: chartsheet.rId,
+        Type: XLSX.RelType.Chartsheet,
+        Target: `chartsheets/sheet${chartsheet.id}.xml`,
+      });
+    });
     const xform = new RelationshipsXform();
     const xml = xform.toXml(relationships);
     zip.append(xml, {name: 'xl/_rels/workbook.xml.rels'});
@@ -616,11 +845,32 @@ class XLSX {
     }
   }
 
-  async addStyles(zip, model) {
+  async addMetadata(zip, model) {
+    if (model.metadata.count) {
+      zip.append(model.metadata.xml, {name: 'xl/metadata.xml'});
+    }
+  }
+
+  async addRichData(zip, model) {
+    model.richDataFiles.forEach(({path, xml}) => {
+      zip.append(xml, {name: path});
+    });
+  }
+
+  async addPersons(zip, model) {
+    if (model.persons.length) {
+      zip.append(new PersonsXform().toXml(model.persons), {name: 'xl/persons/person.xml'});
+    }
+  }
+
+  async addStyles(zip, model, options) {
     const {xml} = model.styles;
     if (xml) {
       zip.append(xml, {name: 'xl/styles.xml'});
     }
+    if (options.styleStats) {
+      options.styleStats(model.styles.getStats());
+    }
   }
 
   async addWorkbook(zip, model) {
@@ -634,6 +884,7 @@ class XLSX {
     const relationshipsXform = new RelationshipsXform();
     const commentsXform = new CommentsXform();
     const vmlNotesXform = new VmlNotesXform();
+    const threadedCommentsXform = new ThreadedCommentsXform();
 
     // write sheets
     model.worksheets.forEach(worksheet => {
@@ -656,6 +907,24 @@ class XLSX {
         vmlNotesXform.render(xmlStream, worksheet);
         zip.append(xmlStream.xml, {name: `xl/drawings/vmlDrawing${worksheet.id}.vml`});
       }
+
+      if (worksheet.threadedComments.length > 0) {
+        zip.append(threadedCommentsXform.toXml({threads: worksheet.threadedComments}), {
+          name: `xl/threadedComments/threadedComment${worksheet.id}.xml`,
+        });
+      }
+    });
+  }
+
+  async addChartsheets(zip, model) {
+    const chartsheetXform = new ChartsheetXform();
+    const relationshipsXform = new RelationshipsXform();
+
+    model.chartsheets.forEach(chartsheet => {
+      zip.append(chartsheetXform.toXml(chartsheet), {name: `xl/chartsheets/sheet${chartsheet.id}.xml`});
+      zip.append(relationshipsXform.toXml(chartsheet.rels), {
+        name: `xl/chartsheets/_rels/sheet${chartsheet.id}.xml.rels`,
+      });
     });
   }
 
@@ -682,8 +951,23 @@ class XLSX {
     // Manage the shared strings
     model.sharedStrings = new SharedStringsXform();
 
+    // cell metadata, e.g. marking dynamic array formulae
+    model.metadata = new MetadataXform();
+
+    // rich values of cells, i.e. pictures in cells
+    model.richData = new RichData();
+
+    // the people of threaded comments
+    model.persons = model.persons || [];
+
     // add a style manager to handle cell formats, fonts, etc.
     model.styles = model.useStyles ? new StylesXform(true) : new StylesXform.Mock();
+    (model.namedStyles || []).forEach(namedStyle => {
+      model.styles.addNamedStyle(namedStyle);
+    });
+    if (model.tableStyles) {
+      model.styles.addTableStyles(model.tableStyles);
+    }
 
     // prepare all of the things before the render
     const workbookXform = new WorkbookXform();
@@ -693,12 +977,17 @@ class XLSX {
 
     const worksheetOptions = {
       sharedStrings: model.sharedStrings,
+      metadata: model.metadata,
+      richData: model.richData,
       styles: model.styles,
       date1904: model.properties.date1904,
       drawingsCount: 0,
+      chartsCount: 0,
       media: model.media,
     };
     worksheetOptions.drawings = model.drawings = [];
+    worksheetOptions.charts = model.charts = [];
+    worksheetOptions.parts = model.parts = new PackageParts(model.media);
     worksheetOptions.commentRefs = model.commentRefs = [];
     let tableCount = 0;
     model.tables = [];
@@ -714,6 +1003,18 @@ class XLSX {
       worksheetXform.prepare(worksheet, worksheetOptions);
     });
 
+    const chartsheetXform = new ChartsheetXform();
+    model.chartsheets.forEach(chartsheet => {
+      chartsheetXform.prepare(chartsheet, worksheetOptions);
+    });
+
+    model.richDataFiles = model.richData.count
+      ? model.richData.getFiles(imageId => {
+          const medium = model.media[imageId];
+          return `../media/${medium.name}.${medium.extension}`;
+        })
+      : [];
+
     // TODO: workbook drawing list
   }
 
@@ -730,11 +1031,17 @@ class XLSX {
     await this.addOfficeRels(zip, model);
     await this.addWorkbookRels(zip, model);
     await this.addWorksheets(zip, model);
+    await this.addChartsheets(zip, model);
     await this.addSharedStrings(zip, model); // always after worksheets
+    await this.addMetadata(zip, model);
+    await this.addRichData(zip, model);
+    await this.addPersons(zip, model);
     await this.addDrawings(zip, model);
+    await this.addCharts(zip, model);
+    await this.addParts(zip, model);
     await this.addTables(zip, model);
     await this.addPivotTables(zip, model);
-    await Promise.all([this.addThemes(zip, model), this.addStyles(zip, model)]);
+    await Promise.all([this.addThemes(zip, model), this.addStyles(zip, model, options)]);
     await this.addMedia(zip, model);
     await Promise.all([this.addApp(zip, model), this.addCore(zip, model)]);
     await this.addWorkbook(zip, model);
@@ -589,6 +589,29 @@ describe('WorkbookWriter', () => {
         });
     });
 
+    it('with the stats of the styles', async () => {
+      let stats;
+      const options = {filename: TEST_XLSX_FILE_NAME, useStyles: true, styleStats: value => (stats = value)};
+      const wb = new ExcelJS.stream.xlsx.WorkbookWriter(options);
+      const ws = wb.addWorksheet('blort');
+      for (let i = 1; i <= 10; i++) {
+        const row = ws.getRow(i);
+        row.getCell(1).value = i;
+        row.getCell(1).font = {italic: true, color: {argb: i % 2 ? 'ff0000ff' : 'FF0000FF'}};
+        row.commit();
+      }
+      await wb.commit();
+
+      // (the rows, without styles of their own, have the default cell format)
+      expect(stats.references).to.equal(20);
+      expect(stats.cellXfs).to.deep.equal({count: 2, merged: 0});
+      expect(stats.fonts).to.deep.equal({count: 2, merged: 1});
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.readFile(TEST_XLSX_FILE_NAME);
+      expect(wb2.getWorksheet('blort').getCell('A2').font.color).to.deep.equal({argb: 'FF0000FF'});
+    });
+
     it('with conditional formatting that contains numFmt (#1814)', async () => {
       const sheet = 'conditionalFormatting';
       const options = {filename: TEST_XLSX_FILE_NAME, useStyles: true};
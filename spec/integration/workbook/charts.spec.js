@@ -0,0 +1,122 @@
+const JSZip = require('jszip');
+
+const ExcelJS = verquire('exceljs');
+
+describe('Workbook', () => {
+  describe('Charts', () => {
+    it('writes charts alongside images', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Sales');
+      worksheet.addRows([
+        ['Month', 'Units'],
+        ['Jan', 1],
+        ['Feb', 3],
+      ]);
+      const imageId = workbook.addImage({filename: `${__dirname}/../data/image.png`, extension: 'png'});
+      worksheet.addImage(imageId, 'A5:B8');
+      worksheet.addChart(
+        {type: 'line', title: 'Units', series: [{name: 'Units', categories: 'A2:A3', values: 'B2:B3'}]},
+        'D2:J12'
+      );
+      workbook.addWorksheet('Other').addChart({type: 'pie', series: [{values: 'Sales!B2:B3'}]}, 'A1:F10');
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const zip = await JSZip.loadAsync(buffer);
+
+      const chartXml = await zip.file('xl/charts/chart1.xml').async('string');
+      expect(chartXml).to.contain('<c:lineChart>');
+      expect(chartXml).to.contain('<c:f>Sales!$B$2:$B$3</c:f>');
+      expect(await zip.file('xl/charts/chart2.xml').async('string')).to.contain('<c:pieChart>');
+
+      const drawingXml = await zip.file('xl/drawings/drawing1.xml').async('string');
+      expect(drawingXml).to.contain('<xdr:pic>');
+      expect(drawingXml).to.contain('r:id="rId2"/></a:graphicData>');
+      const drawingRels = await zip.file('xl/drawings/_rels/drawing1.xml.rels').async('string');
+      expect(drawingRels).to.contain('Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart" Target="../charts/chart1.xml"');
+      const otherRels = await zip.file('xl/drawings/_rels/drawing2.xml.rels').async('string');
+      expect(otherRels).to.contain('Target="../charts/chart2.xml"');
+
+      const contentTypes = await zip.file('[Content_Types].xml').async('string');
+      expect(contentTypes).to.contain('<Override PartName="/xl/charts/chart1.xml" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/>');
+
+      // images still load
+      const loaded = new ExcelJS.Workbook();
+      await loaded.xlsx.load(buffer);
+      expect(loaded.getWorksheet('Sales').getImages().length).to.equal(1);
+    });
+
+    it('keeps loaded charts and shapes', async () => {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(`${__dirname}/../data/chart.xlsx`);
+      const worksheet = workbook.getWorksheet('Sheet1');
+      const [chart] = worksheet.getCharts();
+      expect(chart.name).to.equal('Chart 1');
+      expect(chart.part.path).to.equal('xl/charts/chart1.xml');
+
+      worksheet.name = 'Sales & Profit';
+      worksheet.addChart({type: 'column', series: [{values: 'B2:B7'}]}, 'A10:D20');
+      const buffer = await workbook.xlsx.writeBuffer();
+      const zip = await JSZip.loadAsync(buffer);
+
+      const chartXml = await zip.file('xl/charts/chart1.xml').async('string');
+      expect(chartXml).to.contain('<c:f>&apos;Sales &amp; Profit&apos;!$B$2:$B$7</c:f>');
+      expect(await zip.file('xl/charts/chart2.xml').async('string')).to.contain('<c:barChart>');
+      const chartRels = await zip.file('xl/charts/_rels/chart1.xml.rels').async('string');
+      expect(chartRels).to.contain('Target="chart1_style1.xml"');
+      expect(zip.file('xl/charts/chart1_style1.xml')).to.be.ok();
+      expect(zip.file('xl/charts/chart1_colors1.xml')).to.be.ok();
+
+      const drawingXml = await zip.file('xl/drawings/drawing1.xml').async('string');
+      expect(drawingXml).to.contain('<a:t>Sales &amp; Profit</a:t>');
+      const drawingRels = await zip.file('xl/drawings/_rels/drawing1.xml.rels').async('string');
+      // the picture of the shape is the image already written with the media of the workbook
+      expect(drawingRels).to.contain('Target="../media/image1.png"');
+      expect(zip.file(/^xl\/media\//).map(file => file.name)).to.deep.equal(['xl/media/image1.png']);
+
+      const contentTypes = await zip.file('[Content_Types].xml').async('string');
+      expect(contentTypes).to.contain('<Override PartName="/xl/charts/chart1_style1.xml" ContentType="application/vnd.ms-office.chartstyle+xml"/>');
+
+      const loaded = new ExcelJS.Workbook();
+      await loaded.xlsx.load(buffer);
+      expect(loaded.worksheets[0]._media.map(medium => medium.type)).to.deep.equal(['chart', 'drawing', 'chart']);
+      expect(loaded.media.length).to.equal(1);
+    });
+
+    it('writes and reads chartsheets', async () => {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(`${__dirname}/../data/chart-sheet.xlsx`);
+      const [loaded] = workbook.chartsheets;
+      expect(loaded.name).to.equal('Chart1');
+      expect(loaded.chart.part.path).to.equal('xl/charts/chart1.xml');
+
+      workbook.addChartsheet(
+        'Dashboard',
+        {type: 'column', title: 'Sales', series: [{categories: 'Sheet1!A2:A7', values: 'Sheet1!B2:B7'}]},
+        {properties: {tabColor: {argb: 'FF00B050'}}, state: 'hidden'}
+      );
+      workbook.getWorksheet('Sheet1').name = 'Data';
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const zip = await JSZip.loadAsync(buffer);
+      const workbookXml = await zip.file('xl/workbook.xml').async('string');
+      expect(workbookXml).to.contain(
+        '<sheets><sheet sheetId="9" name="Chart1" state="visible" r:id="rId5"/>' +
+          '<sheet sheetId="1" name="Data" state="visible" r:id="rId4"/>' +
+          '<sheet sheetId="2" name="Dashboard" state="hidden" r:id="rId6"/></sheets>'
+      );
+      expect(await zip.file('xl/charts/chart1.xml').async('string')).to.contain('<c:f>Data!$B$2:$B$7</c:f>');
+      expect(await zip.file('xl/charts/chart2.xml').async('string')).to.contain('<c:f>Data!$B$2:$B$7</c:f>');
+      const appXml = await zip.file('docProps/app.xml').async('string');
+      expect(appXml).to.contain('<vt:lpstr>Charts</vt:lpstr></vt:variant><vt:variant><vt:i4>2</vt:i4>');
+
+      const reloaded = new ExcelJS.Workbook();
+      await reloaded.xlsx.load(buffer);
+      expect(reloaded.worksheets.map(sheet => sheet.name)).to.deep.equal(['Data']);
+      expect(reloaded.chartsheets.map(sheet => sheet.name)).to.deep.equal(['Chart1', 'Dashboard']);
+      const dashboard = reloaded.getChartsheet('Dashboard');
+      expect(dashboard.state).to.equal('hidden');
+      expect(dashboard.properties.tabColor).to.deep.equal({argb: 'FF00B050'});
+      expect(dashboard.chart.part.path).to.equal('xl/charts/chart2.xml');
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const {PassThrough} = require('stream');
+const JSZip = require('jszip');
+
+const ExcelJS = verquire('exceljs');
+
+describe('Workbook', () => {
+  describe('Threaded comments', () => {
+    it('writes and reads threads with the notes kept for them', async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('Budget');
+      const ann = wb.addPerson({displayName: 'Ann', userId: 'ann@example.com', providerId: 'AD'});
+      ws.getCell('A1').value = 'Rent';
+      ws.getCell('A1').note = 'Paid monthly';
+      ws.getCell('B1').value = 1200;
+      ws.getCell('B1').comments = {
+        text: 'Is this up to date @Bob?',
+        author: ann,
+        date: new Date('2024-03-01T09:30:00Z'),
+        mentions: ['Bob'],
+      };
+      ws.getCell('B1').comments.addReply({text: 'Yes', author: 'Bob', date: new Date('2024-03-01T10:00:00Z')});
+      ws.getCell('B1').comments.resolved = true;
+
+      const buffer = await wb.xlsx.writeBuffer();
+
+      const zip = await JSZip.loadAsync(buffer);
+      const commentsXml = await zip.file('xl/comments1.xml').async('string');
+      expect(commentsXml).to.include(`<author>tc=${ws.getCell('B1').comments.id}</author>`);
+      expect(commentsXml).to.include('[Threaded comment]');
+      expect(zip.file('xl/threadedComments/threadedComment1.xml')).to.be.ok();
+      expect(zip.file('xl/persons/person.xml')).to.be.ok();
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(buffer);
+      const ws2 = wb2.getWorksheet('Budget');
+      expect(ws2.getCell('A1').note).to.equal('Paid monthly');
+      expect(ws2.getCell('A1').comments).to.be.undefined();
+
+      const thread = ws2.getCell('B1').comments;
+      expect(ws2.getCell('B1').note).to.be.undefined();
+      expect(thread.model).to.deep.equal(ws.getCell('B1').comments.model);
+      expect(thread.author).to.deep.equal(ann);
+      expect(thread.replies[0].author.displayName).to.equal('Bob');
+      expect(wb2.persons).to.deep.equal(wb.persons);
+    });
+
+    it('streams threads as their notes', async () => {
+      const stream = new PassThrough();
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      const wb = new ExcelJS.stream.xlsx.WorkbookWriter({stream});
+      const ws = wb.addWorksheet('Budget');
+      const row = ws.addRow(['Rent', 1200]);
+      row.getCell(2).comments = {text: 'Is this up to date?', author: 'Ann'};
+      row.commit();
+      ws.commit();
+      await wb.commit();
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(Buffer.concat(chunks));
+      const {note} = wb2.getWorksheet('Budget').getCell('B1');
+      expect(note).to.include('Comment:\n    Is this up to date?');
+    });
+  });
+
+  describe('Notes', () => {
+    it('writes and reads the size, position, colour, font and visibility of notes', async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('Budget');
+      ws.getColumn(2).width = 30;
+      ws.getCell('B2').value = 1200;
+      ws.getCell('B2').note = {
+        texts: [{text: 'Paid monthly'}],
+        position: {col: 3, row: 1},
+        width: 200,
+        height: 100,
+        fillColor: {argb: 'FFFFFF00'},
+        font: {bold: true},
+        visible: true,
+      };
+      ws.getCell('C5').value = 'Rent';
+      ws.getCell('C5').note = 'Plain';
+
+      const buffer = await wb.xlsx.writeBuffer();
+
+      const zip = await JSZip.loadAsync(buffer);
+      const vml = await zip.file('xl/drawings/vmlDrawing1.vml').async('string');
+      expect(vml).to.include('width:150pt;height:75pt;z-index:1;visibility:visible" fillcolor="#FFFF00"');
+      expect(vml).to.include('<x:Anchor>3, 0, 1, 0, 6, 8, 6, 0</x:Anchor>');
+      expect(vml).to.include('<x:Visible/>');
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(buffer);
+      const ws2 = wb2.getWorksheet('Budget');
+      expect(ws2.getCell('B2').note).to.deep.include({
+        texts: [{font: {bold: true}, text: 'Paid monthly'}],
+        position: {col: 3, row: 1},
+        width: 200,
+        height: 100,
+        fillColor: {argb: 'FFFFFF00'},
+        visible: true,
+      });
+      expect(ws2.getCell('C5').note).to.equal('Plain');
+    });
+
+    it('writes and reads the authors of notes', async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('Budget');
+      ws.getColumn(1).values = [, 'Rent', 'Rates', 'Heating', 'Water'];
+      ws.getCell('A1').note = {texts: [{text: 'Paid monthly'}], author: 'Ann'};
+      ws.getCell('A2').note = 'Plain';
+      ws.getCell('A3').note = {texts: [{text: 'To check'}], author: 'Bob'};
+      ws.getCell('A4').note = {texts: [{text: 'Checked'}], author: 'Ann'};
+
+      const buffer = await wb.xlsx.writeBuffer();
+
+      const zip = await JSZip.loadAsync(buffer);
+      const xml = await zip.file('xl/comments1.xml').async('string');
+      expect(xml).to.include('<authors><author>Ann</author><author>Author</author><author>Bob</author></authors>');
+      expect(xml.match(/authorId="\d"/g)).to.deep.equal([
+        'authorId="0"',
+        'authorId="1"',
+        'authorId="2"',
+        'authorId="0"',
+      ]);
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(buffer);
+      const ws2 = wb2.getWorksheet('Budget');
+      expect(ws2.getCell('A1').note).to.deep.include({texts: [{text: 'Paid monthly'}], author: 'Ann'});
+      expect(ws2.getCell('A2').note).to.equal('Plain');
+      expect(ws2.getCell('A3').note.author).to.equal('Bob');
+      expect(ws2.getCell('A4').note.author).to.equal('Ann');
+    });
+
+    it('streams the authors of notes', async () => {
+      const stream = new PassThrough();
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      const wb = new ExcelJS.stream.xlsx.WorkbookWriter({stream});
+      const ws = wb.addWorksheet('Budget');
+      const row = ws.addRow(['Rent', 1200]);
+      row.getCell(1).note = 'Plain';
+      row.getCell(2).note = {texts: [{text: 'Paid monthly'}], author: 'Ann'};
+      row.commit();
+      ws.commit();
+      await wb.commit();
+
+      const buffer = Buffer.concat(chunks);
+      const zip = await JSZip.loadAsync(buffer);
+      const xml = await zip.file('xl/comments1.xml').async('string');
+      expect(xml).to.include('<authors><author>Author</author><author>Ann</author></authors>');
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(buffer);
+      const ws2 = wb2.getWorksheet('Budget');
+      expect(ws2.getCell('A1').note).to.equal('Plain');
+      expect(ws2.getCell('B1').note.author).to.equal('Ann');
+    });
+  });
+
+  describe('Streaming reader', () => {
+    async function writeNotes() {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('Budget');
+      ws.getCell('A1').value = 'Rent';
+      ws.getCell('A1').note = 'Paid monthly';
+      ws.getCell('B2').value = 1200;
+      ws.getCell('C2').note = {texts: [{text: 'To check', font: {bold: true}}]};
+      wb.addWorksheet('Other').getCell('A1').value = 'No notes';
+      const stream = new PassThrough();
+      stream.end(await wb.xlsx.writeBuffer());
+      return stream;
+    }
+
+    it('puts the notes on the cells of the rows read', async () => {
+      const reader = new ExcelJS.stream.xlsx.WorkbookReader(await writeNotes(), {comments: 'cache'});
+      const notes = {};
+      for await (const worksheetReader of reader) {
+        for await (const row of worksheetReader) {
+          row.eachCell({includeEmpty: true}, cell => {
+            if (cell.note) {
+              notes[`${worksheetReader.name}!${cell.address}`] = cell.note;
+            }
+          });
+        }
+      }
+      expect(notes).to.deep.equal({
+        'Budget!A1': 'Paid monthly',
+        'Budget!C2': {texts: [{text: 'To check', font: {bold: true}}]},
+      });
+    });
+
+    it('emits the notes after their rows', async () => {
+      const reader = new ExcelJS.stream.xlsx.WorkbookReader(await writeNotes(), {comments: 'emit'});
+      const events = [];
+      reader.on('worksheet', worksheet => {
+        worksheet.on('row', row => events.push(`${worksheet.name} row ${row.number}`));
+        worksheet.on('note', ({ref, note}) => events.push(`${worksheet.name} note ${ref} ${JSON.stringify(note)}`));
+      });
+      await reader.read();
+      expect(events).to.deep.equal([
+        'Budget row 1',
+        'Budget note A1 "Paid monthly"',
+        'Budget row 2',
+        'Budget note C2 {"texts":[{"font":{"bold":true},"text":"To check"}]}',
+        'Other row 1',
+      ]);
+    });
+
+    async function writeNotesOnEmptyRows() {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('Budget');
+      ws.getCell('A1').value = 'Rent';
+      ws.getCell('B2').note = 'Between';
+      ws.getCell('A3').value = 'Rates';
+      ws.getCell('C5').note = 'After';
+      ws.getCell('A5').note = 'First';
+      // (the rows without values are written, so they're taken out as other applications leave them out)
+      const zip = await JSZip.loadAsync(await wb.xlsx.writeBuffer());
+      const xml = await zip.file('xl/worksheets/sheet1.xml').async('string');
+      zip.file('xl/worksheets/sheet1.xml', xml.replace(/<row [^>]*\/>/g, ''));
+      const stream = new PassThrough();
+      stream.end(await zip.generateAsync({type: 'nodebuffer', compression: 'DEFLATE'}));
+      return stream;
+    }
+
+    it('puts the notes of otherwise empty rows on rows of their own', async () => {
+      const reader = new ExcelJS.stream.xlsx.WorkbookReader(await writeNotesOnEmptyRows(), {comments: 'cache'});
+      const rows = [];
+      for await (const worksheetReader of reader) {
+        for await (const row of worksheetReader) {
+          const notes = [];
+          row.eachCell({includeEmpty: true}, cell => {
+            if (cell.note) {
+              notes.push(`${cell.address} ${cell.note}`);
+            }
+          });
+          rows.push([row.number, ...notes]);
+        }
+      }
+      expect(rows).to.deep.equal([[1], [2, 'B2 Between'], [3], [5, 'A5 First', 'C5 After']]);
+    });
+
+    it('emits the notes of otherwise empty rows in row order', async () => {
+      const reader = new ExcelJS.stream.xlsx.WorkbookReader(await writeNotesOnEmptyRows(), {comments: 'emit'});
+      const events = [];
+      reader.on('worksheet', worksheet => {
+        worksheet.on('row', row => events.push(`row ${row.number}`));
+        worksheet.on('note', ({ref, note}) => events.push(`note ${ref} ${note}`));
+      });
+      await reader.read();
+      expect(events).to.deep.equal(['row 1', 'note B2 Between', 'row 3', 'note A5 First', 'note C5 After']);
+    });
+
+    it('ignores notes by default', async () => {
+      const reader = new ExcelJS.stream.xlsx.WorkbookReader(await writeNotes());
+      for await (const worksheetReader of reader) {
+        for await (const row of worksheetReader) {
+          expect(row.getCell(1).note).to.be.undefined();
+        }
+      }
+    });
+  });
+});
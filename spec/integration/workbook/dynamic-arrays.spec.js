@@ -0,0 +1,101 @@
+const JSZip = require('jszip');
+
+const ExcelJS = verquire('exceljs');
+
+describe('Workbook', () => {
+  describe('Dynamic Arrays', () => {
+    it('writes dynamic array formulae with their metadata', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('sheet');
+      worksheet.getCell('A1').value = {formula: 'SEQUENCE(3)', spill: true};
+      worksheet.getCell('B1').value = {formula: 'SUM(UNIQUE(A1:A3))'};
+      workbook.calculate();
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const zip = await JSZip.loadAsync(buffer);
+      const sheetXml = await zip.file('xl/worksheets/sheet1.xml').async('string');
+      expect(sheetXml).to.contain('<c r="A1" cm="1"><f t="array" ref="A1:A3">_xlfn.SEQUENCE(3)</f><v>1</v></c>');
+      expect(sheetXml).to.contain('<f>SUM(_xlfn.UNIQUE(A1:A3))</f>');
+      expect(zip.file('xl/metadata.xml')).to.be.ok();
+      const contentTypes = await zip.file('[Content_Types].xml').async('string');
+      expect(contentTypes).to.contain('/xl/metadata.xml');
+      const rels = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+      expect(rels).to.contain('Target="metadata.xml"');
+    });
+
+    it('does not write metadata without dynamic array formulae', async () => {
+      const workbook = new ExcelJS.Workbook();
+      workbook.addWorksheet('sheet').getCell('A1').value = {formula: 'ROW()', result: 1};
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const zip = await JSZip.loadAsync(buffer);
+      expect(zip.file('xl/metadata.xml')).to.be.null();
+    });
+
+    it('reads dynamic array formulae back', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('sheet');
+      ['b', 'a', 'b'].forEach((value, i) => {
+        worksheet.getCell(i + 1, 1).value = value;
+      });
+      worksheet.getCell('B1').value = {formula: 'SORT(UNIQUE(A1:A3))', spill: true};
+      worksheet.getCell('C1').value = {formula: 'A1:A2', shareType: 'array', ref: 'C1:C2'};
+      workbook.calculate();
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const loaded = new ExcelJS.Workbook();
+      await loaded.xlsx.load(buffer);
+      const ws = loaded.getWorksheet('sheet');
+      expect(ws.getCell('B1').value).to.deep.equal({
+        formula: 'SORT(UNIQUE(A1:A3))',
+        spill: true,
+        ref: 'B1:B2',
+        result: 'a',
+      });
+      expect(ws.getCell('B1').spillRange).to.equal('B1:B2');
+      expect(ws.getCell('B2').value).to.equal('b');
+      expect(ws.getCell('C1').value.shareType).to.equal('array');
+      expect(ws.getCell('C1').spillRange).to.be.undefined();
+    });
+
+    it('writes spill references and implicit intersections as functions', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('sheet');
+      worksheet.getCell('A1').value = {formula: 'SEQUENCE(3)', spill: true};
+      worksheet.getCell('B1').value = {formula: 'SUM(A1#)'};
+      worksheet.getCell('B2').value = {formula: '@A1:A3*2'};
+      // not a formula that can be read, but its functions are still prefixed
+      worksheet.getCell('B3').value = {formula: 'XLOOKUP(1,A1:A3,A1:A3)&"oops'};
+      workbook.calculate();
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const zip = await JSZip.loadAsync(buffer);
+      const sheetXml = await zip.file('xl/worksheets/sheet1.xml').async('string');
+      expect(sheetXml).to.contain('<f>SUM(_xlfn.ANCHORARRAY(A1))</f><v>6</v>');
+      expect(sheetXml).to.contain('<f>_xlfn.SINGLE(A1:A3)*2</f><v>4</v>');
+      expect(sheetXml).to.contain('<f>_xlfn.XLOOKUP(1,A1:A3,A1:A3)&amp;');
+
+      const loaded = new ExcelJS.Workbook();
+      await loaded.xlsx.load(buffer);
+      const ws = loaded.getWorksheet('sheet');
+      expect(ws.getCell('B1').formula).to.equal('SUM(A1#)');
+      expect(ws.getCell('B2').formula).to.equal('@A1:A3*2');
+      ws.getCell('A1').value = {formula: 'SEQUENCE(4)', spill: true, ref: 'A1:A3'};
+      loaded.calculate();
+      expect(ws.getCell('B1').result).to.equal(10);
+    });
+
+    it('writes dynamic array formulae when streaming', async () => {
+      const writer = new ExcelJS.stream.xlsx.WorkbookWriter({});
+      const worksheet = writer.addWorksheet('sheet');
+      worksheet.getCell('A1').value = {formula: 'SEQUENCE(2)', spill: true, ref: 'A1:A2', result: 1};
+      worksheet.getCell('A2').value = 2;
+      worksheet.commit();
+      await writer.commit();
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(writer.stream.read());
+      expect(workbook.getWorksheet('sheet').getCell('A1').spillRange).to.equal('A1:A2');
+    });
+  });
+});
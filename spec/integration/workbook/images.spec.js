@@ -1,5 +1,6 @@
 const fs = require('fs');
 const {promisify} = require('util');
+const JSZip = require('jszip');
 
 const ExcelJS = verquire('exceljs');
 
@@ -232,6 +233,180 @@ describe('Workbook', () => {
         });
     });
 
+    it('stores absolutely positioned, rotated and cropped images', async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('blort');
+      const imageId = wb.addImage({
+        filename: IMAGE_FILENAME,
+        extension: 'png',
+      });
+
+      ws.addImage(imageId, {
+        pos: {x: 40, y: 30},
+        ext: {width: 160, height: 90},
+        rotation: 15,
+        flipV: true,
+        crop: {top: 5, right: 12.5},
+        description: 'Company logo',
+      });
+      ws.addImage(imageId, {
+        tl: {col: 4, row: 4},
+        ext: {width: 50, height: 50},
+        lockAspectRatio: false,
+      });
+
+      await wb.xlsx.writeFile(TEST_XLSX_FILE_NAME);
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.readFile(TEST_XLSX_FILE_NAME);
+
+      const [logo, other] = wb2.getWorksheet('blort').getImages();
+      expect(logo.range.pos).to.deep.equal({x: 40, y: 30});
+      expect(logo.range.ext).to.deep.equal({width: 160, height: 90});
+      expect(logo.range.editAs).to.equal('absolute');
+      expect(logo.rotation).to.equal(15);
+      expect(logo.flipV).to.be.true();
+      expect(logo.flipH).to.be.undefined();
+      expect(logo.crop).to.deep.equal({top: 5, right: 12.5});
+      expect(logo.description).to.equal('Company logo');
+      expect(logo.lockAspectRatio).to.be.undefined();
+      expect(logo.getPixelBox()).to.deep.equal({x: 40, y: 30, width: 160, height: 90});
+
+      expect(other.lockAspectRatio).to.equal(false);
+      expect(other.rotation).to.be.undefined();
+    });
+
+    it('shares images between sheets and extracts them with their places', async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws1 = wb.addWorksheet('Catalogue');
+      const ws2 = wb.addWorksheet('Offers');
+      const imageId = wb.addImage({
+        filename: IMAGE_FILENAME,
+        extension: 'png',
+      });
+
+      ws1.addImage(imageId, {
+        tl: {col: 1, row: 1},
+        br: {col: 2, row: 2},
+        hyperlinks: {hyperlink: 'http://www.somewhere.com'},
+      });
+      ws1.addImage(imageId, 'B5:B5');
+      ws2.addImage(imageId, 'C3:D4');
+
+      await wb.xlsx.writeFile(TEST_XLSX_FILE_NAME);
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.readFile(TEST_XLSX_FILE_NAME);
+
+      const imageData = await fsReadFileAsync(IMAGE_FILENAME);
+      const media = wb2.extractMedia();
+      expect(media.length).to.equal(1);
+      expect(media[0].extension).to.equal('png');
+      expect(Buffer.compare(imageData, media[0].buffer)).to.equal(0);
+      expect(media[0].sheets.map(({sheet, range}) => `${sheet}!${range}`)).to.deep.equal([
+        'Catalogue!B2:B2',
+        'Catalogue!B5:B5',
+        'Offers!C3:D4',
+      ]);
+      expect(media[0].sheets[0].hyperlinks.hyperlink).to.equal('http://www.somewhere.com');
+      expect(media[0].sheets[1].hyperlinks).to.be.undefined();
+
+      const ws = wb2.getWorksheet('Catalogue');
+      expect(ws.getImagesInRange('B5').map(image => image.getCellRange())).to.deep.equal(['B5:B5']);
+      expect(ws.getImagesInRange('A1:B10').length).to.equal(2);
+    });
+
+    it('links each image of a drawing once', async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('blort');
+      const imageId1 = wb.addImage({filename: IMAGE_FILENAME, extension: 'png'});
+      const imageId2 = wb.addImage({filename: IMAGE_FILENAME, extension: 'png'});
+
+      ws.addImage(imageId1, {
+        tl: {col: 0, row: 0},
+        ext: {width: 10, height: 10},
+        hyperlinks: {hyperlink: 'http://www.somewhere.com'},
+      });
+      ws.addImage(imageId2, 'B2:C3');
+      ws.addImage(imageId2, 'D2:E3');
+
+      const zip = await JSZip.loadAsync(await wb.xlsx.writeBuffer());
+      const drawingXml = await zip.file('xl/drawings/drawing1.xml').async('string');
+      expect(drawingXml.match(/r:embed="[^"]+"/g)).to.deep.equal(['r:embed="rId1"', 'r:embed="rId3"', 'r:embed="rId3"']);
+    });
+
+    it('stores svg images with their fallback', async () => {
+      const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>');
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('blort');
+      const imageId = wb.addImage({
+        buffer: svg,
+        extension: 'svg',
+        fallback: {filename: IMAGE_FILENAME, extension: 'png'},
+      });
+      ws.addImage(imageId, 'B2:D4');
+
+      const buffer = await wb.xlsx.writeBuffer();
+      const zip = await JSZip.loadAsync(buffer);
+      const contentTypes = await zip.file('[Content_Types].xml').async('string');
+      expect(contentTypes).to.include('<Default Extension="svg" ContentType="image/svg+xml"/>');
+      const drawingXml = await zip.file('xl/drawings/drawing1.xml').async('string');
+      expect(drawingXml).to.include('r:embed="rId1" cstate="print"><a:extLst>');
+      expect(drawingXml).to.include('<asvg:svgBlip');
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(buffer);
+      const [image] = wb2.getWorksheet('blort').getImages();
+      expect(image.getCellRange()).to.equal('B2:D4');
+      const medium = wb2.getImage(image.imageId);
+      expect(medium.extension).to.equal('svg');
+      expect(Buffer.compare(medium.buffer, svg)).to.equal(0);
+      const fallback = wb2.getImage(medium.fallback);
+      expect(fallback.extension).to.equal('png');
+      expect(Buffer.compare(fallback.buffer, await fsReadFileAsync(IMAGE_FILENAME))).to.equal(0);
+    });
+
+    it('stores pictures in cells', async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('Products');
+      const imageId1 = wb.addImage({filename: IMAGE_FILENAME, extension: 'png'});
+      const imageId2 = wb.addImage({filename: IMAGE_FILENAME, extension: 'png'});
+
+      ws.addRow(['Name', 'Photo']);
+      ws.addRow(['Widget', {image: imageId1, description: 'A widget'}]);
+      ws.addRow(['Gadget', {image: imageId2}]);
+      ws.addRow(['Gizmo', {image: imageId1}]);
+      // pictures belong to their cells so move with them
+      ws.spliceRows(2, 1);
+
+      const buffer = await wb.xlsx.writeBuffer();
+      const zip = await JSZip.loadAsync(buffer);
+      const sheetXml = await zip.file('xl/worksheets/sheet1.xml').async('string');
+      expect(sheetXml).to.contain('<c r="B2" vm="1" t="e"><v>#VALUE!</v></c>');
+      expect(zip.file('xl/richData/rdrichvalue.xml')).to.be.ok();
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(buffer);
+      const ws2 = wb2.getWorksheet('Products');
+      const imageData = await fsReadFileAsync(IMAGE_FILENAME);
+      expect(ws2.getCell('B2').type).to.equal(ExcelJS.ValueType.Image);
+      expect(ws2.getCell('B2').value).to.deep.equal({image: imageId2});
+      expect(ws2.getCell('B3').value).to.deep.equal({image: imageId1});
+      expect(ws2.getCell('A3').value).to.equal('Gizmo');
+      expect(Buffer.compare(imageData, wb2.getImage(ws2.getCell('B2').value.image).buffer)).to.equal(0);
+    });
+
+    it('streams pictures in cells', async () => {
+      const wb = new ExcelJS.stream.xlsx.WorkbookWriter({filename: TEST_XLSX_FILE_NAME});
+      const imageId = wb.addImage({filename: IMAGE_FILENAME, extension: 'png'});
+      const ws = wb.addWorksheet('Products');
+      ws.addRow(['Widget', {image: imageId, description: 'A widget'}]).commit();
+      ws.commit();
+      await wb.commit();
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.readFile(TEST_XLSX_FILE_NAME);
+      expect(wb2.getWorksheet('Products').getCell('B1').value).to.deep.equal({image: 0, description: 'A widget'});
+    });
+
     it('image extensions should not be case sensitive', () => {
       const wb = new ExcelJS.Workbook();
       const ws = wb.addWorksheet('blort');
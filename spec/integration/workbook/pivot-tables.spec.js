@@ -58,6 +58,30 @@ describe('Workbook', () => {
       });
     });
 
+    it('pivot table uses its style', async () => {
+      const workbook = new ExcelJS.Workbook();
+      workbook.addPivotStyle('Brand Pivot', {headerRow: {font: {bold: true}}});
+
+      const worksheet1 = workbook.addWorksheet('Sheet1');
+      worksheet1.addRows(TEST_DATA);
+
+      const worksheet2 = workbook.addWorksheet('Sheet2');
+      worksheet2.addPivotTable({
+        sourceSheet: worksheet1,
+        rows: ['A', 'B'],
+        columns: ['C'],
+        values: ['E'],
+        metric: 'sum',
+        style: 'Brand Pivot',
+      });
+
+      const zip = await JSZip.loadAsync(await workbook.xlsx.writeBuffer());
+      const xml = await zip.file('xl/pivotTables/pivotTable1.xml').async('string');
+      expect(xml).to.match(/<pivotTableStyleInfo\s+name="Brand Pivot"/);
+      const styles = await zip.file('xl/styles.xml').async('string');
+      expect(styles).to.contain('<tableStyle name="Brand Pivot" table="0" count="1">');
+    });
+
     it('if pivot table NOT added, then certain xml and rels files are not added', () => {
       const workbook = new ExcelJS.Workbook();
 
@@ -0,0 +1,42 @@
+const JSZip = require('jszip');
+
+const ExcelJS = verquire('exceljs');
+
+describe('Workbook', () => {
+  describe('Shapes', () => {
+    it('writes and reads shapes and text boxes', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Audit');
+      const imageId = workbook.addImage({filename: `${__dirname}/../data/image.png`, extension: 'png'});
+      worksheet.addImage(imageId, 'H1:J4');
+      worksheet.addShape({
+        type: 'roundRect',
+        text: {richText: [{text: 'Check ', font: {bold: true}}, {text: 'this total'}]},
+        fill: {type: 'solid', color: {argb: 'FFFFFF00'}},
+        line: {type: 'solid', color: {argb: 'FFFF0000'}, width: 1.5},
+        anchor: 'B2:D5',
+      });
+      worksheet.addShape({type: 'arrow', flipV: true, anchor: 'D6:F9'});
+      worksheet.addShape({type: 'textBox', text: 'Reviewed', anchor: {tl: {col: 1, row: 10}, ext: {width: 120, height: 40}}});
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const zip = await JSZip.loadAsync(buffer);
+      const drawingXml = await zip.file('xl/drawings/drawing1.xml').async('string');
+      expect(drawingXml).to.contain('<a:prstGeom prst="roundRect">');
+      expect(drawingXml).to.contain('<xdr:cNvSpPr txBox="1"/>');
+      expect(drawingXml).to.contain('<a:tailEnd type="triangle"/>');
+
+      const loaded = new ExcelJS.Workbook();
+      await loaded.xlsx.load(buffer);
+      const ws = loaded.getWorksheet('Audit');
+      expect(ws.getImages().length).to.equal(1);
+      const shapes = ws.getShapes().map(shape => shape.shape);
+      expect(shapes.map(shape => shape.type)).to.deep.equal(['roundRect', 'arrow', 'textBox']);
+      expect(shapes[0].text).to.deep.equal({richText: [{text: 'Check ', font: {bold: true}}, {text: 'this total'}]});
+      expect(shapes[0].line).to.deep.equal({type: 'solid', color: {argb: 'FFFF0000'}, width: 1.5});
+      expect(shapes[1].flipV).to.equal(true);
+      expect(shapes[2].text).to.equal('Reviewed');
+      expect(ws.getShapes()[2].range.ext).to.deep.equal({width: 120, height: 40});
+    });
+  });
+});
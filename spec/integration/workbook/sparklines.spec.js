@@ -0,0 +1,35 @@
+const JSZip = require('jszip');
+
+const ExcelJS = verquire('exceljs');
+
+describe('Workbook', () => {
+  describe('Sparklines', () => {
+    it('writes and reads sparkline groups', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Sales');
+      worksheet.addRows([
+        [1, 3, -2, 5],
+        [4, -1, 2, 2],
+      ]);
+      worksheet.addConditionalFormatting({
+        ref: 'A1:D2',
+        rules: [{type: 'dataBar', gradient: false, cfvo: [{type: 'min'}, {type: 'max'}]}],
+      });
+      worksheet.addSparklineGroup({dataRange: 'A1:D2', locationRange: 'E1:E2', high: true, axis: {show: true}});
+      worksheet.addSparklineGroup({type: 'winLoss', dataRange: 'A1:D1', locationRange: 'F1', lineWeight: 2});
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const zip = await JSZip.loadAsync(buffer);
+      const sheetXml = await zip.file('xl/worksheets/sheet1.xml').async('string');
+      expect(sheetXml).to.contain('<ext uri="{78C0D931-6437-407d-A8EE-F0AAD7539E65}"');
+      expect(sheetXml).to.contain('<ext uri="{05C60535-1F16-4fd2-B633-F4F36F0B64E0}"');
+      expect(sheetXml).to.contain('<x14:sparkline><xm:f>Sales!A2:D2</xm:f><xm:sqref>E2</xm:sqref></x14:sparkline>');
+
+      const loaded = new ExcelJS.Workbook();
+      await loaded.xlsx.load(buffer);
+      const ws = loaded.getWorksheet('Sales');
+      expect(ws.sparklineGroups).to.deep.equal(worksheet.sparklineGroups);
+      expect(ws.conditionalFormattings[0].rules[0].type).to.equal('dataBar');
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const stream = require('readable-stream');
+const JSZip = require('jszip');
 const testUtils = require('../../utils/index');
 
 const ExcelJS = verquire('exceljs');
@@ -279,5 +280,139 @@ describe('Workbook', () => {
         testUtils.styles.fills.redGreenDarkTrellis
       );
     });
+
+    it('keeps named styles', async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('blort');
+      const heading = {font: {bold: true, size: 15, color: {theme: 3}}, border: {bottom: {style: 'thick'}}};
+      const corporate = {numFmt: '0.00', font: {name: 'Arial', size: 10}};
+      wb.addNamedStyle('Heading 1', heading);
+      wb.addNamedStyle('Corporate', corporate);
+      ws.getCell('A1').value = 'Report';
+      ws.getCell('A1').styleName = 'Heading 1';
+      ws.getCell('A2').value = 3.5;
+      ws.getCell('A2').styleName = 'Corporate';
+      ws.getCell('A2').font = {name: 'Arial', size: 10, italic: true};
+      ws.getCell('A3').value = 7;
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(await wb.xlsx.writeBuffer());
+      expect(wb2.namedStyles.map(({name, builtinId}) => ({name, builtinId}))).to.deep.equal([
+        {name: 'Normal', builtinId: 0},
+        {name: 'Heading 1', builtinId: 16},
+        {name: 'Corporate', builtinId: undefined},
+      ]);
+      expect(wb2.getNamedStyle('Heading 1').style.font).to.deep.equal(heading.font);
+      expect(wb2.getNamedStyle('Corporate').style.numFmt).to.equal('0.00');
+
+      const ws2 = wb2.getWorksheet('blort');
+      expect(ws2.getCell('A1').styleName).to.equal('Heading 1');
+      expect(ws2.getCell('A1').font).to.deep.equal(heading.font);
+      expect(ws2.getCell('A2').styleName).to.equal('Corporate');
+      expect(ws2.getCell('A2').font.italic).to.be.true();
+      expect(ws2.getCell('A3').styleName).to.equal('Normal');
+
+      const wb3 = new ExcelJS.Workbook();
+      await wb3.xlsx.load(await wb2.xlsx.writeBuffer());
+      expect(wb3.namedStyles.length).to.equal(3);
+      expect(wb3.getWorksheet('blort').getCell('A1').styleName).to.equal('Heading 1');
+    });
+
+    it('keeps table styles', async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('blort');
+      const elements = {
+        wholeTable: {border: {top: {style: 'thin', color: {argb: 'FF112233'}}}},
+        headerRow: {font: {bold: true, color: {argb: 'FFFFFFFF'}}},
+        firstRowStripe: {fill: {type: 'pattern', pattern: 'solid', bgColor: {argb: 'FFEEEEEE'}}, size: 2},
+      };
+      wb.addTableStyle('Brand', elements);
+      wb.addPivotStyle('Brand Pivot', {pageFieldLabels: {font: {italic: true}}});
+      ws.addTable({
+        name: 'Sales',
+        ref: 'A1',
+        style: {theme: 'Brand', showRowStripes: true},
+        columns: [{name: 'Item'}, {name: 'Qty'}],
+        rows: [
+          ['Apples', 3],
+          ['Pears', 4],
+        ],
+      });
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(await wb.xlsx.writeBuffer());
+      expect(wb2.tableStyles).to.deep.equal([
+        {name: 'Brand', table: true, pivot: false, elements},
+        {name: 'Brand Pivot', table: false, pivot: true, elements: {pageFieldLabels: {font: {italic: true}}}},
+      ]);
+      expect(wb2.defaultTableStyle).to.equal('TableStyleMedium2');
+      expect(wb2.getWorksheet('blort').getTable('Sales').table.style.theme).to.equal('Brand');
+    });
+
+    it('compacts the styles of a loaded workbook', async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('blort');
+      ws.getCell('A1').value = 1;
+      ws.getCell('A1').font = {bold: true, color: {argb: 'FF0000FF'}};
+      ws.getCell('A2').value = 2;
+      ws.getCell('A2').font = {bold: true, color: {argb: 'FF0000FF'}};
+
+      // nothing is merged with a part written differently
+      let stats;
+      const original = await wb.xlsx.writeBuffer({styleStats: value => (stats = value)});
+      Object.values(stats)
+        .filter(part => typeof part === 'object')
+        .forEach(part => expect(part.merged).to.equal(0));
+
+      // a copy of the bold font written in lower case and a cell format using it,
+      // an unused font and an unused cell format
+      const zip = await JSZip.loadAsync(original);
+      let styles = await zip.file('xl/styles.xml').async('string');
+      const fonts = styles.match(/<font>.*?<\/font>/g);
+      const copy = fonts[1].replace('FF0000FF', 'ff0000ff');
+      styles = styles.replace('</fonts>', `${copy}<font><i/><sz val="30"/></font></fonts>`);
+      styles = styles.replace(
+        '</cellXfs>',
+        `<xf numFmtId="0" fontId="${fonts.length}" fillId="0" borderId="0" xfId="0" applyFont="1"/>` +
+          `<xf numFmtId="0" fontId="${fonts.length + 1}" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>`
+      );
+      zip.file('xl/styles.xml', styles);
+      const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+      zip.file('xl/worksheets/sheet1.xml', sheet.replace(/(<c r="A2" s=")\d+/, (match, start) => `${start}2`));
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(await zip.generateAsync({type: 'nodebuffer'}));
+      const buffer = await wb2.xlsx.writeBuffer({styleStats: value => (stats = value)});
+      expect(stats.cellXfs.count).to.equal(2);
+      expect(stats.fonts).to.deep.equal({count: 2, merged: 1});
+
+      const zip3 = await JSZip.loadAsync(buffer);
+      const styles3 = await zip3.file('xl/styles.xml').async('string');
+      expect(styles3).to.contain('<fonts count="2"');
+      expect(styles3).to.contain('<cellXfs count="2">');
+      const wb3 = new ExcelJS.Workbook();
+      await wb3.xlsx.load(buffer);
+      expect(wb3.getWorksheet('blort').getCell('A2').font.bold).to.be.true();
+    });
+
+    it('keeps the theme', async () => {
+      const wb = new ExcelJS.Workbook();
+      wb.addWorksheet('blort').getCell('A1').value = 'Hello';
+      wb.theme = {name: 'Brand', colors: {accent1: 'FF112233'}, fonts: {major: 'Arial'}};
+
+      const wb2 = new ExcelJS.Workbook();
+      await wb2.xlsx.load(await wb.xlsx.writeBuffer());
+      expect(wb2.theme.name).to.equal('Brand');
+      expect(wb2.theme.colors.accent1).to.equal('FF112233');
+      expect(wb2.theme.colors.accent2).to.equal('FFC0504D');
+      expect(wb2.theme.fonts).to.deep.equal({major: 'Arial', minor: 'Calibri'});
+      expect(wb2.resolveColor({theme: 4})).to.equal('FF112233');
+
+      wb2.theme.colors.accent2 = 'FF445566';
+      const wb3 = new ExcelJS.Workbook();
+      await wb3.xlsx.load(await wb2.xlsx.writeBuffer());
+      expect(wb3.theme.colors.accent1).to.equal('FF112233');
+      expect(wb3.theme.colors.accent2).to.equal('FF445566');
+    });
   });
 });
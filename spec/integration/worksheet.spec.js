@@ -1185,6 +1185,7 @@ describe('Worksheet', () => {
       .then(workbook => {
         expect(workbook).to.have.property('worksheets');
         expect(workbook.worksheets).to.have.length(1);
+        expect(workbook.chartsheets).to.have.length(1);
       }));
 
   describe('Hidden', () => {
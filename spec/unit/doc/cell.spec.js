@@ -1,6 +1,7 @@
 const colCache = verquire('utils/col-cache');
 const Cell = verquire('doc/cell');
 const Enums = verquire('doc/enums');
+const Workbook = verquire('doc/workbook');
 
 const sheetMock = {
   reset() {
@@ -310,6 +311,20 @@ describe('Cell', () => {
     expect(a1.effectiveType).to.equal(Enums.ValueType.Hyperlink);
   });
 
+  it('holds pictures', () => {
+    const a1 = sheetMock.getCell('A1');
+
+    a1.value = {image: 0, description: 'Logo'};
+    expect(a1.type).to.equal(Enums.ValueType.Image);
+    expect(a1.effectiveType).to.equal(Enums.ValueType.Image);
+    expect(a1.value).to.deep.equal({image: 0, description: 'Logo'});
+    expect(a1.text).to.equal('Logo');
+    expect(a1.toCsvString()).to.equal('');
+
+    a1.value = {image: 'not an id'};
+    expect(a1.type).to.equal(Enums.ValueType.String);
+  });
+
   it('shares formulas', () => {
     const a1 = sheetMock.getCell('A1');
     const b1 = sheetMock.getCell('B1');
@@ -326,6 +341,20 @@ describe('Cell', () => {
     expect(c1.formula).to.equal('B1+1');
   });
 
+  it('lists formula dependencies', () => {
+    const a1 = sheetMock.getCell('A1');
+    a1.value = {
+      formula: 'SUM(\'My Sheet\'!$A$1:B2,C:C)+Sheet1!D4*$E$5+Rate+Sales[[#This Row],[Qty]]+[1]Sheet1!A1',
+    };
+    expect(a1._value.dependencies).to.deep.equal({
+      ranges: ['\'My Sheet\'!$A$1:B2', 'C:C'],
+      cells: ['Sheet1!D4', '$E$5'],
+      names: ['Rate'],
+      tables: ['Sales[[#This Row],[Qty]]'],
+      external: ['[1]Sheet1!A1'],
+    });
+  });
+
   it('escapes dangerous html', () => {
     const a1 = sheetMock.getCell('A1');
 
@@ -335,6 +364,30 @@ describe('Cell', () => {
       '&lt;script&gt;alert(&quot;yoohoo&quot;)&lt;/script&gt;'
     );
   });
+  it('shows values with their number format', () => {
+    const ws = new Workbook().addWorksheet('sheet');
+    const show = (value, numFmt) => {
+      const cell = ws.getCell('A1');
+      cell.value = value;
+      cell.numFmt = numFmt;
+      return cell.formattedText;
+    };
+
+    expect(show(1234.5, '#,##0.00')).to.equal('1,234.50');
+    expect(show(-1234.5, '#,##0.00 ;[Red](#,##0.00)')).to.equal('(1,234.50)');
+    expect(show(new Date(Date.UTC(2024, 2, 1)), 'dd-mmm-yyyy')).to.equal('01-Mar-2024');
+    expect(show(new Date(Date.UTC(2024, 2, 1)))).to.equal('3/1/2024');
+    expect(show({formula: 'B1/4', result: 0.25}, '0.0%')).to.equal('25.0%');
+    expect(show('Ann', '"Name: "@')).to.equal('Name: Ann');
+    expect(show({richText: [{text: 'a'}, {text: 'b'}]})).to.equal('ab');
+    expect(show(true, '0.00')).to.equal('TRUE');
+    expect(show({error: '#N/A'}, '0.00')).to.equal('#N/A');
+    expect(show(null, '0.00')).to.equal('');
+
+    ws.workbook.properties.date1904 = true;
+    expect(show(new Date(Date.UTC(2024, 2, 1)), 'yyyy-mm-dd')).to.equal('2024-03-01');
+  });
+
   it('can set comment', () => {
     const a1 = sheetMock.getCell('A1');
 
@@ -0,0 +1,73 @@
+const Excel = verquire('exceljs');
+
+describe('Chartsheet', () => {
+  const spec = {type: 'pie', title: 'Sales', series: [{categories: 'Data!A2:A4', values: 'Data!B2:B4'}]};
+
+  it('takes its place among the worksheets', () => {
+    const wb = new Excel.Workbook();
+    const data = wb.addWorksheet('Data');
+    const chartsheet = wb.addChartsheet('Dashboard', spec, {properties: {tabColor: {argb: 'FF00FF00'}}});
+    const other = wb.addWorksheet('Other');
+
+    expect(chartsheet.id).to.equal(2);
+    expect(other.id).to.equal(3);
+    expect([data.orderNo, chartsheet.orderNo, other.orderNo]).to.deep.equal([1, 2, 3]);
+    expect(wb.worksheets).to.deep.equal([data, other]);
+    expect(wb.chartsheets).to.deep.equal([chartsheet]);
+    expect(wb.getChartsheet('Dashboard')).to.equal(chartsheet);
+    expect(wb.getChartsheet(2)).to.equal(chartsheet);
+    expect(wb.getWorksheet('Dashboard')).to.be.undefined();
+
+    expect(chartsheet.state).to.equal('visible');
+    expect(chartsheet.properties.tabColor).to.deep.equal({argb: 'FF00FF00'});
+    expect(chartsheet.chart.chart).to.equal(spec);
+  });
+
+  it('shares names with worksheets', () => {
+    const wb = new Excel.Workbook();
+    wb.addWorksheet('Data');
+    expect(() => wb.addChartsheet('data', spec)).to.throw(/already exists/);
+    wb.addChartsheet('Chart', spec);
+    expect(() => wb.addWorksheet('CHART')).to.throw(/already exists/);
+    expect(() => wb.addChartsheet('a/b', spec)).to.throw(/cannot include/);
+  });
+
+  it('needs series that name their worksheet', () => {
+    const wb = new Excel.Workbook();
+    expect(() => wb.addChartsheet('Chart', {type: 'line', series: [{values: 'B2:B4'}]})).to.throw(
+      /must name the worksheet/
+    );
+    expect(() => wb.addChartsheet('Chart', {type: 'radar', series: spec.series})).to.throw(/Unsupported chart type/);
+  });
+
+  it('follows its worksheets when they are renamed', () => {
+    const wb = new Excel.Workbook();
+    const data = wb.addWorksheet('Data');
+    const chartsheet = wb.addChartsheet('Chart', {type: 'line', series: [{values: 'Data!B2:B4'}]});
+    data.name = 'Sales';
+    expect(chartsheet.chart.chart.series[0].values).to.equal('Sales!B2:B4');
+  });
+
+  it('can be removed', () => {
+    const wb = new Excel.Workbook();
+    wb.addWorksheet('Data');
+    wb.addChartsheet('Chart', spec);
+    wb.removeChartsheet('Chart');
+    expect(wb.chartsheets).to.deep.equal([]);
+    expect(wb.addWorksheet('Next').id).to.equal(2);
+  });
+
+  it('copies through the workbook model', () => {
+    const wb = new Excel.Workbook();
+    wb.addChartsheet('Chart', spec, {state: 'hidden'});
+    wb.addWorksheet('Data');
+
+    const copy = new Excel.Workbook();
+    copy.model = wb.model;
+    const [chartsheet] = copy.chartsheets;
+    expect(chartsheet.name).to.equal('Chart');
+    expect(chartsheet.state).to.equal('hidden');
+    expect(chartsheet.orderNo).to.be.below(copy.getWorksheet('Data').orderNo);
+    expect(chartsheet.chart.chart).to.deep.equal(spec);
+  });
+});
@@ -0,0 +1,350 @@
+const Excel = verquire('exceljs');
+
+describe('Workbook', () => {
+  describe('calculate', () => {
+    function createWorkbook() {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('Data');
+      ws.addRows([
+        ['apple', 10, 1.5],
+        ['banana', 20, 0.25],
+        ['cherry', 30, 4],
+        ['apple', 5, 1.5],
+      ]);
+      return wb;
+    }
+
+    function calc(formula, setup) {
+      const wb = createWorkbook();
+      const ws = wb.addWorksheet('Calc');
+      if (setup) {
+        setup(ws, wb);
+      }
+      const cell = ws.getCell('A1');
+      cell.value = {formula};
+      return cell.calculate();
+    }
+
+    const expectations = [
+      // operators
+      ['1+2*3', 7],
+      ['(1+2)*3', 9],
+      ['-2^2', 4],
+      ['2^3^2', 64],
+      ['50%', 0.5],
+      ['"a"&1&TRUE', 'a1TRUE'],
+      ['1/0', {error: '#DIV/0!'}],
+      ['"x"+1', {error: '#VALUE!'}],
+      ['"10"+1', 11],
+      ['1<"a"', true],
+      ['"B">"a"', true],
+      ['"abc"="ABC"', true],
+      ['TRUE>1', true],
+
+      // reference operators
+      ['SUM(Data!B1:INDEX(Data!B:B,3))', 60],
+      ['SUM(Data!B1:B2:Data!C3)', 65.75],
+      ['SUM(Data!A1:C4 Data!B1:B4)', 65],
+      ['SUM(Data!A1:A2 Data!C3:C4)', {error: '#NULL!'}],
+      ['SUM((Data!B1,Data!C1:C2))', 11.75],
+      ['SUM(Data:Calc!B1)', 10],
+      ['@Data!B1:B4', 10],
+
+      // math
+      ['SUM(Data!B1:B4)', 65],
+      ['SUM(Data!A1:A4)', 0],
+      ['SUM(1,"2",TRUE)', 4],
+      ['AVERAGE(Data!B1:B4)', 16.25],
+      ['MAX(Data!B1:C4)', 30],
+      ['MIN(Data!B1:C4)', 0.25],
+      ['COUNT(Data!A1:C4)', 8],
+      ['COUNTA(Data!A1:C4)', 12],
+      ['COUNTBLANK(Data!A1:D4)', 4],
+      ['ROUND(2.5,0)', 3],
+      ['ROUND(-2.5,0)', -3],
+      ['ROUND(1.005,2)', 1.01],
+      ['ROUNDDOWN(3.789,1)', 3.7],
+      ['ROUNDUP(-3.21,1)', -3.3],
+      ['MOD(-3,2)', 1],
+      ['MOD(1,0)', {error: '#DIV/0!'}],
+      ['SQRT(-1)', {error: '#NUM!'}],
+      ['INT(-1.5)', -2],
+      ['SUMPRODUCT(Data!B1:B4,Data!C1:C4)', 15 + 5 + 120 + 7.5],
+      ['SUMIF(Data!A1:A4,"apple",Data!B1:B4)', 15],
+      ['SUMIFS(Data!B1:B4,Data!A1:A4,"a*",Data!C1:C4,">1")', 15],
+      ['COUNTIF(Data!B1:B4,">=20")', 2],
+      ['COUNTIFS(Data!A1:A4,"<>apple")', 2],
+      ['AVERAGEIF(Data!A1:A4,"apple",Data!B1:B4)', 7.5],
+      ['MEDIAN(1,3,2,4)', 2.5],
+      ['PRODUCT(2,3,4)', 24],
+      ['STDEV(2,4,4,4,5,5,7,9)', 2.138089935299395],
+      ['STDEVP(2,4,4,4,5,5,7,9)', 2],
+      ['VAR.S(1,2,3,4)', 1.6666666666666667],
+      ['VAR(1)', {error: '#DIV/0!'}],
+      ['SUBTOTAL(9,Data!B1:B4)', 65],
+      ['SUBTOTAL(101,Data!B1:B4)', 16.25],
+      ['SUBTOTAL(12,Data!B1:B4)', {error: '#VALUE!'}],
+      ['CEILING(2.1,0.5)', 2.5],
+      ['FLOOR(-2.1,-1)', -2],
+
+      // logical
+      ['IF(Data!B1>5,"big","small")', 'big'],
+      ['IF(FALSE,1)', false],
+      ['IF(TRUE,1/1,1/0)', 1],
+      ['IFERROR(1/0,"oops")', 'oops'],
+      ['IFNA(NA(),0)', 0],
+      ['AND(TRUE,1,Data!B1)', true],
+      ['OR(FALSE,0)', false],
+      ['NOT(0)', true],
+      ['XOR(TRUE,TRUE,TRUE)', true],
+
+      // information
+      ['ISBLANK(Data!D1)', true],
+      ['ISNUMBER(Data!B1)', true],
+      ['ISTEXT(Data!A1)', true],
+      ['ISERROR(1/0)', true],
+      ['ISNA(1/0)', false],
+
+      // lookup
+      ['VLOOKUP("cherry",Data!A1:C4,2,FALSE)', 30],
+      ['VLOOKUP("durian",Data!A1:C4,2,FALSE)', {error: '#N/A'}],
+      ['VLOOKUP(25,Data!B1:C3,2)', 0.25],
+      ['HLOOKUP(20,{10,20;"a","b"},2,FALSE)', 'b'],
+      ['INDEX(Data!A1:C4,3,2)', 30],
+      ['INDEX({1,2;3,4},2,1)', 3],
+      ['MATCH("banana",Data!A1:A4,0)', 2],
+      ['MATCH(12,Data!B1:B3,1)', 1],
+      ['MATCH("b*",Data!A1:A4,0)', 2],
+      ['SUM(OFFSET(Data!A1,1,1,2,1))', 50],
+      ['CHOOSE(2,"a","b","c")', 'b'],
+      ['ROW(Data!C3)', 3],
+      ['COLUMN()', 1],
+      ['ROWS(Data!A1:C4)', 4],
+      ['COLUMNS(Data!A1:C4)', 3],
+
+      // text
+      ['LEFT("hello",2)', 'he'],
+      ['RIGHT("hello",3)', 'llo'],
+      ['MID("hello",2,3)', 'ell'],
+      ['LEN("hello")', 5],
+      ['UPPER("abc")', 'ABC'],
+      ['PROPER("hello wORLD")', 'Hello World'],
+      ['TRIM("  a   b  ")', 'a b'],
+      ['FIND("l","hello")', 3],
+      ['FIND("L","hello")', {error: '#VALUE!'}],
+      ['SEARCH("L*o","hello")', 3],
+      ['SUBSTITUTE("a-b-c","-","+")', 'a+b+c'],
+      ['SUBSTITUTE("a-b-c","-","+",2)', 'a-b+c'],
+      ['REPLACE("abcdef",2,3,"X")', 'aXef'],
+      ['REPT("ab",3)', 'ababab'],
+      ['CONCATENATE("a",1,TRUE)', 'a1TRUE'],
+      ['TEXTJOIN(",",TRUE,Data!A1:A4,"")', 'apple,banana,cherry,apple'],
+      ['VALUE("1,234.5")', 1234.5],
+      ['TEXT(1234.567,"#,##0.00")', '1,234.57'],
+      ['TEXT(0.256,"0.0%")', '25.6%'],
+      ['TEXT(DATE(2020,3,5),"yyyy-mm-dd")', '2020-03-05'],
+      ['TEXT(TIME(13,5,0),"h:mm AM/PM")', '1:05 PM'],
+      ['EXACT("a","A")', false],
+      ['CHAR(65)&CODE("a")', 'A97'],
+
+      // date
+      ['DATE(2020,1,1)', 43831],
+      ['DATE(2020,13,1)', 44197],
+      ['YEAR(43831)', 2020],
+      ['MONTH(43831)', 1],
+      ['DAY(43861)', 31],
+      ['WEEKDAY(43831)', 4],
+      ['WEEKDAY(43831,2)', 3],
+      ['EDATE(DATE(2020,1,31),1)', 43890],
+      ['EOMONTH(DATE(2020,1,15),1)', 43890],
+      ['DATEDIF(DATE(2020,1,15),DATE(2021,3,1),"m")', 13],
+      ['DAYS(DATE(2020,3,1),DATE(2020,2,1))', 29],
+      ['HOUR(0.75)', 18],
+      ['TIME(6,30,0)', 0.2708333333333333],
+
+      // errors
+      ['UNKNOWN.FUNCTION(1)', {error: '#NAME?'}],
+      ['undefinedName+1', {error: '#NAME?'}],
+      ['Missing!A1', {error: '#REF!'}],
+      ['#N/A', {error: '#N/A'}],
+      ['_xlfn.CONCAT("a","b")', 'ab'],
+    ];
+    expectations.forEach(([formula, result]) => {
+      it(formula, () => {
+        expect(calc(formula)).to.deep.equal(result);
+      });
+    });
+
+    it('calculates all formula cells in the workbook', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('Data');
+      ws.getCell('D1').value = {formula: 'D2*2'};
+      ws.getCell('D2').value = {formula: 'SUM(B1:B4)'};
+      ws.getCell('E1').value = {formula: 'UPPER(A1)', result: 'stale'};
+
+      wb.calculate();
+
+      expect(ws.getCell('D1').value).to.deep.equal({formula: 'D2*2', result: 130});
+      expect(ws.getCell('D2').result).to.equal(65);
+      expect(ws.getCell('E1').result).to.equal('APPLE');
+    });
+
+    it('calculates shared formulae', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('Data');
+      ws.fillFormula('D1:D4', 'B1*C1');
+
+      wb.calculate();
+
+      expect(ws.getCell('D1').result).to.equal(15);
+      expect(ws.getCell('D4').result).to.equal(7.5);
+      expect(ws.getCell('D4').value.sharedFormula).to.equal('D1');
+    });
+
+    it('calculates array formulae into their range', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('Data');
+      ws.fillFormula('D1:D4', 'B1:B4*C1:C4', null, 'array');
+
+      wb.calculate();
+
+      expect(ws.getCell('D1').result).to.equal(15);
+      expect(ws.getCell('D2').value).to.equal(5);
+      expect(ws.getCell('D4').value).to.equal(7.5);
+    });
+
+    it('resolves defined names', () => {
+      const result = calc('SUM(prices)', (ws, wb) => {
+        wb.definedNames.add('Data!$C$1:$C$4', 'prices');
+      });
+      expect(result).to.equal(7.25);
+    });
+
+    it('resolves whole column and row references', () => {
+      expect(calc('SUM(Data!B:B)')).to.equal(65);
+      expect(calc('COUNTA(Data!$1:$2)')).to.equal(6);
+    });
+
+    it('resolves table references', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('Sheet1');
+      ws.addTable({
+        name: 'Fruit',
+        ref: 'A1',
+        headerRow: true,
+        totalsRow: true,
+        columns: [{name: 'Name'}, {name: 'Qty', totalsRowFunction: 'sum'}, {name: 'Double'}],
+        rows: [
+          ['apple', 3, {formula: 'Fruit[[#This Row],[Qty]]*2'}],
+          ['pear', 4, {formula: '[@Qty]*2'}],
+        ],
+      });
+      ws.getCell('E1').value = {formula: 'ROWS(Fruit[#All])'};
+      ws.getCell('E2').value = {formula: 'Fruit[[#Headers],[Qty]]'};
+      ws.getCell('E3').value = {formula: 'SUM(fruit[Double])'};
+      ws.getCell('E4').value = {formula: 'Missing[Qty]'};
+
+      wb.calculate();
+
+      expect(ws.getCell('C2').result).to.equal(6);
+      expect(ws.getCell('C3').result).to.equal(8);
+      expect(ws.getCell('B4').result).to.equal(7);
+      expect(ws.getCell('E1').result).to.equal(4);
+      expect(ws.getCell('E2').result).to.equal('Qty');
+      expect(ws.getCell('E3').result).to.equal(14);
+      expect(ws.getCell('E4').result).to.deep.equal({error: '#NAME?'});
+    });
+
+    it('uses cached results of formulae that cannot be evaluated', () => {
+      const result = calc('Data!D1*2', (ws, wb) => {
+        wb.getWorksheet('Data').getCell('D1').value = {sharedFormula: 'Z1', result: 21};
+      });
+      expect(result).to.equal(42);
+    });
+
+    it('keeps the cached results of formulae calling Excel functions that are not implemented', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('Data');
+      ws.getCell('D1').value = {formula: 'PMT(0.05,10,-1000)', result: 129.5};
+      ws.getCell('D2').value = {formula: 'D1*2', result: 259};
+      ws.getCell('D3').value = {formula: '_xlfn.IFS(B1>5,"big")', result: 'big'};
+      ws.getCell('D4').value = {formula: 'IFERROR(NETWORKDAYS(1,10),0)', result: 8};
+      ws.getCell('D5').value = {formula: 'UNKNOWN.FUNCTION(1)', result: 1};
+      ws.getCell('D6').value = {formula: 'SUM(B1:B4)', result: 0};
+
+      wb.calculate();
+
+      expect(ws.getCell('D1').result).to.equal(129.5);
+      expect(ws.getCell('D2').result).to.equal(259);
+      expect(ws.getCell('D3').result).to.equal('big');
+      expect(ws.getCell('D4').result).to.equal(8);
+      expect(ws.getCell('D5').result).to.deep.equal({error: '#NAME?'});
+      expect(ws.getCell('D6').result).to.equal(65);
+    });
+
+    it('keeps the cached results of formulae that cannot be read or refer to other workbooks', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('Data');
+      ws.getCell('D1').value = {formula: '[1]Sheet1!A1+1', result: 42};
+      ws.getCell('D2').value = {formula: 'SUM(1,', result: 7};
+      ws.getCell('D3').value = {formula: 'D1+D2', result: 49};
+      ws.getCell('D4').value = {formula: 'SUM(D1:D3)+B1', result: 108};
+
+      wb.calculate();
+
+      expect(ws.getCell('D1').result).to.equal(42);
+      expect(ws.getCell('D2').result).to.equal(7);
+      expect(ws.getCell('D3').result).to.equal(49);
+      expect(ws.getCell('D4').result).to.equal(108);
+      expect(ws.getCell('D3').calculate()).to.equal(49);
+
+      ws.getCell('B1').value = 11;
+      ws.getCell('D5').value = {formula: 'B1*2'};
+      wb.recalculate();
+
+      expect(ws.getCell('D4').result).to.equal(108);
+      expect(ws.getCell('D5').result).to.equal(22);
+    });
+
+    it('returns dates for date formatted cells', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet();
+      ws.getCell('A1').value = new Date(Date.UTC(2020, 0, 31));
+      ws.getCell('A2').value = {formula: 'A1+1'};
+      ws.getCell('A2').numFmt = 'dd/mm/yyyy';
+      ws.getCell('A3').value = {formula: 'A1+1'};
+
+      wb.calculate();
+
+      expect(ws.getCell('A2').result).to.deep.equal(new Date(Date.UTC(2020, 1, 1)));
+      expect(ws.getCell('A3').result).to.equal(43862);
+    });
+
+    it('honours the 1904 date system', () => {
+      const wb = new Excel.Workbook();
+      wb.properties.date1904 = true;
+      const ws = wb.addWorksheet();
+      ws.getCell('A1').value = {formula: 'DATE(1904,1,2)'};
+      expect(ws.getCell('A1').calculate()).to.equal(1);
+    });
+
+    it('treats blank references as zero', () => {
+      expect(calc('Data!Z100')).to.equal(0);
+    });
+
+    it('throws on circular references', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('Sheet1');
+      ws.getCell('A1').value = {formula: 'B1+1'};
+      ws.getCell('B1').value = {formula: 'A1+1'};
+      expect(() => wb.calculate()).to.throw(/Circular reference/);
+    });
+
+    it('returns undefined for non-formula cells', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet();
+      ws.getCell('A1').value = 7;
+      expect(ws.getCell('A1').calculate()).to.be.undefined();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const Excel = verquire('exceljs');
+
+describe('Workbook', () => {
+  describe('Dynamic Arrays', () => {
+    function createWorkbook() {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      ['pear', 'apple', 'fig', 'apple', 'kiwi'].forEach((fruit, i) => {
+        ws.getCell(i + 1, 1).value = fruit;
+        ws.getCell(i + 1, 2).value = (i + 1) * 10;
+      });
+      return wb;
+    }
+
+    function columnValues(ws, col, top, bottom) {
+      const values = [];
+      for (let row = top; row <= bottom; row++) {
+        const cell = ws.getCell(row, col);
+        values.push(cell.type === Excel.ValueType.Formula ? cell.result : cell.value);
+      }
+      return values;
+    }
+
+    it('spills results over the neighbouring cells', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('sheet');
+      ws.getCell('D1').value = {formula: 'SORT(UNIQUE(A1:A5))', spill: true};
+      ws.getCell('E1').value = {formula: 'FILTER(A1:B5,B1:B5>25)', spill: true};
+      ws.getCell('H1').value = {formula: 'SEQUENCE(2,3,0,5)', spill: true};
+      ws.getCell('D6').value = {formula: 'COUNTA(D1:D5)'};
+
+      wb.calculate();
+      expect(columnValues(ws, 4, 1, 5)).to.deep.equal(['apple', 'fig', 'kiwi', 'pear', null]);
+      expect(ws.getCell('D1').spillRange).to.equal('D1:D4');
+      expect(ws.getCell('D6').result).to.equal(4);
+      expect(ws.getCell('E1').spillRange).to.equal('E1:F3');
+      expect(columnValues(ws, 6, 1, 3)).to.deep.equal([30, 40, 50]);
+      expect(ws.getCell('H1').spillRange).to.equal('H1:J2');
+      expect(ws.getCell('J2').value).to.equal(25);
+      expect(ws.getCell('B1').spillRange).to.be.undefined();
+    });
+
+    it('refers to spill ranges with the spill operator', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('sheet');
+      ws.getCell('D1').value = {formula: 'SORT(UNIQUE(A1:A5))', spill: true};
+      ws.getCell('E1').value = {formula: 'COUNTA(D1#)'};
+      ws.getCell('E2').value = {formula: 'ROWS(_xlfn.ANCHORARRAY(D1))'};
+      ws.getCell('E3').value = {formula: 'SUM(A1#)'};
+
+      wb.calculate();
+      expect(ws.getCell('E1').result).to.equal(4);
+      expect(ws.getCell('E2').result).to.equal(4);
+      expect(ws.getCell('E3').result).to.deep.equal({error: '#REF!'});
+    });
+
+    it('reports #SPILL! when the spill range is obstructed', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('sheet');
+      ws.getCell('D1').value = {formula: 'SEQUENCE(3)', spill: true};
+      ws.getCell('D3').value = 'in the way';
+
+      wb.calculate();
+      expect(ws.getCell('D1').result).to.deep.equal({error: Excel.ErrorValue.Spill});
+      expect(ws.getCell('D1').spillRange).to.equal('D1');
+      expect(ws.getCell('D2').value).to.equal(null);
+
+      ws.getCell('D3').value = null;
+      wb.recalculate();
+      expect(columnValues(ws, 4, 1, 3)).to.deep.equal([1, 2, 3]);
+    });
+
+    it('follows spill ranges as they grow and shrink', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('sheet');
+      ws.getCell('D1').value = {formula: 'FILTER(B1:B5,B1:B5>C1)', spill: true};
+      ws.getCell('C1').value = 35;
+      ws.getCell('E1').value = {formula: 'SUM(D1:D5)'};
+
+      wb.recalculate();
+      expect(ws.getCell('D1').spillRange).to.equal('D1:D2');
+      expect(ws.getCell('E1').result).to.equal(90);
+
+      ws.getCell('C1').value = 15;
+      wb.recalculate();
+      expect(ws.getCell('D1').spillRange).to.equal('D1:D4');
+      expect(ws.getCell('E1').result).to.equal(140);
+
+      ws.getCell('C1').value = 45;
+      wb.recalculate();
+      expect(columnValues(ws, 4, 1, 4)).to.deep.equal([50, null, null, null]);
+      expect(ws.getCell('E1').result).to.equal(50);
+
+      ws.getCell('C1').value = 99;
+      wb.recalculate();
+      expect(ws.getCell('D1').result).to.deep.equal({error: Excel.ErrorValue.Calc});
+    });
+  });
+});
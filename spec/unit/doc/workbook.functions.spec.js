@@ -0,0 +1,109 @@
+const Excel = verquire('exceljs');
+
+describe('Workbook', () => {
+  describe('Custom Functions', () => {
+    function createWorkbook() {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      ws.getCell('A1').value = 1;
+      ws.getCell('A2').value = 2;
+      ws.getCell('A3').value = 'three';
+      return wb;
+    }
+
+    it('calls registered functions with scalar values', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('sheet');
+      wb.registerFunction('DOUBLE', x => x * 2);
+      wb.registerFunction('acme.join', (...values) => values.join('-'));
+      ws.getCell('B1').value = {formula: 'DOUBLE(A1)+1'};
+      ws.getCell('B2').value = {formula: 'SUM(DOUBLE(A1:A2))'};
+      ws.getCell('B3').value = {formula: 'ACME.JOIN(A3,"x",TRUE)'};
+      ws.getCell('B4').value = {formula: '_xludf.DOUBLE(21)'};
+
+      wb.calculate();
+      expect(ws.getCell('B1').result).to.equal(3);
+      expect(ws.getCell('B2').result).to.equal(6);
+      expect(ws.getCell('B3').result).to.equal('three-x-true');
+      expect(ws.getCell('B4').result).to.equal(42);
+    });
+
+    it('passes ranges and arrays to array aware functions', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('sheet');
+      let received;
+      wb.registerFunction(
+        'COLLECT',
+        (...args) => {
+          received = args;
+          return [
+            [1, 2],
+            [3, 4],
+          ];
+        },
+        {arrayAware: true}
+      );
+      ws.getCell('B1').value = {formula: 'SUM(COLLECT(A1:A2,{1,2},5))'};
+
+      wb.calculate();
+      expect(received).to.deep.equal([[[1], [2]], [[1, 2]], 5]);
+      expect(ws.getCell('B1').result).to.equal(10);
+    });
+
+    it('converts results to formula values', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('sheet');
+      wb.registerFunction('FAIL', () => {
+        throw new Error('oops');
+      });
+      wb.registerFunction('MISSING', () => ({error: Excel.ErrorValue.NotApplicable}));
+      wb.registerFunction('INFINITE', () => Infinity);
+      wb.registerFunction('WHEN', () => new Date(Date.UTC(2020, 0, 1)));
+      wb.registerFunction('NOTHING', () => undefined);
+      ws.getCell('B1').value = {formula: 'FAIL()'};
+      ws.getCell('B2').value = {formula: 'MISSING()'};
+      ws.getCell('B3').value = {formula: 'INFINITE()'};
+      ws.getCell('B4').value = {formula: 'WHEN()'};
+      ws.getCell('B5').value = {formula: 'NOTHING()'};
+      ws.getCell('B6').value = {formula: 'UNKNOWN(1)'};
+
+      wb.calculate();
+      expect(ws.getCell('B1').result).to.deep.equal({error: '#VALUE!'});
+      expect(ws.getCell('B2').result).to.deep.equal({error: '#N/A'});
+      expect(ws.getCell('B3').result).to.deep.equal({error: '#NUM!'});
+      expect(ws.getCell('B4').result).to.equal(43831);
+      expect(ws.getCell('B5').result).to.equal(0);
+      expect(ws.getCell('B6').result).to.deep.equal({error: '#NAME?'});
+    });
+
+    it('overrides built in functions', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('sheet');
+      wb.registerFunction('PI', () => 3);
+      ws.getCell('B1').value = {formula: 'PI()'};
+      expect(ws.getCell('B1').calculate()).to.equal(3);
+    });
+
+    it('recalculates volatile functions', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('sheet');
+      let count = 0;
+      wb.registerFunction('COUNTER', () => ++count, {volatile: true});
+      wb.registerFunction('STABLE', () => ++count);
+      ws.getCell('B1').value = {formula: 'COUNTER()'};
+      ws.getCell('B2').value = {formula: 'STABLE()'};
+
+      wb.recalculate();
+      wb.recalculate();
+      expect(count).to.equal(3);
+      expect(ws.getCell('B1').result).to.equal(3);
+      expect(ws.getCell('B2').result).to.equal(2);
+    });
+
+    it('validates registrations', () => {
+      const wb = new Excel.Workbook();
+      expect(() => wb.registerFunction('1BAD', () => 1)).to.throw(/Invalid function name/);
+      expect(() => wb.registerFunction('GOOD', 1)).to.throw(/must be a function/);
+    });
+  });
+});
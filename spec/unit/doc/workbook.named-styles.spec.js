@@ -0,0 +1,50 @@
+const Excel = verquire('exceljs');
+
+describe('Workbook', () => {
+  describe('Named Styles', () => {
+    const heading = {font: {bold: true, size: 15}, border: {bottom: {style: 'thick'}}};
+
+    it('adds and finds named styles', () => {
+      const wb = new Excel.Workbook();
+      const added = wb.addNamedStyle('Heading 1', heading);
+      expect(wb.namedStyles).to.deep.equal([{name: 'Heading 1', style: heading}]);
+      expect(wb.getNamedStyle('heading 1')).to.equal(added);
+      expect(wb.getNamedStyle('Heading 2')).to.be.undefined();
+
+      wb.addNamedStyle('HEADING 1', {font: {italic: true}});
+      expect(wb.namedStyles.length).to.equal(1);
+      expect(added.style).to.deep.equal({font: {italic: true}});
+
+      expect(() => wb.addNamedStyle('', {})).to.throw('A named style needs a name');
+    });
+
+    it('sets the named styles of cells', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      wb.addNamedStyle('Heading 1', heading);
+
+      const cell = ws.getCell('A1');
+      expect(cell.styleName).to.equal('Normal');
+      cell.styleName = 'heading 1';
+      expect(cell.styleName).to.equal('Heading 1');
+      expect(cell.font).to.deep.equal(heading.font);
+      expect(cell.style).to.deep.equal({...heading, name: 'Heading 1'});
+
+      cell.styleName = 'Normal';
+      expect(cell.styleName).to.equal('Normal');
+      expect(cell.style).to.deep.equal({});
+
+      expect(() => {
+        cell.styleName = 'Heading 2';
+      }).to.throw('There is no named style called Heading 2');
+    });
+
+    it('gives new cells the named style of their row', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      wb.addNamedStyle('Heading 1', heading);
+      ws.getRow(1).style = {...heading, name: 'Heading 1'};
+      expect(ws.getCell('B1').styleName).to.equal('Heading 1');
+    });
+  });
+});
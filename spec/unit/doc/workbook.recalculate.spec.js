@@ -0,0 +1,142 @@
+const Excel = verquire('exceljs');
+const FormulaEvaluator = verquire('utils/formula-evaluator');
+
+describe('Workbook', () => {
+  describe('Recalculate', () => {
+    const {evaluate} = FormulaEvaluator.prototype;
+    let evaluated;
+
+    beforeEach(() => {
+      evaluated = [];
+      FormulaEvaluator.prototype.evaluate = function(formula, worksheet, row, col) {
+        evaluated.push(`${worksheet.name}!${formula}`);
+        return evaluate.call(this, formula, worksheet, row, col);
+      };
+    });
+
+    afterEach(() => {
+      FormulaEvaluator.prototype.evaluate = evaluate;
+    });
+
+    function createWorkbook() {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('Inputs');
+      ws.getCell('A1').value = 1;
+      ws.getCell('A2').value = 2;
+      ws.getCell('B1').value = 10;
+      ws.getCell('A3').value = {formula: 'SUM(A1:A2)'};
+      ws.getCell('B2').value = {formula: 'B1*2'};
+      const calc = wb.addWorksheet('Calc');
+      calc.getCell('A1').value = {formula: 'Inputs!A3*10'};
+      calc.getCell('A2').value = {formula: 'A1+Inputs!B2'};
+      return wb;
+    }
+
+    it('calculates everything the first time', () => {
+      const wb = createWorkbook();
+      wb.recalculate();
+      expect(evaluated.length).to.equal(4);
+      expect(wb.getWorksheet('Calc').getCell('A2').result).to.equal(50);
+    });
+
+    it('recalculates only the formulae affected by a change', () => {
+      const wb = createWorkbook();
+      wb.recalculate();
+      evaluated = [];
+
+      wb.getWorksheet('Inputs').getCell('A1').value = 5;
+      wb.recalculate();
+
+      expect(evaluated).to.deep.equal(['Inputs!SUM(A1:A2)', 'Calc!Inputs!A3*10', 'Calc!A1+Inputs!B2']);
+      expect(wb.getWorksheet('Calc').getCell('A2').result).to.equal(90);
+
+      evaluated = [];
+      wb.recalculate();
+      expect(evaluated).to.deep.equal([]);
+    });
+
+    it('follows changed formulae', () => {
+      const wb = createWorkbook();
+      wb.recalculate();
+      evaluated = [];
+
+      const ws = wb.getWorksheet('Inputs');
+      ws.getCell('B2').value = {formula: 'B1*3'};
+      ws.getCell('B1').value = 100;
+      wb.recalculate();
+
+      expect(evaluated).to.deep.equal(['Inputs!B1*3', 'Calc!A1+Inputs!B2']);
+      expect(wb.getWorksheet('Calc').getCell('A2').result).to.equal(330);
+    });
+
+    it('always recalculates volatile formulae', () => {
+      const wb = createWorkbook();
+      wb.getWorksheet('Calc').getCell('B1').value = {formula: 'RAND()'};
+      wb.recalculate();
+      evaluated = [];
+
+      wb.recalculate();
+      expect(evaluated).to.deep.equal(['Calc!RAND()']);
+    });
+
+    it('follows 3D references and ranges built with the range operator', () => {
+      const wb = createWorkbook();
+      const summary = wb.addWorksheet('Summary');
+      summary.getCell('A1').value = {formula: 'SUM(Inputs:Calc!B1)'};
+      summary.getCell('A2').value = {formula: 'SUM(Inputs!A1:INDEX(Inputs!A:A,2))'};
+      wb.recalculate();
+      evaluated = [];
+
+      wb.getWorksheet('Calc').getCell('B1').value = 5;
+      wb.recalculate();
+      expect(evaluated).to.have.members([
+        'Summary!SUM(Inputs:Calc!B1)',
+        'Summary!SUM(Inputs!A1:INDEX(Inputs!A:A,2))',
+      ]);
+      expect(summary.getCell('A1').result).to.equal(15);
+    });
+
+    it('recalculates everything after a splice', () => {
+      const wb = createWorkbook();
+      wb.recalculate();
+      evaluated = [];
+
+      wb.getWorksheet('Inputs').insertRow(1, [7]);
+      wb.recalculate();
+      expect(evaluated.length).to.equal(4);
+      expect(wb.getWorksheet('Calc').getCell('A2').result).to.equal(50);
+    });
+
+    it('reports circular references', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('Calc');
+      ws.getCell('C1').value = {formula: 'C2+1', result: 1};
+      ws.getCell('C2').value = {formula: 'C1+1', result: 2};
+      ws.getCell('C3').value = {formula: 'C2*10'};
+
+      expect(() => wb.recalculate()).to.throw('Circular reference detected at Calc!C1, Calc!C2');
+      expect(ws.getCell('A2').result).to.equal(50);
+      expect(ws.getCell('C3').result).to.equal(20);
+
+      // still reported until the cycle is broken
+      expect(() => wb.recalculate()).to.throw(/Circular reference/);
+      ws.getCell('C2').value = 5;
+      wb.recalculate();
+      expect(ws.getCell('C1').result).to.equal(6);
+      expect(ws.getCell('C3').result).to.equal(50);
+    });
+
+    it('lists precedents and dependents', () => {
+      const wb = createWorkbook();
+      const inputs = wb.getWorksheet('Inputs');
+      const calc = wb.getWorksheet('Calc');
+      calc.getCell('B1').value = {formula: 'SUM(Inputs!A:A)'};
+
+      expect(calc.getCell('A2').precedents).to.deep.equal(['Calc!A1', 'Inputs!B2']);
+      expect(calc.getCell('B1').precedents).to.deep.equal(['Inputs!A:A']);
+      expect(inputs.getCell('A1').precedents).to.deep.equal([]);
+      expect(inputs.getCell('A2').dependents).to.deep.equal(['Inputs!A3', 'Calc!B1']);
+      expect(inputs.getCell('B2').dependents).to.deep.equal(['Calc!A2']);
+    });
+  });
+});
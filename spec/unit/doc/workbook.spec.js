@@ -327,4 +327,75 @@ describe('Workbook', () => {
       );
     });
   });
+
+  describe('addImage', () => {
+    it('adds the fallback of svg images', () => {
+      const wb = new Excel.Workbook();
+      const svg = wb.addImage({
+        buffer: Buffer.from('<svg/>'),
+        extension: 'svg',
+        fallback: {buffer: Buffer.from('png'), extension: 'png'},
+      });
+      expect(svg).to.equal(0);
+      expect(wb.getImage(svg).fallback).to.equal(1);
+      expect(wb.getImage(1)).to.deep.equal({buffer: Buffer.from('png'), extension: 'png', type: 'image'});
+
+      const again = wb.addImage({buffer: Buffer.from('<svg/>'), extension: 'svg', fallback: 1});
+      expect(wb.getImage(again).fallback).to.equal(1);
+      expect(wb.media.length).to.equal(3);
+    });
+
+    it('needs a fallback for svg images', () => {
+      const wb = new Excel.Workbook();
+      const svg = wb.addImage({buffer: Buffer.from('<svg/>'), extension: 'svg', fallback: {extension: 'png'}});
+      expect(() => wb.addImage({buffer: Buffer.from('<svg/>'), extension: 'svg'})).to.throw(/fallback/);
+      expect(() => wb.addImage({buffer: Buffer.from('<svg/>'), extension: 'svg', fallback: 5})).to.throw(/fallback/);
+      expect(() => wb.addImage({buffer: Buffer.from('<svg/>'), extension: 'svg', fallback: svg})).to.throw(/fallback/);
+      expect(wb.media.length).to.equal(2);
+    });
+  });
+
+  describe('extractMedia', () => {
+    it('lists the images with where they are drawn', () => {
+      const wb = new Excel.Workbook();
+      const ws1 = wb.addWorksheet('Catalogue');
+      const ws2 = wb.addWorksheet('Offers');
+      const logo = wb.addImage({buffer: Buffer.from('logo'), extension: 'png'});
+      const photo = wb.addImage({base64: `data:image/jpeg;base64,${Buffer.from('photo').toString('base64')}`, extension: 'jpeg'});
+      wb.addImage({filename: 'path/to/unused.gif', extension: 'gif'});
+
+      ws1.addImage(photo, {
+        tl: {col: 2, row: 4},
+        br: {col: 3, row: 5},
+        hyperlinks: {hyperlink: 'http://example.com/p1'},
+      });
+      ws1.addImage(logo, 'A1:B2');
+      ws2.addImage(logo, 'D1:E2');
+
+      expect(wb.extractMedia()).to.deep.equal([
+        {
+          name: 'image1',
+          extension: 'png',
+          buffer: Buffer.from('logo'),
+          sheets: [
+            {sheet: 'Catalogue', range: 'A1:B2'},
+            {sheet: 'Offers', range: 'D1:E2'},
+          ],
+        },
+        {
+          name: 'image2',
+          extension: 'jpeg',
+          buffer: Buffer.from('photo'),
+          sheets: [{sheet: 'Catalogue', range: 'C5:C5', hyperlinks: {hyperlink: 'http://example.com/p1'}}],
+        },
+        {
+          name: 'image3',
+          extension: 'gif',
+          buffer: undefined,
+          filename: 'path/to/unused.gif',
+          sheets: [],
+        },
+      ]);
+    });
+  });
 });
@@ -0,0 +1,40 @@
+const Excel = verquire('exceljs');
+
+describe('Workbook', () => {
+  describe('Table Styles', () => {
+    it('adds and finds table and pivot styles', () => {
+      const wb = new Excel.Workbook();
+      const headerRow = {font: {bold: true}};
+      const brand = wb.addTableStyle('Brand', {headerRow});
+      const pivot = wb.addPivotStyle('Brand Pivot', {headerRow});
+      expect(brand).to.deep.equal({name: 'Brand', table: true, pivot: false, elements: {headerRow}});
+      expect(pivot).to.deep.equal({name: 'Brand Pivot', table: false, pivot: true, elements: {headerRow}});
+      expect(wb.getTableStyle('brand pivot')).to.equal(pivot);
+
+      wb.addTableStyle('BRAND', {wholeTable: headerRow});
+      expect(wb.tableStyles.length).to.equal(2);
+      expect(brand.elements).to.deep.equal({wholeTable: headerRow});
+
+      expect(() => wb.addTableStyle('', {})).to.throw('A table style needs a name');
+    });
+
+    it('rejects elements that tables or pivot tables do not have', () => {
+      const wb = new Excel.Workbook();
+      const brand = wb.addTableStyle('Brand', {headerRow: {font: {bold: true}}});
+      expect(() => wb.addTableStyle('Brand', {headr: {font: {bold: true}}})).to.throw(
+        'Unknown element headr of table style Brand'
+      );
+      expect(() => wb.addTableStyle('Other', {pageFieldLabels: {font: {italic: true}}})).to.throw(
+        'Unknown element pageFieldLabels of table style Other'
+      );
+      expect(() => wb.addPivotStyle('Brand Pivot', {subtotalRow: {}})).to.throw(
+        'Unknown element subtotalRow of pivot style Brand Pivot'
+      );
+      expect(wb.tableStyles).to.deep.equal([brand]);
+      expect(brand.elements).to.deep.equal({headerRow: {font: {bold: true}}});
+
+      wb.addPivotStyle('Brand Pivot', {headerRow: {font: {bold: true}}, pageFieldLabels: {font: {italic: true}}});
+      expect(wb.tableStyles.length).to.equal(2);
+    });
+  });
+});
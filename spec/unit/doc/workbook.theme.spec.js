@@ -0,0 +1,42 @@
+const Excel = verquire('exceljs');
+const Theme = verquire('doc/theme');
+
+describe('Workbook', () => {
+  describe('Theme', () => {
+    it('has the Office theme by default', () => {
+      const wb = new Excel.Workbook();
+      expect(wb.theme.name).to.equal('Office Theme');
+      expect(wb.theme.colors.accent1).to.equal('FF4F81BD');
+      expect(wb.theme.fonts).to.deep.equal({major: 'Cambria', minor: 'Calibri'});
+    });
+
+    it('takes what is not given from the Office theme', () => {
+      const wb = new Excel.Workbook();
+      wb.theme = {name: 'Brand', colors: {accent1: 'FF112233'}, fonts: {minor: 'Arial'}};
+      expect(wb.theme).to.be.an.instanceof(Theme);
+      expect(wb.theme.colors.accent1).to.equal('FF112233');
+      expect(wb.theme.colors.accent2).to.equal('FFC0504D');
+      expect(wb.theme.fonts).to.deep.equal({major: 'Cambria', minor: 'Arial'});
+
+      wb.clearThemes();
+      expect(wb.theme.name).to.equal('Office Theme');
+    });
+
+    it('resolves theme, indexed and tinted colours', () => {
+      const wb = new Excel.Workbook();
+      expect(wb.resolveColor({argb: 'FF00FF00'})).to.equal('FF00FF00');
+      expect(wb.resolveColor({argb: '00ff00'})).to.equal('FF00FF00');
+      expect(wb.resolveColor({theme: 1})).to.equal('FF000000');
+      expect(wb.resolveColor({theme: 4})).to.equal('FF4F81BD');
+      expect(wb.resolveColor({theme: 4, tint: -0.25})).to.equal('FF376092');
+      expect(wb.resolveColor({theme: 4, tint: 0.4})).to.equal('FF95B3D7');
+      expect(wb.resolveColor({theme: 0, tint: -0.15})).to.equal('FFD9D9D9');
+      expect(wb.resolveColor({indexed: 10})).to.equal('FFFF0000');
+      expect(wb.resolveColor({indexed: 64})).to.equal('FF000000');
+      expect(wb.resolveColor(undefined)).to.be.undefined();
+
+      wb.theme.colors.accent1 = 'FF112233';
+      expect(wb.resolveColor({theme: 4})).to.equal('FF112233');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const Excel = verquire('exceljs');
+
+describe('Worksheet', () => {
+  describe('Charts', () => {
+    const spec = {type: 'column', series: [{categories: 'A2:A4', values: 'B2:B4'}]};
+
+    it('adds charts anchored to a range', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      ws.addImage(wb.addImage({buffer: Buffer.from(''), extension: 'png'}), 'A1:B2');
+      const chart = ws.addChart(spec, 'D2:H10');
+
+      expect(ws.getCharts()).to.deep.equal([chart]);
+      expect(ws.getImages().length).to.equal(1);
+      expect(chart.model).to.deep.equal({
+        type: 'chart',
+        chart: spec,
+        name: undefined,
+        part: undefined,
+        range: {
+          tl: {nativeCol: 3, nativeColOff: 0, nativeRow: 1, nativeRowOff: 0},
+          br: {nativeCol: 8, nativeColOff: 0, nativeRow: 10, nativeRowOff: 0},
+          ext: undefined,
+          editAs: 'twoCell',
+        },
+      });
+    });
+
+    it('validates the chart', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      expect(() => ws.addChart({type: 'radar', series: spec.series}, 'D2:H10')).to.throw(/Unsupported chart type/);
+      expect(() => ws.addChart({type: 'line', series: []}, 'D2:H10')).to.throw(/at least one series/);
+      expect(() => ws.addChart({type: 'line', series: [{name: 'x'}]}, 'D2:H10')).to.throw(/need values/);
+    });
+
+    it('moves charts when rows are inserted', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      const chart = ws.addChart(spec, 'D2:H10');
+      ws.insertRow(1, []);
+      expect(chart.range.tl.nativeRow).to.equal(2);
+      expect(chart.range.br.nativeRow).to.equal(11);
+    });
+  });
+});
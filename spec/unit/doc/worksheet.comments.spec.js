@@ -0,0 +1,100 @@
+const Excel = verquire('exceljs');
+
+describe('Worksheet', () => {
+  describe('Threaded comments', () => {
+    it('starts a thread on a cell and adds replies', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      const ann = wb.addPerson({displayName: 'Ann', userId: 'ann@example.com', providerId: 'AD'});
+      const date = new Date('2024-03-01T09:30:00Z');
+
+      ws.getCell('B2').comments = {text: 'Is this right?', author: ann, date};
+      const thread = ws.getCell('B2').comments;
+      expect(thread.text).to.equal('Is this right?');
+      expect(thread.author).to.equal(ann);
+      expect(thread.date).to.equal(date);
+      expect(thread.resolved).to.be.false();
+      expect(thread.id).to.match(/^\{[0-9A-F-]{36}\}$/);
+
+      const reply = thread.addReply({text: 'Yes', author: 'Bob'});
+      expect(thread.replies).to.deep.equal([reply]);
+      expect(reply.author).to.equal(wb.getPerson('Bob'));
+      expect(reply.date).to.be.an.instanceof(Date);
+      expect(wb.persons.map(person => person.displayName)).to.deep.equal(['Ann', 'Bob']);
+      expect(wb.getPerson('Bob')).to.deep.include({userId: 'Bob', providerId: 'None'});
+
+      thread.resolved = true;
+      expect(ws.getCell('B2').model.comment).to.deep.equal({
+        type: 'thread',
+        id: thread.id,
+        personId: ann.id,
+        date,
+        text: 'Is this right?',
+        resolved: true,
+        replies: [{id: reply.id, personId: wb.getPerson('Bob').id, date: reply.date, text: 'Yes'}],
+      });
+    });
+
+    it('finds the people mentioned', () => {
+      const wb = new Excel.Workbook();
+      const cell = wb.addWorksheet('sheet').getCell('A1');
+      const bob = wb.addPerson({displayName: 'Bob'});
+      cell.comments = {text: '@Bob and @Cat, please check', author: 'Ann', mentions: [bob.id, 'Cat']};
+
+      const [first, second] = cell.comments.mentions;
+      expect(first).to.deep.include({person: bob, startIndex: 0, length: 4});
+      expect(second).to.deep.include({person: wb.getPerson('Cat'), startIndex: 9, length: 4});
+      expect(() => cell.comments.addReply({text: 'Done', author: 'Bob', mentions: ['Ann']})).to.throw(/@Ann/);
+    });
+
+    it('needs an author', () => {
+      const cell = new Excel.Workbook().addWorksheet('sheet').getCell('A1');
+      expect(() => {
+        cell.comments = {text: 'Anonymous'};
+      }).to.throw(/author/);
+    });
+
+    it('has either a note or a thread', () => {
+      const cell = new Excel.Workbook().addWorksheet('sheet').getCell('A1');
+      cell.note = 'A note';
+      cell.comments = {text: 'A thread', author: 'Ann'};
+      expect(cell.note).to.be.undefined();
+      expect(cell.comments.text).to.equal('A thread');
+
+      cell.note = 'A note again';
+      expect(cell.comments).to.be.undefined();
+      cell.comments = null;
+      expect(cell.note).to.equal('A note again');
+    });
+
+    it('rebuilds threads from their model', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      ws.getCell('A1').value = 1;
+      ws.getCell('A1').comments = {text: 'Hi @Bob', author: 'Ann', mentions: ['Bob']};
+      ws.getCell('A1').comments.addReply({text: 'Hello', author: 'Bob'});
+
+      const wb2 = new Excel.Workbook();
+      wb2.model = wb.model;
+      const thread = wb2.getWorksheet('sheet').getCell('A1').comments;
+      expect(thread.model).to.deep.equal(wb.getWorksheet('sheet').getCell('A1').comments.model);
+      expect(thread.author).to.equal(wb2.getPerson('Ann'));
+      expect(thread.mentions[0].person).to.equal(wb2.getPerson('Bob'));
+    });
+  });
+
+  describe('Notes', () => {
+    it('keeps the options of notes through their model', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      const note = {texts: [{text: 'Paid monthly'}], width: 200, fillColor: {argb: 'FFFFFF00'}, visible: true};
+      ws.getCell('A1').note = note;
+      ws.getCell('A2').note = 'Plain';
+
+      const ws2 = wb.addWorksheet('copy');
+      ws2.model = {...ws.model, name: 'copy'};
+      expect(ws2.getCell('A1').note).to.deep.include(note);
+      expect(ws2.getCell('A2').note).to.equal('Plain');
+    });
+  });
+});
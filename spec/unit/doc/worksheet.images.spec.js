@@ -0,0 +1,110 @@
+const Excel = verquire('exceljs');
+
+describe('Worksheet', () => {
+  describe('Images', () => {
+    it('adds images with absolute positions', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      const image = ws.addImage(0, {pos: {x: 20, y: 10}, ext: {width: 200, height: 80}});
+
+      expect(ws.getImages()).to.deep.equal([image]);
+      expect(image.model).to.deep.equal({
+        type: 'image',
+        imageId: 0,
+        hyperlinks: undefined,
+        range: {pos: {x: 20, y: 10}, ext: {width: 200, height: 80}, editAs: 'absolute'},
+      });
+    });
+
+    it('keeps absolute images in place when rows and columns are inserted', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      const image = ws.addImage(0, {pos: {x: 20, y: 10}, ext: {width: 200, height: 80}});
+      ws.spliceRows(1, 0, ['new']);
+      ws.spliceColumns(1, 0, ['new']);
+      expect(image.range.pos).to.deep.equal({x: 20, y: 10});
+    });
+
+    it('takes the drawing options with the range', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      const image = ws.addImage(0, {
+        tl: {col: 1, row: 1},
+        ext: {width: 100, height: 100},
+        rotation: 90,
+        flipH: true,
+        crop: {left: 10, bottom: 25},
+        description: 'Company logo',
+        lockAspectRatio: false,
+      });
+
+      expect(image.rotation).to.equal(90);
+      expect(image.flipV).to.be.undefined();
+      expect(image.model).to.deep.include({
+        rotation: 90,
+        flipH: true,
+        crop: {left: 10, bottom: 25},
+        description: 'Company logo',
+        lockAspectRatio: false,
+      });
+      expect(image.model).not.to.have.property('flipV');
+    });
+
+    describe('getCellRange', () => {
+      it('gives the cells between the anchors', () => {
+        const ws = new Excel.Workbook().addWorksheet('sheet');
+        expect(ws.addImage(0, 'B2:D4').getCellRange()).to.equal('B2:D4');
+        expect(ws.addImage(0, {tl: {col: 1.5, row: 1}, br: {col: 3.25, row: 2.5}}).getCellRange()).to.equal('B2:D3');
+      });
+
+      it('measures images with sizes and positions', () => {
+        const ws = new Excel.Workbook().addWorksheet('sheet');
+        ws.getColumn(2).width = 20;
+        expect(ws.addImage(0, {tl: {col: 1, row: 1}, ext: {width: 140, height: 40}}).getCellRange()).to.equal('B2:B3');
+        expect(ws.addImage(0, {tl: {col: 1, row: 1}, ext: {width: 141, height: 41}}).getCellRange()).to.equal('B2:C4');
+        expect(ws.addImage(0, {pos: {x: 64, y: 30}, ext: {width: 150, height: 5}}).getCellRange()).to.equal('B2:C2');
+      });
+    });
+
+    describe('getImagesInRange', () => {
+      it('finds the images drawn over any of the cells', () => {
+        const ws = new Excel.Workbook().addWorksheet('sheet');
+        const photo1 = ws.addImage(0, 'B2:C3');
+        const photo2 = ws.addImage(1, {tl: {col: 1, row: 4}, ext: {width: 50, height: 10}});
+        ws.addChart({type: 'line', series: [{values: 'A1:A3'}]}, 'A1:F10');
+
+        expect(ws.getImagesInRange('C3')).to.deep.equal([photo1]);
+        expect(ws.getImagesInRange('B5')).to.deep.equal([photo2]);
+        expect(ws.getImagesInRange('A1:F10')).to.deep.equal([photo1, photo2]);
+        expect(ws.getImagesInRange('D4')).to.deep.equal([]);
+      });
+    });
+
+    describe('getPixelBox', () => {
+      it('measures ranges of default sized cells', () => {
+        const ws = new Excel.Workbook().addWorksheet('sheet');
+        const image = ws.addImage(0, 'B2:D4');
+        expect(image.getPixelBox()).to.deep.equal({x: 64, y: 20, width: 192, height: 60});
+      });
+
+      it('follows column widths and row heights', () => {
+        const ws = new Excel.Workbook().addWorksheet('sheet');
+        ws.getColumn(2).width = 20;
+        ws.getColumn(3).hidden = true;
+        ws.getRow(3).height = 30;
+        const image = ws.addImage(0, 'B2:D4');
+        expect(image.getPixelBox()).to.deep.equal({x: 64, y: 20, width: 140 + 64, height: 20 + 40 + 20});
+      });
+
+      it('uses the default column width of the sheet', () => {
+        const ws = new Excel.Workbook().addWorksheet('sheet', {properties: {defaultColWidth: 20}});
+        const image = ws.addImage(0, {tl: {col: 2, row: 0}, ext: {width: 50, height: 40}});
+        expect(image.getPixelBox()).to.deep.equal({x: 280, y: 0, width: 50, height: 40});
+      });
+
+      it('gives absolute positions as they are', () => {
+        const ws = new Excel.Workbook().addWorksheet('sheet');
+        ws.getColumn(1).width = 50;
+        const image = ws.addImage(0, {pos: {x: 20, y: 10}, ext: {width: 200, height: 80}});
+        expect(image.getPixelBox()).to.deep.equal({x: 20, y: 10, width: 200, height: 80});
+      });
+    });
+  });
+});
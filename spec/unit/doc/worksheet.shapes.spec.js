@@ -0,0 +1,46 @@
+const Excel = verquire('exceljs');
+
+describe('Worksheet', () => {
+  describe('Shapes', () => {
+    it('adds shapes anchored to a range', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      ws.addChart({type: 'line', series: [{values: 'A1:A3'}]}, 'H1:K5');
+      const shape = ws.addShape({type: 'ellipse', text: 'Why?', fill: {type: 'none'}, anchor: 'B2:D4'});
+
+      expect(ws.getShapes()).to.deep.equal([shape]);
+      expect(ws.getCharts().length).to.equal(1);
+      expect(shape.model).to.deep.equal({
+        type: 'shape',
+        shape: {type: 'ellipse', text: 'Why?', fill: {type: 'none'}},
+        range: {
+          tl: {nativeCol: 1, nativeColOff: 0, nativeRow: 1, nativeRowOff: 0},
+          br: {nativeCol: 4, nativeColOff: 0, nativeRow: 4, nativeRowOff: 0},
+          ext: undefined,
+          editAs: 'twoCell',
+        },
+      });
+    });
+
+    it('gives text boxes a fill and border', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      const shape = ws.addShape({type: 'textBox', text: 'Note', anchor: {tl: {col: 1, row: 1}, ext: {width: 100, height: 50}}});
+      expect(shape.shape.fill).to.deep.equal({type: 'solid', color: {theme: 0}});
+      expect(shape.shape.line).to.deep.equal({type: 'solid', color: {argb: 'FFBFBFBF'}, width: 0.75});
+      expect(shape.range.ext).to.deep.equal({width: 100, height: 50});
+    });
+
+    it('validates the shape', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      expect(() => ws.addShape({type: 'star', anchor: 'A1:B2'})).to.throw(/Unsupported shape type/);
+      expect(() => ws.addShape({type: 'rect'})).to.throw(/needs an anchor/);
+    });
+
+    it('moves shapes when rows are inserted', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      const shape = ws.addShape({type: 'arrow', anchor: 'B2:D4'});
+      ws.insertRow(1, []);
+      expect(shape.range.tl.nativeRow).to.equal(2);
+      expect(shape.range.br.nativeRow).to.equal(5);
+    });
+  });
+});
@@ -165,5 +165,25 @@ describe('Worksheet', () => {
         result: 4,
       });
     });
+
+    it('Fills formula given in R1C1 notation', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet();
+
+      ws.fillFormula('B2:C3', 'RC[-1]+R[-1]C+R1C1', undefined, {r1c1: true});
+      expect(ws.getCell('B2').value).to.deep.equal({
+        formula: 'A2+B1+$A$1',
+        shareType: 'shared',
+        ref: 'B2:C3',
+      });
+      expect(ws.getCell('C3').formula).to.equal('B3+C2+$A$1');
+
+      ws.fillFormula('E1:E2', 'R1C1:RC[-1]', undefined, {shareType: 'array', r1c1: true});
+      expect(ws.getCell('E1').value).to.deep.equal({
+        formula: '$A$1:D1',
+        shareType: 'array',
+        ref: 'E1:E2',
+      });
+    });
   });
 });
@@ -0,0 +1,78 @@
+const Excel = verquire('exceljs');
+
+describe('Worksheet', () => {
+  describe('Sparklines', () => {
+    it('adds a sparkline for each row of data', () => {
+      const ws = new Excel.Workbook().addWorksheet('My Data');
+      const group = ws.addSparklineGroup({dataRange: 'A1:E3', locationRange: 'F1:F3', markers: true});
+
+      expect(ws.sparklineGroups).to.deep.equal([group]);
+      expect(group.type).to.equal('line');
+      expect(group.markers).to.equal(true);
+      expect(group.colors.series).to.deep.equal({theme: 4, tint: -0.499984740745262});
+      expect(group.sparklines).to.deep.equal([
+        {data: '\'My Data\'!A1:E1', location: 'F1'},
+        {data: '\'My Data\'!A2:E2', location: 'F2'},
+        {data: '\'My Data\'!A3:E3', location: 'F3'},
+      ]);
+    });
+
+    it('adds a sparkline for each column of data', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      const group = ws.addSparklineGroup({type: 'column', dataRange: 'Other!A1:B5', locationRange: 'A6:B6'});
+      expect(group.sparklines).to.deep.equal([
+        {data: 'Other!A1:A5', location: 'A6'},
+        {data: 'Other!B1:B5', location: 'B6'},
+      ]);
+    });
+
+    it('takes the sparklines as given', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      const group = ws.addSparklineGroup({
+        type: 'winLoss',
+        sparklines: [{data: 'A1:A5', location: 'C1'}],
+        colors: {negative: {argb: 'FFFF0000'}},
+        axis: {dateRange: 'B1:B5'},
+      });
+      expect(group.sparklines).to.deep.equal([{data: 'sheet!A1:A5', location: 'C1'}]);
+      expect(group.colors.negative).to.deep.equal({argb: 'FFFF0000'});
+      expect(group.axis).to.deep.equal({dateRange: 'sheet!B1:B5'});
+    });
+
+    it('validates the sparkline group', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      expect(() => ws.addSparklineGroup({type: 'pie', dataRange: 'A1:E1', locationRange: 'F1'})).to.throw(
+        /Unsupported sparkline type/
+      );
+      expect(() => ws.addSparklineGroup({dataRange: 'A1:E1', locationRange: 'F1:G2'})).to.throw(
+        /single row or column/
+      );
+      expect(() => ws.addSparklineGroup({dataRange: 'A1:E3', locationRange: 'F1:F2'})).to.throw(
+        /row or column for each cell/
+      );
+      expect(() => ws.addSparklineGroup({type: 'line'})).to.throw(/needs a dataRange/);
+    });
+
+    it('removes sparkline groups', () => {
+      const ws = new Excel.Workbook().addWorksheet('sheet');
+      ws.addSparklineGroup({dataRange: 'A1:E1', locationRange: 'F1'});
+      ws.addSparklineGroup({type: 'column', dataRange: 'A2:E2', locationRange: 'F2'});
+      ws.removeSparklineGroup(group => group.type !== 'column');
+      expect(ws.sparklineGroups.map(group => group.type)).to.deep.equal(['line']);
+      ws.removeSparklineGroup(0);
+      expect(ws.sparklineGroups).to.deep.equal([]);
+    });
+
+    it('follows renamed sheets', () => {
+      const wb = new Excel.Workbook();
+      const data = wb.addWorksheet('data');
+      const summary = wb.addWorksheet('summary');
+      const group = summary.addSparklineGroup({dataRange: 'data!A1:E2', locationRange: 'A1:A2'});
+      data.name = 'Sales Data';
+      expect(group.sparklines.map(sparkline => sparkline.data)).to.deep.equal([
+        '\'Sales Data\'!A1:E1',
+        '\'Sales Data\'!A2:E2',
+      ]);
+    });
+  });
+});
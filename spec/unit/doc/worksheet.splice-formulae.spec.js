@@ -0,0 +1,143 @@
+const Excel = verquire('exceljs');
+
+describe('Worksheet', () => {
+  describe('Splicing Formulae', () => {
+    function createWorkbook() {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('My Sheet');
+      for (let i = 1; i <= 5; i++) {
+        ws.getCell(`A${i}`).value = i;
+      }
+      ws.getCell('A6').value = {formula: 'SUM(A1:A5)', result: 15};
+      ws.getCell('B6').value = {formula: 'A5/A6', result: 1 / 3};
+      const other = wb.addWorksheet('Other');
+      other.getCell('A1').value = {formula: '\'My Sheet\'!A6+A6', result: 15};
+      return wb;
+    }
+
+    it('rewrites formulae when rows are inserted', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('My Sheet');
+      ws.insertRow(3, [100]);
+
+      expect(ws.getCell('A7').value).to.deep.equal({formula: 'SUM(A1:A6)', result: 15});
+      expect(ws.getCell('B7').formula).to.equal('A6/A7');
+      expect(wb.getWorksheet('Other').getCell('A1').formula).to.equal('\'My Sheet\'!A7+A6');
+
+      wb.calculate();
+      expect(ws.getCell('A7').result).to.equal(115);
+    });
+
+    it('rewrites formulae when rows are deleted', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('My Sheet');
+      ws.spliceRows(5, 1);
+
+      expect(ws.getCell('A5').formula).to.equal('SUM(A1:A4)');
+      expect(ws.getCell('B5').formula).to.equal('#REF!/A5');
+    });
+
+    it('rewrites formulae when columns are spliced', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('My Sheet');
+      ws.getCell('D1').value = {formula: 'SUM(A1:C1)'};
+      ws.spliceColumns(2, 0, [], []);
+
+      expect(ws.getCell('D6').formula).to.equal('A5/A6');
+      expect(ws.getCell('F1').formula).to.equal('SUM(A1:E1)');
+      expect(wb.getWorksheet('Other').getCell('A1').formula).to.equal('\'My Sheet\'!A6+A6');
+
+      ws.spliceColumns(1, 1);
+      expect(ws.getCell('C6').formula).to.equal('#REF!/#REF!');
+      expect(wb.getWorksheet('Other').getCell('A1').formula).to.equal('#REF!+A6');
+    });
+
+    it('keeps shared formulae consistent', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('My Sheet');
+      ws.fillFormula('C1:C5', 'A1*2', [2, 4, 6, 8, 10]);
+      ws.getCell('D2').value = {formula: 'A1'};
+      ws.fillFormula('D3:D5', 'A2', [2, 3, 4]);
+
+      ws.insertRow(3, []);
+
+      expect(ws.getCell('C1').value).to.deep.equal({
+        formula: 'A1*2',
+        result: 2,
+        shareType: 'shared',
+        ref: 'C1:C6',
+      });
+      expect(ws.getCell('C4').value).to.deep.equal({sharedFormula: 'C1', result: 6});
+      expect(ws.getCell('C4').formula).to.equal('A4*2');
+      expect(ws.getCell('C6').formula).to.equal('A6*2');
+
+      // the clones referred to rows that have been pushed apart from the master's reference
+      expect(ws.getCell('D4').formula).to.equal('A2');
+      expect(ws.getCell('D5').value).to.deep.equal({formula: 'A4', result: 3});
+      expect(ws.getCell('D6').value).to.deep.equal({formula: 'A5', result: 4});
+    });
+
+    it('moves the clones of shared formulae once when rows are inserted above them', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('Sheet1');
+      ws.getColumn(1).values = [1, 2, 3];
+      ws.getCell('B1').value = {formula: 'A1*2', shareType: 'shared', ref: 'B1:B3'};
+      ws.getCell('B2').value = {sharedFormula: 'B1'};
+      ws.getCell('B3').value = {sharedFormula: 'B1'};
+
+      ws.spliceRows(1, 0, []);
+
+      expect(ws.getCell('B2').value).to.deep.include({formula: 'A2*2', ref: 'B2:B4'});
+      expect(ws.getCell('B3').formula).to.equal('A3*2');
+      expect(ws.getCell('B4').formula).to.equal('A4*2');
+    });
+
+    it('changes nothing when a formula that needs rewriting cannot be read', () => {
+      const wb = new Excel.Workbook();
+      const a = wb.addWorksheet('A');
+      a.getCell('A1').value = 1;
+      a.getCell('A5').value = {formula: 'A1*2', result: 2};
+      a.getCell('B5').value = {text: 'First', hyperlink: '#A!A1'};
+      a.addConditionalFormatting({
+        ref: 'A1:A3',
+        rules: [{type: 'expression', formulae: ['A1>0']}],
+      });
+      a.pageSetup.printArea = 'A1:B5';
+      const b = wb.addWorksheet('B');
+      b.getCell('A1').value = {formula: 'A!A1&"x'};
+
+      expect(() => a.spliceRows(1, 0, [])).to.throw();
+
+      expect(a.getCell('A1').value).to.equal(1);
+      expect(a.getCell('A5').formula).to.equal('A1*2');
+      expect(a.getCell('B5').hyperlink).to.equal('#A!A1');
+      expect(a.conditionalFormattings[0].ref).to.equal('A1:A3');
+      expect(a.conditionalFormattings[0].rules[0].formulae).to.deep.equal(['A1>0']);
+      expect(a.pageSetup.printArea).to.equal('A1:B5');
+      expect(b.getCell('A1').formula).to.equal('A!A1&"x');
+    });
+
+    it('unshares formulae whose master is deleted', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('My Sheet');
+      ws.fillFormula('C1:C3', 'A1*2', [2, 4, 6]);
+
+      ws.spliceRows(1, 1);
+
+      expect(ws.getCell('C1').value).to.deep.equal({formula: 'A1*2', result: 4});
+      expect(ws.getCell('C2').value).to.deep.equal({formula: 'A2*2', result: 6});
+    });
+
+    it('translates formulae of duplicated rows', () => {
+      const wb = createWorkbook();
+      const ws = wb.getWorksheet('My Sheet');
+      ws.getCell('B2').value = {formula: 'A2*2', result: 4};
+
+      ws.duplicateRow(2, 2, true);
+
+      expect(ws.getCell('B3').value).to.deep.equal({formula: 'A3*2', result: 4});
+      expect(ws.getCell('B4').value).to.deep.equal({formula: 'A4*2', result: 4});
+      expect(ws.getCell('A8').formula).to.equal('SUM(A1:A7)');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const Excel = verquire('exceljs');
+
+describe('Worksheet', () => {
+  describe('Splicing Features', () => {
+    it('moves, expands and removes merges', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      ws.getCell('A2').value = 'merged';
+      ws.mergeCells('A2:B4');
+      ws.getCell('B2').border = {top: {style: 'thin'}};
+      ws.mergeCells('D5:E5');
+      ws.mergeCells('A8:C8');
+
+      ws.insertRow(1, ['new']);
+      ws.spliceRows(4, 0, ['inside']);
+      ws.spliceRows(10, 1);
+
+      expect(Object.values(ws._merges).map(merge => merge.range)).to.have.members(['A3:B6', 'D7:E7']);
+      expect(ws.getCell('A3').value).to.equal('merged');
+      expect(ws.getCell('B6').isMergedTo(ws.getCell('A3'))).to.be.true();
+      expect(ws.getCell('B3').border).to.deep.equal({top: {style: 'thin'}});
+      expect(ws.getCell('A10').type).to.equal(Excel.ValueType.Null);
+    });
+
+    it('shrinks merges when columns are deleted', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      ws.getCell('B1').value = 'merged';
+      ws.mergeCells('B1:D2');
+
+      ws.spliceColumns(1, 2);
+
+      expect(Object.values(ws._merges).map(merge => merge.range)).to.deep.equal(['A1:B2']);
+      expect(ws.getCell('A1').value).to.equal(null);
+      expect(ws.getCell('B2').isMergedTo(ws.getCell('A1'))).to.be.true();
+    });
+
+    it('moves conditional formatting ranges and rule formulae', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      ws.addConditionalFormatting({
+        ref: 'A2:A10 C2:C10',
+        rules: [{type: 'expression', formulae: ['A2>$E$1'], style: {}}],
+      });
+      ws.addConditionalFormatting({
+        ref: 'B2:B3',
+        rules: [{type: 'expression', formulae: ['B2>0'], style: {}}],
+      });
+
+      ws.spliceRows(2, 2);
+
+      expect(ws.conditionalFormattings.map(cf => cf.ref)).to.deep.equal(['A2:A8 C2:C8']);
+      expect(ws.conditionalFormattings[0].rules[0].formulae).to.deep.equal(['A2>$E$1']);
+
+      ws.insertRow(1, []);
+      expect(ws.conditionalFormattings[0].ref).to.equal('A3:A9 C3:C9');
+      expect(ws.conditionalFormattings[0].rules[0].formulae).to.deep.equal(['A3>$E$2']);
+    });
+
+    it('moves data validations', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      const other = wb.addWorksheet('other');
+      const validation = {type: 'list', allowBlank: true, formulae: ['$D$1:$D$5']};
+      ws.getCell('A1').dataValidation = validation;
+      ws.getCell('A2').dataValidation = validation;
+      ws.getCell('A3').dataValidation = validation;
+      other.getCell('A1').dataValidation = {type: 'list', formulae: ['sheet!$D$1:$D$5']};
+
+      ws.spliceRows(2, 1);
+      ws.spliceColumns(1, 0, []);
+
+      expect(Object.keys(ws.dataValidations.model)).to.have.members(['B1', 'B2']);
+      expect(ws.getCell('B2').dataValidation.formulae).to.deep.equal(['$E$1:$E$4']);
+      expect(other.getCell('A1').dataValidation.formulae).to.deep.equal(['sheet!$E$1:$E$4']);
+    });
+
+    it('resizes tables', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      ws.addTable({
+        name: 'Sales',
+        ref: 'B2',
+        columns: [{name: 'Item'}, {name: 'Qty'}],
+        rows: [
+          ['a', 1],
+          ['b', 2],
+          ['c', 3],
+        ],
+      });
+
+      ws.spliceRows(4, 1);
+      ws.insertRow(1, []);
+      ws.spliceColumns(3, 0, ['', '', 'Price', 10, 30]);
+
+      const table = ws.getTable('Sales');
+      expect(table.model.tableRef).to.equal('B3:D5');
+      expect(table.model.autoFilterRef).to.equal('B3:D5');
+      expect(table.ref).to.equal('B3');
+      expect(table.model.columns.map(column => column.name)).to.deep.equal(['Item', 'Price', 'Qty']);
+      expect(table.model.rows).to.deep.equal([
+        ['a', 10, 1],
+        ['c', 30, 3],
+      ]);
+
+      ws.spliceRows(3, 1);
+      expect(ws.getTable('Sales')).to.be.undefined();
+    });
+
+    it('moves the auto filter, row breaks and print settings', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      ws.autoFilter = {from: 'A2', to: {row: 2, column: 4}};
+      ws.getRow(5).addPageBreak();
+      ws.getRow(8).addPageBreak();
+      ws.pageSetup.printArea = 'A1:D10&&F1:F1';
+      ws.pageSetup.printTitlesRow = '2:2';
+
+      ws.spliceRows(1, 1);
+      ws.spliceRows(7, 1);
+
+      expect(ws.autoFilter).to.deep.equal({from: 'A1', to: {row: 1, column: 4}});
+      expect(ws.rowBreaks.map(rowBreak => rowBreak.id)).to.deep.equal([4]);
+      expect(ws.pageSetup.printArea).to.equal('A1:D8');
+      expect(ws.pageSetup.printTitlesRow).to.equal('1:1');
+
+      ws.autoFilter = 'B1:C5';
+      ws.getCell('B1').value = 'Filter';
+      ws.spliceColumns(1, 1);
+      expect(ws.autoFilter).to.equal('A1:B5');
+    });
+
+    it('moves images with their cells', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      const imageId = wb.addImage({buffer: Buffer.from(''), extension: 'png'});
+      ws.addImage(imageId, {tl: {col: 1, row: 1}, br: {col: 3, row: 5}});
+      ws.addImage(imageId, {tl: {col: 1, row: 3}, ext: {width: 10, height: 10}});
+      ws.addImage(imageId, {tl: {col: 1, row: 1}, br: {col: 2, row: 2}, editAs: 'absolute'});
+      ws.addImage(imageId, {tl: {col: 0, row: 9}, br: {col: 1, row: 10}});
+
+      ws.insertRows(3, [[], []]);
+      ws.spliceRows(12, 1);
+
+      const [twoCell, oneCell, absolute] = ws.getImages().map(image => image.range);
+      expect(ws.getImages().length).to.equal(3);
+      expect([twoCell.tl.nativeRow, twoCell.br.nativeRow]).to.deep.equal([1, 7]);
+      expect(oneCell.tl.nativeRow).to.equal(5);
+      expect([absolute.tl.nativeRow, absolute.br.nativeRow]).to.deep.equal([1, 2]);
+    });
+
+    it('moves notes and internal hyperlinks', () => {
+      const wb = new Excel.Workbook();
+      const ws = wb.addWorksheet('sheet');
+      const other = wb.addWorksheet('other');
+      ws.getCell('A3').value = 'target';
+      ws.getCell('A3').note = 'a note';
+      ws.getCell('B1').value = {text: 'link', hyperlink: '#A3'};
+      other.getCell('A1').value = {text: 'link', hyperlink: '#sheet!A3'};
+
+      ws.insertRow(2, []);
+
+      expect(ws.getCell('A4').note).to.equal('a note');
+      expect(ws.getCell('A3').note).to.be.undefined();
+      expect(ws.getCell('B1').hyperlink).to.equal('#A4');
+      expect(other.getCell('A1').hyperlink).to.equal('#sheet!A4');
+    });
+  });
+});
@@ -0,0 +1,315 @@
+const {
+  tokenize,
+  parse,
+  quoteSheetName,
+  formatReference,
+  getReferences,
+  replaceReferences,
+} = verquire('utils/formula-parser');
+
+describe('formula-parser', () => {
+  describe('tokenize', () => {
+    it('tokenizes operators, literals and references', () => {
+      const tokens = tokenize('=SUM(A1:B2,"a""b",#N/A)>=1.5e2');
+      expect(tokens.map(t => t.type)).to.deep.equal([
+        'function',
+        '(',
+        'range',
+        ',',
+        'string',
+        ',',
+        'error',
+        ')',
+        'operator',
+        'number',
+      ]);
+      expect(tokens[4].value).to.equal('a"b');
+      expect(tokens[8].value).to.equal('>=');
+      expect(tokens[9].value).to.equal(150);
+    });
+
+    it('records the position of each token', () => {
+      const tokens = tokenize('=A1 + \'My Sheet\'!B2');
+      expect(tokens.map(t => [t.start, t.end])).to.deep.equal([
+        [1, 3],
+        [4, 5],
+        [6, 19],
+      ]);
+    });
+
+    it('tells the spill operator from error literals', () => {
+      expect(tokenize('A1#+#N/A').map(t => [t.type, t.value.type || t.value])).to.deep.equal([
+        ['cell', 'cell'],
+        ['operator', '#'],
+        ['operator', '+'],
+        ['error', '#N/A'],
+      ]);
+    });
+
+    it('throws on unterminated strings', () => {
+      expect(() => tokenize('"abc')).to.throw(/unterminated string/);
+    });
+  });
+
+  describe('parse', () => {
+    it('parses cell references', () => {
+      expect(parse('$B$3')).to.deep.equal({
+        type: 'cell',
+        address: 'B3',
+        col: 2,
+        row: 3,
+        colAbsolute: true,
+        rowAbsolute: true,
+      });
+    });
+
+    it('parses sheet qualified references', () => {
+      const node = parse('\'My \'\'Sheet\'\'\'!A1:B2');
+      expect(node.type).to.equal('range');
+      expect(node.sheetName).to.equal('My \'Sheet\'');
+      expect(node.tl.address).to.equal('A1');
+      expect(node.br.address).to.equal('B2');
+
+      expect(parse('Sheet1!C5').sheetName).to.equal('Sheet1');
+    });
+
+    it('distinguishes names, booleans and cells', () => {
+      expect(parse('TRUE')).to.deep.equal({type: 'boolean', value: true});
+      expect(parse('Total')).to.deep.equal({type: 'name', name: 'Total'});
+      expect(parse('XFE1')).to.deep.equal({type: 'name', name: 'XFE1'});
+    });
+
+    it('respects operator precedence', () => {
+      const node = parse('1+2*3^2');
+      expect(node.operator).to.equal('+');
+      expect(node.right.operator).to.equal('*');
+      expect(node.right.right.operator).to.equal('^');
+    });
+
+    it('binds unary minus tighter than exponent', () => {
+      const node = parse('-2^2');
+      expect(node.operator).to.equal('^');
+      expect(node.left).to.deep.equal({
+        type: 'unary',
+        operator: '-',
+        operand: {type: 'number', value: 2},
+      });
+    });
+
+    it('parses percent as a postfix operator', () => {
+      expect(parse('50%')).to.deep.equal({
+        type: 'unary',
+        operator: '%',
+        operand: {type: 'number', value: 50},
+      });
+    });
+
+    it('parses missing function arguments', () => {
+      const node = parse('IF(A1,,2)');
+      expect(node.type).to.equal('function');
+      expect(node.args.map(arg => arg.type)).to.deep.equal(['cell', 'missing', 'number']);
+    });
+
+    it('parses array constants', () => {
+      const node = parse('{1,-2;"a",TRUE}');
+      expect(node).to.deep.equal({
+        type: 'array',
+        rows: [
+          [
+            {type: 'number', value: 1},
+            {type: 'number', value: -2},
+          ],
+          [
+            {type: 'string', value: 'a'},
+            {type: 'boolean', value: true},
+          ],
+        ],
+      });
+    });
+
+    it('parses whole column and row ranges', () => {
+      expect(parse('$A:C')).to.deep.equal({
+        type: 'range',
+        tl: {type: 'column', col: 1, colAbsolute: true},
+        br: {type: 'column', col: 3, colAbsolute: false},
+      });
+      expect(parse('Sheet1!2:$5')).to.deep.equal({
+        type: 'range',
+        sheetName: 'Sheet1',
+        tl: {type: 'row', row: 2, rowAbsolute: false},
+        br: {type: 'row', row: 5, rowAbsolute: true},
+      });
+    });
+
+    it('parses sheet qualified names', () => {
+      expect(parse('Sheet1!Total')).to.deep.equal({type: 'name', sheetName: 'Sheet1', name: 'Total'});
+      expect(parse('\'2019\'!Rate').sheetName).to.equal('2019');
+    });
+
+    it('parses structured references', () => {
+      expect(parse('Sales[Amount]')).to.deep.equal({
+        type: 'structured',
+        table: 'Sales',
+        specifiers: [],
+        columns: ['Amount'],
+      });
+      expect(parse('Sales[[#Headers],[#Data],[Jan]:[Mar]]')).to.deep.equal({
+        type: 'structured',
+        table: 'Sales',
+        specifiers: ['#Headers', '#Data'],
+        columns: ['Jan', 'Mar'],
+      });
+      expect(parse('[@[Unit Price]]')).to.deep.equal({
+        type: 'structured',
+        table: undefined,
+        specifiers: ['#This Row'],
+        columns: ['Unit Price'],
+      });
+      expect(parse('Sales[#this row]').specifiers).to.deep.equal(['#This Row']);
+      expect(parse('Sales[Price \'[USD\']]').columns).to.deep.equal(['Price [USD]']);
+      expect(parse('Sales[]').columns).to.deep.equal([]);
+    });
+
+    it('parses the range, intersection and union operators', () => {
+      const cell = address => parse(address);
+      expect(parse('A1:INDEX(B:B,3)')).to.deep.equal({
+        type: 'binary',
+        operator: ':',
+        left: cell('A1'),
+        right: {type: 'function', name: 'INDEX', args: [parse('B:B'), {type: 'number', value: 3}]},
+      });
+      expect(parse('A1:B2:C3')).to.deep.equal({type: 'binary', operator: ':', left: parse('A1:B2'), right: cell('C3')});
+      expect(parse('SUM(A1:C3 B2:D4)').args[0]).to.deep.equal({
+        type: 'binary',
+        operator: ' ',
+        left: parse('A1:C3'),
+        right: parse('B2:D4'),
+      });
+      expect(parse('SUM((A1,B1),C1)').args).to.deep.equal([
+        {type: 'binary', operator: ',', left: cell('A1'), right: cell('B1')},
+        cell('C1'),
+      ]);
+    });
+
+    it('parses spill references and implicit intersections', () => {
+      expect(parse('A1#*2')).to.deep.equal({
+        type: 'binary',
+        operator: '*',
+        left: {type: 'unary', operator: '#', operand: parse('A1')},
+        right: {type: 'number', value: 2},
+      });
+      expect(parse('Sheet1!Totals#')).to.deep.equal({type: 'unary', operator: '#', operand: parse('Sheet1!Totals')});
+      expect(parse('@A1:A10')).to.deep.equal({type: 'unary', operator: '@', operand: parse('A1:A10')});
+      expect(parse('A1:B1#')).to.deep.equal({
+        type: 'binary',
+        operator: ':',
+        left: parse('A1'),
+        right: {type: 'unary', operator: '#', operand: parse('B1')},
+      });
+    });
+
+    it('parses 3D references', () => {
+      expect(parse('Sheet1:Sheet3!A1')).to.deep.equal({
+        type: 'cell',
+        sheetName: 'Sheet1',
+        lastSheetName: 'Sheet3',
+        address: 'A1',
+        col: 1,
+        row: 1,
+        colAbsolute: false,
+        rowAbsolute: false,
+      });
+      const range = parse('\'Jan 2020:Mar 2020\'!A1:B2');
+      expect([range.type, range.sheetName, range.lastSheetName]).to.deep.equal(['range', 'Jan 2020', 'Mar 2020']);
+      expect(() => parse('Sheet1:Sheet3!Rate')).to.throw(/Invalid formula/);
+    });
+
+    it('parses references to other workbooks', () => {
+      expect(parse('[1]Sheet1!A1')).to.deep.equal({
+        type: 'cell',
+        workbook: '1',
+        sheetName: 'Sheet1',
+        address: 'A1',
+        col: 1,
+        row: 1,
+        colAbsolute: false,
+        rowAbsolute: false,
+      });
+      const range = parse('\'[2]My Sheet\'!$A$1:B2');
+      expect([range.type, range.workbook, range.sheetName]).to.deep.equal(['range', '2', 'My Sheet']);
+      expect(parse('[1]!Total')).to.deep.equal({type: 'name', workbook: '1', name: 'Total'});
+      expect(parse('SUM([1]Sheet1:Sheet3!A1)').args[0]).to.deep.include({
+        workbook: '1',
+        sheetName: 'Sheet1',
+        lastSheetName: 'Sheet3',
+      });
+      // table columns are still table columns
+      expect(parse('[Qty]*2').left).to.deep.include({type: 'structured', columns: ['Qty']});
+    });
+
+    it('throws on invalid formulae', () => {
+      expect(() => parse('SUM(1,2')).to.throw(/Invalid formula/);
+      expect(() => parse('1+')).to.throw(/Invalid formula/);
+      expect(() => parse('')).to.throw(/Invalid formula/);
+    });
+
+    it('quotes the text of the unexpected token', () => {
+      expect(() => parse('1 A1')).to.throw('Invalid formula "1 A1": unexpected \'A1\'');
+      expect(() => parse('1+SUM(2) 3')).to.throw('unexpected \'3\'');
+      expect(() => parse('1 SUM(2)')).to.throw('unexpected \'SUM\'');
+    });
+  });
+
+  describe('references', () => {
+    const formula = '=SUM(\'My Sheet\'!$A$1:B2, A:A) + Rate * Sales[@Qty] + 1';
+
+    it('lists the references of a formula', () => {
+      const references = getReferences(formula);
+      expect(references.map(r => r.text)).to.deep.equal([
+        '\'My Sheet\'!$A$1:B2',
+        'A:A',
+        'Rate',
+        'Sales[@Qty]',
+      ]);
+      expect(references.map(r => r.node.type)).to.deep.equal(['range', 'range', 'name', 'structured']);
+    });
+
+    it('formats references', () => {
+      const format = text => formatReference(parse(text));
+      expect(format('$a$1')).to.equal('$A$1');
+      expect(format('\'My Sheet\'!B2:C$3')).to.equal('\'My Sheet\'!B2:C$3');
+      expect(format('\'Sheet1\'!$B:$B')).to.equal('Sheet1!$B:$B');
+      expect(format('Sales[[#Totals],[Qty]]')).to.equal('Sales[[#Totals],[Qty]]');
+      expect(format('Sales[Qty]')).to.equal('Sales[Qty]');
+      expect(format('Sales[[Jan]:[Mar]]')).to.equal('Sales[[Jan]:[Mar]]');
+      expect(format('\'sheet1:Sheet3\'!A1')).to.equal('sheet1:Sheet3!A1');
+      expect(format('\'Jan 2020:Mar 2020\'!A1:B2')).to.equal('\'Jan 2020:Mar 2020\'!A1:B2');
+      expect(format('\'[1]Sheet1\'!A1')).to.equal('[1]Sheet1!A1');
+      expect(format('[1]Sheet1:Sheet3!A1')).to.equal('[1]Sheet1:Sheet3!A1');
+      expect(format('\'[2]Bob\'\'s\'!A1:B2')).to.equal('\'[2]Bob\'\'s\'!A1:B2');
+      expect(format('[1]!Total')).to.equal('[1]!Total');
+    });
+
+    it('quotes sheet names when needed', () => {
+      expect(quoteSheetName('Sheet1')).to.equal('Sheet1');
+      expect(quoteSheetName('My Sheet')).to.equal('\'My Sheet\'');
+      expect(quoteSheetName('Bob\'s')).to.equal('\'Bob\'\'s\'');
+      expect(quoteSheetName('A1')).to.equal('\'A1\'');
+      expect(quoteSheetName('2019')).to.equal('\'2019\'');
+      expect(quoteSheetName('R1C1')).to.equal('\'R1C1\'');
+    });
+
+    it('replaces references leaving the rest of the formula untouched', () => {
+      const result = replaceReferences(formula, node => {
+        if (node.type === 'name') {
+          return 'Other!$Z$1';
+        }
+        if (node.type === 'range' && node.sheetName) {
+          return Object.assign({}, node, {sheetName: 'Renamed'});
+        }
+        return undefined;
+      });
+      expect(result).to.equal('=SUM(Renamed!$A$1:B2, A:A) + Other!$Z$1 * Sales[@Qty] + 1');
+    });
+  });
+});
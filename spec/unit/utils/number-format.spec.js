@@ -0,0 +1,108 @@
+const NumberFormat = verquire('utils/number-format');
+
+// [format, value, text]
+const check = cases => {
+  cases.forEach(([format, value, text]) => {
+    expect(NumberFormat.format(format, value), `${format} ${value}`).to.equal(text);
+  });
+};
+
+describe('NumberFormat', () => {
+  it('shows numbers in the General format in up to 11 characters', () => {
+    check([
+      [undefined, 1234.5, '1234.5'],
+      ['General', 1 / 3, '0.333333333'],
+      ['General', 0.1 + 0.2, '0.3'],
+      ['General', -12345678901, '-12345678901'],
+      ['General', 123456789012, '1.23457E+11'],
+      ['General', 0.000000012345, '1.2345E-08'],
+    ]);
+  });
+
+  it('shows digits, decimals and thousands', () => {
+    check([
+      ['0', 1234.5, '1235'],
+      ['0.00', 1.005, '1.01'],
+      ['#,##0', 1234567.891, '1,234,568'],
+      ['#,##0.00', -1234.5, '-1,234.50'],
+      ['#,##0', 0, '0'],
+      ['#.##', 12, '12.'],
+      ['.00', 12.5, '12.50'],
+      ['0.0?', 1.5, '1.5 '],
+      ['#,##0,"K"', 12345, '12K'],
+      ['0.0,,"M"', 12345678, '12.3M'],
+      ['000-00-0000', 123456789, '123-45-6789'],
+      ['(###) ###-####', 5551234567, '(555) 123-4567'],
+      ['$#,##0.00', -3.5, '-$3.50'],
+      ['"Total: "0', 7, 'Total: 7'],
+      ['0_);(0)', 5, '5 '],
+    ]);
+  });
+
+  it('shows percentages, scientific numbers and fractions', () => {
+    check([
+      ['0%', 0.256, '26%'],
+      ['0.00%', 0.07, '7.00%'],
+      ['0.00E+00', 12345.678, '1.23E+04'],
+      ['0.00E+00', 0.00012, '1.20E-04'],
+      ['0.00E-00', 12345, '1.23E04'],
+      ['##0.0E+0', 12345, '12.3E+3'],
+      ['# ?/?', 1.5, '1 1/2'],
+      ['# ??/??', 3.1875, '3  3/16'],
+      ['# ?/?', 2, '2    '],
+      ['?/8', 0.375, '3/8'],
+      ['0/100', 0.25, '25/100'],
+    ]);
+  });
+
+  it('picks the section of the format for the value', () => {
+    check([
+      ['#,##0 ;(#,##0)', -1234, '(1,234)'],
+      ['0;-0;"zero";"text: "@', 0, 'zero'],
+      ['0;-0;"zero";"text: "@', 'abc', 'text: abc'],
+      ['0;;', -5, ''],
+      ['[<=100]"low";[>100]"high"', 150, 'high'],
+      ['[>=1000]#,##0,"K";0', 12345, '12K'],
+      ['[>=1000]#,##0,"K";0', 999, '999'],
+      ['@', 12, '12'],
+      ['0.00', 'text', 'text'],
+      ['0.00', true, 'TRUE'],
+    ]);
+  });
+
+  it('gives the colour of the section', () => {
+    const format = NumberFormat.get('#,##0.00 ;[Red](#,##0.00)');
+    expect(format.render(-5)).to.deep.equal({text: '(5.00)', color: 'Red'});
+    expect(format.render(5).color).to.be.undefined();
+  });
+
+  it('shows dates and times', () => {
+    check([
+      ['dd-mmm-yyyy', 45352, '01-Mar-2024'],
+      ['dddd, mmmm d, yyyy', 45352, 'Friday, March 1, 2024'],
+      ['mmmmm yy', 45352, 'M 24'],
+      ['yyyy-mm-dd hh:mm', 45352.3958333, '2024-03-01 09:30'],
+      ['h:mm AM/PM', 0.75, '6:00 PM'],
+      ['h:mm:ss a/p', 0.5123, '12:17:43 p'],
+      ['mm:ss.0', 0.000123, '00:10.6'],
+      ['[h]:mm:ss', 1.5, '36:00:00'],
+      ['[mm]:ss', 0.1, '144:00'],
+      ['d-mmm', 60, '29-Feb'],
+      ['[$-409]mmmm', 45352, 'March'],
+      ['yyyy-mm-dd', -1, '###########'],
+    ]);
+    expect(NumberFormat.format('yyyy-mm-dd', new Date(Date.UTC(2024, 2, 1)))).to.equal('2024-03-01');
+    expect(NumberFormat.format('yyyy-mm-dd', 43890, {date1904: true})).to.equal('2024-03-01');
+  });
+
+  it('shows currencies and the built-in formats', () => {
+    check([
+      ['[$€-407]#,##0.00', 12.3, '€12.30'],
+      [4, 1234.5, '1,234.50'],
+      [14, 45352, '3/1/2024'],
+      [22, 45352.5, '3/1/2024 12:00'],
+      [46, 1.25, '30:00:00'],
+    ]);
+    expect(NumberFormat.format(31, 45352, {locale: 'ja-jp'})).to.equal('2024年3月1日');
+  });
+});
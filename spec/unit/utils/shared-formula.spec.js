@@ -1,4 +1,4 @@
-const {slideFormula} = verquire('utils/shared-formula');
+const {slideFormula, toR1C1, fromR1C1} = verquire('utils/shared-formula');
 
 describe('shared-formula', () => {
   describe('slideFormula', () => {
@@ -12,11 +12,78 @@ describe('shared-formula', () => {
       {args: ['$A1+A1', 'A2', 'B2'], result: '$A1+B1'},
       {args: ['A$1+A1', 'A2', 'A3'], result: 'A$1+A2'},
       {args: ['A$1+A1', 'A2', 'B2'], result: 'B$1+B1'},
+      {args: ['\'My Sheet\'!A1*2', 'A2', 'B3'], result: '\'My Sheet\'!B2*2'},
+      {args: ['SUM(A:A)+SUM($1:1)', 'A2', 'B3'], result: 'SUM(B:B)+SUM($1:2)'},
+      {args: ['VLOOKUP(A1,Rates,2,FALSE)', 'B1', 'B2'], result: 'VLOOKUP(A2,Rates,2,FALSE)'},
+      {args: ['LOG10(A1)&"A1"', 'B1', 'B2'], result: 'LOG10(A2)&"A1"'},
+      {args: ['Sales[@Qty]*A1', 'B1', 'B2'], result: 'Sales[@Qty]*A2'},
+      {args: ['A1+1', 'A2', 'A1'], result: '#REF!+1'},
+      {args: ['SUM(A1:INDEX(B:B,3))', 'A1', 'A2'], result: 'SUM(A2:INDEX(B:B,3))'},
+      {args: ['A1#*2', 'A1', 'A2'], result: 'A2#*2'},
+      {args: ['SUM(Sheet1:Sheet3!A1)', 'B1', 'B2'], result: 'SUM(Sheet1:Sheet3!A2)'},
+      {args: ['SUM((A1,B1))', 'C1', 'C2'], result: 'SUM((A2,B2))'},
+      {args: ['SUM(A1:B2:C3)', 'D1', 'E1'], result: 'SUM(B1:C2:D3)'},
+      {args: ['@A1:A10', 'B1', 'C1'], result: '@B1:B10'},
+      {args: ['SUM(A1:B2 B1:C3)', 'D1', 'D2'], result: 'SUM(A2:B3 B2:C4)'},
     ];
     expectations.forEach(({args, result}) => {
       it(`${args[0]} from ${args[1]} to ${args[2]}`, () => {
         expect(slideFormula(...args)).to.equal(result);
       });
     });
+
+    it('throws on formulae it cannot read', () => {
+      expect(() => slideFormula('A1&"oops', 'A1', 'A2')).to.throw(/Invalid formula/);
+    });
+  });
+
+  describe('toR1C1', () => {
+    const expectations = [
+      {args: ['A1+1', 'B2'], result: 'R[-1]C[-1]+1'},
+      {args: ['B2*2', 'B2'], result: 'RC*2'},
+      {args: ['SUM($A$1:B3)*$C1', 'C3'], result: 'SUM(R1C1:RC[-1])*R[-2]C3'},
+      {args: ['SUM(A:A)+SUM($1:1)+SUM(B:D)', 'B2'], result: 'SUM(C[-1])+SUM(R1:R[-1])+SUM(C:C[2])'},
+      {args: ['\'My Sheet\'!A1&"A1"', 'A1'], result: '\'My Sheet\'!RC&"A1"'},
+      {args: ['Sales[@Qty]*B2', 'C2'], result: 'Sales[@Qty]*RC[-1]'},
+      {args: ['VLOOKUP(A1,Rates,2,FALSE)', 'B1'], result: 'VLOOKUP(RC[-1],Rates,2,FALSE)'},
+      {args: ['SUM(A1:INDEX(B:B,3))', 'A2'], result: 'SUM(R[-1]C:INDEX(C[1],3))'},
+      {args: ['SUM(A1#)+@B1:B3', 'B2'], result: 'SUM(R[-1]C[-1]#)+@R[-1]C:R[1]C'},
+      {args: ['SUM(\'Sheet1:Sheet 3\'!A1)', 'A1'], result: 'SUM(\'Sheet1:Sheet 3\'!RC)'},
+      {args: ['SUM((A1,B1))+SUM(A1:B2 B1:C3)', 'A1'], result: 'SUM((RC,RC[1]))+SUM(RC:R[1]C[1] RC[1]:R[2]C[2])'},
+    ];
+    expectations.forEach(({args, result}) => {
+      it(`${args[0]} in ${args[1]}`, () => {
+        expect(toR1C1(...args)).to.equal(result);
+      });
+    });
+
+    it('throws on formulae it cannot read', () => {
+      expect(() => toR1C1('A1&"oops', 'A1')).to.throw(/Invalid formula/);
+    });
+  });
+
+  describe('fromR1C1', () => {
+    const expectations = [
+      {args: ['RC[-1]*2+R1C1', 'B2'], result: 'A2*2+$A$1'},
+      {args: ['SUM(R1C1:RC[-1])*R[-2]C3', 'C3'], result: 'SUM($A$1:B3)*$C1'},
+      {args: ['SUM(R[-1]:R[1])+SUM(C:C[2])+SUM(C1)', 'B2'], result: 'SUM(1:3)+SUM(B:D)+SUM($A:$A)'},
+      {args: ['\'RC\'!R1C1&"RC"', 'A1'], result: '\'RC\'!$A$1&"RC"'},
+      {args: ['Table1[[#This Row],[RC]]+ROUND(RC1,2)', 'B2'], result: 'Table1[[#This Row],[RC]]+ROUND($A2,2)'},
+      {args: ['RATE(1,2,3)+R1C+IF(TRUE,1E+5)', 'B2'], result: 'RATE(1,2,3)+B$1+IF(TRUE,1E+5)'},
+      {args: ['R[-5]C+1', 'B2'], result: '#REF!+1'},
+      {args: ['SUM(R1C1:R[-5]C)', 'B2'], result: 'SUM(#REF!)'},
+    ];
+    expectations.forEach(({args, result}) => {
+      it(`${args[0]} in ${args[1]}`, () => {
+        expect(fromR1C1(...args)).to.equal(result);
+      });
+    });
+
+    it('reverses toR1C1', () => {
+      const formula = 'SUM($A$1:B3)+Sheet2!$C2*D$4';
+      expect(fromR1C1(toR1C1(formula, 'E5'), 'E5')).to.equal(formula);
+      const operators = 'SUM(A1:INDEX(B:B,3))+SUM(C1#)+@D1:D3+SUM(Sheet1:Sheet3!E1)';
+      expect(fromR1C1(toR1C1(operators, 'F2'), 'F2')).to.equal(operators);
+    });
   });
 });
@@ -0,0 +1,58 @@
+const {spliceFormula, spliceAddress} = verquire('utils/splice-formula');
+
+describe('splice-formula', () => {
+  const insertRows = {sheetName: 'Sheet1', dimension: 'row', start: 3, count: 0, inserts: 2};
+  const deleteRows = {sheetName: 'Sheet1', dimension: 'row', start: 3, count: 2, inserts: 0};
+  const deleteCols = {sheetName: 'Sheet1', dimension: 'col', start: 2, count: 1, inserts: 0};
+
+  describe('spliceFormula', () => {
+    const expectations = [
+      // inserting rows
+      {formula: 'A2+A3', splice: insertRows, result: 'A2+A5'},
+      {formula: '$A$3*2', splice: insertRows, result: '$A$5*2'},
+      {formula: 'SUM(A1:A10)', splice: insertRows, result: 'SUM(A1:A12)'},
+      {formula: 'SUM(A3:A10)', splice: insertRows, result: 'SUM(A5:A12)'},
+      {formula: 'SUM(A1:A2)', splice: insertRows, result: 'SUM(A1:A2)'},
+      {formula: 'SUM(A:A)+SUM(2:3)', splice: insertRows, result: 'SUM(A:A)+SUM(2:5)'},
+      {formula: 'Sheet1!A3+sheet1!A4', splice: insertRows, local: false, result: 'Sheet1!A5+sheet1!A6'},
+      {formula: 'Other!A3+A3', splice: insertRows, local: false, result: 'Other!A3+A3'},
+      {formula: 'Rate*Sales[Qty]', splice: insertRows, result: 'Rate*Sales[Qty]'},
+      {formula: 'SUM(A3:INDEX(A:A,5))', splice: insertRows, result: 'SUM(A5:INDEX(A:A,5))'},
+      {formula: 'SUM(A3#)+@B3:B9', splice: insertRows, result: 'SUM(A5#)+@B5:B11'},
+      {formula: 'SUM((A1,A3))+SUM(A1:A2 A3:A4)', splice: insertRows, result: 'SUM((A1,A5))+SUM(A1:A2 A5:A6)'},
+      {formula: 'SUM(Sheet1:Sheet3!A3)', splice: insertRows, local: false, result: 'SUM(Sheet1:Sheet3!A3)'},
+      {formula: '[1]Sheet1!A3+Sheet1!A3', splice: insertRows, local: false, result: '[1]Sheet1!A3+Sheet1!A5'},
+
+      // deleting rows
+      {formula: 'A2+A3+A5', splice: deleteRows, result: 'A2+#REF!+A3'},
+      {formula: 'SUM(A1:A10)', splice: deleteRows, result: 'SUM(A1:A8)'},
+      {formula: 'SUM(A3:A4)', splice: deleteRows, result: 'SUM(#REF!)'},
+      {formula: 'SUM(A4:A6)', splice: deleteRows, result: 'SUM(A3:A4)'},
+      {formula: 'SUM(A2:A3)', splice: deleteRows, result: 'SUM(A2:A2)'},
+
+      // deleting columns
+      {formula: 'A1+B1+C$1', splice: deleteCols, result: 'A1+#REF!+B$1'},
+      {formula: 'SUM(A1:C1)+SUM(B:D)+SUM(1:1)', splice: deleteCols, result: 'SUM(A1:B1)+SUM(B:C)+SUM(1:1)'},
+    ];
+    expectations.forEach(({formula, splice, local = true, result}) => {
+      it(`${formula} ${splice === insertRows ? 'insert' : 'delete'} ${splice.dimension}s`, () => {
+        expect(spliceFormula(formula, splice, local)).to.equal(result);
+      });
+    });
+
+    it('throws on formulae it cannot read', () => {
+      expect(() => spliceFormula('A3&"oops', insertRows, true)).to.throw(/Invalid formula/);
+    });
+  });
+
+  describe('spliceAddress', () => {
+    it('moves cells and ranges', () => {
+      expect(spliceAddress('B5', insertRows)).to.equal('B7');
+      expect(spliceAddress('B2', insertRows)).to.equal('B2');
+      expect(spliceAddress('B2:C10', insertRows)).to.equal('B2:C12');
+      expect(spliceAddress('B4', deleteRows)).to.be.undefined();
+      expect(spliceAddress('B2:C10', deleteRows)).to.equal('B2:C8');
+      expect(spliceAddress('C1:D2', deleteCols)).to.equal('B1:C2');
+    });
+  });
+});
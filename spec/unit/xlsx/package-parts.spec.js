@@ -0,0 +1,73 @@
+const PackageParts = verquire('xlsx/package-parts');
+
+describe('PackageParts', () => {
+  it('resolves relationship targets', () => {
+    expect(PackageParts.resolveTarget('xl/drawings/drawing1.xml', '../charts/chart1.xml')).to.equal(
+      'xl/charts/chart1.xml'
+    );
+    expect(PackageParts.resolveTarget('xl/charts/chart1.xml', 'style1.xml')).to.equal('xl/charts/style1.xml');
+    expect(PackageParts.resolveTarget('xl/charts/chart1.xml', '/xl/media/image1.png')).to.equal(
+      'xl/media/image1.png'
+    );
+  });
+
+  it('makes relative targets', () => {
+    expect(PackageParts.relativeTarget('xl/drawings/drawing1.xml', 'xl/charts/chart1.xml')).to.equal(
+      '../charts/chart1.xml'
+    );
+    expect(PackageParts.relativeTarget('xl/charts/chart1.xml', 'xl/charts/style1.xml')).to.equal('style1.xml');
+    expect(PackageParts.relsPath('xl/charts/chart1.xml')).to.equal('xl/charts/_rels/chart1.xml.rels');
+  });
+
+  it('renames parts after their owner', () => {
+    const style = {path: 'xl/charts/style3.xml', data: '<style/>', contentType: 'style'};
+    const chart = {
+      path: 'xl/charts/chart3.xml',
+      data: '<chart/>',
+      contentType: 'chart',
+      rels: [
+        {Id: 'rId1', Type: 'chartStyle', Target: 'style3.xml', part: style},
+        {Id: 'rId2', Type: 'hyperlink', Target: 'http://example.com', TargetMode: 'External'},
+      ],
+    };
+    const parts = new PackageParts();
+    expect(parts.add(chart, 'chart1', 'xl/charts/chart1.xml')).to.equal('xl/charts/chart1.xml');
+    expect(parts.target('xl/drawings/drawing1.xml', style, 'drawing1')).to.equal('../charts/chart1_style3.xml');
+
+    expect(parts.files).to.deep.equal([
+      {path: 'xl/charts/chart1.xml', data: '<chart/>', contentType: 'chart'},
+      {
+        path: 'xl/charts/_rels/chart1.xml.rels',
+        rels: [
+          {Id: 'rId1', Type: 'chartStyle', Target: 'chart1_style3.xml', TargetMode: undefined},
+          {Id: 'rId2', Type: 'hyperlink', Target: 'http://example.com', TargetMode: 'External'},
+        ],
+      },
+      {path: 'xl/charts/chart1_style3.xml', data: '<style/>', contentType: 'style'},
+    ]);
+  });
+
+  it('refers to the media of the workbook without writing it again', () => {
+    const image = {path: 'xl/media/image3.png', imageId: 1};
+    const chart = {
+      path: 'xl/charts/chart3.xml',
+      data: '<chart/>',
+      contentType: 'chart',
+      rels: [{Id: 'rId1', Type: 'image', Target: '../media/image3.png', part: image}],
+    };
+    const parts = new PackageParts([
+      {name: 'image1', extension: 'jpeg'},
+      {name: 'image2', extension: 'png'},
+    ]);
+    parts.add(chart, 'chart1', 'xl/charts/chart1.xml');
+    expect(parts.target('xl/drawings/drawing1.xml', image, 'drawing1')).to.equal('../media/image2.png');
+
+    expect(parts.files).to.deep.equal([
+      {path: 'xl/charts/chart1.xml', data: '<chart/>', contentType: 'chart'},
+      {
+        path: 'xl/charts/_rels/chart1.xml.rels',
+        rels: [{Id: 'rId1', Type: 'image', Target: '../media/image2.png', TargetMode: undefined}],
+      },
+    ]);
+  });
+});
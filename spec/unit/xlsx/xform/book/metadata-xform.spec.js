@@ -0,0 +1,79 @@
+const testXformHelper = require('../test-xform-helper');
+
+const MetadataXform = verquire('xlsx/xform/book/metadata-xform');
+
+const expectations = [
+  {
+    title: 'dynamic arrays',
+    create() {
+      return new MetadataXform();
+    },
+    preparedModel: {
+      cellMetadata: [{type: 'XLDAPR', dynamicArray: true, collapsed: false}],
+      valueMetadata: [],
+    },
+    xml:
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<metadata xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:xda="http://schemas.microsoft.com/office/spreadsheetml/2017/dynamicarray">' +
+      '<metadataTypes count="1">' +
+      '<metadataType name="XLDAPR" minSupportedVersion="120000" copy="1" pasteAll="1" pasteValues="1" merge="1" ' +
+      'splitFirst="1" rowColShift="1" clearFormats="1" clearComments="1" assign="1" coerce="1" cellMeta="1"/>' +
+      '</metadataTypes>' +
+      '<futureMetadata name="XLDAPR" count="1">' +
+      '<bk><extLst><ext uri="{bdbb8cdc-fa1e-496e-a857-3c3f30c029c3}">' +
+      '<xda:dynamicArrayProperties fDynamic="1" fCollapsed="0"/>' +
+      '</ext></extLst></bk>' +
+      '</futureMetadata>' +
+      '<cellMetadata count="1"><bk><rc t="1" v="0"/></bk></cellMetadata>' +
+      '</metadata>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'parse'],
+  },
+  {
+    title: 'rich values',
+    create() {
+      return new MetadataXform();
+    },
+    preparedModel: {
+      cellMetadata: [],
+      valueMetadata: [
+        {type: 'XLRICHVALUE', index: 0},
+        {type: 'XLRICHVALUE', index: 1},
+      ],
+    },
+    xml:
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<metadata xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:xlrd="http://schemas.microsoft.com/office/spreadsheetml/2017/richdata">' +
+      '<metadataTypes count="1">' +
+      '<metadataType name="XLRICHVALUE" minSupportedVersion="120000" copy="1" pasteAll="1" pasteValues="1" merge="1" ' +
+      'splitFirst="1" rowColShift="1" clearFormats="1" clearComments="1" assign="1" coerce="1"/>' +
+      '</metadataTypes>' +
+      '<futureMetadata name="XLRICHVALUE" count="2">' +
+      '<bk><extLst><ext uri="{3e2802c4-a4d2-4d8b-9148-e3be6c30e623}"><xlrd:rvb i="0"/></ext></extLst></bk>' +
+      '<bk><extLst><ext uri="{3e2802c4-a4d2-4d8b-9148-e3be6c30e623}"><xlrd:rvb i="1"/></ext></extLst></bk>' +
+      '</futureMetadata>' +
+      '<valueMetadata count="2"><bk><rc t="1" v="0"/></bk><bk><rc t="1" v="1"/></bk></valueMetadata>' +
+      '</metadata>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'parse'],
+  },
+];
+
+describe('MetadataXform', () => {
+  testXformHelper(expectations);
+
+  it('adds each record once', () => {
+    const xform = new MetadataXform();
+    expect(xform.count).to.equal(0);
+    expect(xform.addCellMetadata({type: 'XLDAPR', dynamicArray: true, collapsed: false})).to.equal(1);
+    expect(xform.addCellMetadata({type: 'XLDAPR', dynamicArray: true, collapsed: false})).to.equal(1);
+    expect(xform.count).to.equal(1);
+    expect(xform.getCellMetadata(1)).to.deep.equal({type: 'XLDAPR', dynamicArray: true, collapsed: false});
+  });
+});
@@ -0,0 +1,51 @@
+const {PassThrough} = require('readable-stream');
+
+const ThemeXform = verquire('xlsx/xform/book/theme-xform');
+const theme1Xml = verquire('xlsx/xml/theme1');
+
+function parse(xml) {
+  const stream = new PassThrough();
+  stream.end(xml);
+  return new ThemeXform().parseStream(stream);
+}
+
+describe('ThemeXform', () => {
+  it('parses the name, colour scheme and fonts', async () => {
+    const model = await parse(theme1Xml);
+    expect(model.name).to.equal('Office Theme');
+    expect(model.colors).to.deep.equal({
+      dk1: 'FF000000',
+      lt1: 'FFFFFFFF',
+      dk2: 'FF1F497D',
+      lt2: 'FFEEECE1',
+      accent1: 'FF4F81BD',
+      accent2: 'FFC0504D',
+      accent3: 'FF9BBB59',
+      accent4: 'FF8064A2',
+      accent5: 'FF4BACC6',
+      accent6: 'FFF79646',
+      hlink: 'FF0000FF',
+      folHlink: 'FF800080',
+    });
+    expect(model.fonts).to.deep.equal({major: 'Cambria', minor: 'Calibri'});
+  });
+
+  it('puts a changed theme into the xml', async () => {
+    const theme = await parse(theme1Xml);
+    theme.name = 'Brand & Co';
+    theme.colors.dk1 = 'FF333333';
+    theme.colors.accent1 = 'FF112233';
+    theme.fonts.major = 'Arial';
+
+    const xml = ThemeXform.applyTheme(theme1Xml, theme);
+    expect(xml).to.contain('name="Brand &amp; Co"');
+    expect(xml).to.contain('<a:accent1><a:srgbClr val="112233"/></a:accent1>');
+    expect(xml).to.contain('<a:srgbClr val="C0504D"/>');
+    expect(await parse(xml)).to.deep.equal(theme);
+  });
+
+  it('leaves the xml of an unchanged theme as it was', async () => {
+    const theme = await parse(theme1Xml);
+    expect(ThemeXform.applyTheme(theme1Xml, theme)).to.equal(theme1Xml);
+  });
+});
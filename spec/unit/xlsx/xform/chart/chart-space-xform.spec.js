@@ -0,0 +1,56 @@
+const ChartSpaceXform = verquire('xlsx/xform/chart/chart-space-xform');
+
+describe('ChartSpaceXform', () => {
+  function render(model) {
+    return new ChartSpaceXform().toXml({sheetName: 'Sales Data', ...model});
+  }
+
+  it('renders a column chart', () => {
+    const xml = render({
+      type: 'column',
+      title: 'Sales',
+      series: [{name: 'North', categories: 'A2:A4', values: 'B2:B4', color: {argb: 'FF4472C4'}}],
+      axes: {y: {title: 'Units', min: 0, numFmt: '#,##0'}},
+    });
+    expect(xml).to.contain('<a:t>Sales</a:t>');
+    expect(xml).to.contain('<c:barChart><c:barDir val="col"/><c:grouping val="clustered"/>');
+    expect(xml).to.contain('<c:tx><c:v>North</c:v></c:tx>');
+    expect(xml).to.contain('<a:srgbClr val="4472C4"/>');
+    expect(xml).to.contain('<c:cat><c:strRef><c:f>&apos;Sales Data&apos;!$A$2:$A$4</c:f></c:strRef></c:cat>');
+    expect(xml).to.contain('<c:val><c:numRef><c:f>&apos;Sales Data&apos;!$B$2:$B$4</c:f></c:numRef></c:val>');
+    expect(xml).to.contain('<c:catAx>');
+    expect(xml).to.contain('<c:min val="0"/>');
+    expect(xml).to.contain('<c:numFmt formatCode="#,##0" sourceLinked="0"/>');
+    expect(xml).to.contain('<c:legendPos val="r"/>');
+  });
+
+  it('keeps the sheet of qualified references', () => {
+    const xml = render({type: 'line', series: [{values: 'Other!$C$1:C9'}], legend: false});
+    expect(xml).to.contain('<c:lineChart>');
+    expect(xml).to.contain('<c:f>Other!$C$1:$C$9</c:f>');
+    expect(xml).to.contain('<c:autoTitleDeleted val="1"/>');
+    expect(xml).not.to.contain('<c:legend>');
+  });
+
+  it('renders scatter charts with two value axes', () => {
+    const xml = render({type: 'scatter', series: [{categories: 'A2:A9', values: 'B2:B9'}]});
+    expect(xml).to.contain('<c:xVal><c:numRef><c:f>&apos;Sales Data&apos;!$A$2:$A$9</c:f></c:numRef></c:xVal>');
+    expect(xml).not.to.contain('<c:catAx>');
+    expect(xml.match(/<c:valAx>/g).length).to.equal(2);
+  });
+
+  it('renders pie charts without axes', () => {
+    const xml = render({type: 'pie', series: [{categories: 'A2:A4', values: 'B2:B4'}], legend: {position: 'bottom'}});
+    expect(xml).to.contain('<c:pieChart><c:varyColors val="1"/>');
+    expect(xml).not.to.contain('<c:axId');
+    expect(xml).to.contain('<c:legendPos val="b"/>');
+  });
+
+  it('renders stacked bar and area charts', () => {
+    let xml = render({type: 'bar', grouping: 'stacked', series: [{values: 'B2:B4'}]});
+    expect(xml).to.contain('<c:barDir val="bar"/><c:grouping val="stacked"/>');
+    expect(xml).to.contain('<c:overlap val="100"/>');
+    xml = render({type: 'area', grouping: 'percentStacked', series: [{values: 'B2:B4'}]});
+    expect(xml).to.contain('<c:areaChart><c:grouping val="percentStacked"/>');
+  });
+});
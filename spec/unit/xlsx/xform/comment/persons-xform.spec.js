@@ -0,0 +1,31 @@
+const testXformHelper = require('../test-xform-helper');
+
+const PersonsXform = verquire('xlsx/xform/comment/persons-xform');
+
+const expectations = [
+  {
+    title: 'persons',
+    create() {
+      return new PersonsXform();
+    },
+    preparedModel: [
+      {id: '{6D4F3A1E-0B7C-4E52-9B27-5E0E2B1C9A11}', displayName: 'Ann', userId: 'ann@example.com', providerId: 'AD'},
+      {id: '{0C8A7E55-2F4B-4C1D-8E6A-3B9D5F7A2C44}', displayName: 'Bob', userId: 'Bob', providerId: 'None'},
+    ],
+    xml:
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<personList xmlns="http://schemas.microsoft.com/office/spreadsheetml/2018/threadedcomments" ' +
+      'xmlns:x="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<person displayName="Ann" id="{6D4F3A1E-0B7C-4E52-9B27-5E0E2B1C9A11}" userId="ann@example.com" providerId="AD"/>' +
+      '<person displayName="Bob" id="{0C8A7E55-2F4B-4C1D-8E6A-3B9D5F7A2C44}" userId="Bob" providerId="None"/>' +
+      '</personList>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'parse'],
+  },
+];
+
+describe('PersonsXform', () => {
+  testXformHelper(expectations);
+});
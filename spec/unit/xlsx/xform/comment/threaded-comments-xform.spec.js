@@ -0,0 +1,82 @@
+const testXformHelper = require('../test-xform-helper');
+
+const ThreadedCommentsXform = verquire('xlsx/xform/comment/threaded-comments-xform');
+
+const ANN = '{6D4F3A1E-0B7C-4E52-9B27-5E0E2B1C9A11}';
+const BOB = '{0C8A7E55-2F4B-4C1D-8E6A-3B9D5F7A2C44}';
+
+const expectations = [
+  {
+    title: 'threads',
+    create() {
+      return new ThreadedCommentsXform();
+    },
+    preparedModel: {
+      threads: [
+        {
+          type: 'thread',
+          ref: 'B2',
+          id: '{11111111-1111-4111-8111-111111111111}',
+          personId: ANN,
+          date: new Date('2024-03-01T09:30:00Z'),
+          text: 'Is this right @Bob?',
+          mentions: [{id: '{22222222-2222-4222-8222-222222222222}', personId: BOB, startIndex: 14, length: 4}],
+          resolved: true,
+          replies: [
+            {
+              id: '{33333333-3333-4333-8333-333333333333}',
+              personId: BOB,
+              date: new Date('2024-03-01T10:15:30.25Z'),
+              text: 'Yes',
+            },
+          ],
+        },
+        {
+          type: 'thread',
+          ref: 'C5',
+          id: '{44444444-4444-4444-8444-444444444444}',
+          personId: BOB,
+          date: new Date('2024-03-02T08:00:00Z'),
+          text: 'Check & fix',
+          resolved: false,
+          replies: [],
+        },
+      ],
+    },
+    xml:
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<ThreadedComments xmlns="http://schemas.microsoft.com/office/spreadsheetml/2018/threadedcomments" ' +
+      'xmlns:x="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<threadedComment ref="B2" dT="2024-03-01T09:30:00.00" personId="${ANN}" id="{11111111-1111-4111-8111-111111111111}" done="1">` +
+      '<text>Is this right @Bob?</text>' +
+      `<mentions><mention mentionpersonId="${BOB}" mentionId="{22222222-2222-4222-8222-222222222222}" startIndex="14" length="4"/></mentions>` +
+      '</threadedComment>' +
+      `<threadedComment ref="B2" dT="2024-03-01T10:15:30.25" personId="${BOB}" id="{33333333-3333-4333-8333-333333333333}" ` +
+      'parentId="{11111111-1111-4111-8111-111111111111}">' +
+      '<text>Yes</text>' +
+      '</threadedComment>' +
+      `<threadedComment ref="C5" dT="2024-03-02T08:00:00.00" personId="${BOB}" id="{44444444-4444-4444-8444-444444444444}">` +
+      '<text>Check &amp; fix</text>' +
+      '</threadedComment>' +
+      '</ThreadedComments>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'parse'],
+  },
+];
+
+describe('ThreadedCommentsXform', () => {
+  testXformHelper(expectations);
+
+  it('makes the note kept for a thread', () => {
+    const thread = expectations[0].preparedModel.threads[0];
+    const note = ThreadedCommentsXform.toNote(thread, 'B2');
+    expect(note.type).to.equal('note');
+    expect(note.ref).to.equal('B2');
+    expect(note.author).to.equal('tc={11111111-1111-4111-8111-111111111111}');
+    const [{text}] = note.note.texts;
+    expect(text.startsWith('[Threaded comment]\n')).to.be.true();
+    expect(text.endsWith('Comment:\n    Is this right @Bob?\nReply:\n    Yes')).to.be.true();
+  });
+});
@@ -0,0 +1,47 @@
+const VmlAnchorXform = verquire('xlsx/xform/comment/vml-anchor-xform');
+
+describe('VmlAnchorXform', () => {
+  // columns are 64px and rows 20px by default
+  const sizes = VmlAnchorXform.getSheetSizes({
+    cols: [{min: 2, max: 2, width: 30}],
+    rows: [{number: 3, height: 30}],
+  });
+
+  it('knows the sizes of columns and rows', () => {
+    expect(sizes.col(1)).to.equal(64);
+    expect(sizes.col(2)).to.equal(210);
+    expect(sizes.row(1)).to.equal(20);
+    expect(sizes.row(3)).to.equal(40);
+  });
+
+  it('converts between anchors and boxes', () => {
+    const rect = [2, 6, 1, 14, 4, 2, 5, 16];
+    const box = VmlAnchorXform.toBox(rect, sizes);
+    expect(box).to.deep.equal({x: 280, y: 34, width: 124, height: 102});
+    expect(VmlAnchorXform.toRect(box, sizes)).to.deep.equal(rect);
+  });
+
+  it('places notes with a position or size', () => {
+    const comment = {
+      refAddress: {row: 2, col: 2},
+      note: {position: {col: 1.5, row: 2}, width: 100, height: 50},
+    };
+    VmlAnchorXform.placeNote(comment, sizes);
+    expect(comment.box).to.deep.equal({x: 169, y: 40, width: 100, height: 50});
+    expect(comment.rect).to.deep.equal([1, 105, 2, 0, 1, 205, 3, 10]);
+
+    const plain = {refAddress: {row: 2, col: 2}, note: {texts: []}};
+    VmlAnchorXform.placeNote(plain, sizes);
+    expect(plain.rect).to.be.undefined();
+  });
+
+  it('reads the position and size of notes not where notes go by default', () => {
+    const note = {anchor: '1, 105, 2, 0, 1, 205, 3, 10'};
+    VmlAnchorXform.readNote(note, {row: 2, col: 2}, sizes);
+    expect(note).to.deep.equal({position: {col: 1.5, row: 2}, width: 100, height: 50});
+
+    const plain = {anchor: '2, 6, 0, 14, 4, 2, 4, 16'};
+    VmlAnchorXform.readNote(plain, {row: 2, col: 2}, sizes);
+    expect(plain).to.deep.equal({});
+  });
+});
@@ -25,6 +25,17 @@ const expectations = [
       '<HeadingPairs><vt:vector size="2" baseType="variant"><vt:variant><vt:lpstr>Worksheets</vt:lpstr></vt:variant><vt:variant><vt:i4>2</vt:i4></vt:variant></vt:vector></HeadingPairs>',
     tests: ['render', 'renderIn'],
   },
+  {
+    title: 'app.03',
+    create() {
+      return new AppHeadingPairsXform();
+    },
+    preparedModel: [{name: 'Sheet1'}, {name: 'Chart1', chart: {}}],
+    xml:
+      '<HeadingPairs><vt:vector size="4" baseType="variant"><vt:variant><vt:lpstr>Worksheets</vt:lpstr></vt:variant><vt:variant><vt:i4>1</vt:i4></vt:variant>' +
+      '<vt:variant><vt:lpstr>Charts</vt:lpstr></vt:variant><vt:variant><vt:i4>1</vt:i4></vt:variant></vt:vector></HeadingPairs>',
+    tests: ['render', 'renderIn'],
+  },
 ];
 
 describe('AppHeadingPairsXform', () => {
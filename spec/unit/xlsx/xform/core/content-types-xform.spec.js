@@ -77,6 +77,22 @@ const expectations = [
       .replace(/\r\n/g, '\n'),
     tests: ['render'],
   },
+  {
+    title: 'Parsed content types',
+    create() {
+      return new ContentTypesXform();
+    },
+    xml:
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="PNG" ContentType="image/png"/>' +
+      '<Override PartName="/xl/charts/chart1.xml" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/>' +
+      '</Types>',
+    parsedModel: {
+      defaults: {png: 'image/png'},
+      overrides: {'/xl/charts/chart1.xml': 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml'},
+    },
+    tests: ['parse'],
+  },
 ];
 
 describe('ContentTypesXform', () => {
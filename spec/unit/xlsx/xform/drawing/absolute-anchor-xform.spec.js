@@ -0,0 +1,49 @@
+const testXformHelper = require('../test-xform-helper');
+
+const AbsoluteAnchorXform = verquire('xlsx/xform/drawing/absolute-anchor-xform');
+
+const expectations = [
+  {
+    title: 'chart',
+    create() {
+      return new AbsoluteAnchorXform();
+    },
+    initialModel: {
+      graphicFrame: {rId: 'rId1'},
+      range: {pos: {x: 10, y: 20}, ext: {width: 100, height: 50}, editAs: 'absolute'},
+    },
+    preparedModel: {
+      graphicFrame: {rId: 'rId1', index: 1},
+      range: {pos: {x: 10, y: 20}, ext: {width: 100, height: 50}, editAs: 'absolute'},
+    },
+    xml:
+      '<xdr:absoluteAnchor><xdr:pos x="95250" y="190500"/><xdr:ext cx="952500" cy="476250"/>' +
+      '<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="1" name="Chart 1"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>' +
+      '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>' +
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">' +
+      '<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:id="rId1"/>' +
+      '</a:graphicData></a:graphic></xdr:graphicFrame><xdr:clientData/></xdr:absoluteAnchor>',
+    options: {index: 0},
+    tests: ['prepare', 'render'],
+  },
+];
+
+describe('AbsoluteAnchorXform', () => {
+  testXformHelper(expectations);
+
+  it('parses the position and size of the anchor', () => {
+    const xform = new AbsoluteAnchorXform();
+    xform.parseOpen({name: 'xdr:absoluteAnchor', attributes: {}});
+    xform.parseOpen({name: 'xdr:pos', attributes: {x: '0', y: '95250'}});
+    xform.parseClose('xdr:pos');
+    xform.parseOpen({name: 'xdr:ext', attributes: {cx: '9525000', cy: '4762500'}});
+    xform.parseClose('xdr:ext');
+    expect(xform.parseClose('xdr:absoluteAnchor')).to.equal(false);
+    expect(xform.model.range).to.deep.equal({
+      pos: {x: 0, y: 10},
+      ext: {width: 1000, height: 500},
+      editAs: 'absolute',
+    });
+  });
+});
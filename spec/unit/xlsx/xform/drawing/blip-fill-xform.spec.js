@@ -17,6 +17,21 @@ const expectations = [
     parsedModel: {rId: 'rId1'},
     tests: ['render', 'renderIn', 'parse'],
   },
+  {
+    title: 'cropped',
+    create() {
+      return new BlipFillXform();
+    },
+    preparedModel: {rId: 'rId1', crop: {left: 10, bottom: 25.5}},
+    xml:
+      '<xdr:blipFill>' +
+      '<a:blip xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:embed="rId1" cstate="print" />' +
+      '<a:srcRect l="10000" b="25500" />' +
+      '<a:stretch><a:fillRect /></a:stretch>' +
+      '</xdr:blipFill>',
+    parsedModel: {rId: 'rId1', crop: {left: 10, bottom: 25.5}},
+    tests: ['render', 'renderIn', 'parse'],
+  },
 ];
 
 describe('BlipFillXform', () => {
@@ -0,0 +1,60 @@
+const testXformHelper = require('../test-xform-helper');
+
+const GraphicFrameXform = verquire('xlsx/xform/drawing/graphic-frame-xform');
+
+const expectations = [
+  {
+    title: 'chart',
+    create() {
+      return new GraphicFrameXform();
+    },
+    initialModel: {rId: 'rId1'},
+    preparedModel: {rId: 'rId1', index: 3},
+    xml:
+      '<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="3" name="Chart 3"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>' +
+      '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>' +
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">' +
+      '<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:id="rId1"/>' +
+      '</a:graphicData></a:graphic></xdr:graphicFrame>',
+    parsedModel: {rId: 'rId1', name: 'Chart 3'},
+    options: {index: 2},
+    tests: ['prepare', 'render'],
+  },
+  {
+    title: 'parsed',
+    create() {
+      return new GraphicFrameXform();
+    },
+    xml:
+      '<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="3" name="Chart 3"/></xdr:nvGraphicFramePr>' +
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">' +
+      '<c:chart r:id="rId1"/></a:graphicData></a:graphic></xdr:graphicFrame>',
+    parsedModel: {
+      rId: 'rId1',
+      name: 'Chart 3',
+      content: {
+        tag: 'xdr:graphicFrame',
+        $: {macro: ''},
+        c: [
+          {tag: 'xdr:nvGraphicFramePr', c: [{tag: 'xdr:cNvPr', $: {id: '3', name: 'Chart 3'}}]},
+          {
+            tag: 'a:graphic',
+            c: [
+              {
+                tag: 'a:graphicData',
+                $: {uri: 'http://schemas.openxmlformats.org/drawingml/2006/chart'},
+                c: [{tag: 'c:chart', $: {'r:id': 'rId1'}}],
+              },
+            ],
+          },
+        ],
+      },
+    },
+    tests: ['parse'],
+  },
+];
+
+describe('GraphicFrameXform', () => {
+  testXformHelper(expectations);
+});
@@ -0,0 +1,177 @@
+const {PassThrough} = require('readable-stream');
+const testXformHelper = require('../test-xform-helper');
+
+const ShapeXform = verquire('xlsx/xform/drawing/shape-xform');
+const parseSax = verquire('utils/parse-sax');
+
+const STYLE = `
+  <xdr:style>
+    <a:lnRef idx="2"><a:schemeClr val="accent1"><a:shade val="50000"/></a:schemeClr></a:lnRef>
+    <a:fillRef idx="1"><a:schemeClr val="accent1"/></a:fillRef>
+    <a:effectRef idx="0"><a:schemeClr val="accent1"/></a:effectRef>
+    <a:fontRef idx="minor"><a:schemeClr val="lt1"/></a:fontRef>
+  </xdr:style>
+`;
+
+const expectations = [
+  {
+    title: 'Rectangle',
+    create() {
+      return new ShapeXform();
+    },
+    initialModel: {
+      type: 'rect',
+      text: 'Check\nthis',
+      fill: {type: 'solid', color: {argb: 'FFFFFF00'}},
+      line: {type: 'solid', color: {theme: 5}, width: 2, dash: 'dash'},
+    },
+    preparedModel: {
+      index: 2,
+      type: 'rect',
+      text: 'Check\nthis',
+      fill: {type: 'solid', color: {argb: 'FFFFFF00'}},
+      line: {type: 'solid', color: {theme: 5}, width: 2, dash: 'dash'},
+    },
+    options: {index: 1},
+    xml: `
+      <xdr:sp macro="" textlink="">
+        <xdr:nvSpPr><xdr:cNvPr id="2" name="Rectangle 2"/><xdr:cNvSpPr/></xdr:nvSpPr>
+        <xdr:spPr>
+          <a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></a:xfrm>
+          <a:prstGeom prst="rect"><a:avLst/></a:prstGeom>
+          <a:solidFill><a:srgbClr val="FFFF00"/></a:solidFill>
+          <a:ln w="25400"><a:solidFill><a:schemeClr val="accent2"/></a:solidFill><a:prstDash val="dash"/></a:ln>
+        </xdr:spPr>
+        ${STYLE}
+        <xdr:txBody>
+          <a:bodyPr vertOverflow="clip" horzOverflow="clip" wrap="square" rtlCol="0" anchor="ctr"/>
+          <a:lstStyle/>
+          <a:p><a:pPr algn="ctr"/><a:r><a:rPr lang="en-US"/><a:t>Check</a:t></a:r></a:p>
+          <a:p><a:pPr algn="ctr"/><a:r><a:rPr lang="en-US"/><a:t>this</a:t></a:r></a:p>
+        </xdr:txBody>
+      </xdr:sp>
+    `,
+    tests: ['prepare', 'render'],
+  },
+  {
+    title: 'Arrow',
+    create() {
+      return new ShapeXform();
+    },
+    preparedModel: {index: 3, type: 'arrow', name: 'Look here', flipV: true, line: {color: {argb: 'FFFF0000'}}},
+    xml: `
+      <xdr:sp macro="" textlink="">
+        <xdr:nvSpPr><xdr:cNvPr id="3" name="Look here"/><xdr:cNvSpPr/></xdr:nvSpPr>
+        <xdr:spPr>
+          <a:xfrm flipV="1"><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></a:xfrm>
+          <a:prstGeom prst="line"><a:avLst/></a:prstGeom>
+          <a:ln><a:solidFill><a:srgbClr val="FF0000"/></a:solidFill><a:tailEnd type="triangle"/></a:ln>
+        </xdr:spPr>
+        <xdr:style>
+          <a:lnRef idx="1"><a:schemeClr val="accent1"><a:shade val="50000"/></a:schemeClr></a:lnRef>
+          <a:fillRef idx="0"><a:schemeClr val="accent1"/></a:fillRef>
+          <a:effectRef idx="0"><a:schemeClr val="accent1"/></a:effectRef>
+          <a:fontRef idx="minor"><a:schemeClr val="tx1"/></a:fontRef>
+        </xdr:style>
+      </xdr:sp>
+    `,
+    tests: ['render'],
+  },
+];
+
+function toModel(xml) {
+  const stream = new PassThrough();
+  stream.write(xml);
+  stream.end();
+  return new ShapeXform().parse(parseSax(stream)).then(ShapeXform.toModel);
+}
+
+describe('ShapeXform', () => {
+  testXformHelper(expectations);
+
+  describe('toModel', () => {
+    it('reads shapes into the model', async () => {
+      const model = await toModel(expectations[0].xml);
+      expect(model).to.deep.equal({
+        type: 'rect',
+        name: 'Rectangle 2',
+        text: 'Check\nthis',
+        fill: {type: 'solid', color: {argb: 'FFFFFF00'}},
+        line: {type: 'solid', color: {theme: 5}, width: 2, dash: 'dash'},
+        style: model.style,
+      });
+      expect(model.style.tag).to.equal('xdr:style');
+    });
+
+    it('reads text boxes as Excel writes them', async () => {
+      const model = await toModel(`
+        <xdr:sp macro="" textlink="">
+          <xdr:nvSpPr><xdr:cNvPr id="4" name="TextBox 3" descr="note"/><xdr:cNvSpPr txBox="1"/></xdr:nvSpPr>
+          <xdr:spPr>
+            <a:xfrm><a:off x="4114800" y="762000"/><a:ext cx="1828800" cy="571500"/></a:xfrm>
+            <a:prstGeom prst="rect"><a:avLst/></a:prstGeom>
+            <a:noFill/>
+            <a:ln w="9525" cmpd="sng"><a:noFill/></a:ln>
+          </xdr:spPr>
+          ${STYLE}
+          <xdr:txBody>
+            <a:bodyPr vertOverflow="clip" horzOverflow="clip" wrap="square" rtlCol="0" anchor="b"/>
+            <a:lstStyle/>
+            <a:p>
+              <a:r><a:rPr lang="en-GB" sz="1100" b="1"><a:solidFill><a:schemeClr val="tx1"/></a:solidFill></a:rPr><a:t>Total</a:t></a:r>
+              <a:r><a:rPr lang="en-GB" sz="1100"/><a:t> is wrong</a:t></a:r>
+            </a:p>
+            <a:p><a:endParaRPr lang="en-GB" sz="1100"/></a:p>
+          </xdr:txBody>
+        </xdr:sp>
+      `);
+      delete model.style;
+      expect(model).to.deep.equal({
+        type: 'textBox',
+        name: 'TextBox 3',
+        description: 'note',
+        fill: {type: 'none'},
+        line: {type: 'none', width: 0.75},
+        text: {
+          richText: [
+            {text: 'Total', font: {bold: true, size: 11, color: {theme: 1}}},
+            {text: ' is wrong\n', font: {size: 11}},
+          ],
+        },
+        alignment: {vertical: 'bottom'},
+      });
+    });
+
+    it('keeps other preset geometries', async () => {
+      const model = await toModel(`
+        <xdr:sp macro="" textlink="">
+          <xdr:nvSpPr><xdr:cNvPr id="2" name="Callout 1"/><xdr:cNvSpPr/></xdr:nvSpPr>
+          <xdr:spPr>
+            <a:prstGeom prst="wedgeRectCallout"><a:avLst><a:gd name="adj1" fmla="val -60000"/></a:avLst></a:prstGeom>
+          </xdr:spPr>
+        </xdr:sp>
+      `);
+      expect(model).to.deep.equal({
+        type: 'wedgeRectCallout',
+        name: 'Callout 1',
+        adjustments: {adj1: 'val -60000'},
+      });
+    });
+
+    it('leaves shapes the model does not cover', async () => {
+      const shape = spPr => `
+        <xdr:sp macro="" textlink="">
+          <xdr:nvSpPr><xdr:cNvPr id="2" name="Shape 1"/><xdr:cNvSpPr/></xdr:nvSpPr>
+          <xdr:spPr>${spPr}</xdr:spPr>
+        </xdr:sp>
+      `;
+      const geometry = '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>';
+      expect(await toModel(shape('<a:custGeom/>'))).to.be.undefined();
+      expect(await toModel(shape(`${geometry}<a:gradFill/>`))).to.be.undefined();
+      expect(await toModel(shape(`${geometry}<a:blipFill><a:blip r:embed="rId1"/></a:blipFill>`))).to.be.undefined();
+      expect(
+        await toModel(shape(`${geometry}<a:solidFill><a:schemeClr val="accent1"><a:lumMod val="75000"/></a:schemeClr></a:solidFill>`))
+      ).to.be.undefined();
+    });
+  });
+});
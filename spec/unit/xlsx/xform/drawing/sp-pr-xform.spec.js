@@ -0,0 +1,38 @@
+const testXformHelper = require('../test-xform-helper');
+
+const SpPrXform = verquire('xlsx/xform/drawing/sp-pr-xform');
+
+const expectations = [
+  {
+    title: 'plain',
+    create() {
+      return new SpPrXform();
+    },
+    preparedModel: {},
+    xml:
+      '<xdr:spPr>' +
+      '<a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></a:xfrm>' +
+      '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>' +
+      '</xdr:spPr>',
+    parsedModel: null,
+    tests: ['render', 'renderIn', 'parse'],
+  },
+  {
+    title: 'rotated and flipped',
+    create() {
+      return new SpPrXform();
+    },
+    preparedModel: {rotation: 45.5, flipH: true, flipV: true},
+    xml:
+      '<xdr:spPr>' +
+      '<a:xfrm rot="2730000" flipH="1" flipV="1"><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></a:xfrm>' +
+      '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>' +
+      '</xdr:spPr>',
+    parsedModel: {rotation: 45.5, flipH: true, flipV: true},
+    tests: ['render', 'renderIn', 'parse'],
+  },
+];
+
+describe('SpPrXform', () => {
+  testXformHelper(expectations);
+});
@@ -0,0 +1,31 @@
+const testXformHelper = require('./test-xform-helper');
+
+const RawXform = verquire('xlsx/xform/raw-xform');
+
+const expectations = [
+  {
+    title: 'Shape',
+    create() {
+      return new RawXform();
+    },
+    preparedModel: {
+      tag: 'xdr:sp',
+      $: {macro: ''},
+      c: [
+        {tag: 'xdr:nvSpPr', c: [{tag: 'xdr:cNvPr', $: {id: '2', name: 'Rectangle 1'}}]},
+        {tag: 'xdr:txBody', c: [{tag: 'a:p', c: [{tag: 'a:r', c: [{tag: 'a:t', t: 'Tom & Jerry'}]}]}]},
+      ],
+    },
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    xml:
+      '<xdr:sp macro=""><xdr:nvSpPr><xdr:cNvPr id="2" name="Rectangle 1"/></xdr:nvSpPr>' +
+      '<xdr:txBody><a:p><a:r><a:t>Tom &amp; Jerry</a:t></a:r></a:p></xdr:txBody></xdr:sp>',
+    tests: ['render', 'renderIn', 'parse'],
+  },
+];
+
+describe('RawXform', () => {
+  testXformHelper(expectations);
+});
@@ -0,0 +1,54 @@
+const RichData = verquire('xlsx/xform/rich-data/rich-data');
+
+describe('RichData', () => {
+  it('adds each picture once', () => {
+    const richData = new RichData();
+    expect(richData.count).to.equal(0);
+    expect(richData.addImage({image: 3})).to.equal(0);
+    expect(richData.addImage({image: 5, description: 'Logo'})).to.equal(1);
+    expect(richData.addImage({image: 3})).to.equal(0);
+    expect(richData.addImage({image: 3, description: 'Logo'})).to.equal(2);
+    expect(richData.count).to.equal(3);
+
+    expect(richData.model.images).to.deep.equal([3, 5]);
+    expect(richData.model.structures.length).to.equal(2);
+    expect(richData.model.values).to.deep.equal([
+      {structure: 0, values: ['0', '5']},
+      {structure: 1, values: ['1', '5', 'Logo']},
+      {structure: 1, values: ['0', '5', 'Logo']},
+    ]);
+  });
+
+  it('gives the pictures of rich values', () => {
+    const richData = new RichData();
+    richData.addImage({image: 3});
+    richData.addImage({image: 5, description: 'Logo'});
+    expect(richData.getImage(0)).to.deep.equal({image: 3});
+    expect(richData.getImage(1)).to.deep.equal({image: 5, description: 'Logo'});
+    expect(richData.getImage(2)).to.be.undefined();
+  });
+
+  it('ignores rich values that are not pictures', () => {
+    const richData = new RichData({
+      values: [{structure: 0, values: ['https://example.com/pic.png', '1']}],
+      structures: [{type: '_webimage', keys: [{name: 'WebImageIdentifier', type: 'i'}]}],
+      images: [],
+    });
+    expect(richData.getImage(0)).to.be.undefined();
+  });
+
+  it('lists the files to write', () => {
+    const richData = new RichData();
+    richData.addImage({image: 0});
+    const files = richData.getFiles(imageId => `../media/image${imageId + 1}.png`);
+    expect(files.map(file => file.path)).to.deep.equal([
+      'xl/richData/rdrichvalue.xml',
+      'xl/richData/rdrichvaluestructure.xml',
+      'xl/richData/rdRichValueTypes.xml',
+      'xl/richData/richValueRel.xml',
+      'xl/richData/_rels/richValueRel.xml.rels',
+    ]);
+    expect(files[4].xml).to.contain('Target="../media/image1.png"');
+    expect(files[4].contentType).to.be.undefined();
+  });
+});
@@ -0,0 +1,27 @@
+const testXformHelper = require('../test-xform-helper');
+
+const RichValueRelXform = verquire('xlsx/xform/rich-data/rich-value-rel-xform');
+
+const expectations = [
+  {
+    title: 'rels',
+    create() {
+      return new RichValueRelXform();
+    },
+    preparedModel: ['rId1', 'rId2'],
+    xml:
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<richValueRels xmlns="http://schemas.microsoft.com/office/spreadsheetml/2022/richvaluerel" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<rel r:id="rId1"/><rel r:id="rId2"/>' +
+      '</richValueRels>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'parse'],
+  },
+];
+
+describe('RichValueRelXform', () => {
+  testXformHelper(expectations);
+});
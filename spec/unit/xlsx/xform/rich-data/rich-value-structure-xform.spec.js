@@ -0,0 +1,34 @@
+const testXformHelper = require('../test-xform-helper');
+
+const RichValueStructureXform = verquire('xlsx/xform/rich-data/rich-value-structure-xform');
+
+const expectations = [
+  {
+    title: 'local images',
+    create() {
+      return new RichValueStructureXform();
+    },
+    preparedModel: [
+      {
+        type: '_localImage',
+        keys: [
+          {name: '_rvRel:LocalImageIdentifier', type: 'i'},
+          {name: 'CalcOrigin', type: 'i'},
+        ],
+      },
+    ],
+    xml:
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<rvStructures xmlns="http://schemas.microsoft.com/office/spreadsheetml/2017/richdata" count="1">' +
+      '<s t="_localImage"><k n="_rvRel:LocalImageIdentifier" t="i"/><k n="CalcOrigin" t="i"/></s>' +
+      '</rvStructures>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'parse'],
+  },
+];
+
+describe('RichValueStructureXform', () => {
+  testXformHelper(expectations);
+});
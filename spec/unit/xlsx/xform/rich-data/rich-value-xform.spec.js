@@ -0,0 +1,30 @@
+const testXformHelper = require('../test-xform-helper');
+
+const RichValueXform = verquire('xlsx/xform/rich-data/rich-value-xform');
+
+const expectations = [
+  {
+    title: 'pictures',
+    create() {
+      return new RichValueXform();
+    },
+    preparedModel: [
+      {structure: 0, values: ['0', '5']},
+      {structure: 1, values: ['1', '5', 'Fish & chips']},
+    ],
+    xml:
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<rvData xmlns="http://schemas.microsoft.com/office/spreadsheetml/2017/richdata" count="2">' +
+      '<rv s="0"><v>0</v><v>5</v></rv>' +
+      '<rv s="1"><v>1</v><v>5</v><v>Fish &amp; chips</v></rv>' +
+      '</rvData>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'parse'],
+  },
+];
+
+describe('RichValueXform', () => {
+  testXformHelper(expectations);
+});
@@ -25,6 +25,30 @@ const fakeHyperlinkMap = {
   H1: 'http://www.foo.com',
 };
 
+const fakeMetadata = {
+  addCellMetadata() {
+    return 1;
+  },
+  getCellMetadata(index) {
+    return index === 1 ? {type: 'XLDAPR', dynamicArray: true, collapsed: false} : undefined;
+  },
+  addValueMetadata() {
+    return 1;
+  },
+  getValueMetadata(index) {
+    return index === 1 ? {type: 'XLRICHVALUE', index: 0} : undefined;
+  },
+};
+
+const fakeRichData = {
+  addImage() {
+    return 0;
+  },
+  getImage(index) {
+    return index === 0 ? {image: 0, description: 'Logo'} : undefined;
+  },
+};
+
 const expectations = [
   {
     title: 'Styled Null',
@@ -521,8 +545,89 @@ const expectations = [
       siFormulae: 0,
     },
   },
+  {
+    title: 'Dynamic Array Formula',
+    create() {
+      return new CellXform();
+    },
+    initialModel: {
+      address: 'B1',
+      type: Enums.ValueType.Formula,
+      spill: true,
+      ref: 'B1:B3',
+      formula: 'SORT(A1:A3)',
+      result: 1,
+    },
+    preparedModel: {
+      address: 'B1',
+      type: Enums.ValueType.Formula,
+      spill: true,
+      ref: 'B1:B3',
+      formula: 'SORT(A1:A3)',
+      result: 1,
+      cm: 1,
+    },
+    xml: '<c r="B1" cm="1"><f t="array" ref="B1:B3">_xlfn._xlws.SORT(A1:A3)</f><v>1</v></c>',
+    parsedModel: {
+      address: 'B1',
+      type: Enums.ValueType.Formula,
+      shareType: 'array',
+      ref: 'B1:B3',
+      formula: '_xlfn._xlws.SORT(A1:A3)',
+      result: 1,
+      cm: 1,
+    },
+    reconciledModel: {
+      address: 'B1',
+      type: Enums.ValueType.Formula,
+      spill: true,
+      ref: 'B1:B3',
+      formula: 'SORT(A1:A3)',
+      result: 1,
+    },
+    tests: ['prepare', 'render', 'renderIn', 'parse', 'reconcile'],
+    options: {
+      styles: fakeStyles,
+      metadata: fakeMetadata,
+      hyperlinks: [],
+      hyperlinkMap: fakeHyperlinkMap,
+      formulae: {},
+      siFormulae: 0,
+    },
+  },
+  {
+    title: 'Picture in Cell',
+    create() {
+      return new CellXform();
+    },
+    initialModel: {address: 'C2', type: Enums.ValueType.Image, value: {image: 0, description: 'Logo'}},
+    preparedModel: {address: 'C2', type: Enums.ValueType.Image, value: {image: 0, description: 'Logo'}, vm: 1},
+    xml: '<c r="C2" vm="1" t="e"><v>#VALUE!</v></c>',
+    parsedModel: {address: 'C2', type: Enums.ValueType.Error, value: {error: '#VALUE!'}, vm: 1},
+    reconciledModel: {address: 'C2', type: Enums.ValueType.Image, value: {image: 0, description: 'Logo'}},
+    tests: ['prepare', 'render', 'renderIn', 'parse', 'reconcile'],
+    options: {
+      styles: fakeStyles,
+      metadata: fakeMetadata,
+      richData: fakeRichData,
+      media: [{type: 'image', extension: 'png'}],
+      hyperlinkMap: fakeHyperlinkMap,
+    },
+  },
 ];
 
 describe('CellXform', () => {
   testXformHelper(expectations);
+
+  it('keeps errors whose value metadata is not a picture', () => {
+    const model = {address: 'C2', type: Enums.ValueType.Error, value: {error: '#VALUE!'}, vm: 2};
+    new CellXform().reconcile(model, {metadata: fakeMetadata, richData: fakeRichData, hyperlinkMap: {}});
+    expect(model).to.deep.equal({address: 'C2', type: Enums.ValueType.Error, value: {error: '#VALUE!'}});
+  });
+
+  it('needs the pictures of cells to be images of the workbook', () => {
+    const model = {address: 'C2', type: Enums.ValueType.Image, value: {image: 3}};
+    const options = {styles: fakeStyles, metadata: fakeMetadata, richData: fakeRichData, media: []};
+    expect(() => new CellXform().prepare(model, options)).to.throw(/C2 refers to an image the workbook doesn't have/);
+  });
 });
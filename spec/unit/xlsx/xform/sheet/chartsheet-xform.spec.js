@@ -0,0 +1,74 @@
+const testXformHelper = require('../test-xform-helper');
+
+const ChartsheetXform = verquire('xlsx/xform/sheet/chartsheet-xform');
+
+const chart = {type: 'pie', series: [{values: 'Data!B2:B4'}]};
+const drawingRel = {
+  Id: 'rId1',
+  Type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
+  Target: '../drawings/drawing3.xml',
+};
+const part = {path: 'xl/charts/chart1.xml', data: '<c:chartSpace/>'};
+
+const expectations = [
+  {
+    title: 'Chartsheet',
+    create() {
+      return new ChartsheetXform();
+    },
+    initialModel: {id: 2, name: 'Chart', properties: {tabColor: {argb: 'FF00FF00'}}, chart: {chart}},
+    preparedModel: {
+      id: 2,
+      name: 'Chart',
+      properties: {tabColor: {argb: 'FF00FF00'}},
+      chart: {chart},
+      drawing: {
+        rId: 'rId1',
+        name: 'drawing3',
+        anchors: [
+          {
+            graphicFrame: {rId: 'rId1'},
+            range: {pos: {x: 0, y: 0}, ext: {width: 910, height: 660}, editAs: 'absolute'},
+          },
+        ],
+        rels: [
+          {
+            Id: 'rId1',
+            Type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart',
+            Target: '../charts/chart2.xml',
+          },
+        ],
+      },
+      rels: [drawingRel],
+    },
+    xml:
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<chartsheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheetPr><tabColor rgb="FF00FF00"/></sheetPr>' +
+      '<sheetViews><sheetView zoomToFit="1" workbookViewId="0"/></sheetViews>' +
+      '<pageMargins left="0.7" right="0.7" top="0.75" bottom="0.75" header="0.3" footer="0.3"/>' +
+      '<drawing r:id="rId1"/></chartsheet>',
+    parsedModel: {properties: {tabColor: {argb: 'FF00FF00'}}, drawing: {rId: 'rId1'}},
+    get options() {
+      return {chartsCount: 1, drawingsCount: 2, charts: [], drawings: [], parts: {}};
+    },
+    tests: ['prepare', 'render', 'parse'],
+  },
+  {
+    title: 'Loaded chartsheet',
+    create() {
+      return new ChartsheetXform();
+    },
+    parsedModel: {properties: {}, drawing: {rId: 'rId1'}, relationships: [drawingRel]},
+    reconciledModel: {properties: {}, chart: {name: 'Chart 1', part}},
+    options: {
+      drawings: {drawing3: {anchors: [{picture: undefined}, {chart: {name: 'Chart 1', part}}]}},
+    },
+    tests: ['reconcile'],
+  },
+];
+
+describe('ChartsheetXform', () => {
+  testXformHelper(expectations);
+});
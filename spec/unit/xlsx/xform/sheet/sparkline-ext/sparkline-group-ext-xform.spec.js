@@ -0,0 +1,69 @@
+const testXformHelper = require('../../test-xform-helper');
+
+const SparklineGroupExtXform = verquire('xlsx/xform/sheet/sparkline-ext/sparkline-group-ext-xform');
+
+const expectations = [
+  {
+    title: 'Defaults',
+    create() {
+      return new SparklineGroupExtXform();
+    },
+    preparedModel: {
+      type: 'line',
+      sparklines: [{data: 'Sheet1!A1:E1', location: 'F1'}],
+    },
+    xml: `
+      <x14:sparklineGroup>
+        <x14:sparklines>
+          <x14:sparkline><xm:f>Sheet1!A1:E1</xm:f><xm:sqref>F1</xm:sqref></x14:sparkline>
+        </x14:sparklines>
+      </x14:sparklineGroup>
+    `,
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'parse'],
+  },
+  {
+    title: 'Formatted',
+    create() {
+      return new SparklineGroupExtXform();
+    },
+    preparedModel: {
+      type: 'column',
+      sparklines: [
+        {data: '\'My Data\'!A1:E1', location: 'F1'},
+        {data: '\'My Data\'!A2:E2', location: 'F2'},
+      ],
+      colors: {series: {theme: 4, tint: -0.5}, negative: {argb: 'FFFF0000'}, high: {indexed: 10}},
+      high: true,
+      negative: true,
+      emptyCells: 'span',
+      showHidden: true,
+      lineWeight: 1.5,
+      axis: {show: true, min: 'group', max: 10, rightToLeft: true, dateRange: '\'My Data\'!A10:E10'},
+    },
+    xml: `
+      <x14:sparklineGroup manualMax="10" lineWeight="1.5" type="column" dateAxis="1" displayEmptyCellsAs="span"
+          high="1" negative="1" displayXAxis="1" displayHidden="1" minAxisType="group" maxAxisType="custom"
+          rightToLeft="1">
+        <x14:colorSeries theme="4" tint="-0.5"/>
+        <x14:colorNegative rgb="FFFF0000"/>
+        <x14:colorHigh indexed="10"/>
+        <xm:f>'My Data'!A10:E10</xm:f>
+        <x14:sparklines>
+          <x14:sparkline><xm:f>'My Data'!A1:E1</xm:f><xm:sqref>F1</xm:sqref></x14:sparkline>
+          <x14:sparkline><xm:f>'My Data'!A2:E2</xm:f><xm:sqref>F2</xm:sqref></x14:sparkline>
+        </x14:sparklines>
+      </x14:sparklineGroup>
+    `,
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'parse'],
+  },
+];
+
+describe('SparklineGroupExtXform', () => {
+  testXformHelper(expectations);
+});
@@ -0,0 +1,58 @@
+const testXformHelper = require('../test-xform-helper');
+
+const CellStyleXform = verquire('xlsx/xform/style/cell-style-xform');
+
+const expectations = [
+  {
+    title: 'Normal',
+    create: () => new CellStyleXform(),
+    preparedModel: {name: 'Normal', xfId: 0, builtinId: 0},
+    xml: '<cellStyle name="Normal" xfId="0" builtinId="0"/>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'renderIn', 'parse'],
+  },
+  {
+    title: 'Changed built in style',
+    create: () => new CellStyleXform(),
+    preparedModel: {name: 'Heading 1', xfId: 1, builtinId: 16, customBuiltin: true},
+    xml: '<cellStyle name="Heading 1" xfId="1" builtinId="16" customBuiltin="1"/>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'renderIn', 'parse'],
+  },
+  {
+    title: 'Outline level style',
+    create: () => new CellStyleXform(),
+    preparedModel: {name: 'RowLevel_2', xfId: 3, builtinId: 1, iLevel: 1, hidden: true},
+    xml: '<cellStyle name="RowLevel_2" xfId="3" builtinId="1" iLevel="1" hidden="1"/>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'renderIn', 'parse'],
+  },
+  {
+    title: 'Custom style',
+    create: () => new CellStyleXform(),
+    preparedModel: {name: 'Corporate & Co', xfId: 2},
+    xml: '<cellStyle name="Corporate &amp; Co" xfId="2"/>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'renderIn', 'parse'],
+  },
+];
+
+describe('CellStyleXform', () => {
+  testXformHelper(expectations);
+
+  it('knows the ids of the built in styles', () => {
+    expect(CellStyleXform.BUILTIN_IDS.Normal).to.equal(0);
+    expect(CellStyleXform.BUILTIN_IDS['Heading 1']).to.equal(16);
+    expect(CellStyleXform.BUILTIN_IDS.Good).to.equal(26);
+    expect(CellStyleXform.BUILTIN_IDS['20% - Accent1']).to.equal(30);
+    expect(CellStyleXform.BUILTIN_IDS['60% - Accent6']).to.equal(52);
+  });
+});
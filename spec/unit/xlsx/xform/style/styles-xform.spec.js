@@ -35,5 +35,79 @@ describe('StylesXform', () => {
 
       expect(xmlStream.xml).xml.to.equal(expectedXml);
     });
+
+    it('Refers cells to their named styles', () => {
+      const stylesXform = new StylesXform(true);
+      const font = {bold: true, size: 15, name: 'Calibri'};
+      expect(stylesXform.addNamedStyle({name: 'Heading 1', style: {font}})).to.equal(1);
+      expect(stylesXform.addNamedStyle({name: 'Corporate', style: {numFmt: '0.00'}})).to.equal(2);
+
+      const styleId = stylesXform.addStyleModel({font, name: 'Heading 1'});
+      expect(stylesXform.addStyleModel({font, name: 'heading 1'})).to.equal(styleId);
+      expect(stylesXform.addStyleModel({font})).to.not.equal(styleId);
+      stylesXform.addStyleModel({font, name: 'Unknown'});
+
+      const xmlStream = new XmlStream();
+      stylesXform.render(xmlStream);
+      const {xml} = xmlStream;
+      expect(xml).to.contain('<cellStyleXfs count="4">');
+      expect(xml).to.contain('<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="1" applyFont="1"/>');
+      expect(xml).to.contain('<cellStyle name="Heading 1" xfId="1" builtinId="16" customBuiltin="1"/>');
+      expect(xml).to.contain('<cellStyle name="Corporate" xfId="2"/>');
+      expect(xml).to.contain('<cellStyle name="Unknown" xfId="3"/>');
+    });
+
+    it('Renders table styles with their dxfs', () => {
+      const stylesXform = new StylesXform(true);
+      stylesXform.addTableStyles({
+        defaultTableStyle: 'Brand',
+        styles: [
+          {
+            name: 'Brand',
+            table: true,
+            pivot: false,
+            elements: {
+              firstRowStripe: {fill: {type: 'pattern', pattern: 'solid', bgColor: {argb: 'FFEEEEEE'}}, size: 2},
+              headerRow: {font: {bold: true}},
+            },
+          },
+        ],
+      });
+
+      const xmlStream = new XmlStream();
+      stylesXform.render(xmlStream);
+      const {xml} = xmlStream;
+      expect(xml).to.contain('<dxfs count="2"><dxf><font><b/></font></dxf><dxf><fill>');
+      expect(xml).to.contain(
+        '<tableStyles count="1" defaultTableStyle="Brand" defaultPivotStyle="PivotStyleLight16">' +
+          '<tableStyle name="Brand" pivot="0" count="2">' +
+          '<tableStyleElement type="headerRow" dxfId="0"/>' +
+          '<tableStyleElement type="firstRowStripe" size="2" dxfId="1"/>' +
+          '</tableStyle></tableStyles>'
+      );
+    });
+
+    it('Merges equivalent styles', () => {
+      const stylesXform = new StylesXform(true);
+      const red = stylesXform.addStyleModel({font: {color: {argb: 'ffff0000'}}, alignment: {}});
+      expect(stylesXform.addStyleModel({font: {color: {argb: 'FFFF0000'}}})).to.equal(red);
+      expect(stylesXform.addStyleModel({font: {color: {argb: 'ffff0000'}}})).to.equal(red);
+      expect(stylesXform.addDxfStyle({font: {bold: true}})).to.equal(stylesXform.addDxfStyle({font: {bold: true}}));
+
+      // only the parts written differently from the one they are merged with count
+      const stats = stylesXform.getStats();
+      expect(stats.references).to.equal(3);
+      expect(stats.cellXfs).to.deep.equal({count: 2, merged: 0});
+      expect(stats.fonts).to.deep.equal({count: 2, merged: 1});
+      expect(stats.dxfs).to.deep.equal({count: 1, merged: 0});
+      expect(stylesXform.model.styles[red]).to.not.contain('alignment');
+      expect(stylesXform.model.fonts[1]).to.contain('rgb="FFFF0000"');
+    });
+
+    it('Rejects unknown table style elements', () => {
+      const stylesXform = new StylesXform(true);
+      const styles = [{name: 'Brand', table: true, pivot: false, elements: {header: {font: {bold: true}}}}];
+      expect(() => stylesXform.addTableStyles({styles})).to.throw('Unknown element header of table style Brand');
+    });
   });
 });
@@ -0,0 +1,52 @@
+const testXformHelper = require('../test-xform-helper');
+
+const TableStyleXform = verquire('xlsx/xform/style/table-style-xform');
+
+const expectations = [
+  {
+    title: 'Table style',
+    create: () => new TableStyleXform(),
+    preparedModel: {
+      name: 'Brand',
+      pivot: false,
+      table: true,
+      elements: [
+        {type: 'wholeTable', dxfId: 0},
+        {type: 'headerRow', dxfId: 1},
+        {type: 'firstRowStripe', size: 2, dxfId: 2},
+      ],
+    },
+    xml:
+      '<tableStyle name="Brand" pivot="0" count="3">' +
+      '<tableStyleElement type="wholeTable" dxfId="0"/>' +
+      '<tableStyleElement type="headerRow" dxfId="1"/>' +
+      '<tableStyleElement type="firstRowStripe" size="2" dxfId="2"/>' +
+      '</tableStyle>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'renderIn', 'parse'],
+  },
+  {
+    title: 'Pivot style',
+    create: () => new TableStyleXform(),
+    preparedModel: {
+      name: 'Brand Pivot',
+      pivot: true,
+      table: false,
+      elements: [{type: 'pageFieldLabels', dxfId: 3}],
+    },
+    xml:
+      '<tableStyle name="Brand Pivot" table="0" count="1">' +
+      '<tableStyleElement type="pageFieldLabels" dxfId="3"/>' +
+      '</tableStyle>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'renderIn', 'parse'],
+  },
+];
+
+describe('TableStyleXform', () => {
+  testXformHelper(expectations);
+});
@@ -0,0 +1,35 @@
+const testXformHelper = require('../test-xform-helper');
+
+const TableStylesXform = verquire('xlsx/xform/style/table-styles-xform');
+
+const expectations = [
+  {
+    title: 'No table styles',
+    create: () => new TableStylesXform(),
+    preparedModel: {styles: []},
+    xml: '<tableStyles count="0" defaultTableStyle="TableStyleMedium2" defaultPivotStyle="PivotStyleLight16"/>',
+    parsedModel: {defaultTableStyle: 'TableStyleMedium2', defaultPivotStyle: 'PivotStyleLight16', styles: []},
+    tests: ['render', 'renderIn', 'parse'],
+  },
+  {
+    title: 'Custom default',
+    create: () => new TableStylesXform(),
+    preparedModel: {
+      defaultTableStyle: 'Brand',
+      defaultPivotStyle: 'PivotStyleMedium9',
+      styles: [{name: 'Brand', pivot: false, table: true, elements: [{type: 'headerRow', dxfId: 0}]}],
+    },
+    xml:
+      '<tableStyles count="1" defaultTableStyle="Brand" defaultPivotStyle="PivotStyleMedium9">' +
+      '<tableStyle name="Brand" pivot="0" count="1"><tableStyleElement type="headerRow" dxfId="0"/></tableStyle>' +
+      '</tableStyles>',
+    get parsedModel() {
+      return this.preparedModel;
+    },
+    tests: ['render', 'renderIn', 'parse'],
+  },
+];
+
+describe('TableStylesXform', () => {
+  testXformHelper(expectations);
+});